@@ -18,7 +18,12 @@ const { EventEmitter } = require('events');
 const app = express();
 const PORT = process.env.PORT || 3003;
 app.use(bodyParser.urlencoded({ extended: true }));
-app.use(bodyParser.json());
+// Keep the raw body so payment webhook signatures can be verified
+app.use(bodyParser.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Configure session middleware before application initialization
 app.use(session({
@@ -0,0 +1,15 @@
+/**
+ * @fileoverview Scheduled job tick
+ * Runs in a scheduler worker thread. The worker has no access to the
+ * application's in-memory services, so the real work is queued by the
+ * scheduler callback in JobProcessor.scheduleRecurringJobs.
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+module.exports = {
+  run: async () => ({ tickedAt: new Date().toISOString() })
+};
@@ -62,15 +62,25 @@ module.exports = (options, eventEmitter, serviceRegistry) => {
   const SeedService = require('./services/seedService');
   const seedService = new SeedService(services);
 
+  // Routes and background jobs share one payment gateway and job processor
+  const PaymentGateway = require('./services/paymentGateway');
+  services.paymentGateway = PaymentGateway.create(services);
+
   // Initialize job processor
   const JobProcessor = require('./services/jobProcessor');
   const jobProcessor = new JobProcessor(services);
+  services.jobProcessor = jobProcessor;
 
   // Start background job processing
   jobProcessor.startProcessing().catch(error => {
     logger.error('Failed to start job processor:', error);
   });
 
+  // Schedule recurring background jobs
+  jobProcessor.scheduleRecurringJobs().catch(error => {
+    logger.error('Failed to schedule recurring jobs:', error);
+  });
+
   // Seed initial data
   seedService.seedAll().catch(error => {
     logger.error('Failed to seed initial data:', error);
@@ -96,15 +106,31 @@ async function initializeDataContainers(dataServe, logger) {
     'orders',
     'order_items',
     'inventory',
+    'inventory_reservations',
+    'inventory_logs',
     'product_images',
     'product_variants',
     'carts',
+    'saved_items',
     'reviews',
     'addresses',
     'payment_methods',
+    'payment_events',
+    'refunds',
+    'credit_notes',
+    'order_returns',
+    'catalog_imports',
     'promotions',
+    'promotion_redemptions',
+    'tax_rules',
     'analytics',
+    'search_queries',
+    'search_rules',
     'content',
+    'content_versions',
+    'navigation_menus',
+    'content_experiments',
+    'experiment_assignments',
     'email_logs'
   ];
 
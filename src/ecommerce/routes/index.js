@@ -12,7 +12,33 @@ const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const path = require('path');
 const express = require('express');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const OrderStatusService = require('../services/orderStatusService');
+const Repository = require('../services/repository');
+const InventoryService = require('../services/inventoryService');
+const PricingService = require('../services/pricingService');
+const TaxService = require('../services/taxService');
+const CheckoutService = require('../services/checkoutService');
+const CartService = require('../services/cartService');
+const CartRecoveryService = require('../services/cartRecoveryService');
+const VariantService = require('../services/variantService');
+const ProductService = require('../services/productService');
+const CategoryService = require('../services/categoryService');
+const SearchService = require('../services/searchService');
+const MerchandisingService = require('../services/merchandisingService');
+const ReviewService = require('../services/reviewService');
+const AddressService = require('../services/addressService');
+const PaymentGateway = require('../services/paymentGateway');
+const PaymentReconciliationService = require('../services/paymentReconciliationService');
+const RefundService = require('../services/refundService');
+const PaymentMethodService = require('../services/paymentMethodService');
+const ReturnService = require('../services/returnService');
+const CatalogImportService = require('../services/catalogImportService');
+const ImageService = require('../services/imageService');
+const ContentService = require('../services/contentService');
+const PageService = require('../services/pageService');
+const ExperimentService = require('../services/experimentService');
+const EmailVerificationService = require('../services/emailVerificationService');
+const { BLOCK_SCHEMAS } = require('../services/pageBlocks');
 
 // Configure multer for file uploads
 const upload = multer({
@@ -20,6 +46,12 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
+// Catalog imports may come with a zip of product images
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 100 * 1024 * 1024 } // 100MB limit
+});
+
 const JWT_SECRET = process.env.JWT_SECRET || 'ecommerce-secret-key';
 
 /**
@@ -36,6 +68,35 @@ module.exports = (options, eventEmitter, services) => {
   const app = options.express;
   const app_path = options.path || 'ecommerce';
   const { dataServe, filing, cache, logger, queue, search, notifying, measuring } = services;
+  const orderStatusService = new OrderStatusService(services);
+  const orderRepository = new Repository(services, 'orders');
+  const userRepository = new Repository(services, 'users');
+  const inventoryRepository = new Repository(services, 'inventory');
+  const productRepository = new Repository(services, 'products');
+  const inventoryService = new InventoryService(services);
+  const variantService = new VariantService(services);
+  const productService = new ProductService(services);
+  const categoryService = new CategoryService(services);
+  const merchandisingService = new MerchandisingService(services);
+  const imageService = new ImageService(services, { productService });
+  const reviewService = new ReviewService(services, { imageService });
+  const addressService = new AddressService(services);
+  const emailVerificationService = new EmailVerificationService(services);
+  const paymentGateway = services.paymentGateway || PaymentGateway.create(services);
+  const paymentMethodService = new PaymentMethodService(services, { gateway: paymentGateway });
+  const paymentReconciliationService = new PaymentReconciliationService(services, { gateway: paymentGateway, inventoryService });
+  const refundService = new RefundService(services, { gateway: paymentGateway, inventoryService });
+  const returnService = new ReturnService(services, { eventEmitter, inventoryService, refundService });
+  const contentService = new ContentService(services);
+  const experimentService = new ExperimentService(services, { contentService });
+  const catalogImportService = new CatalogImportService(services, { productService, categoryService, variantService, imageService });
+  const searchService = new SearchService(services, { merchandisingService, reviewService });
+  const pageService = new PageService(services, { contentService, searchService, categoryService });
+  const pricingService = new PricingService(services);
+  const taxService = new TaxService(services);
+  const cartService = new CartService(services, { inventoryService });
+  const checkoutService = new CheckoutService(services, { pricingService, taxService, cartService });
+  const cartRecoveryService = new CartRecoveryService(services, { cartService, pricingService });
 
   // Middleware for API key validation (admin routes)
   const requireAuth = async (req, res, next) => {
@@ -46,7 +107,7 @@ module.exports = (options, eventEmitter, services) => {
       }
 
       const decoded = jwt.verify(token, JWT_SECRET);
-      const user = await dataServe.getByUuid('users', decoded.userId);
+      const user = await userRepository.findById(decoded.userId);
 
       if (!user) {
         return res.status(401).json({ error: 'Invalid token' });
@@ -59,6 +120,14 @@ module.exports = (options, eventEmitter, services) => {
     }
   };
 
+  // Guests may continue without a token, but a token that is sent must be valid
+  const optionalAuth = async (req, res, next) => {
+    if (!req.headers.authorization) {
+      return next();
+    }
+    return requireAuth(req, res, next);
+  };
+
   const requireAdmin = async (req, res, next) => {
     if (!req.user?.isAdmin) {
       return res.status(403).json({ error: 'Admin access required' });
@@ -72,8 +141,184 @@ module.exports = (options, eventEmitter, services) => {
     return 'ORD-' + Date.now() + '-' + Math.random().toString(36).substr(2, 4).toUpperCase();
   };
 
-  const calculateOrderTotal = (items) => {
-    return items.reduce((total, item) => total + (item.price * item.quantity), 0);
+  // Re-price cart lines from the catalog and attach the discount breakdown
+  const withPricing = async (cart, userId) => {
+    const pricing = await pricingService.priceCart(cart, { userId });
+    const items = cart.items.map(item => {
+      const line = pricing.items.find(entry =>
+        entry.productId === item.productId && entry.variantId === item.variantId
+      );
+      return line && !line.unavailable ? { ...item, price: line.unitPrice } : item;
+    });
+    return { ...cart, items, pricing };
+  };
+
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  // Who is placing an order: the signed-in user, or a guest identified by email
+  const resolveCustomer = (req) => {
+    if (req.user) {
+      return { type: 'customer', userId: req.user.id, email: (req.user.email || '').toLowerCase() };
+    }
+
+    const email = (req.body.email || '').trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(email)) {
+      const error = new Error('A valid email is required for guest checkout');
+      error.status = 400;
+      throw error;
+    }
+
+    return { type: 'guest', userId: null, email };
+  };
+
+  // Checkout takes either an address ID from the signed-in user's address
+  // book or an inline address. Saved addresses are copied, not referenced.
+  const resolveAddress = async (req, addressId, inlineAddress) => {
+    if (!addressId) {
+      return inlineAddress;
+    }
+
+    if (!req.user) {
+      const error = new Error('Sign in to use a saved address');
+      error.status = 401;
+      throw error;
+    }
+
+    return addressService.getSnapshot(req.user.id, addressId);
+  };
+
+  const sendCheckoutError = (res, error) => {
+    return res.status(error.status).json({ error: error.message, code: error.code, items: error.items });
+  };
+
+  // Create an order from a verified checkout quote. Prices, discounts, tax and
+  // shipping all come from the quote, never from the request body.
+  const createOrderFromQuote = async (quote, { customer, status, note, paymentMethod, paymentStatus, billingAddress, commitInventory }) => {
+    // Uses of each promotion are claimed before the order exists so that
+    // usage limits are never exceeded; they are given back if it is not placed
+    const redemptions = await pricingService.claimRedemptions(quote.discounts || [], customer);
+
+    const orderId = crypto.randomUUID();
+    const orderNumber = generateOrderNumber();
+
+    // Stock is committed before the order is created, so an order that could
+    // not take its stock is never placed. Stock held at checkout start is
+    // committed; without a live reservation the items are taken directly.
+    if (commitInventory) {
+      try {
+        const reservation = await inventoryService.getActiveReservation(quote.sessionId);
+        if (reservation) {
+          await inventoryService.commit(reservation.id, orderId);
+        } else {
+          await inventoryService.commitItems(quote.items);
+        }
+      } catch (invError) {
+        await pricingService.releaseRedemptions(redemptions);
+        throw invError;
+      }
+    }
+
+    const order = {
+      id: orderId,
+      orderNumber,
+      userId: customer.userId,
+      customerEmail: customer.email,
+      isGuest: customer.type === 'guest',
+      status,
+      statusHistory: [
+        OrderStatusService.createHistoryEntry(null, status, { type: customer.type, id: customer.userId }, note)
+      ],
+      items: quote.items,
+      quoteId: quote.quoteId,
+      subtotal: quote.subtotal,
+      discountTotal: quote.discountTotal,
+      discounts: quote.discounts,
+      taxAmount: quote.taxAmount,
+      taxBreakdown: quote.taxBreakdown,
+      pricesIncludeTax: quote.pricesIncludeTax,
+      shippingMethod: quote.shippingMethod,
+      shippingCost: quote.shippingCost,
+      totalAmount: quote.totalAmount,
+      shippingAddress: quote.shippingAddress,
+      billingAddress: billingAddress || quote.shippingAddress,
+      paymentMethod,
+      ...(paymentStatus ? { paymentStatus } : {}),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    let createdOrder;
+    try {
+      createdOrder = await orderRepository.create(order);
+    } catch (orderError) {
+      await pricingService.releaseRedemptions(redemptions);
+      if (commitInventory) {
+        await inventoryService.restock(quote.items, `Order ${orderNumber} could not be placed`);
+      }
+      throw orderError;
+    }
+    const orderUuid = createdOrder.id;
+
+    await checkoutService.markQuoteUsed(quote, orderUuid);
+    const clearedCart = await cartService.clearCart(quote.sessionId, orderUuid);
+    await pricingService.confirmRedemptions(redemptions, orderUuid);
+
+    try {
+      await cartRecoveryService.recordRecovery(clearedCart, createdOrder);
+    } catch (recoveryError) {
+      logger.error(`Error recording cart recovery for order ${orderNumber}:`, recoveryError);
+    }
+
+    try {
+      await experimentService.recordOrder(quote.sessionId, createdOrder);
+    } catch (experimentError) {
+      logger.error(`Error attributing order ${orderNumber} to experiments:`, experimentError);
+    }
+
+    // Store order items
+    for (const item of quote.items) {
+      await dataServe.add('order_items', {
+        orderId: orderUuid,
+        productId: item.productId,
+        variantId: item.variantId,
+        quantity: item.quantity,
+        unitPrice: item.price,
+        totalPrice: item.lineSubtotal,
+        discount: item.discount,
+        taxClass: item.taxClass,
+        taxRate: item.taxRate,
+        taxAmount: item.taxAmount
+      });
+    }
+
+    return createdOrder;
+  };
+
+  // Hold stock for a quote before money is taken. A live reservation from
+  // checkout start is kept; otherwise the quote's items are reserved now.
+  const holdStockForQuote = async (quote, customer) => {
+    if (!(await inventoryService.getActiveReservation(quote.sessionId))) {
+      await inventoryService.reserve(quote.sessionId, quote.items, { userId: customer.userId });
+    }
+  };
+
+  // Give back a payment taken for a quote whose order could not be placed
+  const refundUnplacedOrder = async (quote, paymentIntentId, reason) => {
+    try {
+      await paymentGateway.refund({
+        paymentIntentId,
+        reason: 'Order could not be placed',
+        metadata: { quoteId: quote.quoteId, sessionId: quote.sessionId }
+      });
+      await inventoryService.releaseForSession(quote.sessionId, 'order_failed');
+      logger.info(`Refunded payment ${paymentIntentId} for quote ${quote.quoteId}: ${reason.message}`);
+    } catch (refundError) {
+      logger.error(`Payment ${paymentIntentId} for quote ${quote.quoteId} was taken without an order and needs a manual refund:`, refundError);
+    }
+  };
+
+  const sendOutOfStock = (res, error) => {
+    return res.status(409).json({ error: error.message, code: error.code, items: error.items });
   };
 
   // ===== PUBLIC API ENDPOINTS =====
@@ -93,7 +338,12 @@ module.exports = (options, eventEmitter, services) => {
   // Get all products with filtering and pagination
   app.get(`/applications/${app_path}/api/products`, async (req, res) => {
     try {
-      const { category, minPrice, maxPrice, search: searchTerm, page = 1, limit = 20 } = req.query;
+      const { category, minPrice, maxPrice, search: searchTerm, sort, page = 1, limit = 20 } = req.query;
+      const sorts = ['name', 'price_asc', 'price_desc', 'newest', 'rating'];
+
+      if (sort && !sorts.includes(sort)) {
+        return res.status(400).json({ error: `Sort must be one of: ${sorts.join(', ')}` });
+      }
 
       let products = await dataServe.jsonFindByCriteria('products', { status: 'active' });
 
@@ -119,6 +369,27 @@ module.exports = (options, eventEmitter, services) => {
         );
       }
 
+      const ratings = await reviewService.getRatingSummaries();
+      products = products.map(p => ({
+        ...p,
+        rating: {
+          averageRating: ratings[p.id] ? ratings[p.id].averageRating : null,
+          reviewCount: ratings[p.id] ? ratings[p.id].reviewCount : 0
+        }
+      }));
+
+      if (sort) {
+        const comparators = {
+          name: (a, b) => a.name.localeCompare(b.name),
+          price_asc: (a, b) => (a.salePrice || a.price) - (b.salePrice || b.price),
+          price_desc: (a, b) => (b.salePrice || b.price) - (a.salePrice || a.price),
+          newest: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+          rating: (a, b) => (b.rating.averageRating || 0) - (a.rating.averageRating || 0) ||
+            b.rating.reviewCount - a.rating.reviewCount
+        };
+        products.sort(comparators[sort]);
+      }
+
       // Pagination
       const startIndex = (page - 1) * limit;
       const endIndex = startIndex + parseInt(limit);
@@ -144,8 +415,8 @@ module.exports = (options, eventEmitter, services) => {
     try {
       logger.info(`Fetching product with ID: ${req.params.id}`);
 
-      // Try to find product by UUID first
-      let product = await dataServe.getByUuid('products', req.params.id);
+      // Try to find product by ID first
+      let product = await productRepository.findById(req.params.id);
 
       // If not found by UUID, try to find by any field that might match
       if (!product) {
@@ -175,16 +446,20 @@ module.exports = (options, eventEmitter, services) => {
         return res.status(404).json({ error: 'Product not found' });
       }
 
-      // Get product variants
-      const variants = await dataServe.jsonFindByPath('product_variants', 'productId', req.params.id);
+      // Get active product variants and the option axes they cover
+      const variants = await variantService.listVariants(req.params.id, { includeInactive: false });
+
+      // Get product images in display order
+      const images = await imageService.listImages(req.params.id);
 
-      // Get product images
-      const images = await dataServe.jsonFindByPath('product_images', 'productId', req.params.id);
+      const { averageRating, reviewCount } = await reviewService.getRatingSummary(product.id);
 
       res.json({
         ...product,
+        options: variantService.getOptionAxes(variants),
         variants,
-        images
+        images,
+        rating: { averageRating, reviewCount }
       });
     } catch (error) {
       logger.error('Error fetching product:', error);
@@ -192,10 +467,80 @@ module.exports = (options, eventEmitter, services) => {
     }
   });
 
+  // Get approved reviews for a product with its rating summary
+  app.get(`/applications/${app_path}/api/products/:id/reviews`, async (req, res) => {
+    try {
+      const { sort, rating, verified, page, limit } = req.query;
+      const result = await reviewService.listProductReviews(req.params.id, { sort, rating, verified, page, limit });
+      res.json(result);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error fetching reviews:', error);
+      res.status(500).json({ error: 'Failed to fetch reviews' });
+    }
+  });
+
+  // Submit a review with optional photos. Reviews are shown once approved.
+  app.post(`/applications/${app_path}/api/products/:id/reviews`, requireAuth, upload.array('photos', 5), async (req, res) => {
+    try {
+      const review = await reviewService.createReview(req.params.id, req.user, req.body, req.files || []);
+
+      res.status(201).json({
+        review: ReviewService.toPublic(review),
+        message: 'Thanks for your review. It will appear once it has been approved.'
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error creating review:', error);
+      res.status(500).json({ error: 'Failed to submit review' });
+    }
+  });
+
+  // Get a review photo
+  app.get(`/applications/${app_path}/api/reviews/:reviewId/photos/:photoId`, optionalAuth, async (req, res) => {
+    try {
+      const photo = await reviewService.getPhoto(req.params.reviewId, req.params.photoId, req.user?.isAdmin === true);
+
+      // Browsers must not second-guess the type of a shopper's upload
+      res.set('Content-Type', photo.mimeType);
+      res.set('X-Content-Type-Options', 'nosniff');
+      res.send(photo.content);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error fetching review photo:', error);
+      res.status(500).json({ error: 'Failed to fetch photo' });
+    }
+  });
+
+  // Get a product image at one of its sizes: thumbnail, medium, large or original
+  app.get(`/applications/${app_path}/api/images/:id/:size`, async (req, res) => {
+    try {
+      const image = await imageService.getImageFile(req.params.id, req.params.size);
+
+      res.set('Content-Type', image.mimeType);
+      res.set('Cache-Control', image.cacheable ? 'public, max-age=86400' : 'no-cache');
+      // Sends 304 Not Modified when the client's copy is current
+      res.set('ETag', image.etag);
+      res.send(image.content);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error fetching product image:', error);
+      res.status(500).json({ error: 'Failed to fetch image' });
+    }
+  });
+
   // Get categories
   app.get(`/applications/${app_path}/api/categories`, async (req, res) => {
     try {
-      const categories = await dataServe.jsonFindByCriteria('categories', { status: 'active' });
+      const categories = await categoryService.getCategoriesWithProductCounts();
       res.json({ categories });
     } catch (error) {
       logger.error('Error fetching categories:', error);
@@ -203,6 +548,36 @@ module.exports = (options, eventEmitter, services) => {
     }
   });
 
+  // Get the category hierarchy with product counts
+  app.get(`/applications/${app_path}/api/categories/tree`, async (req, res) => {
+    try {
+      const tree = await categoryService.getCategoryTree();
+      res.json({ tree });
+    } catch (error) {
+      logger.error('Error fetching category tree:', error);
+      res.status(500).json({ error: 'Failed to fetch category tree' });
+    }
+  });
+
+  // Get a category by slug with its breadcrumb, subcategories and product counts
+  app.get(`/applications/${app_path}/api/categories/:slug`, async (req, res) => {
+    try {
+      const category = await categoryService.getCategory(req.params.slug, true);
+
+      if (category.status !== 'active') {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+
+      res.json({ category });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error fetching category:', error);
+      res.status(500).json({ error: 'Failed to fetch category' });
+    }
+  });
+
   // Debug route to check products in database
   app.get(`/applications/${app_path}/api/debug/products`, async (req, res) => {
     try {
@@ -237,91 +612,109 @@ module.exports = (options, eventEmitter, services) => {
     }
   });
 
-  // Search products
+  // Search products, ranked by relevance with facet counts
   app.get(`/applications/${app_path}/api/search`, async (req, res) => {
     try {
-      const { q: query, category, limit = 20 } = req.query;
-
-      if (!query) {
-        return res.status(400).json({ error: 'Search query is required' });
-      }
+      const { q, category, brand, tags, price, minPrice, maxPrice, attr, sort, cursor, limit } = req.query;
 
-      let products = await dataServe.jsonFind('products', product => {
-        if (product.status !== 'active') return false;
-
-        const searchableText = [
-          product.name,
-          product.description,
-          product.brand || '',
-          (product.tags || []).join(' ')
-        ].join(' ').toLowerCase();
-
-        return searchableText.includes(query.toLowerCase());
+      const results = await searchService.search({
+        q, category, brand, tags, price, minPrice, maxPrice, sort, cursor, limit,
+        attributes: attr && typeof attr === 'object' ? attr : {}
       });
 
-      if (category) {
-        products = products.filter(p => p.category === category);
-      }
-
-      res.json({
-        query,
-        results: products.slice(0, limit),
-        total: products.length
-      });
+      res.json(results);
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       logger.error('Error searching products:', error);
       res.status(500).json({ error: 'Search failed' });
     }
   });
 
+  // Autocomplete from product names and popular queries
+  app.get(`/applications/${app_path}/api/search/suggest`, async (req, res) => {
+    try {
+      const { q, limit } = req.query;
+
+      const result = await searchService.suggest(q, limit);
+
+      res.json(result);
+    } catch (error) {
+      logger.error('Error fetching search suggestions:', error);
+      res.status(500).json({ error: 'Failed to fetch suggestions' });
+    }
+  });
+
   // ===== CART API =====
 
   // Add item to cart
-  app.post(`/applications/${app_path}/api/cart/add`, async (req, res) => {
+  app.post(`/applications/${app_path}/api/cart/add`, optionalAuth, async (req, res) => {
     try {
-      const { sessionId, productId, variantId, quantity = 1 } = req.body;
+      const { sessionId, productId } = req.body;
+      const variantId = req.body.variantId || null;
+      const quantity = CartService.parseQuantity(req.body.quantity === undefined ? 1 : req.body.quantity);
 
       if (!sessionId || !productId) {
         return res.status(400).json({ error: 'Session ID and product ID are required' });
       }
+      if (!quantity) {
+        return res.status(400).json({ error: 'Quantity must be a whole number greater than zero' });
+      }
 
-      // Get or create cart
-      let cart = await cache.get(`cart:${sessionId}`);
+      // Get or create cart; a signed-in shopper's new cart belongs to them
+      let cart = await cartService.getCart(sessionId);
       if (!cart) {
-        cart = { sessionId, items: [], createdAt: new Date().toISOString() };
+        cart = { sessionId, userId: req.user ? req.user.id : null, items: [] };
       }
 
       // Get product details
-      const product = await dataServe.getByUuid('products', productId);
+      const product = await productRepository.findById(productId);
       if (!product) {
         return res.status(404).json({ error: 'Product not found' });
       }
 
+      // Products with variants need one of their active variants chosen
+      const variant = await variantService.resolveCartVariant(productId, variantId);
+      const itemName = variant ? `${product.name} (${variant.title})` : product.name;
+
       // Check if item already exists in cart
       const existingItemIndex = cart.items.findIndex(item =>
-        item.productId === productId && item.variantId === variantId
+        CartService.isSameLine(item, { productId, variantId })
       );
 
+      // Check stock for the full quantity the cart would hold
+      const requestedQuantity = quantity + (existingItemIndex >= 0 ? cart.items[existingItemIndex].quantity : 0);
+      const shortages = await inventoryService.findShortages([
+        { productId, variantId, name: itemName, quantity: requestedQuantity }
+      ]);
+      if (shortages.length > 0) {
+        return sendOutOfStock(res, InventoryService.createOutOfStockError(shortages));
+      }
+
+      // Any checkout reservation no longer matches the cart
+      await inventoryService.releaseForSession(sessionId, 'cart_changed');
+
       if (existingItemIndex >= 0) {
         cart.items[existingItemIndex].quantity += quantity;
       } else {
         cart.items.push({
           productId,
           variantId,
-          name: product.name,
-          price: product.salePrice || product.price,
+          name: itemName,
+          price: VariantService.unitPrice(product, variant),
           quantity,
           addedAt: new Date().toISOString()
         });
       }
 
-      cart.updatedAt = new Date().toISOString();
-
-      // Save cart to cache with 24 hour expiry
-      await cache.put(`cart:${sessionId}`, cart, 86400);
+      cart = await cartService.saveCart(cart);
 
-      res.json({ cart });
+      res.json({ cart: await withPricing(cart) });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       logger.error('Error adding to cart:', error);
       res.status(500).json({ error: 'Failed to add item to cart' });
     }
@@ -330,13 +723,13 @@ module.exports = (options, eventEmitter, services) => {
   // Get cart
   app.get(`/applications/${app_path}/api/cart/:sessionId`, async (req, res) => {
     try {
-      const cart = await cache.get(`cart:${req.params.sessionId}`);
+      const cart = await cartService.getCart(req.params.sessionId);
 
       if (!cart) {
         return res.json({ sessionId: req.params.sessionId, items: [] });
       }
 
-      res.json({ cart });
+      res.json({ cart: await withPricing(cart) });
     } catch (error) {
       logger.error('Error fetching cart:', error);
       res.status(500).json({ error: 'Failed to fetch cart' });
@@ -346,32 +739,41 @@ module.exports = (options, eventEmitter, services) => {
   // Update cart item quantity
   app.put(`/applications/${app_path}/api/cart/update`, async (req, res) => {
     try {
-      const { sessionId, productId, variantId, quantity } = req.body;
+      const { sessionId, productId, variantId } = req.body;
+      const quantity = CartService.parseQuantity(req.body.quantity);
+      if (!quantity) {
+        return res.status(400).json({ error: 'Quantity must be a whole number greater than zero' });
+      }
 
-      const cart = await cache.get(`cart:${sessionId}`);
+      let cart = await cartService.getCart(sessionId);
       if (!cart) {
         return res.status(404).json({ error: 'Cart not found' });
       }
 
       const itemIndex = cart.items.findIndex(item =>
-        item.productId === productId && item.variantId === variantId
+        CartService.isSameLine(item, { productId, variantId })
       );
 
       if (itemIndex === -1) {
         return res.status(404).json({ error: 'Item not found in cart' });
       }
 
-      if (quantity <= 0) {
-        cart.items.splice(itemIndex, 1);
-      } else {
-        cart.items[itemIndex].quantity = quantity;
+      const shortages = await inventoryService.findShortages([{ ...cart.items[itemIndex], quantity }]);
+      if (shortages.length > 0) {
+        return sendOutOfStock(res, InventoryService.createOutOfStockError(shortages));
       }
+      cart.items[itemIndex].quantity = quantity;
 
-      cart.updatedAt = new Date().toISOString();
-      await cache.put(`cart:${sessionId}`, cart, 86400);
+      // Any checkout reservation no longer matches the cart
+      await inventoryService.releaseForSession(sessionId, 'cart_changed');
 
-      res.json({ cart });
+      cart = await cartService.saveCart(cart);
+
+      res.json({ cart: await withPricing(cart) });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, currentVersion: error.currentVersion });
+      }
       logger.error('Error updating cart:', error);
       res.status(500).json({ error: 'Failed to update cart' });
     }
@@ -382,881 +784,1833 @@ module.exports = (options, eventEmitter, services) => {
     try {
       const { sessionId, productId, variantId } = req.body;
 
-      const cart = await cache.get(`cart:${sessionId}`);
+      let cart = await cartService.getCart(sessionId);
       if (!cart) {
         return res.status(404).json({ error: 'Cart not found' });
       }
 
       cart.items = cart.items.filter(item =>
-        !(item.productId === productId && item.variantId === variantId)
+        !CartService.isSameLine(item, { productId, variantId })
       );
 
-      cart.updatedAt = new Date().toISOString();
-      await cache.put(`cart:${sessionId}`, cart, 86400);
+      // Any checkout reservation no longer matches the cart
+      await inventoryService.releaseForSession(sessionId, 'cart_changed');
 
-      res.json({ cart });
+      cart = await cartService.saveCart(cart);
+
+      res.json({ cart: await withPricing(cart) });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, currentVersion: error.currentVersion });
+      }
       logger.error('Error removing from cart:', error);
       res.status(500).json({ error: 'Failed to remove item from cart' });
     }
   });
 
-  // ===== USER API =====
-
-  // User registration
-  app.post(`/applications/${app_path}/api/auth/register`, async (req, res) => {
+  // Apply a coupon code to a cart
+  app.post(`/applications/${app_path}/api/cart/:sessionId/coupon`, optionalAuth, async (req, res) => {
     try {
-      const { email, password, firstName, lastName, phone } = req.body;
+      const { code } = req.body;
+      const { sessionId } = req.params;
 
-      if (!email || !password || !firstName || !lastName) {
-        return res.status(400).json({ error: 'Email, password, first name, and last name are required' });
+      if (!code) {
+        return res.status(400).json({ error: 'Coupon code is required' });
       }
 
-      // Check if user already exists
-      const existingUsers = await dataServe.jsonFindByPath('users', 'email', email);
-      if (existingUsers.length > 0) {
-        return res.status(409).json({ error: 'User with this email already exists' });
+      let cart = await cartService.getCart(sessionId);
+      if (!cart) {
+        return res.status(404).json({ error: 'Cart not found' });
       }
 
-      // Hash password
-      const hashedPassword = await bcrypt.hash(password, 10);
+      // Guests are checked against their per-customer limit when they order
+      const promotion = await pricingService.validateCoupon(code, cart, { userId: req.user ? req.user.id : null });
 
-      // Create user
-      const user = {
-        email,
-        password: hashedPassword,
-        firstName,
-        lastName,
-        phone: phone || null,
-        isAdmin: false,
-        status: 'active',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
+      cart.couponCodes = [...new Set([...(cart.couponCodes || []), promotion.code])];
+      cart = await cartService.saveCart(cart);
 
-      const userUuid = await dataServe.add('users', user);
+      res.json({ cart: await withPricing(cart) });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error applying coupon:', error);
+      res.status(500).json({ error: 'Failed to apply coupon' });
+    }
+  });
 
-      // Generate JWT token
-      const token = jwt.sign({ userId: userUuid }, JWT_SECRET, { expiresIn: '24h' });
+  // Remove a coupon code from a cart
+  app.delete(`/applications/${app_path}/api/cart/:sessionId/coupon/:code`, async (req, res) => {
+    try {
+      const { sessionId, code } = req.params;
 
-      // Remove password from response
-      delete user.password;
+      let cart = await cartService.getCart(sessionId);
+      if (!cart) {
+        return res.status(404).json({ error: 'Cart not found' });
+      }
 
-      res.status(201).json({
-        user: { id: userUuid, ...user },
-        token
-      });
+      cart.couponCodes = (cart.couponCodes || []).filter(existing => existing !== code.toUpperCase());
+      cart = await cartService.saveCart(cart);
+
+      res.json({ cart: await withPricing(cart) });
     } catch (error) {
-      logger.error('Error registering user:', error);
-      res.status(500).json({ error: 'Registration failed' });
+      logger.error('Error removing coupon:', error);
+      res.status(500).json({ error: 'Failed to remove coupon' });
     }
   });
 
-  // User login
-  app.post(`/applications/${app_path}/api/auth/login`, async (req, res) => {
+  // Restore an abandoned cart from the signed link in a recovery email
+  app.post(`/applications/${app_path}/api/cart/restore`, async (req, res) => {
     try {
-      const { email, password } = req.body;
+      const { token, sessionId } = req.body;
 
-      if (!email || !password) {
-        return res.status(400).json({ error: 'Email and password are required' });
-      }
+      const { cart, adjustments } = await cartRecoveryService.restoreCart(token, sessionId);
 
-      // Find user by email
-      const users = await dataServe.jsonFindByPath('users', 'email', email);
-      if (users.length === 0) {
-        return res.status(401).json({ error: 'Invalid credentials' });
+      res.json({ cart: await withPricing(cart, cart.userId), cartAdjustments: adjustments });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
       }
+      logger.error('Error restoring cart:', error);
+      res.status(500).json({ error: 'Failed to restore cart' });
+    }
+  });
 
-      const user = users[0];
+  // ===== SAVED FOR LATER =====
 
-      // Verify password
-      const isValidPassword = await bcrypt.compare(password, user.password);
-      if (!isValidPassword) {
-        return res.status(401).json({ error: 'Invalid credentials' });
-      }
+  // Move a cart line to the signed-in user's saved-for-later list
+  app.post(`/applications/${app_path}/api/cart/:sessionId/save-for-later`, requireAuth, async (req, res) => {
+    try {
+      const { productId, variantId } = req.body;
 
-      // Generate JWT token
-      const token = jwt.sign({ userId: user.id }, JWT_SECRET, { expiresIn: '24h' });
+      if (!productId) {
+        return res.status(400).json({ error: 'Product ID is required' });
+      }
 
-      // Remove password from response
-      delete user.password;
+      const { cart, savedItem } = await cartService.saveForLater(req.params.sessionId, req.user.id, productId, variantId);
 
-      res.json({
-        user,
-        token
-      });
+      res.json({ cart: await withPricing(cart, req.user.id), savedItem });
     } catch (error) {
-      logger.error('Error logging in user:', error);
-      res.status(500).json({ error: 'Login failed' });
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error saving item for later:', error);
+      res.status(500).json({ error: 'Failed to save item for later' });
     }
   });
 
-  // Get user profile
-  app.get(`/applications/${app_path}/api/user/profile`, requireAuth, async (req, res) => {
+  app.get(`/applications/${app_path}/api/user/saved-items`, requireAuth, async (req, res) => {
     try {
-      const user = { ...req.user };
-      delete user.password;
-      res.json({ user });
+      const savedItems = await cartService.getSavedItems(req.user.id);
+      res.json({ savedItems });
     } catch (error) {
-      logger.error('Error fetching user profile:', error);
-      res.status(500).json({ error: 'Failed to fetch profile' });
+      logger.error('Error fetching saved items:', error);
+      res.status(500).json({ error: 'Failed to fetch saved items' });
     }
   });
 
-  // Update user profile
-  app.put(`/applications/${app_path}/api/user/profile`, requireAuth, async (req, res) => {
+  app.post(`/applications/${app_path}/api/user/saved-items/:id/move-to-cart`, requireAuth, async (req, res) => {
     try {
-      const { firstName, lastName, phone } = req.body;
+      const { sessionId } = req.body;
 
-      const user = req.user;
-      user.firstName = firstName || user.firstName;
-      user.lastName = lastName || user.lastName;
-      user.phone = phone || user.phone;
-      user.updatedAt = new Date().toISOString();
+      if (!sessionId) {
+        return res.status(400).json({ error: 'Session ID is required' });
+      }
 
-      await dataServe.remove('users', user.id);
-      const newUserUuid = await dataServe.add('users', user);
+      const cart = await cartService.moveToCart(sessionId, req.user.id, req.params.id);
 
-      delete user.password;
-      res.json({ user: { id: newUserUuid, ...user } });
+      res.json({ cart: await withPricing(cart, req.user.id) });
     } catch (error) {
-      logger.error('Error updating user profile:', error);
-      res.status(500).json({ error: 'Failed to update profile' });
+      if (error.code === 'OUT_OF_STOCK') {
+        return sendOutOfStock(res, error);
+      }
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error moving saved item to cart:', error);
+      res.status(500).json({ error: 'Failed to move item to cart' });
     }
   });
 
-  // ===== ORDERS API =====
+  app.delete(`/applications/${app_path}/api/user/saved-items/:id`, requireAuth, async (req, res) => {
+    try {
+      await cartService.removeSavedItem(req.user.id, req.params.id);
+      res.json({ message: 'Saved item removed successfully' });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error removing saved item:', error);
+      res.status(500).json({ error: 'Failed to remove saved item' });
+    }
+  });
+
+  // ===== ADDRESS BOOK API =====
 
-  // Create new order
-  app.post(`/applications/${app_path}/api/orders`, requireAuth, async (req, res) => {
+  app.get(`/applications/${app_path}/api/user/addresses`, requireAuth, async (req, res) => {
     try {
-      const { items, shippingAddress, billingAddress, paymentMethod } = req.body;
+      const addresses = await addressService.listAddresses(req.user.id);
+      res.json({ addresses });
+    } catch (error) {
+      logger.error('Error fetching addresses:', error);
+      res.status(500).json({ error: 'Failed to fetch addresses' });
+    }
+  });
 
-      if (!items || items.length === 0) {
-        return res.status(400).json({ error: 'Order items are required' });
+  app.get(`/applications/${app_path}/api/user/addresses/:id`, requireAuth, async (req, res) => {
+    try {
+      const address = await addressService.getAddress(req.user.id, req.params.id);
+      res.json({ address });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
       }
+      logger.error('Error fetching address:', error);
+      res.status(500).json({ error: 'Failed to fetch address' });
+    }
+  });
 
-      if (!shippingAddress) {
-        return res.status(400).json({ error: 'Shipping address is required' });
+  app.post(`/applications/${app_path}/api/user/addresses`, requireAuth, async (req, res) => {
+    try {
+      const address = await addressService.createAddress(req.user.id, req.body);
+
+      res.status(201).json({
+        address,
+        message: 'Address saved successfully'
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
       }
+      logger.error('Error creating address:', error);
+      res.status(500).json({ error: 'Failed to save address' });
+    }
+  });
 
-      // Calculate order total
-      const subtotal = calculateOrderTotal(items);
-      const taxAmount = subtotal * 0.08; // 8% tax
-      const shippingCost = subtotal > 100 ? 0 : 10; // Free shipping over $100
-      const totalAmount = subtotal + taxAmount + shippingCost;
+  app.put(`/applications/${app_path}/api/user/addresses/:id`, requireAuth, async (req, res) => {
+    try {
+      const { version, ...changes } = req.body;
+      const address = await addressService.updateAddress(req.user.id, req.params.id, changes, version);
 
-      // Generate order number
-      const orderNumber = generateOrderNumber();
+      res.json({
+        address,
+        message: 'Address updated successfully'
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, currentVersion: error.currentVersion });
+      }
+      logger.error('Error updating address:', error);
+      res.status(500).json({ error: 'Failed to update address' });
+    }
+  });
 
-      // Create order
-      const order = {
-        orderNumber,
-        userId: req.user.id,
-        status: 'created',
-        items,
-        subtotal: Math.round(subtotal * 100) / 100,
-        taxAmount: Math.round(taxAmount * 100) / 100,
-        shippingCost,
-        totalAmount: Math.round(totalAmount * 100) / 100,
+  app.delete(`/applications/${app_path}/api/user/addresses/:id`, requireAuth, async (req, res) => {
+    try {
+      await addressService.deleteAddress(req.user.id, req.params.id);
+      res.json({ message: 'Address deleted successfully' });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error deleting address:', error);
+      res.status(500).json({ error: 'Failed to delete address' });
+    }
+  });
+
+  // ===== SAVED PAYMENT METHODS API =====
+
+  app.get(`/applications/${app_path}/api/user/payment-methods`, requireAuth, async (req, res) => {
+    try {
+      const methods = await paymentMethodService.listPaymentMethods(req.user.id);
+      res.json({ paymentMethods: methods.map(PaymentMethodService.toPublic) });
+    } catch (error) {
+      logger.error('Error fetching payment methods:', error);
+      res.status(500).json({ error: 'Failed to fetch payment methods' });
+    }
+  });
+
+  // Save a card from a payment provider token
+  app.post(`/applications/${app_path}/api/user/payment-methods`, requireAuth, async (req, res) => {
+    try {
+      const method = await paymentMethodService.addPaymentMethod(req.user, req.body.token);
+
+      res.status(201).json({
+        paymentMethod: PaymentMethodService.toPublic(method),
+        message: 'Payment method saved successfully'
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error saving payment method:', error);
+      res.status(500).json({ error: 'Failed to save payment method' });
+    }
+  });
+
+  app.delete(`/applications/${app_path}/api/user/payment-methods/:id`, requireAuth, async (req, res) => {
+    try {
+      await paymentMethodService.deletePaymentMethod(req.user.id, req.params.id);
+      res.json({ message: 'Payment method deleted successfully' });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error deleting payment method:', error);
+      res.status(500).json({ error: 'Failed to delete payment method' });
+    }
+  });
+
+  // ===== CHECKOUT API =====
+
+  // Start checkout: reserve stock for every cart line
+  app.post(`/applications/${app_path}/api/checkout/start`, async (req, res) => {
+    try {
+      const { sessionId } = req.body;
+
+      if (!sessionId) {
+        return res.status(400).json({ error: 'Session ID is required' });
+      }
+
+      const cart = await cartService.getCart(sessionId);
+      if (!cart || cart.items.length === 0) {
+        return res.status(400).json({ error: 'Cart is empty' });
+      }
+
+      const reservation = await inventoryService.reserve(sessionId, cart.items);
+
+      res.status(201).json({ reservation });
+    } catch (error) {
+      if (error.code === 'OUT_OF_STOCK') {
+        return sendOutOfStock(res, error);
+      }
+      logger.error('Error starting checkout:', error);
+      res.status(500).json({ error: 'Failed to start checkout' });
+    }
+  });
+
+  // Price the server-side cart and issue a signed quote for payment
+  app.post(`/applications/${app_path}/api/checkout/quote`, optionalAuth, async (req, res) => {
+    try {
+      const { sessionId, shippingAddressId, shippingMethod } = req.body;
+
+      if (!sessionId) {
+        return res.status(400).json({ error: 'Session ID is required' });
+      }
+
+      const shippingAddress = await resolveAddress(req, shippingAddressId, req.body.shippingAddress);
+      const quote = await checkoutService.createQuote(sessionId, {
         shippingAddress,
-        billingAddress: billingAddress || shippingAddress,
-        paymentMethod,
+        shippingMethod,
+        userId: req.user ? req.user.id : null
+      });
+
+      res.json({ quote });
+    } catch (error) {
+      if (error.status) {
+        return sendCheckoutError(res, error);
+      }
+      logger.error('Error quoting checkout:', error);
+      res.status(500).json({ error: 'Failed to quote checkout' });
+    }
+  });
+
+  // ===== USER API =====
+
+  // User registration
+  app.post(`/applications/${app_path}/api/auth/register`, async (req, res) => {
+    try {
+      const { email, password, firstName, lastName, phone, sessionId } = req.body;
+
+      if (!email || !password || !firstName || !lastName) {
+        return res.status(400).json({ error: 'Email, password, first name, and last name are required' });
+      }
+
+      // Check if user already exists
+      const existingUsers = await dataServe.jsonFindByPath('users', 'email', email);
+      if (existingUsers.length > 0) {
+        return res.status(409).json({ error: 'User with this email already exists' });
+      }
+
+      // Hash password
+      const hashedPassword = await bcrypt.hash(password, 10);
+
+      // Create user
+      const user = {
+        email,
+        password: hashedPassword,
+        firstName,
+        lastName,
+        phone: phone || null,
+        isAdmin: false,
+        emailVerified: false,
+        status: 'active',
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
       };
 
-      const orderUuid = await dataServe.add('orders', order);
+      const createdUser = await userRepository.create(user);
+      const userUuid = createdUser.id;
 
-      // Store order items
-      for (const item of items) {
-        await dataServe.add('order_items', {
-          orderId: orderUuid,
-          productId: item.productId,
-          variantId: item.variantId,
-          quantity: item.quantity,
-          unitPrice: item.price,
-          totalPrice: item.price * item.quantity
-        });
+      // Guest orders placed with this email are attached once the address is confirmed
+      let verificationSent = true;
+      try {
+        await emailVerificationService.sendVerification(createdUser);
+      } catch (verificationError) {
+        verificationSent = false;
+        logger.error(`Error sending verification email to user ${userUuid}:`, verificationError);
+      }
+
+      // The anonymous cart for this session becomes the account's cart
+      if (sessionId) {
+        await cartService.mergeOnLogin(sessionId, userUuid);
+      }
+
+      // Generate JWT token
+      const token = jwt.sign({ userId: userUuid }, JWT_SECRET, { expiresIn: '24h' });
+
+      // Remove password from response
+      delete user.password;
+
+      res.status(201).json({
+        user: { id: userUuid, ...user },
+        token,
+        verificationSent
+      });
+    } catch (error) {
+      logger.error('Error registering user:', error);
+      res.status(500).json({ error: 'Registration failed' });
+    }
+  });
+
+  // Confirm an email address from the link in the verification email and
+  // attach the orders placed as a guest with it. Body: { token }
+  app.post(`/applications/${app_path}/api/auth/verify-email`, async (req, res) => {
+    try {
+      const { user, claimedOrders } = await emailVerificationService.verifyEmail(req.body.token);
+
+      delete user.password;
+      res.json({
+        user,
+        claimedOrders,
+        message: 'Email address verified'
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error verifying email:', error);
+      res.status(500).json({ error: 'Failed to verify email' });
+    }
+  });
+
+  // Send the verification email again
+  app.post(`/applications/${app_path}/api/auth/verify-email/resend`, requireAuth, async (req, res) => {
+    try {
+      await emailVerificationService.sendVerification(req.user);
+      res.json({ message: 'Verification email sent' });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error resending verification email:', error);
+      res.status(500).json({ error: 'Failed to send verification email' });
+    }
+  });
+
+  // User login
+  app.post(`/applications/${app_path}/api/auth/login`, async (req, res) => {
+    try {
+      const { email, password, sessionId } = req.body;
+
+      if (!email || !password) {
+        return res.status(400).json({ error: 'Email and password are required' });
+      }
+
+      // Find user by email
+      const users = await dataServe.jsonFindByPath('users', 'email', email);
+      if (users.length === 0) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+
+      const user = users[0];
+
+      // Verify password
+      const isValidPassword = await bcrypt.compare(password, user.password);
+      if (!isValidPassword) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+
+      const userId = user.id;
+
+      // Fold the anonymous cart for this session into the user's cart
+      const { cart, adjustments } = sessionId
+        ? await cartService.mergeOnLogin(sessionId, userId)
+        : { cart: null, adjustments: [] };
+
+      // Generate JWT token
+      const token = jwt.sign({ userId }, JWT_SECRET, { expiresIn: '24h' });
+
+      // Remove password from response
+      delete user.password;
+
+      res.json({
+        user: { ...user, id: userId },
+        token,
+        cart: cart ? await withPricing(cart, userId) : null,
+        cartAdjustments: adjustments
+      });
+    } catch (error) {
+      logger.error('Error logging in user:', error);
+      res.status(500).json({ error: 'Login failed' });
+    }
+  });
+
+  // Get user profile
+  app.get(`/applications/${app_path}/api/user/profile`, requireAuth, async (req, res) => {
+    try {
+      const user = { ...req.user };
+      delete user.password;
+      res.json({ user });
+    } catch (error) {
+      logger.error('Error fetching user profile:', error);
+      res.status(500).json({ error: 'Failed to fetch profile' });
+    }
+  });
+
+  // Update user profile
+  app.put(`/applications/${app_path}/api/user/profile`, requireAuth, async (req, res) => {
+    try {
+      const { firstName, lastName, phone } = req.body;
+
+      const user = await userRepository.update(req.user.id, current => ({
+        firstName: firstName || current.firstName,
+        lastName: lastName || current.lastName,
+        phone: phone || current.phone
+      }));
+
+      delete user.password;
+      res.json({ user });
+    } catch (error) {
+      logger.error('Error updating user profile:', error);
+      res.status(500).json({ error: 'Failed to update profile' });
+    }
+  });
+
+  // ===== ORDERS API =====
+
+  // Create new order from a checkout quote. Guests identify themselves by email.
+  app.post(`/applications/${app_path}/api/orders`, optionalAuth, async (req, res) => {
+    let quote;
+    try {
+      const { quoteId, signature, items, billingAddressId, paymentMethod } = req.body;
+
+      const customer = resolveCustomer(req);
+      const billingAddress = await resolveAddress(req, billingAddressId, req.body.billingAddress);
+      quote = await checkoutService.claimQuote(quoteId, signature);
+      checkoutService.assertItemsMatchQuote(items, quote);
+
+      if (!quote.shippingAddress) {
+        return res.status(400).json({ error: 'Shipping address is required' });
       }
 
+      const createdOrder = await createOrderFromQuote(quote, {
+        customer,
+        status: 'created',
+        billingAddress,
+        paymentMethod
+      });
+
       // Send order confirmation notification
       notifying.notify('order-events', {
         type: 'order_placed',
-        orderId: orderUuid,
-        orderNumber,
-        userId: req.user.id,
-        totalAmount
+        orderId: createdOrder.id,
+        orderNumber: createdOrder.orderNumber,
+        userId: customer.userId,
+        customerEmail: customer.email,
+        totalAmount: createdOrder.totalAmount
       });
 
       res.status(201).json({
-        order: { id: orderUuid, ...order }
+        order: createdOrder
+      });
+    } catch (error) {
+      if (error.status) {
+        return sendCheckoutError(res, error);
+      }
+      logger.error('Error creating order:', error);
+      res.status(500).json({ error: 'Failed to create order' });
+    } finally {
+      if (quote) {
+        checkoutService.releaseQuote(quote.quoteId);
+      }
+    }
+  });
+
+  // Get order details
+  app.get(`/applications/${app_path}/api/orders/:id`, requireAuth, async (req, res) => {
+    try {
+      const order = await orderRepository.findById(req.params.id);
+
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      // Check if user owns this order (or is admin)
+      if (order.userId !== req.user.id && !req.user.isAdmin) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      // Get order items
+      const orderItems = await dataServe.jsonFindByPath('order_items', 'orderId', req.params.id);
+
+      res.json({
+        order: { ...order, items: orderItems, statusHistory: order.statusHistory || [] }
+      });
+    } catch (error) {
+      logger.error('Error fetching order:', error);
+      res.status(500).json({ error: 'Failed to fetch order' });
+    }
+  });
+
+  // Track order status (public endpoint)
+  app.get(`/applications/${app_path}/api/orders/track/:orderNumber`, async (req, res) => {
+    try {
+      const email = (req.query.email || '').trim().toLowerCase();
+
+      if (!email) {
+        return res.status(400).json({ error: 'Email is required to track an order' });
+      }
+
+      const order = await orderRepository.findOneBy('orderNumber', req.params.orderNumber);
+
+      // Orders from before customerEmail was stored are checked against the account
+      let orderEmail = order?.customerEmail;
+      if (order && !orderEmail && order.userId) {
+        const user = await dataServe.getByUuid('users', order.userId);
+        orderEmail = user?.email?.toLowerCase();
+      }
+
+      // The same response for unknown orders and wrong emails
+      if (!order || orderEmail !== email) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      res.json({
+        orderNumber: order.orderNumber,
+        status: order.status,
+        statusHistory: (order.statusHistory || []).map(entry => ({
+          status: entry.status,
+          changedAt: entry.changedAt
+        })),
+        items: order.items.map(item => ({
+          productId: item.productId,
+          variantId: item.variantId || null,
+          name: item.name || null,
+          quantity: item.quantity,
+          price: item.price
+        })),
+        totalAmount: order.totalAmount,
+        trackingNumber: order.trackingNumber || null,
+        createdAt: order.createdAt,
+        estimatedDelivery: order.estimatedDelivery || null
       });
     } catch (error) {
-      logger.error('Error creating order:', error);
-      res.status(500).json({ error: 'Failed to create order' });
+      logger.error('Error tracking order:', error);
+      res.status(500).json({ error: 'Failed to track order' });
+    }
+  });
+
+  // Cancel an order that has not shipped yet. Paid orders are refunded in full.
+  app.post(`/applications/${app_path}/api/orders/:id/cancel`, requireAuth, async (req, res) => {
+    try {
+      const { reason, version } = req.body;
+
+      const result = await returnService.cancelOrder(req.params.id, req.user, { reason, expectedVersion: version });
+
+      notifying.notify('order-events', {
+        type: 'order_cancelled',
+        orderId: result.order.id,
+        orderNumber: result.order.orderNumber,
+        userId: result.order.userId,
+        refundAmount: result.refund ? result.refund.amount : 0
+      });
+
+      res.json({
+        ...result,
+        message: 'Order cancelled successfully'
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, currentVersion: error.currentVersion });
+      }
+      logger.error('Error cancelling order:', error);
+      res.status(500).json({ error: 'Failed to cancel order' });
+    }
+  });
+
+  // Request a return of delivered items within the return window. The
+  // warehouse issues an RMA and return label; the refund follows once the
+  // warehouse has processed the returned items.
+  app.post(`/applications/${app_path}/api/orders/:id/returns`, requireAuth, async (req, res) => {
+    try {
+      const { items, reason, comment } = req.body;
+
+      const request = await returnService.requestReturn(req.params.id, req.user, { items, reason, comment });
+
+      notifying.notify('order-events', {
+        type: 'return_requested',
+        orderId: request.orderId,
+        orderNumber: request.orderNumber,
+        returnNumber: request.returnNumber,
+        userId: request.userId
+      });
+
+      res.status(201).json({
+        return: request,
+        message: 'Return requested successfully'
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error requesting return:', error);
+      res.status(500).json({ error: 'Failed to request return' });
+    }
+  });
+
+  app.get(`/applications/${app_path}/api/orders/:id/returns`, requireAuth, async (req, res) => {
+    try {
+      res.json(await returnService.getOrderReturns(req.params.id, req.user));
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error fetching returns:', error);
+      res.status(500).json({ error: 'Failed to fetch returns' });
+    }
+  });
+
+  // ===== PAYMENT API =====
+
+  // Create a payment intent for a checkout quote. Passing an existing
+  // paymentIntentId re-points that intent at a newer quote. Signed-in users
+  // may ask to save the card, which ties the intent to their customer profile.
+  // Checkout trusts the intent's metadata, so all of it is set here and none
+  // is taken from the request.
+  app.post(`/applications/${app_path}/api/payments/create-intent`, optionalAuth, async (req, res) => {
+    try {
+      const { quoteId, signature, paymentIntentId, savePaymentMethod } = req.body;
+
+      const quote = await checkoutService.verifyQuote(quoteId, signature);
+      const amount = Math.round(quote.totalAmount * 100); // Convert to cents
+
+      if (amount <= 0) {
+        return res.status(400).json({ error: 'Valid amount is required' });
+      }
+
+      const intentMetadata = {
+        userId: req.user ? req.user.id : 'guest',
+        quoteId: quote.quoteId,
+        sessionId: quote.sessionId,
+        source: 'nooblyjs-ecommerce'
+      };
+
+      const profile = {};
+      if (req.user && savePaymentMethod === true) {
+        profile.customerId = await paymentMethodService.getOrCreateCustomer(req.user);
+        profile.savePaymentMethod = true;
+        intentMetadata.savePaymentMethod = 'true';
+      }
+
+      const paymentIntent = paymentIntentId
+        ? await paymentGateway.updatePaymentIntent(paymentIntentId, { amount, metadata: intentMetadata, ...profile })
+        : await paymentGateway.createPaymentIntent({
+          amount,
+          currency: quote.currency,
+          metadata: intentMetadata,
+          ...profile
+        });
+
+      res.json({
+        clientSecret: paymentIntent.clientSecret,
+        paymentIntentId: paymentIntent.id,
+        amount: quote.totalAmount
+      });
+    } catch (error) {
+      if (error.status) {
+        return sendCheckoutError(res, error);
+      }
+      logger.error('Error creating payment intent:', error);
+      res.status(500).json({ error: 'Failed to create payment intent' });
+    }
+  });
+
+  // Confirm payment for a checkout quote and create the order. Signed-in
+  // users may pay with a saved card instead of a confirmed payment intent.
+  const completeCheckout = async (req, res) => {
+    let quote;
+    try {
+      const { quoteId, signature, paymentIntentId, paymentMethodId, items, billingAddressId } = req.body;
+
+      if (!paymentIntentId && !paymentMethodId) {
+        return res.status(400).json({ error: 'Payment intent ID or saved payment method ID is required' });
+      }
+
+      if (paymentMethodId && !req.user) {
+        return res.status(401).json({ error: 'Sign in to pay with a saved payment method' });
+      }
+
+      const customer = resolveCustomer(req);
+      const billingAddress = await resolveAddress(req, billingAddressId, req.body.billingAddress);
+
+      // The quote stays claimed until this request is done so that it
+      // cannot be charged or ordered twice
+      quote = await checkoutService.claimQuote(quoteId, signature);
+      checkoutService.assertItemsMatchQuote(items, quote);
+
+      if (!quote.shippingAddress) {
+        return res.status(400).json({ error: 'Shipping address is required' });
+      }
+
+      const amount = Math.round(quote.totalAmount * 100);
+      let paymentMethod;
+      let paymentIntent = null;
+
+      if (paymentMethodId) {
+        await holdStockForQuote(quote, customer);
+
+        const charge = await paymentMethodService.charge(req.user, paymentMethodId, {
+          amount,
+          currency: quote.currency,
+          metadata: { quoteId: quote.quoteId, sessionId: quote.sessionId, source: 'nooblyjs-ecommerce' }
+        });
+
+        if (charge.status !== 'succeeded') {
+          if (charge.status === 'declined') {
+            await inventoryService.releaseForSession(quote.sessionId, 'payment_failed');
+            return res.status(402).json({ error: charge.message || 'Payment declined', code: 'PAYMENT_DECLINED' });
+          }
+          return res.status(402).json({
+            error: 'This card needs to be authenticated. Enter the card details to pay.',
+            code: 'AUTHENTICATION_REQUIRED'
+          });
+        }
+
+        paymentMethod = {
+          type: 'saved_card',
+          provider: paymentGateway.name,
+          paymentIntentId: charge.id,
+          paymentMethodId,
+          last4: charge.paymentMethod.last4,
+          brand: charge.paymentMethod.brand
+        };
+      } else {
+        paymentIntent = await paymentGateway.retrievePaymentIntent(paymentIntentId);
+
+        if (paymentIntent.status !== 'succeeded') {
+          if (['canceled', 'requires_payment_method'].includes(paymentIntent.status)) {
+            await inventoryService.releaseForSession(quote.sessionId, 'payment_failed');
+          }
+          return res.status(400).json({ error: 'Payment not confirmed' });
+        }
+
+        // The intent must have been created for this quote and amount
+        if (paymentIntent.metadata?.quoteId !== quote.quoteId || paymentIntent.amount !== amount) {
+          return res.status(400).json({ error: 'Payment amount mismatch' });
+        }
+        if (paymentIntent.amountRefunded > 0) {
+          return res.status(400).json({ error: 'Payment has been refunded' });
+        }
+
+        paymentMethod = {
+          type: paymentGateway.name,
+          paymentIntentId: paymentIntent.id,
+          last4: paymentIntent.card?.last4 || null,
+          brand: paymentIntent.card?.brand || null
+        };
+      }
+
+      // The customer has paid by now, so a payment whose order is never
+      // created is refunded rather than kept
+      let createdOrder;
+      try {
+        if (paymentIntent) {
+          await holdStockForQuote(quote, customer);
+        }
+
+        createdOrder = await createOrderFromQuote(quote, {
+          customer,
+          status: 'paid', // Payment confirmed, awaiting fulfillment
+          note: 'Payment confirmed',
+          billingAddress,
+          paymentMethod,
+          paymentStatus: 'paid',
+          commitInventory: true
+        });
+      } catch (orderError) {
+        if (!(await orderRepository.findOneBy('quoteId', quote.quoteId))) {
+          await refundUnplacedOrder(quote, paymentMethod.paymentIntentId, orderError);
+        }
+        throw orderError;
+      }
+
+      try {
+        await paymentReconciliationService.markPaid(createdOrder, paymentMethod.paymentIntentId);
+      } catch (confirmationError) {
+        logger.error(`Error queueing payment confirmation for order ${createdOrder.orderNumber}:`, confirmationError);
+      }
+
+      // Cards the customer asked to keep were attached to their profile while paying
+      if (req.user && paymentIntent?.metadata?.savePaymentMethod === 'true' && paymentIntent.paymentMethod) {
+        try {
+          await paymentMethodService.addPaymentMethod(req.user, paymentIntent.paymentMethod);
+        } catch (saveError) {
+          logger.error(`Error saving payment method for order ${createdOrder.orderNumber}:`, saveError);
+        }
+      }
+
+      // Send order confirmation notification
+      notifying.notify('order-events', {
+        type: 'order_paid',
+        orderId: createdOrder.id,
+        orderNumber: createdOrder.orderNumber,
+        userId: customer.userId,
+        customerEmail: customer.email,
+        totalAmount: createdOrder.totalAmount,
+        paymentIntentId: paymentMethod.paymentIntentId
+      });
+
+      res.status(201).json({
+        order: createdOrder,
+        message: 'Payment confirmed and order created successfully'
+      });
+    } catch (error) {
+      if (error.status) {
+        return sendCheckoutError(res, error);
+      }
+      logger.error('Error confirming payment:', error);
+      res.status(500).json({ error: 'Failed to confirm payment' });
+    } finally {
+      if (quote) {
+        checkoutService.releaseQuote(quote.quoteId);
+      }
+    }
+  };
+
+  app.post(`/applications/${app_path}/api/checkout/complete`, optionalAuth, completeCheckout);
+  app.post(`/applications/${app_path}/api/payments/confirm`, optionalAuth, completeCheckout);
+
+  // Confirm a payment intent server-side. The simulated gateway confirms
+  // here with a test card token, and settles 3D Secure with `authenticated`.
+  app.post(`/applications/${app_path}/api/payments/intents/:id/confirm`, optionalAuth, async (req, res) => {
+    try {
+      const { paymentMethod, authenticated, returnUrl } = req.body;
+      const paymentIntent = await paymentGateway.confirmPaymentIntent(req.params.id, {
+        paymentMethod,
+        authenticated,
+        returnUrl
+      });
+
+      res.json({
+        paymentIntentId: paymentIntent.id,
+        status: paymentIntent.status,
+        clientSecret: paymentIntent.clientSecret,
+        card: paymentIntent.card,
+        error: paymentIntent.lastError ? paymentIntent.lastError.message : null
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error confirming payment intent:', error);
+      res.status(500).json({ error: 'Failed to confirm payment intent' });
+    }
+  });
+
+  // Handle payment provider webhooks. The signature is checked against the
+  // raw request body kept by the JSON body parser.
+  app.post(`/applications/${app_path}/api/payments/webhook`, express.raw({type: 'application/json'}), async (req, res) => {
+    let event;
+
+    try {
+      event = await paymentGateway.verifyWebhook(req.rawBody || req.body, req.headers);
+    } catch (err) {
+      logger.error('Webhook signature verification failed:', err.message);
+      return res.status(400).send(`Webhook Error: ${err.message}`);
+    }
+
+    // Redelivered events are acknowledged without being applied again. A
+    // failure is answered with 500 so the provider retries the event.
+    try {
+      const { duplicate, result } = await paymentReconciliationService.processEvent(event);
+      res.json({ received: true, duplicate, result });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error(`Error processing payment event ${event.id}:`, error);
+      res.status(500).json({ error: 'Failed to process payment event' });
+    }
+  });
+
+  // Get what the storefront needs to collect payment with the configured gateway
+  app.get(`/applications/${app_path}/api/payments/config`, (req, res) => {
+    res.json(paymentGateway.getClientConfig());
+  });
+
+  // ===== CONTENT MANAGEMENT API =====
+
+  // Get live content items (public). Drafts, and content before its
+  // startDate or from its endDate, are left out. Pass ?sessionId= to see
+  // the session's variant of content in an experiment.
+  app.get(`/applications/${app_path}/api/content`, async (req, res) => {
+    try {
+      const live = await contentService.listLiveContent({ type: req.query.type });
+      const content = await experimentService.applyExperiments(live, req.query.sessionId);
+      res.json({ content });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error fetching content:', error);
+      res.status(500).json({ error: 'Failed to fetch content' });
+    }
+  });
+
+  // Get the unpublished working copy named by a preview link, with page
+  // block data resolved
+  app.get(`/applications/${app_path}/api/content/preview/:token`, async (req, res) => {
+    try {
+      const content = await pageService.getPreview(req.params.token);
+      res.json({ content });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error fetching content preview:', error);
+      res.status(500).json({ error: 'Failed to fetch content preview' });
+    }
+  });
+
+  // Get a live content item by ID (public)
+  app.get(`/applications/${app_path}/api/content/:id`, async (req, res) => {
+    try {
+      const content = await contentService.getLiveContent(req.params.id);
+      res.json({ content });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error fetching content:', error);
+      res.status(500).json({ error: 'Failed to fetch content' });
+    }
+  });
+
+  // Create a content item as a draft, or live with { publish: true } (admin only)
+  app.post(`/applications/${app_path}/api/content`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const content = await contentService.createContent(req.body, req.user.id, { publish: req.body.publish === true });
+
+      res.status(201).json({
+        content,
+        message: content.status === 'published' ? 'Content published successfully' : 'Content created successfully'
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error creating content:', error);
+      res.status(500).json({ error: 'Failed to create content' });
+    }
+  });
+
+  // Save a new revision of a content item (admin only). Published content
+  // keeps its published copy until it is published again.
+  app.put(`/applications/${app_path}/api/content/:id`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const { version, publish, ...changes } = req.body;
+      const content = await contentService.updateContent(req.params.id, changes, req.user.id, {
+        expectedVersion: version,
+        publish: publish === true
+      });
+
+      res.json({
+        content,
+        message: 'Content updated successfully'
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, currentVersion: error.currentVersion });
+      }
+      logger.error('Error updating content:', error);
+      res.status(500).json({ error: 'Failed to update content' });
+    }
+  });
+
+  // Delete content item and its history (admin only)
+  app.delete(`/applications/${app_path}/api/content/:id`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      await experimentService.assertContentNotRunning(req.params.id);
+      await contentService.deleteContent(req.params.id);
+      res.json({ message: 'Content deleted successfully' });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error deleting content:', error);
+      res.status(500).json({ error: 'Failed to delete content' });
+    }
+  });
+
+  // Increment content views (public). Body: { sessionId? } attributes the
+  // view to the session's experiment variant.
+  app.post(`/applications/${app_path}/api/content/:id/view`, async (req, res) => {
+    try {
+      await contentService.recordView(req.params.id);
+      await experimentService.recordView(req.params.id, req.body.sessionId);
+      res.json({ message: 'View recorded' });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error recording view:', error);
+      res.status(500).json({ error: 'Failed to record view' });
+    }
+  });
+
+  // Increment clicks on a content item's call to action (public). Body: { sessionId? }
+  app.post(`/applications/${app_path}/api/content/:id/click`, async (req, res) => {
+    try {
+      await contentService.recordClick(req.params.id);
+      await experimentService.recordClick(req.params.id, req.body.sessionId);
+      res.json({ message: 'Click recorded' });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error recording click:', error);
+      res.status(500).json({ error: 'Failed to record click' });
+    }
+  });
+
+  // Admin Content API: working copies with their state (draft, scheduled,
+  // live, expired or inactive)
+  app.get(`/applications/${app_path}/api/admin/content`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const { type, status, state } = req.query;
+      const content = await contentService.listContent({ type, status, state });
+      res.json({ content });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error fetching admin content:', error);
+      res.status(500).json({ error: 'Failed to fetch content' });
+    }
+  });
+
+  // The fields each type of page block takes
+  app.get(`/applications/${app_path}/api/admin/content/block-schemas`, requireAuth, requireAdmin, (req, res) => {
+    res.json({ blocks: BLOCK_SCHEMAS });
+  });
+
+  app.get(`/applications/${app_path}/api/admin/content/:id`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const content = await contentService.getContent(req.params.id);
+      res.json({ content });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error fetching content:', error);
+      res.status(500).json({ error: 'Failed to fetch content' });
+    }
+  });
+
+  // Publish the working copy. It goes live at its startDate, or straight away.
+  app.post(`/applications/${app_path}/api/admin/content/:id/publish`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const content = await contentService.publish(req.params.id, req.user.id, { expectedVersion: req.body.version });
+      res.json({ content, message: 'Content published successfully' });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, currentVersion: error.currentVersion });
+      }
+      logger.error('Error publishing content:', error);
+      res.status(500).json({ error: 'Failed to publish content' });
+    }
+  });
+
+  app.post(`/applications/${app_path}/api/admin/content/:id/unpublish`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const content = await contentService.unpublish(req.params.id, req.user.id, { expectedVersion: req.body.version });
+      res.json({ content, message: 'Content unpublished successfully' });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, currentVersion: error.currentVersion });
+      }
+      logger.error('Error unpublishing content:', error);
+      res.status(500).json({ error: 'Failed to unpublish content' });
+    }
+  });
+
+  // Revision history, newest first
+  app.get(`/applications/${app_path}/api/admin/content/:id/versions`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const versions = await contentService.listVersions(req.params.id);
+      res.json({ versions });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error fetching content versions:', error);
+      res.status(500).json({ error: 'Failed to fetch versions' });
+    }
+  });
+
+  app.get(`/applications/${app_path}/api/admin/content/:id/versions/:revision`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const version = await contentService.getVersion(req.params.id, req.params.revision);
+      res.json({ version });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error fetching content version:', error);
+      res.status(500).json({ error: 'Failed to fetch version' });
+    }
+  });
+
+  // Compare two revisions: ?from=&to=. Defaults to the working copy against
+  // what is published.
+  app.get(`/applications/${app_path}/api/admin/content/:id/diff`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const diff = await contentService.diff(req.params.id, { from: req.query.from, to: req.query.to });
+      res.json(diff);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error comparing content versions:', error);
+      res.status(500).json({ error: 'Failed to compare versions' });
+    }
+  });
+
+  // Restore an earlier revision as a new one. Body: { revision, publish?, version? }
+  app.post(`/applications/${app_path}/api/admin/content/:id/rollback`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const { revision, publish, version } = req.body;
+      const content = await contentService.rollback(req.params.id, revision, req.user.id, {
+        expectedVersion: version,
+        publish: publish === true
+      });
+      res.json({ content, message: `Content rolled back to revision ${revision}` });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, currentVersion: error.currentVersion });
+      }
+      logger.error('Error rolling back content:', error);
+      res.status(500).json({ error: 'Failed to roll back content' });
+    }
+  });
+
+  // Get a storefront link that shows the working copy before it is published
+  app.post(`/applications/${app_path}/api/admin/content/:id/preview`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const preview = await contentService.createPreviewToken(req.params.id);
+      res.status(201).json({ preview, message: 'Preview link created' });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error creating content preview:', error);
+      res.status(500).json({ error: 'Failed to create preview link' });
+    }
+  });
+
+  // ===== CONTENT EXPERIMENTS =====
+
+  app.get(`/applications/${app_path}/api/admin/experiments`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const experiments = await experimentService.listExperiments({ status: req.query.status });
+      res.json({ experiments });
+    } catch (error) {
+      logger.error('Error fetching experiments:', error);
+      res.status(500).json({ error: 'Failed to fetch experiments' });
+    }
+  });
+
+  app.get(`/applications/${app_path}/api/admin/experiments/:id`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const experiment = await experimentService.getExperiment(req.params.id);
+      res.json({ experiment });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error fetching experiment:', error);
+      res.status(500).json({ error: 'Failed to fetch experiment' });
+    }
+  });
+
+  // Create a draft experiment. Body: { name, hypothesis?, variants: [{ contentId, name?, weight? }] }
+  app.post(`/applications/${app_path}/api/admin/experiments`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const experiment = await experimentService.createExperiment(req.body, req.user.id);
+
+      res.status(201).json({
+        experiment,
+        message: 'Experiment created successfully'
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error creating experiment:', error);
+      res.status(500).json({ error: 'Failed to create experiment' });
+    }
+  });
+
+  app.put(`/applications/${app_path}/api/admin/experiments/:id`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const { version, ...changes } = req.body;
+      const experiment = await experimentService.updateExperiment(req.params.id, changes, req.user.id, version);
+
+      res.json({
+        experiment,
+        message: 'Experiment updated successfully'
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, currentVersion: error.currentVersion });
+      }
+      logger.error('Error updating experiment:', error);
+      res.status(500).json({ error: 'Failed to update experiment' });
+    }
+  });
+
+  app.post(`/applications/${app_path}/api/admin/experiments/:id/start`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const experiment = await experimentService.startExperiment(req.params.id, req.user.id, { expectedVersion: req.body.version });
+      res.json({ experiment, message: 'Experiment started' });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, currentVersion: error.currentVersion });
+      }
+      logger.error('Error starting experiment:', error);
+      res.status(500).json({ error: 'Failed to start experiment' });
     }
   });
 
-  // Get order details
-  app.get(`/applications/${app_path}/api/orders/:id`, requireAuth, async (req, res) => {
+  // Conversion per variant with 95% confidence intervals
+  app.get(`/applications/${app_path}/api/admin/experiments/:id/report`, requireAuth, requireAdmin, async (req, res) => {
     try {
-      const order = await dataServe.getByUuid('orders', req.params.id);
+      const report = await experimentService.getReport(req.params.id);
+      res.json({ report });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error fetching experiment report:', error);
+      res.status(500).json({ error: 'Failed to fetch experiment report' });
+    }
+  });
 
-      if (!order) {
-        return res.status(404).json({ error: 'Order not found' });
+  // Complete an experiment. Body: { variant, unpublishLosers?, version? }
+  app.post(`/applications/${app_path}/api/admin/experiments/:id/winner`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const { variant, unpublishLosers, version } = req.body;
+      const experiment = await experimentService.declareWinner(req.params.id, variant, req.user.id, {
+        expectedVersion: version,
+        unpublishLosers: unpublishLosers === true
+      });
+      res.json({ experiment, message: `Variant ${experiment.winner} declared the winner` });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, currentVersion: error.currentVersion });
       }
+      logger.error('Error declaring experiment winner:', error);
+      res.status(500).json({ error: 'Failed to declare winner' });
+    }
+  });
 
-      // Check if user owns this order (or is admin)
-      if (order.userId !== req.user.id && !req.user.isAdmin) {
-        return res.status(403).json({ error: 'Access denied' });
+  app.delete(`/applications/${app_path}/api/admin/experiments/:id`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      await experimentService.deleteExperiment(req.params.id);
+      res.json({ message: 'Experiment deleted successfully' });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
       }
+      logger.error('Error deleting experiment:', error);
+      res.status(500).json({ error: 'Failed to delete experiment' });
+    }
+  });
 
-      // Get order items
-      const orderItems = await dataServe.jsonFindByPath('order_items', 'orderId', req.params.id);
+  // ===== PAGES AND NAVIGATION =====
 
-      res.json({
-        order: { ...order, items: orderItems }
-      });
+  // Get a live page by slug with the products and categories its blocks show (public)
+  app.get(`/applications/${app_path}/api/pages/:slug`, async (req, res) => {
+    try {
+      const page = await pageService.getPage(req.params.slug);
+      res.json({ page });
     } catch (error) {
-      logger.error('Error fetching order:', error);
-      res.status(500).json({ error: 'Failed to fetch order' });
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error fetching page:', error);
+      res.status(500).json({ error: 'Failed to fetch page' });
     }
   });
 
-  // Track order status (public endpoint)
-  app.get(`/applications/${app_path}/api/orders/track/:orderNumber`, async (req, res) => {
+  // Get a navigation menu by handle, such as main or footer (public)
+  app.get(`/applications/${app_path}/api/menus/:handle`, async (req, res) => {
     try {
-      const orders = await dataServe.jsonFindByPath('orders', 'orderNumber', req.params.orderNumber);
-
-      if (orders.length === 0) {
-        return res.status(404).json({ error: 'Order not found' });
+      const menu = await pageService.getStorefrontMenu(req.params.handle);
+      res.json({ menu });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
       }
+      logger.error('Error fetching menu:', error);
+      res.status(500).json({ error: 'Failed to fetch menu' });
+    }
+  });
 
-      const order = orders[0];
-
-      res.json({
-        orderNumber: order.orderNumber,
-        status: order.status,
-        createdAt: order.createdAt,
-        estimatedDelivery: order.estimatedDelivery || null
-      });
+  app.get(`/applications/${app_path}/api/admin/menus`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const menus = await pageService.listMenus();
+      res.json({ menus });
     } catch (error) {
-      logger.error('Error tracking order:', error);
-      res.status(500).json({ error: 'Failed to track order' });
+      logger.error('Error fetching menus:', error);
+      res.status(500).json({ error: 'Failed to fetch menus' });
     }
   });
 
-  // ===== STRIPE PAYMENT API =====
+  app.get(`/applications/${app_path}/api/admin/menus/:id`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const menu = await pageService.getMenu(req.params.id);
+      res.json({ menu });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error fetching menu:', error);
+      res.status(500).json({ error: 'Failed to fetch menu' });
+    }
+  });
 
-  // Create payment intent
-  app.post(`/applications/${app_path}/api/payments/create-intent`, async (req, res) => {
+  app.post(`/applications/${app_path}/api/admin/menus`, requireAuth, requireAdmin, async (req, res) => {
     try {
-      const { amount, currency = 'usd', metadata = {} } = req.body;
+      const menu = await pageService.createMenu(req.body, req.user.id);
 
-      if (!amount || amount <= 0) {
-        return res.status(400).json({ error: 'Valid amount is required' });
+      res.status(201).json({
+        menu,
+        message: 'Menu created successfully'
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
       }
+      logger.error('Error creating menu:', error);
+      res.status(500).json({ error: 'Failed to create menu' });
+    }
+  });
 
-      // Create payment intent with Stripe
-      const paymentIntent = await stripe.paymentIntents.create({
-        amount: Math.round(amount * 100), // Convert to cents
-        currency,
-        metadata: {
-          ...metadata,
-          source: 'nooblyjs-ecommerce'
-        },
-        automatic_payment_methods: {
-          enabled: true,
-        },
-      });
+  app.put(`/applications/${app_path}/api/admin/menus/:id`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const { version, ...changes } = req.body;
+      const menu = await pageService.updateMenu(req.params.id, changes, req.user.id, version);
 
       res.json({
-        clientSecret: paymentIntent.client_secret,
-        paymentIntentId: paymentIntent.id
+        menu,
+        message: 'Menu updated successfully'
       });
     } catch (error) {
-      logger.error('Error creating payment intent:', error);
-      res.status(500).json({ error: 'Failed to create payment intent' });
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, currentVersion: error.currentVersion });
+      }
+      logger.error('Error updating menu:', error);
+      res.status(500).json({ error: 'Failed to update menu' });
     }
   });
 
-  // Confirm payment and create order
-  app.post(`/applications/${app_path}/api/payments/confirm`, requireAuth, async (req, res) => {
+  app.delete(`/applications/${app_path}/api/admin/menus/:id`, requireAuth, requireAdmin, async (req, res) => {
     try {
-      const {
-        paymentIntentId,
-        items,
-        shippingAddress,
-        billingAddress
-      } = req.body;
-
-      if (!paymentIntentId || !items || items.length === 0) {
-        return res.status(400).json({ error: 'Payment intent ID and items are required' });
+      await pageService.deleteMenu(req.params.id);
+      res.json({ message: 'Menu deleted successfully' });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
       }
+      logger.error('Error deleting menu:', error);
+      res.status(500).json({ error: 'Failed to delete menu' });
+    }
+  });
 
-      // Retrieve payment intent from Stripe
-      const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
-
-      if (paymentIntent.status !== 'succeeded') {
-        return res.status(400).json({ error: 'Payment not confirmed' });
-      }
+  // ===== ADMIN API ENDPOINTS =====
 
-      // Calculate order total
-      const subtotal = calculateOrderTotal(items);
-      const taxAmount = subtotal * 0.08; // 8% tax
-      const shippingCost = subtotal > 100 ? 0 : 10; // Free shipping over $100
-      const totalAmount = subtotal + taxAmount + shippingCost;
+  // Admin Products API
+  app.post(`/applications/${app_path}/api/admin/products`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const product = await productService.createProduct({ ...req.body }, req.user.id);
 
-      // Verify payment amount matches order total
-      const expectedAmount = Math.round(totalAmount * 100); // Convert to cents
-      if (paymentIntent.amount !== expectedAmount) {
-        return res.status(400).json({ error: 'Payment amount mismatch' });
+      res.status(201).json({ product });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
       }
+      logger.error('Error creating product:', error);
+      res.status(500).json({ error: 'Failed to create product' });
+    }
+  });
 
-      // Generate order number
-      const orderNumber = generateOrderNumber();
+  app.put(`/applications/${app_path}/api/admin/products/:id`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const { version, ...changes } = req.body;
+      const product = await productService.updateProduct(req.params.id, changes, req.user.id, version);
 
-      // Create order
-      const order = {
-        orderNumber,
-        userId: req.user.id,
-        status: 'processing', // Payment confirmed, now processing
-        items,
-        subtotal: Math.round(subtotal * 100) / 100,
-        taxAmount: Math.round(taxAmount * 100) / 100,
-        shippingCost,
-        totalAmount: Math.round(totalAmount * 100) / 100,
-        shippingAddress,
-        billingAddress: billingAddress || shippingAddress,
-        paymentMethod: {
-          type: 'stripe',
-          paymentIntentId: paymentIntent.id,
-          last4: paymentIntent.charges?.data[0]?.payment_method_details?.card?.last4 || null,
-          brand: paymentIntent.charges?.data[0]?.payment_method_details?.card?.brand || null
-        },
-        paymentStatus: 'paid',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
+      res.json({ product });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, currentVersion: error.currentVersion });
+      }
+      logger.error('Error updating product:', error);
+      res.status(500).json({ error: 'Failed to update product' });
+    }
+  });
 
-      const orderUuid = await dataServe.add('orders', order);
+  app.delete(`/applications/${app_path}/api/admin/products/:id`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      await productService.deleteProduct(req.params.id, req.user.id);
 
-      // Store order items
-      for (const item of items) {
-        await dataServe.add('order_items', {
-          orderId: orderUuid,
-          productId: item.productId,
-          variantId: item.variantId,
-          quantity: item.quantity,
-          unitPrice: item.price,
-          totalPrice: item.price * item.quantity
-        });
+      res.json({ message: 'Product deleted successfully' });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
       }
+      logger.error('Error deleting product:', error);
+      res.status(500).json({ error: 'Failed to delete product' });
+    }
+  });
 
-      // Update inventory
-      for (const item of items) {
-        try {
-          const inventoryRecords = await dataServe.jsonFindByPath('inventory', 'productId', item.productId);
-          if (inventoryRecords.length > 0) {
-            const inventoryRecord = inventoryRecords[0];
-            inventoryRecord.quantity = Math.max(0, inventoryRecord.quantity - item.quantity);
-            inventoryRecord.available = inventoryRecord.quantity - inventoryRecord.reserved;
-            inventoryRecord.lastUpdated = new Date().toISOString();
-
-            await dataServe.remove('inventory', inventoryRecord.id);
-            await dataServe.add('inventory', inventoryRecord);
-          }
-        } catch (invError) {
-          logger.error(`Error updating inventory for product ${item.productId}:`, invError);
+  // Bulk catalog import from CSV or JSON, upserted by SKU. An optional zip
+  // holds images the rows name. Runs as a background job; poll the import
+  // for progress and row errors. dryRun=true only validates.
+  app.post(`/applications/${app_path}/api/admin/catalog/imports`, requireAuth, requireAdmin,
+    importUpload.fields([{ name: 'file', maxCount: 1 }, { name: 'images', maxCount: 1 }]), async (req, res) => {
+      try {
+        const catalogImport = await catalogImportService.createImport({
+          file: req.files?.file?.[0],
+          images: req.files?.images?.[0],
+          dryRun: req.body.dryRun === true || req.body.dryRun === 'true'
+        }, req.user);
+
+        res.status(201).json({
+          import: catalogImport,
+          message: catalogImport.dryRun ? 'Dry run queued' : 'Import queued'
+        });
+      } catch (error) {
+        if (error.status) {
+          return res.status(error.status).json({ error: error.message });
         }
+        logger.error('Error queuing catalog import:', error);
+        res.status(500).json({ error: 'Failed to queue catalog import' });
       }
+    });
 
-      // Send order confirmation notification
-      notifying.notify('order-events', {
-        type: 'order_paid',
-        orderId: orderUuid,
-        orderNumber,
-        userId: req.user.id,
-        totalAmount,
-        paymentIntentId
-      });
-
-      res.status(201).json({
-        order: { id: orderUuid, ...order },
-        message: 'Payment confirmed and order created successfully'
-      });
+  app.get(`/applications/${app_path}/api/admin/catalog/imports`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const imports = await catalogImportService.listImports();
+      res.json({ imports });
     } catch (error) {
-      logger.error('Error confirming payment:', error);
-      res.status(500).json({ error: 'Failed to confirm payment' });
+      logger.error('Error fetching catalog imports:', error);
+      res.status(500).json({ error: 'Failed to fetch catalog imports' });
     }
   });
 
-  // Handle Stripe webhooks
-  app.post(`/applications/${app_path}/api/payments/webhook`, express.raw({type: 'application/json'}), async (req, res) => {
-    const sig = req.headers['stripe-signature'];
-    const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_test_secret';
-
-    let event;
-
+  app.get(`/applications/${app_path}/api/admin/catalog/imports/:id`, requireAuth, requireAdmin, async (req, res) => {
     try {
-      event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
-    } catch (err) {
-      logger.error('Webhook signature verification failed:', err.message);
-      return res.status(400).send(`Webhook Error: ${err.message}`);
-    }
-
-    // Handle the event
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        const paymentIntent = event.data.object;
-        logger.info(`Payment ${paymentIntent.id} succeeded for amount ${paymentIntent.amount}`);
-        break;
-      case 'payment_intent.payment_failed':
-        const failedPayment = event.data.object;
-        logger.error(`Payment ${failedPayment.id} failed`);
-        break;
-      default:
-        logger.info(`Unhandled event type ${event.type}`);
+      const catalogImport = await catalogImportService.getImport(req.params.id);
+      res.json({ import: catalogImport });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error fetching catalog import:', error);
+      res.status(500).json({ error: 'Failed to fetch catalog import' });
     }
-
-    res.json({received: true});
   });
 
-  // Get Stripe publishable key
-  app.get(`/applications/${app_path}/api/payments/config`, (req, res) => {
-    res.json({
-      publishableKey: process.env.STRIPE_PUBLISHABLE_KEY || 'pk_test_51HdSGkCqQXnHdSGkCqQXnHdSGkCqQXnHdSGkCqQXnHdSGkCqQXnHdSGkCqQXnHdSGkCqQXnHdSGkCqQXnHdSGkCqQXnHdSGkCqQXnHdSGkCqQXnHdSGkCqQXnHd'
-    });
-  });
+  // Stream the catalog in the import layout, filtered by status, category,
+  // brand or a name/SKU search
+  app.get(`/applications/${app_path}/api/admin/catalog/export`, requireAuth, requireAdmin, async (req, res) => {
+    const format = (req.query.format || 'csv').toLowerCase();
 
-  // ===== CONTENT MANAGEMENT API =====
+    if (!CatalogImportService.IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Format must be one of: ${CatalogImportService.IMPORT_FORMATS.join(', ')}` });
+    }
 
-  // Get all content items (public)
-  app.get(`/applications/${app_path}/api/content`, async (req, res) => {
     try {
-      const { type, active } = req.query;
+      const { status, category, brand, q } = req.query;
+      const chunks = catalogImportService.exportCatalog(format, { status, category, brand, q });
 
-      let content = await dataServe.jsonFindAll('content');
+      res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="catalog-${new Date().toISOString().slice(0, 10)}.${format}"`);
 
-      // Filter by type if specified
-      if (type) {
-        content = content.filter(item => item.type === type);
+      for await (const chunk of chunks) {
+        if (!res.write(chunk)) {
+          await new Promise(resolve => res.once('drain', resolve));
+        }
       }
-
-      // Filter by active status if specified
-      if (active !== undefined) {
-        const isActive = active === 'true';
-        content = content.filter(item => item.active === isActive);
+      res.end();
+    } catch (error) {
+      logger.error('Error exporting catalog:', error);
+      if (res.headersSent) {
+        return res.destroy(error);
       }
+      res.status(500).json({ error: 'Failed to export catalog' });
+    }
+  });
 
-      // Sort by sortOrder and createdAt
-      content.sort((a, b) => {
-        if (a.sortOrder !== b.sortOrder) {
-          return (a.sortOrder || 0) - (b.sortOrder || 0);
-        }
-        return new Date(b.createdAt) - new Date(a.createdAt);
-      });
+  // Admin Categories API
+  app.get(`/applications/${app_path}/api/admin/categories`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const tree = await categoryService.getCategoryTree(true);
+      const categories = await categoryService.getCategoriesWithProductCounts(true);
 
-      res.json({ content });
+      res.json({ categories, tree });
     } catch (error) {
-      logger.error('Error fetching content:', error);
-      res.status(500).json({ error: 'Failed to fetch content' });
+      logger.error('Error fetching categories:', error);
+      res.status(500).json({ error: 'Failed to fetch categories' });
     }
   });
 
-  // Get content item by ID (public)
-  app.get(`/applications/${app_path}/api/content/:id`, async (req, res) => {
+  app.post(`/applications/${app_path}/api/admin/categories`, requireAuth, requireAdmin, async (req, res) => {
     try {
-      const content = await dataServe.jsonFindById('content', req.params.id);
-
-      if (!content) {
-        return res.status(404).json({ error: 'Content not found' });
-      }
+      const category = await categoryService.createCategory(req.body, req.user.id);
 
-      res.json({ content });
+      res.status(201).json({ category });
     } catch (error) {
-      logger.error('Error fetching content:', error);
-      res.status(500).json({ error: 'Failed to fetch content' });
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error creating category:', error);
+      res.status(500).json({ error: 'Failed to create category' });
     }
   });
 
-  // Create content item (admin only)
-  app.post(`/applications/${app_path}/api/content`, requireAuth, requireAdmin, async (req, res) => {
+  app.put(`/applications/${app_path}/api/admin/categories/:id`, requireAuth, requireAdmin, async (req, res) => {
     try {
-      const {
-        title,
-        content,
-        type,
-        slug,
-        excerpt,
-        imageUrl,
-        videoUrl,
-        buttonText,
-        buttonUrl,
-        backgroundColor,
-        textColor,
-        active,
-        sortOrder,
-        startDate,
-        endDate,
-        metadata
-      } = req.body;
-
-      if (!title || !type) {
-        return res.status(400).json({ error: 'Title and type are required' });
-      }
-
-      // Validate type
-      const validTypes = ['banner', 'page', 'announcement', 'promotion', 'hero'];
-      if (!validTypes.includes(type)) {
-        return res.status(400).json({ error: 'Invalid content type' });
-      }
-
-      // Generate slug if not provided
-      const contentSlug = slug || title.toLowerCase()
-        .replace(/[^a-z0-9\s-]/g, '')
-        .replace(/\s+/g, '-')
-        .trim();
-
-      // Check if slug already exists
-      const existingContent = await dataServe.jsonFindByPath('content', 'slug', contentSlug);
-      if (existingContent.length > 0) {
-        return res.status(400).json({ error: 'Content with this slug already exists' });
-      }
-
-      const contentItem = {
-        title,
-        content: content || '',
-        type,
-        slug: contentSlug,
-        excerpt: excerpt || '',
-        imageUrl: imageUrl || null,
-        videoUrl: videoUrl || null,
-        buttonText: buttonText || null,
-        buttonUrl: buttonUrl || null,
-        backgroundColor: backgroundColor || null,
-        textColor: textColor || null,
-        active: active !== undefined ? active : true,
-        sortOrder: sortOrder || 0,
-        startDate: startDate || null,
-        endDate: endDate || null,
-        metadata: metadata || {},
-        views: 0,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        createdBy: req.user.id
-      };
-
-      const contentId = await dataServe.add('content', contentItem);
+      const { version, ...changes } = req.body;
+      const category = await categoryService.updateCategory(req.params.id, changes, req.user.id, version);
 
-      logger.info(`Content created: ${title} (${contentId})`);
-
-      res.status(201).json({
-        content: { id: contentId, ...contentItem },
-        message: 'Content created successfully'
-      });
+      res.json({ category });
     } catch (error) {
-      logger.error('Error creating content:', error);
-      res.status(500).json({ error: 'Failed to create content' });
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, currentVersion: error.currentVersion });
+      }
+      logger.error('Error updating category:', error);
+      res.status(500).json({ error: 'Failed to update category' });
     }
   });
 
-  // Update content item (admin only)
-  app.put(`/applications/${app_path}/api/content/:id`, requireAuth, requireAdmin, async (req, res) => {
+  app.delete(`/applications/${app_path}/api/admin/categories/:id`, requireAuth, requireAdmin, async (req, res) => {
     try {
-      const existingContent = await dataServe.jsonFindById('content', req.params.id);
-
-      if (!existingContent) {
-        return res.status(404).json({ error: 'Content not found' });
-      }
+      await categoryService.deleteCategory(req.params.id, req.user.id);
 
-      const {
-        title,
-        content,
-        type,
-        slug,
-        excerpt,
-        imageUrl,
-        videoUrl,
-        buttonText,
-        buttonUrl,
-        backgroundColor,
-        textColor,
-        active,
-        sortOrder,
-        startDate,
-        endDate,
-        metadata
-      } = req.body;
-
-      // Validate type if provided
-      if (type) {
-        const validTypes = ['banner', 'page', 'announcement', 'promotion', 'hero'];
-        if (!validTypes.includes(type)) {
-          return res.status(400).json({ error: 'Invalid content type' });
-        }
+      res.json({ message: 'Category deleted successfully' });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
       }
+      logger.error('Error deleting category:', error);
+      res.status(500).json({ error: 'Failed to delete category' });
+    }
+  });
 
-      // Check slug uniqueness if changed
-      if (slug && slug !== existingContent.slug) {
-        const duplicateContent = await dataServe.jsonFindByPath('content', 'slug', slug);
-        if (duplicateContent.length > 0) {
-          return res.status(400).json({ error: 'Content with this slug already exists' });
-        }
+  // Get a product's images in display order
+  app.get(`/applications/${app_path}/api/admin/products/:id/images`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      await imageService.findProduct(req.params.id);
+      const images = await imageService.listImages(req.params.id);
+      res.json({ images });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
       }
+      logger.error('Error fetching product images:', error);
+      res.status(500).json({ error: 'Failed to fetch images' });
+    }
+  });
 
-      const updatedContent = {
-        ...existingContent,
-        title: title || existingContent.title,
-        content: content !== undefined ? content : existingContent.content,
-        type: type || existingContent.type,
-        slug: slug || existingContent.slug,
-        excerpt: excerpt !== undefined ? excerpt : existingContent.excerpt,
-        imageUrl: imageUrl !== undefined ? imageUrl : existingContent.imageUrl,
-        videoUrl: videoUrl !== undefined ? videoUrl : existingContent.videoUrl,
-        buttonText: buttonText !== undefined ? buttonText : existingContent.buttonText,
-        buttonUrl: buttonUrl !== undefined ? buttonUrl : existingContent.buttonUrl,
-        backgroundColor: backgroundColor !== undefined ? backgroundColor : existingContent.backgroundColor,
-        textColor: textColor !== undefined ? textColor : existingContent.textColor,
-        active: active !== undefined ? active : existingContent.active,
-        sortOrder: sortOrder !== undefined ? sortOrder : existingContent.sortOrder,
-        startDate: startDate !== undefined ? startDate : existingContent.startDate,
-        endDate: endDate !== undefined ? endDate : existingContent.endDate,
-        metadata: metadata !== undefined ? metadata : existingContent.metadata,
-        updatedAt: new Date().toISOString()
-      };
-
-      await dataServe.remove('content', req.params.id);
-      const contentId = await dataServe.add('content', updatedContent);
-
-      logger.info(`Content updated: ${updatedContent.title} (${contentId})`);
+  // Upload product images. Resized versions are built by a background job.
+  app.post(`/applications/${app_path}/api/admin/products/:id/images`, requireAuth, requireAdmin, upload.array('images', 10), async (req, res) => {
+    try {
+      const images = await imageService.addImages(req.params.id, req.files || [], req.user.id);
 
-      res.json({
-        content: { id: contentId, ...updatedContent },
-        message: 'Content updated successfully'
+      res.status(201).json({
+        message: 'Images uploaded successfully',
+        images
       });
     } catch (error) {
-      logger.error('Error updating content:', error);
-      res.status(500).json({ error: 'Failed to update content' });
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error uploading product images:', error);
+      res.status(500).json({ error: 'Failed to upload images' });
     }
   });
 
-  // Delete content item (admin only)
-  app.delete(`/applications/${app_path}/api/content/:id`, requireAuth, requireAdmin, async (req, res) => {
+  // Reorder product images. Body: { imageIds } listing every image in the new order.
+  app.put(`/applications/${app_path}/api/admin/products/:id/images/order`, requireAuth, requireAdmin, async (req, res) => {
     try {
-      const content = await dataServe.jsonFindById('content', req.params.id);
-
-      if (!content) {
-        return res.status(404).json({ error: 'Content not found' });
+      const images = await imageService.reorderImages(req.params.id, req.body.imageIds);
+      res.json({ images, message: 'Images reordered successfully' });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
       }
+      logger.error('Error reordering product images:', error);
+      res.status(500).json({ error: 'Failed to reorder images' });
+    }
+  });
 
-      await dataServe.remove('content', req.params.id);
-
-      logger.info(`Content deleted: ${content.title} (${req.params.id})`);
+  // Make an image the product's primary image
+  app.post(`/applications/${app_path}/api/admin/products/:id/images/:imageId/primary`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const images = await imageService.setPrimaryImage(req.params.id, req.params.imageId);
+      res.json({ images, message: 'Primary image updated successfully' });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error setting primary image:', error);
+      res.status(500).json({ error: 'Failed to set primary image' });
+    }
+  });
 
-      res.json({ message: 'Content deleted successfully' });
+  // Delete a product image and its files
+  app.delete(`/applications/${app_path}/api/admin/products/:id/images/:imageId`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      await imageService.deleteImage(req.params.id, req.params.imageId);
+      res.json({ message: 'Image deleted successfully' });
     } catch (error) {
-      logger.error('Error deleting content:', error);
-      res.status(500).json({ error: 'Failed to delete content' });
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error deleting product image:', error);
+      res.status(500).json({ error: 'Failed to delete image' });
     }
   });
 
-  // Increment content views (public)
-  app.post(`/applications/${app_path}/api/content/:id/view`, async (req, res) => {
+  // Admin Product Variants API
+  app.get(`/applications/${app_path}/api/admin/products/:id/variants`, requireAuth, requireAdmin, async (req, res) => {
     try {
-      const content = await dataServe.jsonFindById('content', req.params.id);
+      const product = await productRepository.findById(req.params.id);
 
-      if (!content) {
-        return res.status(404).json({ error: 'Content not found' });
+      if (!product) {
+        return res.status(404).json({ error: 'Product not found' });
       }
 
-      const updatedContent = {
-        ...content,
-        views: (content.views || 0) + 1,
-        lastViewedAt: new Date().toISOString()
-      };
-
-      await dataServe.remove('content', req.params.id);
-      await dataServe.add('content', updatedContent);
+      const variants = await variantService.listVariants(req.params.id);
 
-      res.json({ message: 'View recorded' });
+      res.json({ options: variantService.getOptionAxes(variants), variants });
     } catch (error) {
-      logger.error('Error recording view:', error);
-      res.status(500).json({ error: 'Failed to record view' });
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error fetching variants:', error);
+      res.status(500).json({ error: 'Failed to fetch variants' });
     }
   });
 
-  // ===== ADMIN API ENDPOINTS =====
-
-  // Admin Products API
-  app.post(`/applications/${app_path}/api/admin/products`, requireAuth, requireAdmin, async (req, res) => {
+  app.post(`/applications/${app_path}/api/admin/products/:id/variants`, requireAuth, requireAdmin, async (req, res) => {
     try {
-      const {
-        name, description, price, salePrice, category, brand, sku,
-        tags, status = 'active', inventory = 0
-      } = req.body;
+      const product = await productRepository.findById(req.params.id);
 
-      if (!name || !description || !price || !category) {
-        return res.status(400).json({ error: 'Name, description, price, and category are required' });
+      if (!product) {
+        return res.status(404).json({ error: 'Product not found' });
       }
 
-      const product = {
-        name,
-        description,
-        price: parseFloat(price),
-        salePrice: salePrice ? parseFloat(salePrice) : null,
-        category,
-        brand: brand || null,
-        sku: sku || `SKU-${Date.now()}`,
-        tags: tags || [],
-        status,
-        inventory: parseInt(inventory),
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        createdBy: req.user.id
-      };
-
-      const productUuid = await dataServe.add('products', product);
-
-      // Create initial inventory record
-      await dataServe.add('inventory', {
-        productId: productUuid,
-        quantity: product.inventory,
-        reserved: 0,
-        available: product.inventory,
-        lastUpdated: new Date().toISOString()
-      });
+      const variant = await variantService.createVariant(req.params.id, product, req.body, req.user.id);
 
-      res.status(201).json({
-        product: { id: productUuid, ...product }
-      });
+      res.status(201).json({ variant });
     } catch (error) {
-      logger.error('Error creating product:', error);
-      res.status(500).json({ error: 'Failed to create product' });
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error creating variant:', error);
+      res.status(500).json({ error: 'Failed to create variant' });
     }
   });
 
-  app.put(`/applications/${app_path}/api/admin/products/:id`, requireAuth, requireAdmin, async (req, res) => {
+  // Create a variant for every missing combination of the option axes
+  app.post(`/applications/${app_path}/api/admin/products/:id/variants/generate`, requireAuth, requireAdmin, async (req, res) => {
     try {
-      const product = await dataServe.getByUuid('products', req.params.id);
+      const product = await productRepository.findById(req.params.id);
 
       if (!product) {
-        return res.status(404).json({ error: 'Product not found' });
-      }
-
-      const {
-        name, description, price, salePrice, category, brand,
-        tags, status, inventory
-      } = req.body;
-
-      // Update product fields
-      product.name = name || product.name;
-      product.description = description || product.description;
-      product.price = price ? parseFloat(price) : product.price;
-      product.salePrice = salePrice ? parseFloat(salePrice) : product.salePrice;
-      product.category = category || product.category;
-      product.brand = brand || product.brand;
-      product.tags = tags || product.tags;
-      product.status = status || product.status;
-      product.updatedAt = new Date().toISOString();
-      product.updatedBy = req.user.id;
-
-      // Update inventory if provided
-      if (inventory !== undefined) {
-        product.inventory = parseInt(inventory);
-
-        // Update inventory record
-        const inventoryRecords = await dataServe.jsonFindByPath('inventory', 'productId', req.params.id);
-        if (inventoryRecords.length > 0) {
-          const inventoryRecord = inventoryRecords[0];
-          inventoryRecord.quantity = product.inventory;
-          inventoryRecord.available = product.inventory - inventoryRecord.reserved;
-          inventoryRecord.lastUpdated = new Date().toISOString();
-
-          await dataServe.remove('inventory', inventoryRecord.id);
-          await dataServe.add('inventory', inventoryRecord);
-        }
+        return res.status(404).json({ error: 'Product not found' });
       }
 
-      await dataServe.remove('products', req.params.id);
-      const newProductUuid = await dataServe.add('products', product);
+      const { options, defaults } = req.body;
+      const created = await variantService.generateVariants(req.params.id, product, options, defaults, req.user.id);
+      const variants = await variantService.listVariants(req.params.id);
 
-      res.json({
-        product: { id: newProductUuid, ...product }
+      res.status(201).json({
+        created: created.length,
+        options: variantService.getOptionAxes(variants),
+        variants
       });
     } catch (error) {
-      logger.error('Error updating product:', error);
-      res.status(500).json({ error: 'Failed to update product' });
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error generating variants:', error);
+      res.status(500).json({ error: 'Failed to generate variants' });
     }
   });
 
-  app.delete(`/applications/${app_path}/api/admin/products/:id`, requireAuth, requireAdmin, async (req, res) => {
+  app.put(`/applications/${app_path}/api/admin/products/:id/variants/:variantId`, requireAuth, requireAdmin, async (req, res) => {
     try {
-      const product = await dataServe.getByUuid('products', req.params.id);
+      const product = await productRepository.findById(req.params.id);
 
       if (!product) {
         return res.status(404).json({ error: 'Product not found' });
       }
 
-      product.status = 'deleted';
-      product.updatedAt = new Date().toISOString();
-      product.deletedBy = req.user.id;
-
-      await dataServe.remove('products', req.params.id);
-      await dataServe.add('products', product);
+      const { version, ...changes } = req.body;
+      const variant = await variantService.updateVariant(req.params.id, req.params.variantId, changes, req.user.id, version);
 
-      res.json({ message: 'Product deleted successfully' });
+      res.json({ variant });
     } catch (error) {
-      logger.error('Error deleting product:', error);
-      res.status(500).json({ error: 'Failed to delete product' });
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, currentVersion: error.currentVersion });
+      }
+      logger.error('Error updating variant:', error);
+      res.status(500).json({ error: 'Failed to update variant' });
     }
   });
 
-  // Upload product images
-  app.post(`/applications/${app_path}/api/admin/products/:id/images`, requireAuth, requireAdmin, upload.array('images', 10), async (req, res) => {
+  app.delete(`/applications/${app_path}/api/admin/products/:id/variants/:variantId`, requireAuth, requireAdmin, async (req, res) => {
     try {
-      const product = await dataServe.getByUuid('products', req.params.id);
+      const product = await productRepository.findById(req.params.id);
 
       if (!product) {
         return res.status(404).json({ error: 'Product not found' });
       }
 
-      const uploadedImages = [];
-
-      for (let i = 0; i < req.files.length; i++) {
-        const file = req.files[i];
-        const fileName = `product_${req.params.id}_${Date.now()}_${i}.${file.originalname.split('.').pop()}`;
-        const filePath = `products/${req.params.id}/${fileName}`;
-
-        // Upload image using filing service
-        await filing.create(filePath, require('stream').Readable.from(file.buffer));
-
-        // Create image record
-        const imageRecord = {
-          productId: req.params.id,
-          fileName,
-          filePath,
-          originalName: file.originalname,
-          mimeType: file.mimetype,
-          size: file.size,
-          sortOrder: i,
-          isPrimary: i === 0, // First image is primary
-          uploadedAt: new Date().toISOString(),
-          uploadedBy: req.user.id
-        };
-
-        const imageUuid = await dataServe.add('product_images', imageRecord);
-        uploadedImages.push({ id: imageUuid, ...imageRecord });
-      }
+      await variantService.deleteVariant(req.params.id, req.params.variantId);
 
-      res.status(201).json({
-        message: 'Images uploaded successfully',
-        images: uploadedImages
-      });
+      res.json({ message: 'Variant deleted successfully' });
     } catch (error) {
-      logger.error('Error uploading product images:', error);
-      res.status(500).json({ error: 'Failed to upload images' });
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error deleting variant:', error);
+      res.status(500).json({ error: 'Failed to delete variant' });
     }
   });
 
@@ -1297,98 +2651,185 @@ module.exports = (options, eventEmitter, services) => {
 
   app.put(`/applications/${app_path}/api/admin/orders/:id/status`, requireAuth, requireAdmin, async (req, res) => {
     try {
-      const { status, trackingNumber } = req.body;
+      const { status, trackingNumber, note, version } = req.body;
 
       if (!status) {
         return res.status(400).json({ error: 'Status is required' });
       }
 
-      const order = await dataServe.getByUuid('orders', req.params.id);
-
-      if (!order) {
-        return res.status(404).json({ error: 'Order not found' });
-      }
-
-      order.status = status;
-      order.updatedAt = new Date().toISOString();
-      order.updatedBy = req.user.id;
-
-      if (trackingNumber) {
-        order.trackingNumber = trackingNumber;
-      }
-
-      if (status === 'shipped') {
-        order.shippedAt = new Date().toISOString();
-        // Calculate estimated delivery (5 business days)
-        const estimatedDelivery = new Date();
-        estimatedDelivery.setDate(estimatedDelivery.getDate() + 5);
-        order.estimatedDelivery = estimatedDelivery.toISOString();
-      }
-
-      await dataServe.remove('orders', req.params.id);
-      const newOrderUuid = await dataServe.add('orders', order);
+      const order = await orderStatusService.transition(
+        req.params.id,
+        status,
+        { type: 'admin', id: req.user.id },
+        { trackingNumber, note, expectedVersion: version }
+      );
+      const lastChange = order.statusHistory[order.statusHistory.length - 1];
 
       // Send notification about order status change
       notifying.notify('order-events', {
         type: 'order_status_changed',
-        orderId: newOrderUuid,
+        orderId: order.id,
         orderNumber: order.orderNumber,
-        oldStatus: req.body.oldStatus,
+        oldStatus: lastChange.fromStatus,
         newStatus: status,
         userId: order.userId
       });
 
-      res.json({
-        order: { id: newOrderUuid, ...order }
-      });
+      res.json({ order });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.message,
+          allowedTransitions: error.allowedTransitions,
+          currentVersion: error.currentVersion
+        });
+      }
       logger.error('Error updating order status:', error);
       res.status(500).json({ error: 'Failed to update order status' });
     }
   });
 
-  // Process refund
+  // Refund order lines, shipping or an amount through the payment gateway.
+  // Without items, shipping or amount the whole remaining balance is refunded.
   app.post(`/applications/${app_path}/api/admin/orders/:id/refund`, requireAuth, requireAdmin, async (req, res) => {
     try {
-      const { amount, reason } = req.body;
+      const { items, shipping, amount, restock, reason, version } = req.body;
+
+      if (items !== undefined && !Array.isArray(items)) {
+        return res.status(400).json({ error: 'Items must be a list of { productId, variantId, quantity }' });
+      }
+
+      const result = await refundService.refundOrder(req.params.id, {
+        items,
+        shipping,
+        amount,
+        restock: restock === true,
+        reason,
+        expectedVersion: version
+      }, req.user);
+
+      notifying.notify('order-events', {
+        type: 'order_refunded',
+        orderId: result.order.id,
+        orderNumber: result.order.orderNumber,
+        userId: result.order.userId,
+        amount: result.refund.amount,
+        paymentStatus: result.order.paymentStatus
+      });
+
+      res.status(201).json({
+        ...result,
+        message: 'Refund processed successfully'
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, currentVersion: error.currentVersion });
+      }
+      logger.error('Error processing refund:', error);
+      res.status(500).json({ error: 'Failed to process refund' });
+    }
+  });
 
-      const order = await dataServe.getByUuid('orders', req.params.id);
+  // Refunds made on an order and what is left to refund
+  app.get(`/applications/${app_path}/api/admin/orders/:id/refunds`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const order = await orderRepository.findById(req.params.id);
 
       if (!order) {
         return res.status(404).json({ error: 'Order not found' });
       }
 
-      const refundAmount = amount || order.totalAmount;
+      res.json({
+        refunds: await refundService.listRefunds(order.id),
+        summary: RefundService.summarize(order)
+      });
+    } catch (error) {
+      logger.error('Error fetching refunds:', error);
+      res.status(500).json({ error: 'Failed to fetch refunds' });
+    }
+  });
 
-      // Create refund record
-      const refund = {
-        orderId: req.params.id,
-        orderNumber: order.orderNumber,
-        amount: refundAmount,
-        reason: reason || 'Admin refund',
-        status: 'processed',
-        processedAt: new Date().toISOString(),
-        processedBy: req.user.id
-      };
+  app.get(`/applications/${app_path}/api/admin/credit-notes/:id`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const creditNote = await refundService.getCreditNote(req.params.id);
+      res.json({ creditNote });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error fetching credit note:', error);
+      res.status(500).json({ error: 'Failed to fetch credit note' });
+    }
+  });
+
+  app.get(`/applications/${app_path}/api/admin/returns`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const returns = await returnService.listReturns({ status: req.query.status });
+      res.json({ returns });
+    } catch (error) {
+      logger.error('Error fetching returns:', error);
+      res.status(500).json({ error: 'Failed to fetch returns' });
+    }
+  });
 
-      const refundUuid = await dataServe.add('refunds', refund);
+  // Retry the warehouse RMA for a return that could not be authorized
+  app.post(`/applications/${app_path}/api/admin/returns/:id/authorize`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const request = await returnService.authorize(req.params.id);
+      res.json({ return: request });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error authorizing return:', error);
+      res.status(500).json({ error: 'Failed to authorize return' });
+    }
+  });
 
-      // Update order status
-      order.status = 'refunded';
-      order.refundAmount = refundAmount;
-      order.refundedAt = new Date().toISOString();
-      order.updatedAt = new Date().toISOString();
+  // Retry the refund of a processed return whose refund failed
+  app.post(`/applications/${app_path}/api/admin/returns/:id/refund`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const request = await returnService.refundReturn(req.params.id, { processedBy: req.user.id });
+      res.json({ return: request });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error refunding return:', error);
+      res.status(500).json({ error: 'Failed to refund return' });
+    }
+  });
 
-      await dataServe.remove('orders', req.params.id);
-      await dataServe.add('orders', order);
+  // Orders whose payment status disagrees with the payment provider
+  app.get(`/applications/${app_path}/api/admin/payments/reconciliation`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const orders = await paymentReconciliationService.getMismatchedOrders();
 
       res.json({
-        message: 'Refund processed successfully',
-        refund: { id: refundUuid, ...refund }
+        orders: orders.map(order => ({
+          id: order.id,
+          orderNumber: order.orderNumber,
+          status: order.status,
+          paymentStatus: order.paymentStatus || null,
+          totalAmount: order.totalAmount,
+          paymentIntentId: order.paymentMethod?.paymentIntentId || null,
+          paymentReconciliation: order.paymentReconciliation
+        }))
       });
     } catch (error) {
-      logger.error('Error processing refund:', error);
-      res.status(500).json({ error: 'Failed to process refund' });
+      logger.error('Error fetching payment reconciliation:', error);
+      res.status(500).json({ error: 'Failed to fetch payment reconciliation' });
+    }
+  });
+
+  // Run the daily payment reconciliation now
+  app.post(`/applications/${app_path}/api/admin/payments/reconciliation/run`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const summary = await paymentReconciliationService.reconcilePayments();
+      res.json({ summary, message: 'Payment reconciliation completed' });
+    } catch (error) {
+      logger.error('Error running payment reconciliation:', error);
+      res.status(500).json({ error: 'Failed to run payment reconciliation' });
     }
   });
 
@@ -1468,7 +2909,7 @@ module.exports = (options, eventEmitter, services) => {
       const productPerformance = [];
       for (const [productId, stats] of Object.entries(productStats)) {
         try {
-          const product = await dataServe.getByUuid('products', productId);
+          const product = await productRepository.findById(productId);
           if (product) {
             productPerformance.push({
               ...stats,
@@ -1547,6 +2988,315 @@ module.exports = (options, eventEmitter, services) => {
     }
   });
 
+  app.get(`/applications/${app_path}/api/admin/analytics/cart-recovery`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const { startDate, endDate } = req.query;
+
+      const summary = await cartRecoveryService.getSummary({ startDate, endDate });
+
+      res.json({ summary });
+    } catch (error) {
+      logger.error('Error fetching cart recovery analytics:', error);
+      res.status(500).json({ error: 'Failed to fetch cart recovery analytics' });
+    }
+  });
+
+  // ===== PROMOTIONS MANAGEMENT =====
+
+  app.get(`/applications/${app_path}/api/admin/promotions`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const { active } = req.query;
+
+      let promotions = await pricingService.promotions.find();
+      if (active !== undefined) {
+        promotions = promotions.filter(promotion => promotion.active === (active === 'true'));
+      }
+
+      promotions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+      res.json({ promotions });
+    } catch (error) {
+      logger.error('Error fetching promotions:', error);
+      res.status(500).json({ error: 'Failed to fetch promotions' });
+    }
+  });
+
+  app.post(`/applications/${app_path}/api/admin/promotions`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const promotion = await pricingService.createPromotion(req.body, req.user.id);
+
+      res.status(201).json({
+        promotion,
+        message: 'Promotion created successfully'
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error creating promotion:', error);
+      res.status(500).json({ error: 'Failed to create promotion' });
+    }
+  });
+
+  app.put(`/applications/${app_path}/api/admin/promotions/:id`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const { version, ...changes } = req.body;
+      const promotion = await pricingService.updatePromotion(req.params.id, changes, req.user.id, version);
+
+      res.json({
+        promotion,
+        message: 'Promotion updated successfully'
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, currentVersion: error.currentVersion });
+      }
+      logger.error('Error updating promotion:', error);
+      res.status(500).json({ error: 'Failed to update promotion' });
+    }
+  });
+
+  app.delete(`/applications/${app_path}/api/admin/promotions/:id`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const removed = await pricingService.promotions.remove(req.params.id);
+
+      if (!removed) {
+        return res.status(404).json({ error: 'Promotion not found' });
+      }
+
+      res.json({ message: 'Promotion deleted successfully' });
+    } catch (error) {
+      logger.error('Error deleting promotion:', error);
+      res.status(500).json({ error: 'Failed to delete promotion' });
+    }
+  });
+
+  // ===== SEARCH MERCHANDISING =====
+
+  app.get(`/applications/${app_path}/api/admin/search-rules`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const { type } = req.query;
+
+      let rules = await merchandisingService.rules.find();
+      if (type) {
+        rules = rules.filter(rule => rule.type === type);
+      }
+
+      rules.sort((a, b) => a.type.localeCompare(b.type) || new Date(b.createdAt) - new Date(a.createdAt));
+
+      res.json({ rules });
+    } catch (error) {
+      logger.error('Error fetching search rules:', error);
+      res.status(500).json({ error: 'Failed to fetch search rules' });
+    }
+  });
+
+  // Compare merchandised and organic results for a query
+  app.get(`/applications/${app_path}/api/admin/search-rules/preview`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const { q, category, brand, tags, price, minPrice, maxPrice, attr, sort, limit } = req.query;
+      const params = {
+        q, category, brand, tags, price, minPrice, maxPrice, sort, limit,
+        attributes: attr && typeof attr === 'object' ? attr : {}
+      };
+
+      const [merchandised, organic] = await Promise.all([
+        searchService.search(params, { recordQuery: false }),
+        searchService.search(params, { recordQuery: false, merchandise: false })
+      ]);
+
+      res.json({ merchandised, organic });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error previewing search rules:', error);
+      res.status(500).json({ error: 'Failed to preview search rules' });
+    }
+  });
+
+  app.post(`/applications/${app_path}/api/admin/search-rules`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const rule = await merchandisingService.createRule(req.body, req.user.id);
+
+      res.status(201).json({
+        rule,
+        message: 'Search rule created successfully'
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error creating search rule:', error);
+      res.status(500).json({ error: 'Failed to create search rule' });
+    }
+  });
+
+  app.put(`/applications/${app_path}/api/admin/search-rules/:id`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const { version, ...changes } = req.body;
+      const rule = await merchandisingService.updateRule(req.params.id, changes, req.user.id, version);
+
+      res.json({
+        rule,
+        message: 'Search rule updated successfully'
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, currentVersion: error.currentVersion });
+      }
+      logger.error('Error updating search rule:', error);
+      res.status(500).json({ error: 'Failed to update search rule' });
+    }
+  });
+
+  app.delete(`/applications/${app_path}/api/admin/search-rules/:id`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const removed = await merchandisingService.deleteRule(req.params.id);
+
+      if (!removed) {
+        return res.status(404).json({ error: 'Search rule not found' });
+      }
+
+      res.json({ message: 'Search rule deleted successfully' });
+    } catch (error) {
+      logger.error('Error deleting search rule:', error);
+      res.status(500).json({ error: 'Failed to delete search rule' });
+    }
+  });
+
+  // ===== REVIEW MODERATION =====
+
+  // Moderation queue, pending reviews by default
+  app.get(`/applications/${app_path}/api/admin/reviews`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const { status, productId } = req.query;
+      const queue = await reviewService.getModerationQueue({ status, productId });
+
+      const reviews = [];
+      for (const review of queue) {
+        const product = await productRepository.findById(review.productId);
+        reviews.push({ ...review, productName: product ? product.name : null });
+      }
+
+      res.json({ reviews });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error fetching reviews for moderation:', error);
+      res.status(500).json({ error: 'Failed to fetch reviews' });
+    }
+  });
+
+  // Approve or reject a review
+  app.post(`/applications/${app_path}/api/admin/reviews/:id/:decision(approve|reject)`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const { note, version } = req.body;
+      const review = await reviewService.moderateReview(req.params.id, req.params.decision, req.user.id, note, version);
+
+      res.json({
+        review,
+        message: `Review ${review.status}`
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, currentVersion: error.currentVersion });
+      }
+      logger.error('Error moderating review:', error);
+      res.status(500).json({ error: 'Failed to moderate review' });
+    }
+  });
+
+  // Reply to a review on behalf of the store
+  app.post(`/applications/${app_path}/api/admin/reviews/:id/reply`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const { reply, version } = req.body;
+      const review = await reviewService.replyToReview(req.params.id, reply, req.user.id, version);
+
+      res.json({
+        review,
+        message: 'Reply saved successfully'
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, currentVersion: error.currentVersion });
+      }
+      logger.error('Error replying to review:', error);
+      res.status(500).json({ error: 'Failed to save reply' });
+    }
+  });
+
+  // ===== TAX RULES MANAGEMENT =====
+
+  app.get(`/applications/${app_path}/api/admin/tax-rules`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const { country } = req.query;
+
+      let rules = await taxService.rules.find();
+      if (country) {
+        rules = rules.filter(rule => rule.country === country.toUpperCase());
+      }
+
+      rules.sort((a, b) => a.country.localeCompare(b.country) || (a.state || '').localeCompare(b.state || ''));
+
+      res.json({ rules, defaultRates: taxService.defaultRates, pricesIncludeTax: taxService.pricesIncludeTax });
+    } catch (error) {
+      logger.error('Error fetching tax rules:', error);
+      res.status(500).json({ error: 'Failed to fetch tax rules' });
+    }
+  });
+
+  app.post(`/applications/${app_path}/api/admin/tax-rules`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const rule = await taxService.createRule(req.body, req.user.id);
+
+      res.status(201).json({
+        rule,
+        message: 'Tax rule created successfully'
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error creating tax rule:', error);
+      res.status(500).json({ error: 'Failed to create tax rule' });
+    }
+  });
+
+  app.put(`/applications/${app_path}/api/admin/tax-rules/:id`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const { version, ...changes } = req.body;
+      const rule = await taxService.updateRule(req.params.id, changes, req.user.id, version);
+
+      res.json({
+        rule,
+        message: 'Tax rule updated successfully'
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, currentVersion: error.currentVersion });
+      }
+      logger.error('Error updating tax rule:', error);
+      res.status(500).json({ error: 'Failed to update tax rule' });
+    }
+  });
+
+  app.delete(`/applications/${app_path}/api/admin/tax-rules/:id`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const removed = await taxService.rules.remove(req.params.id);
+
+      if (!removed) {
+        return res.status(404).json({ error: 'Tax rule not found' });
+      }
+
+      res.json({ message: 'Tax rule deleted successfully' });
+    } catch (error) {
+      logger.error('Error deleting tax rule:', error);
+      res.status(500).json({ error: 'Failed to delete tax rule' });
+    }
+  });
+
   // ===== INVENTORY MANAGEMENT =====
 
   app.get(`/applications/${app_path}/api/admin/inventory`, requireAuth, requireAdmin, async (req, res) => {
@@ -1560,7 +3310,7 @@ module.exports = (options, eventEmitter, services) => {
       const lowStockWithProducts = [];
       for (const item of lowStockItems) {
         try {
-          const product = await dataServe.getByUuid('products', item.productId);
+          const product = await productRepository.findById(item.productId);
           if (product) {
             lowStockWithProducts.push({
               ...item,
@@ -1586,44 +3336,53 @@ module.exports = (options, eventEmitter, services) => {
 
   app.put(`/applications/${app_path}/api/admin/inventory/:productId`, requireAuth, requireAdmin, async (req, res) => {
     try {
-      const { quantity, reason = 'Admin adjustment' } = req.body;
+      const { quantity, unitCost, reason = 'Admin adjustment', version } = req.body;
 
-      if (quantity === undefined) {
-        return res.status(400).json({ error: 'Quantity is required' });
+      if (quantity === undefined && unitCost === undefined) {
+        return res.status(400).json({ error: 'Quantity or unit cost is required' });
       }
 
-      const inventoryRecords = await dataServe.jsonFindByPath('inventory', 'productId', req.params.productId);
-
-      if (inventoryRecords.length === 0) {
-        return res.status(404).json({ error: 'Inventory record not found' });
+      if (unitCost !== undefined && unitCost !== null && !(parseFloat(unitCost) >= 0)) {
+        return res.status(400).json({ error: 'Unit cost must be a non-negative number' });
       }
 
-      const inventoryRecord = inventoryRecords[0];
-      const oldQuantity = inventoryRecord.quantity;
+      const existingRecord = await inventoryRepository.findOneBy('productId', req.params.productId);
 
-      inventoryRecord.quantity = parseInt(quantity);
-      inventoryRecord.available = inventoryRecord.quantity - inventoryRecord.reserved;
-      inventoryRecord.lastUpdated = new Date().toISOString();
+      if (!existingRecord) {
+        return res.status(404).json({ error: 'Inventory record not found' });
+      }
 
-      await dataServe.remove('inventory', inventoryRecord.id);
-      const newInventoryUuid = await dataServe.add('inventory', inventoryRecord);
+      const oldQuantity = existingRecord.quantity;
+      const inventoryRecord = await inventoryRepository.update(existingRecord.id, current => ({
+        ...(quantity !== undefined && {
+          quantity: parseInt(quantity),
+          available: parseInt(quantity) - current.reserved
+        }),
+        ...(unitCost !== undefined && { unitCost: unitCost === null ? null : parseFloat(unitCost) }),
+        lastUpdated: new Date().toISOString()
+      }), { expectedVersion: version });
 
       // Log inventory change
-      await dataServe.add('inventory_logs', {
-        productId: req.params.productId,
-        oldQuantity,
-        newQuantity: inventoryRecord.quantity,
-        change: inventoryRecord.quantity - oldQuantity,
-        reason,
-        adjustedBy: req.user.id,
-        adjustedAt: new Date().toISOString()
-      });
+      if (quantity !== undefined) {
+        await dataServe.add('inventory_logs', {
+          productId: req.params.productId,
+          oldQuantity,
+          newQuantity: inventoryRecord.quantity,
+          change: inventoryRecord.quantity - oldQuantity,
+          reason,
+          adjustedBy: req.user.id,
+          adjustedAt: new Date().toISOString()
+        });
+      }
 
       res.json({
-        inventory: { id: newInventoryUuid, ...inventoryRecord },
+        inventory: inventoryRecord,
         message: 'Inventory updated successfully'
       });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, currentVersion: error.currentVersion });
+      }
       logger.error('Error updating inventory:', error);
       res.status(500).json({ error: 'Failed to update inventory' });
     }
@@ -0,0 +1,265 @@
+/**
+ * @fileoverview Address Book Service
+ * Keeps each customer's saved addresses with default shipping and billing
+ * flags, validates them against per-country formats and produces the
+ * snapshots stored on quotes and orders
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const Repository = require('./repository');
+
+/**
+ * Address formats by ISO country code. `postalCode` is tested against the
+ * upper-cased code with spaces removed; `format` puts it back into the
+ * country's usual presentation.
+ */
+const COUNTRY_FORMATS = {
+  US: {
+    name: 'United States',
+    postalCode: /^\d{5}(\d{4})?$/,
+    postalLabel: 'ZIP code',
+    format: code => (code.length === 9 ? `${code.slice(0, 5)}-${code.slice(5)}` : code),
+    stateRequired: true,
+    statePattern: /^[A-Z]{2}$/,
+    stateLabel: 'two-letter state code'
+  },
+  CA: {
+    name: 'Canada',
+    postalCode: /^[ABCEGHJ-NPRSTVXY]\d[A-Z]\d[A-Z]\d$/,
+    postalLabel: 'postal code',
+    format: code => `${code.slice(0, 3)} ${code.slice(3)}`,
+    stateRequired: true,
+    statePattern: /^(AB|BC|MB|NB|NL|NS|NT|NU|ON|PE|QC|SK|YT)$/,
+    stateLabel: 'two-letter province code'
+  },
+  GB: {
+    name: 'United Kingdom',
+    postalCode: /^[A-Z]{1,2}\d[A-Z\d]?\d[A-Z]{2}$/,
+    postalLabel: 'postcode',
+    format: code => `${code.slice(0, -3)} ${code.slice(-3)}`,
+    stateRequired: false
+  },
+  AU: {
+    name: 'Australia',
+    postalCode: /^\d{4}$/,
+    postalLabel: 'postcode',
+    stateRequired: true,
+    statePattern: /^(ACT|NSW|NT|QLD|SA|TAS|VIC|WA)$/,
+    stateLabel: 'state or territory code'
+  },
+  DE: {
+    name: 'Germany',
+    postalCode: /^\d{5}$/,
+    postalLabel: 'postcode',
+    stateRequired: false
+  },
+  FR: {
+    name: 'France',
+    postalCode: /^\d{5}$/,
+    postalLabel: 'postcode',
+    stateRequired: false
+  }
+};
+
+const MAX_ADDRESSES = 20;
+const MAX_FIELD_LENGTH = 100;
+
+const TEXT_FIELDS = ['label', 'firstName', 'lastName', 'company', 'address', 'address2', 'city', 'state', 'phone'];
+
+/**
+ * Address Book Service
+ * A customer has at most one default shipping and one default billing
+ * address. The first saved address becomes both defaults, and deleting a
+ * default hands the flag to the customer's oldest remaining address.
+ */
+class AddressService {
+  constructor(services) {
+    this.logger = services.logger;
+    this.addresses = new Repository(services, 'addresses');
+  }
+
+  /**
+   * Validate an address against its country's format and normalise it.
+   * Countries without a known format only need a two-letter code.
+   */
+  normalizeAddress(data) {
+    const address = {};
+    TEXT_FIELDS.forEach(field => {
+      address[field] = data[field] === undefined || data[field] === null ? '' : String(data[field]).trim();
+      if (address[field].length > MAX_FIELD_LENGTH) {
+        throw this.createError(`${field} must be at most ${MAX_FIELD_LENGTH} characters`, 400);
+      }
+    });
+
+    const missing = ['firstName', 'lastName', 'address', 'city'].filter(field => !address[field]);
+    if (missing.length > 0) {
+      throw this.createError(`Missing required address fields: ${missing.join(', ')}`, 400);
+    }
+
+    const country = String(data.country || '').trim().toUpperCase();
+    if (!/^[A-Z]{2}$/.test(country)) {
+      throw this.createError('Country must be a two-letter country code', 400);
+    }
+    address.country = country;
+
+    const format = COUNTRY_FORMATS[country];
+    const postalCode = String(data.zipCode || data.postalCode || '').replace(/\s+/g, '').toUpperCase();
+
+    if (format) {
+      if (!format.postalCode.test(postalCode.replace(/-/g, ''))) {
+        throw this.createError(`Enter a valid ${format.postalLabel} for ${format.name}`, 400);
+      }
+      address.zipCode = format.format ? format.format(postalCode.replace(/-/g, '')) : postalCode;
+
+      address.state = address.state.toUpperCase();
+      if (format.stateRequired && !address.state) {
+        throw this.createError(`State is required for ${format.name}`, 400);
+      }
+      if (address.state && format.statePattern && !format.statePattern.test(address.state)) {
+        throw this.createError(`State must be a valid ${format.stateLabel} for ${format.name}`, 400);
+      }
+    } else {
+      address.zipCode = postalCode;
+    }
+
+    if (address.phone && !/^\+?[\d\s().-]{6,20}$/.test(address.phone)) {
+      throw this.createError('Phone number is not valid', 400);
+    }
+
+    return address;
+  }
+
+  /**
+   * A user's addresses, defaults first
+   */
+  async listAddresses(userId) {
+    const addresses = await this.addresses.find(address => address.userId === userId);
+
+    return addresses.sort((a, b) =>
+      (b.isDefaultShipping - a.isDefaultShipping) ||
+      (b.isDefaultBilling - a.isDefaultBilling) ||
+      new Date(a.createdAt) - new Date(b.createdAt)
+    );
+  }
+
+  /**
+   * Get one of a user's addresses. Other users' addresses are not found.
+   */
+  async getAddress(userId, addressId) {
+    const address = await this.addresses.findById(addressId);
+    if (!address || address.userId !== userId) {
+      throw this.createError('Address not found', 404);
+    }
+    return address;
+  }
+
+  async createAddress(userId, data) {
+    const existing = await this.addresses.find(address => address.userId === userId);
+    if (existing.length >= MAX_ADDRESSES) {
+      throw this.createError(`An address book can hold at most ${MAX_ADDRESSES} addresses`, 400);
+    }
+
+    const address = await this.addresses.create({
+      ...this.normalizeAddress(data),
+      userId,
+      isDefaultShipping: existing.length === 0 || data.isDefaultShipping === true,
+      isDefaultBilling: existing.length === 0 || data.isDefaultBilling === true
+    });
+
+    await this.clearOtherDefaults(address);
+    return address;
+  }
+
+  /**
+   * Update an address. Defaults can be set here but not cleared; set another
+   * address as the default instead.
+   */
+  async updateAddress(userId, addressId, data, expectedVersion) {
+    const existing = await this.getAddress(userId, addressId);
+
+    const address = await this.addresses.update(addressId, {
+      ...this.normalizeAddress({ ...existing, ...data }),
+      isDefaultShipping: existing.isDefaultShipping || data.isDefaultShipping === true,
+      isDefaultBilling: existing.isDefaultBilling || data.isDefaultBilling === true
+    }, { expectedVersion });
+
+    await this.clearOtherDefaults(address);
+    return address;
+  }
+
+  async deleteAddress(userId, addressId) {
+    const address = await this.getAddress(userId, addressId);
+    await this.addresses.remove(addressId);
+
+    if (address.isDefaultShipping || address.isDefaultBilling) {
+      const [next] = (await this.addresses.find(entry => entry.userId === userId))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+      if (next) {
+        await this.addresses.update(next.id, current => ({
+          isDefaultShipping: current.isDefaultShipping || address.isDefaultShipping,
+          isDefaultBilling: current.isDefaultBilling || address.isDefaultBilling
+        }));
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * The default shipping or billing address of a user, or null
+   */
+  async getDefaultAddress(userId, type = 'shipping') {
+    const flag = type === 'billing' ? 'isDefaultBilling' : 'isDefaultShipping';
+    const addresses = await this.addresses.find(address => address.userId === userId && address[flag]);
+    return addresses[0] || null;
+  }
+
+  /**
+   * Copy of a saved address for a quote or order, so later edits to the
+   * address book do not change order history
+   */
+  async getSnapshot(userId, addressId) {
+    const address = await this.getAddress(userId, addressId);
+    return AddressService.toSnapshot(address);
+  }
+
+  async clearOtherDefaults(address) {
+    const flags = ['isDefaultShipping', 'isDefaultBilling'].filter(flag => address[flag]);
+    if (flags.length === 0) {
+      return;
+    }
+
+    const others = await this.addresses.find(entry =>
+      entry.userId === address.userId && entry.id !== address.id && flags.some(flag => entry[flag])
+    );
+
+    for (const other of others) {
+      const changes = {};
+      flags.forEach(flag => { changes[flag] = false; });
+      await this.addresses.update(other.id, changes);
+    }
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  static toSnapshot(address) {
+    const snapshot = { addressId: address.id };
+    [...TEXT_FIELDS, 'zipCode', 'country'].forEach(field => {
+      snapshot[field] = address[field];
+    });
+    return snapshot;
+  }
+}
+
+AddressService.COUNTRY_FORMATS = COUNTRY_FORMATS;
+
+module.exports = AddressService;
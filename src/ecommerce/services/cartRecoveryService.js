@@ -0,0 +1,269 @@
+/**
+ * @fileoverview Cart Recovery Service
+ * Finds abandoned carts, issues signed restore-cart links and attributes
+ * orders placed from recovered carts as recovered revenue
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const Repository = require('./repository');
+const CartService = require('./cartService');
+const PricingService = require('./pricingService');
+
+const DEFAULT_IDLE_MINUTES = 60;
+const DEFAULT_LOOKBACK_DAYS = 7;
+const DEFAULT_LINK_DAYS = 7;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Cart Recovery Service
+ * Every step is recorded as an event in the `analytics` container:
+ * `abandoned_cart_email` when a reminder is queued, `abandoned_cart_restored`
+ * when its link is used and `cart_recovered` when the cart becomes an order.
+ * A cart is emailed at most once per cart version, so it is only emailed
+ * again after the customer changes it and leaves it idle once more.
+ */
+class CartRecoveryService {
+  constructor(services, options = {}) {
+    this.logger = services.logger;
+    this.users = new Repository(services, 'users');
+    this.analytics = new Repository(services, 'analytics');
+    this.cartService = options.cartService || new CartService(services);
+    this.pricingService = options.pricingService || new PricingService(services);
+    this.secret = options.secret || process.env.CART_RECOVERY_SECRET || process.env.JWT_SECRET || 'ecommerce-secret-key';
+    this.idleMinutes = options.idleMinutes ||
+      parseInt(process.env.ABANDONED_CART_MINUTES) || DEFAULT_IDLE_MINUTES;
+    this.lookbackDays = options.lookbackDays ||
+      parseInt(process.env.ABANDONED_CART_LOOKBACK_DAYS) || DEFAULT_LOOKBACK_DAYS;
+    this.linkDays = options.linkDays || DEFAULT_LINK_DAYS;
+    this.storeUrl = options.storeUrl || process.env.STORE_URL || '/applications/ecommerce';
+  }
+
+  /**
+   * Find carts that have been idle past the threshold, belong to a user with
+   * an email address and have not been emailed since they last changed.
+   * Carts idle for longer than the lookback window are left alone.
+   */
+  async findAbandonedCarts(now = new Date()) {
+    const idleBefore = now.getTime() - this.idleMinutes * 60 * 1000;
+    const idleAfter = now.getTime() - this.lookbackDays * 24 * 60 * 60 * 1000;
+
+    const carts = await this.cartService.carts.find(cart => {
+      if (cart.status !== 'active' || !cart.userId || !cart.items || cart.items.length === 0) {
+        return false;
+      }
+      const updatedAt = new Date(cart.updatedAt).getTime();
+      return updatedAt <= idleBefore && updatedAt > idleAfter;
+    });
+
+    const abandoned = [];
+    for (const cart of carts) {
+      const user = await this.users.findById(cart.userId);
+      if (!user || !user.email) {
+        continue;
+      }
+
+      const emailed = await this.analytics.find(record =>
+        record.event === 'abandoned_cart_email' &&
+        record.data?.cartId === cart.id &&
+        record.data?.cartVersion === cart.version
+      );
+      if (emailed.length > 0) {
+        continue;
+      }
+
+      abandoned.push({ cart, user });
+    }
+
+    return abandoned;
+  }
+
+  /**
+   * Build the reminder email for an abandoned cart and record that it was sent
+   */
+  async prepareReminder(cart, user) {
+    const pricing = await this.pricingService.priceCart(cart, { userId: user.id });
+    const cartValue = roundCurrency(pricing.total);
+
+    const email = {
+      type: 'abandoned_cart',
+      recipientEmail: user.email,
+      recipientName: user.firstName || null,
+      cartId: cart.id,
+      items: pricing.items
+        .filter(line => !line.unavailable)
+        .map(line => ({ name: line.name, quantity: line.quantity, unitPrice: line.unitPrice })),
+      cartValue,
+      restoreUrl: this.buildRestoreUrl(cart)
+    };
+
+    await this.trackEvent('abandoned_cart_email', {
+      cartId: cart.id,
+      cartVersion: cart.version,
+      userId: user.id,
+      recipientEmail: user.email,
+      cartValue
+    });
+
+    return email;
+  }
+
+  /**
+   * Sign a restore link for a cart. The token names the cart and its owner
+   * and expires after the link lifetime.
+   */
+  createRestoreToken(cart, now = new Date()) {
+    const payload = Buffer.from(JSON.stringify({
+      cartId: cart.id,
+      userId: cart.userId,
+      expiresAt: new Date(now.getTime() + this.linkDays * 24 * 60 * 60 * 1000).toISOString()
+    })).toString('base64url');
+
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  buildRestoreUrl(cart) {
+    return `${this.storeUrl}/?restoreCart=${encodeURIComponent(this.createRestoreToken(cart))}`;
+  }
+
+  /**
+   * Check a restore token's signature and expiry and return its payload
+   */
+  verifyRestoreToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) {
+      throw this.createError('Restore link is invalid', 400);
+    }
+
+    const expected = Buffer.from(this.sign(payload));
+    const provided = Buffer.from(signature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      throw this.createError('Restore link is invalid', 400);
+    }
+
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (new Date(data.expiresAt) <= new Date()) {
+      throw this.createError('Restore link has expired', 410);
+    }
+
+    return data;
+  }
+
+  /**
+   * Restore the cart named by a signed link into the current session
+   */
+  async restoreCart(token, sessionId) {
+    if (!sessionId) {
+      throw this.createError('Session ID is required', 400);
+    }
+
+    const { cartId, userId } = this.verifyRestoreToken(token);
+
+    const cart = await this.cartService.carts.findById(cartId);
+    if (!cart || cart.userId !== userId || cart.status !== 'active' || cart.items.length === 0) {
+      throw this.createError('This cart is no longer available', 410);
+    }
+
+    // The owner's cart takes over the session, picking up anything added there
+    const { cart: restored, adjustments } = await this.cartService.mergeOnLogin(sessionId, userId);
+    if (!restored || restored.id !== cart.id || restored.sessionId !== sessionId) {
+      throw this.createError('This cart is no longer available', 410);
+    }
+
+    await this.trackEvent('abandoned_cart_restored', { cartId, userId, sessionId });
+    this.logger.info(`Abandoned cart ${cartId} restored into session ${sessionId}`);
+
+    return { cart: restored, adjustments };
+  }
+
+  /**
+   * Attribute an order to the recovery email sent for its cart, if any was
+   * sent since the cart last placed an order. Returns the recovery event.
+   */
+  async recordRecovery(cart, order) {
+    if (!cart) {
+      return null;
+    }
+
+    const emails = await this.analytics.find(record =>
+      record.event === 'abandoned_cart_email' &&
+      record.data?.cartId === cart.id &&
+      !record.data?.recoveredOrderId &&
+      new Date(record.timestamp).getTime() > Date.now() - this.linkDays * 24 * 60 * 60 * 1000
+    );
+    if (emails.length === 0) {
+      return null;
+    }
+
+    for (const email of emails) {
+      await this.analytics.update(email.id, { data: { ...email.data, recoveredOrderId: order.id } });
+    }
+
+    const revenue = roundCurrency(order.totalAmount);
+    this.logger.info(`Order ${order.orderNumber} recovered abandoned cart ${cart.id} ($${revenue})`);
+
+    return this.trackEvent('cart_recovered', {
+      cartId: cart.id,
+      userId: order.userId,
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      revenue
+    });
+  }
+
+  /**
+   * Summarise recovery emails, restores and recovered revenue
+   */
+  async getSummary({ startDate, endDate } = {}) {
+    const events = await this.analytics.find(record => {
+      if (!['abandoned_cart_email', 'abandoned_cart_restored', 'cart_recovered'].includes(record.event)) {
+        return false;
+      }
+      const timestamp = new Date(record.timestamp);
+      return (!startDate || timestamp >= new Date(startDate)) && (!endDate || timestamp <= new Date(endDate));
+    });
+
+    const count = (event) => events.filter(record => record.event === event).length;
+    const recoveries = events.filter(record => record.event === 'cart_recovered');
+    const emailsSent = count('abandoned_cart_email');
+    const recoveredRevenue = roundCurrency(recoveries.reduce((sum, record) => sum + record.data.revenue, 0));
+
+    return {
+      emailsSent,
+      cartsRestored: count('abandoned_cart_restored'),
+      ordersRecovered: recoveries.length,
+      recoveredRevenue,
+      recoveryRate: emailsSent > 0 ? Math.round((recoveries.length / emailsSent) * 10000) / 100 : 0,
+      idleMinutes: this.idleMinutes
+    };
+  }
+
+  /**
+   * Record an event in the same shape as the analytics_tracking job
+   */
+  async trackEvent(event, data) {
+    return this.analytics.create({
+      event,
+      data,
+      timestamp: new Date().toISOString(),
+      processed: false
+    });
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('hex');
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = CartRecoveryService;
@@ -0,0 +1,274 @@
+/**
+ * @fileoverview Cart Service
+ * Persists carts in DataServe for anonymous sessions and signed-in users,
+ * merges carts on login and keeps each user's saved-for-later list
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const Repository = require('./repository');
+const InventoryService = require('./inventoryService');
+
+/**
+ * Cart Service
+ * Every active cart is reachable by the session that is using it. A user has
+ * at most one active cart; on login it takes over the current session.
+ */
+class CartService {
+  constructor(services, options = {}) {
+    this.logger = services.logger;
+    this.carts = new Repository(services, 'carts');
+    this.savedItems = new Repository(services, 'saved_items');
+    this.inventoryService = options.inventoryService || new InventoryService(services);
+  }
+
+  static isSameLine(a, b) {
+    return a.productId === b.productId && (a.variantId || null) === (b.variantId || null);
+  }
+
+  /**
+   * A cart belongs to the user it was created for; an anonymous cart to
+   * whoever holds its session
+   */
+  static belongsTo(cart, userId) {
+    return !cart.userId || cart.userId === userId;
+  }
+
+  /**
+   * Read a line quantity from a request. Resolves to a whole number greater
+   * than zero, or null for anything else; numeric strings are accepted.
+   */
+  static parseQuantity(value) {
+    const quantity = typeof value === 'string' && /^\s*\d+\s*$/.test(value) ? Number(value) : value;
+    return Number.isInteger(quantity) && quantity > 0 ? quantity : null;
+  }
+
+  /**
+   * Get the active cart for a session
+   */
+  async getCart(sessionId) {
+    if (!sessionId) {
+      return null;
+    }
+    const carts = await this.carts.find(cart => cart.sessionId === sessionId && cart.status === 'active');
+    return carts[0] || null;
+  }
+
+  /**
+   * Get the active cart owned by a user
+   */
+  async getUserCart(userId) {
+    const carts = await this.carts.find(cart => cart.userId === userId && cart.status === 'active');
+    return carts[0] || null;
+  }
+
+  /**
+   * Create or update a cart. Returns the stored cart.
+   */
+  async saveCart(cart) {
+    const { items, couponCodes } = cart;
+
+    if (!cart.id) {
+      return this.carts.create({
+        sessionId: cart.sessionId,
+        userId: cart.userId || null,
+        items: items || [],
+        couponCodes: couponCodes || [],
+        status: 'active'
+      });
+    }
+
+    return this.carts.update(cart.id, { items, couponCodes: couponCodes || [] });
+  }
+
+  /**
+   * Empty a session's cart once its order has been placed
+   */
+  async clearCart(sessionId, orderId) {
+    const cart = await this.getCart(sessionId);
+    if (!cart) {
+      return null;
+    }
+
+    return this.carts.update(cart.id, {
+      items: [],
+      couponCodes: [],
+      lastOrderId: orderId
+    });
+  }
+
+  /**
+   * Merge the anonymous cart for a session into the user's cart.
+   * Quantities for the same line are summed and capped at available stock.
+   * The user's cart then belongs to the current session.
+   */
+  async mergeOnLogin(sessionId, userId) {
+    const sessionCart = await this.getCart(sessionId);
+    let userCart = await this.getUserCart(userId);
+    const adjustments = [];
+
+    if (sessionCart && sessionCart.userId && sessionCart.userId !== userId) {
+      // Another user's cart on a shared device is left alone
+      return { cart: userCart, adjustments };
+    }
+
+    if (!userCart) {
+      if (!sessionCart) {
+        return { cart: null, adjustments };
+      }
+      userCart = await this.carts.update(sessionCart.id, { userId });
+      return { cart: userCart, adjustments };
+    }
+
+    if (!sessionCart || sessionCart.id === userCart.id) {
+      userCart = await this.carts.update(userCart.id, { sessionId });
+      return { cart: userCart, adjustments };
+    }
+
+    const items = userCart.items.map(item => ({ ...item }));
+    for (const item of sessionCart.items) {
+      const existing = items.find(line => CartService.isSameLine(line, item));
+      if (existing) {
+        existing.quantity += item.quantity;
+      } else {
+        items.push({ ...item });
+      }
+    }
+
+    for (const item of items) {
+      const record = await this.inventoryService.findInventoryRecord(item.productId, item.variantId);
+      const available = record ? Math.max(0, record.quantity - (record.reserved || 0)) : 0;
+      if (item.quantity > available) {
+        adjustments.push({
+          productId: item.productId,
+          variantId: item.variantId || null,
+          name: item.name || null,
+          requested: item.quantity,
+          quantity: available
+        });
+        item.quantity = available;
+      }
+    }
+
+    // Any reservation made for either cart no longer matches
+    await this.inventoryService.releaseForSession(sessionId, 'cart_merged');
+    await this.inventoryService.releaseForSession(userCart.sessionId, 'cart_merged');
+
+    await this.carts.update(sessionCart.id, { status: 'merged', mergedInto: userCart.id });
+    userCart = await this.carts.update(userCart.id, {
+      sessionId,
+      items: items.filter(item => item.quantity > 0),
+      couponCodes: [...new Set([...(userCart.couponCodes || []), ...(sessionCart.couponCodes || [])])]
+    });
+
+    this.logger.info(`Merged cart ${sessionCart.id} into cart ${userCart.id} for user ${userId}`);
+
+    return { cart: userCart, adjustments };
+  }
+
+  /**
+   * List a user's saved-for-later items
+   */
+  async getSavedItems(userId) {
+    const items = await this.savedItems.findBy('userId', userId);
+    return items.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Move a cart line to the user's saved-for-later list
+   */
+  async saveForLater(sessionId, userId, productId, variantId = null) {
+    const cart = await this.getCart(sessionId);
+    if (cart && !CartService.belongsTo(cart, userId)) {
+      throw this.createError('Cart not found', 404);
+    }
+    const item = cart && cart.items.find(line => CartService.isSameLine(line, { productId, variantId }));
+    if (!item) {
+      throw this.createError('Item not found in cart', 404);
+    }
+
+    const saved = await this.savedItems.find(entry =>
+      entry.userId === userId && CartService.isSameLine(entry, item)
+    );
+    const savedItem = saved[0]
+      ? await this.savedItems.update(saved[0].id, { quantity: saved[0].quantity + item.quantity })
+      : await this.savedItems.create({
+        userId,
+        productId: item.productId,
+        variantId: item.variantId || null,
+        name: item.name || null,
+        quantity: item.quantity
+      });
+
+    await this.inventoryService.releaseForSession(sessionId, 'cart_changed');
+    const updatedCart = await this.saveCart({
+      ...cart,
+      items: cart.items.filter(line => line !== item)
+    });
+
+    return { cart: updatedCart, savedItem };
+  }
+
+  /**
+   * Move a saved-for-later item back into the session's cart
+   */
+  async moveToCart(sessionId, userId, savedItemId) {
+    const savedItem = await this.savedItems.findById(savedItemId);
+    if (!savedItem || savedItem.userId !== userId) {
+      throw this.createError('Saved item not found', 404);
+    }
+
+    const cart = (await this.getCart(sessionId)) || { sessionId, userId, items: [] };
+    if (!CartService.belongsTo(cart, userId)) {
+      throw this.createError('Cart not found', 404);
+    }
+    const items = cart.items.map(item => ({ ...item }));
+    const existing = items.find(line => CartService.isSameLine(line, savedItem));
+    const quantity = savedItem.quantity + (existing ? existing.quantity : 0);
+
+    const shortages = await this.inventoryService.findShortages([{ ...savedItem, quantity }]);
+    if (shortages.length > 0) {
+      throw InventoryService.createOutOfStockError(shortages);
+    }
+
+    if (existing) {
+      existing.quantity = quantity;
+    } else {
+      items.push({
+        productId: savedItem.productId,
+        variantId: savedItem.variantId,
+        name: savedItem.name,
+        quantity: savedItem.quantity,
+        addedAt: new Date().toISOString()
+      });
+    }
+
+    await this.inventoryService.releaseForSession(sessionId, 'cart_changed');
+    const updatedCart = await this.saveCart({ ...cart, items });
+    await this.savedItems.remove(savedItem.id);
+
+    return updatedCart;
+  }
+
+  /**
+   * Remove an item from the saved-for-later list
+   */
+  async removeSavedItem(userId, savedItemId) {
+    const savedItem = await this.savedItems.findById(savedItemId);
+    if (!savedItem || savedItem.userId !== userId) {
+      throw this.createError('Saved item not found', 404);
+    }
+    return this.savedItems.remove(savedItemId);
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = CartService;
@@ -0,0 +1,848 @@
+/**
+ * @fileoverview Catalog Import Service
+ * Bulk imports products and variants from CSV or JSON as a background job,
+ * and exports the catalog in the same layout
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const dns = require('dns');
+const net = require('net');
+const path = require('path');
+const Repository = require('./repository');
+const ProductService = require('./productService');
+const CategoryService = require('./categoryService');
+const VariantService = require('./variantService');
+const ImageService = require('./imageService');
+const { listZip, readZip } = require('./zipReader');
+
+const IMPORT_FORMATS = ['csv', 'json'];
+
+/**
+ * Columns shared by import and export. Variant options and product
+ * attributes get a column each, named `option:<Name>` and `attr:<Name>`.
+ */
+const COLUMNS = [
+  'sku', 'parentSku', 'name', 'description', 'price', 'salePrice', 'category', 'brand',
+  'tags', 'status', 'taxClass', 'weight', 'unitCost', 'inventory', 'images'
+];
+const OPTION_PREFIX = 'option:';
+const ATTRIBUTE_PREFIX = 'attr:';
+
+// Tags and images share a cell, separated by a pipe
+const LIST_SEPARATOR = '|';
+const CATEGORY_SEPARATOR = '>';
+
+const PROGRESS_INTERVAL = 25;
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const IMAGE_FETCH_TIMEOUT_MS = 15000;
+const MAX_IMAGE_REDIRECTS = 3;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Loopback, private, link-local and other addresses an image URL must not
+// reach, so an import cannot be used to probe the internal network
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Catalog Import Service
+ * Every row is upserted by SKU: a row with a `parentSku` is a variant of
+ * that product, any other row is a product. Empty cells leave the current
+ * value alone, so a sheet with only `sku` and `inventory` is a stock update.
+ * A dry run validates every row and reports what would be created or
+ * updated without writing anything.
+ *
+ * Imports are queued as `catalog_import` jobs; the import record carries the
+ * progress and the per-row errors for polling.
+ */
+class CatalogImportService {
+  constructor(services, options = {}) {
+    this.services = services;
+    this.logger = services.logger;
+    this.filing = services.filing;
+    this.imports = new Repository(services, 'catalog_imports');
+    this.products = new Repository(services, 'products');
+    this.variants = new Repository(services, 'product_variants');
+    this.categories = new Repository(services, 'categories');
+    this.inventory = new Repository(services, 'inventory');
+    this.productService = options.productService || new ProductService(services);
+    this.categoryService = options.categoryService || new CategoryService(services);
+    this.variantService = options.variantService || new VariantService(services);
+    this.imageService = options.imageService || new ImageService(services, { productService: this.productService });
+    this.fetch = options.fetch || global.fetch;
+    this.lookup = options.lookup || dns.promises.lookup;
+  }
+
+  get jobProcessor() {
+    return this.services.jobProcessor;
+  }
+
+  /**
+   * Check and store an upload, then queue it. `file` and `images` are
+   * multer files; `images` is an optional zip the rows can refer to by name.
+   */
+  async createImport({ file, images, dryRun = false }, user) {
+    if (!file) {
+      throw this.createError('A CSV or JSON file is required', 400);
+    }
+
+    const format = CatalogImportService.detectFormat(file);
+    const rows = CatalogImportService.parseRows(format, file.buffer);
+    if (rows.length === 0) {
+      throw this.createError('The file has no rows to import', 400);
+    }
+    // The zip is only listed here; its images are unpacked by the job
+    if (images) {
+      listZip(images.buffer);
+    }
+
+    const record = await this.imports.create({
+      status: 'queued',
+      dryRun: Boolean(dryRun),
+      format,
+      fileName: file.originalname,
+      imagesFileName: images ? images.originalname : null,
+      totalRows: rows.length,
+      processedRows: 0,
+      created: 0,
+      updated: 0,
+      failed: 0,
+      results: [],
+      errors: [],
+      warnings: [],
+      categoriesCreated: [],
+      createdBy: user.id,
+      queuedAt: new Date().toISOString()
+    });
+
+    const directory = `imports/${record.id}`;
+    await this.filing.create(`${directory}/source.${format}`, file.buffer);
+    if (images) {
+      await this.filing.create(`${directory}/images.zip`, images.buffer);
+    }
+
+    const jobId = await this.jobProcessor.addJob('catalog_import', { importId: record.id });
+    this.logger.info(`Catalog import queued: ${record.id} (${rows.length} rows${dryRun ? ', dry run' : ''})`);
+
+    return this.imports.update(record.id, { jobId });
+  }
+
+  async getImport(importId) {
+    const record = await this.imports.findById(importId);
+    if (!record) {
+      throw this.createError('Import not found', 404);
+    }
+    return { ...record, progress: CatalogImportService.progress(record) };
+  }
+
+  async listImports() {
+    const records = await this.imports.find(() => true);
+    return records
+      .sort((a, b) => new Date(b.queuedAt) - new Date(a.queuedAt))
+      .map(({ results, ...record }) => ({ ...record, progress: CatalogImportService.progress(record) }));
+  }
+
+  /**
+   * Run a queued import. Row failures are recorded and the import carries
+   * on; only an unreadable upload fails the whole import.
+   */
+  async runImport(importId) {
+    const record = await this.imports.update(importId, current => {
+      if (current.status !== 'queued') {
+        throw this.createError(`Import is already ${current.status}`, 409);
+      }
+      return { status: 'running', startedAt: new Date().toISOString() };
+    });
+
+    const directory = `imports/${importId}`;
+    let rows;
+    let zipEntries = new Map();
+    try {
+      rows = CatalogImportService.parseRows(record.format, await this.filing.read(`${directory}/source.${record.format}`));
+      if (record.imagesFileName) {
+        zipEntries = CatalogImportService.indexZipEntries(readZip(await this.filing.read(`${directory}/images.zip`)));
+      }
+    } catch (error) {
+      this.logger.error(`Catalog import ${importId} could not read its upload:`, error);
+      return this.imports.update(importId, { status: 'failed', error: error.message, completedAt: new Date().toISOString() });
+    }
+
+    const context = {
+      dryRun: record.dryRun,
+      userId: record.createdBy,
+      zipEntries,
+      seenSkus: new Map(),
+      plannedProducts: new Set(),
+      plannedCategories: new Map(),
+      categoriesCreated: [],
+      warnings: []
+    };
+    const totals = { created: 0, updated: 0, failed: 0 };
+    const results = [];
+    const errors = [];
+
+    for (let index = 0; index < rows.length; index++) {
+      const rowNumber = record.format === 'csv' ? index + 2 : index + 1;
+      const row = CatalogImportService.normalizeRow(rows[index]);
+      context.rowNumber = rowNumber;
+
+      try {
+        const { action, type } = await this.importRow(row, context);
+        totals[action === 'create' ? 'created' : 'updated']++;
+        results.push({ row: rowNumber, sku: row.sku, type, action });
+      } catch (error) {
+        if (!error.status) {
+          this.logger.error(`Catalog import ${importId} row ${rowNumber} failed:`, error);
+        }
+        totals.failed++;
+        errors.push({ row: rowNumber, sku: row.sku || null, message: error.message });
+        results.push({ row: rowNumber, sku: row.sku || null, type: row.parentSku ? 'variant' : 'product', action: 'error' });
+      }
+
+      if ((index + 1) % PROGRESS_INTERVAL === 0 && index + 1 < rows.length) {
+        await this.imports.update(importId, { processedRows: index + 1, ...totals, errors, warnings: context.warnings });
+      }
+    }
+
+    const completed = await this.imports.update(importId, {
+      status: 'completed',
+      processedRows: rows.length,
+      ...totals,
+      results,
+      errors,
+      warnings: context.warnings,
+      categoriesCreated: context.categoriesCreated,
+      completedAt: new Date().toISOString()
+    });
+
+    this.logger.info(`Catalog import ${importId} ${record.dryRun ? 'validated' : 'completed'}: ` +
+      `${totals.created} created, ${totals.updated} updated, ${totals.failed} failed`);
+
+    return completed;
+  }
+
+  /**
+   * Upsert one normalized row. Resolves to the action taken, or that would
+   * be taken in a dry run.
+   */
+  async importRow(row, context) {
+    if (!row.sku) {
+      throw this.createError('SKU is required', 400);
+    }
+    if (context.seenSkus.has(row.sku)) {
+      throw this.createError(`SKU ${row.sku} appears more than once in this file (first on row ${context.seenSkus.get(row.sku)})`, 400);
+    }
+    context.seenSkus.set(row.sku, context.rowNumber);
+
+    for (const reference of row.images) {
+      if (!CatalogImportService.isUrl(reference) && !context.zipEntries.has(path.basename(reference).toLowerCase())) {
+        throw this.createError(`Image ${reference} is not a URL and is not in the uploaded zip`, 400);
+      }
+    }
+
+    return row.parentSku ? this.importVariant(row, context) : this.importProduct(row, context);
+  }
+
+  async importProduct(row, context) {
+    const [existing] = await this.products.find(product => product.sku === row.sku && product.status !== 'deleted');
+    if (!existing && (await this.variants.findBy('sku', row.sku)).length > 0) {
+      throw this.createError(`SKU ${row.sku} belongs to a variant; set parentSku to update it`, 409);
+    }
+
+    const data = {};
+    for (const field of ['name', 'description', 'price', 'salePrice', 'brand', 'status', 'taxClass', 'weight', 'unitCost', 'inventory']) {
+      if (row[field] !== undefined) {
+        data[field] = row[field];
+      }
+    }
+    if (row.tags.length > 0) {
+      data.tags = row.tags;
+    }
+    if (Object.keys(row.attributes).length > 0) {
+      data.attributes = { ...(existing?.attributes || {}), ...row.attributes };
+    }
+    if (data.inventory !== undefined) {
+      data.inventory = this.parseQuantity(data.inventory);
+    }
+    if (data.weight !== undefined) {
+      data.weight = parseFloat(data.weight);
+      if (isNaN(data.weight) || data.weight < 0) {
+        throw this.createError('Weight must be a non-negative number', 400);
+      }
+    }
+
+    if (!existing) {
+      for (const field of ['name', 'description', 'price', 'category']) {
+        if (!row[field]) {
+          throw this.createError(`${field} is required for a new product`, 400);
+        }
+      }
+    }
+    this.productService.validateProductFields(data);
+
+    if (row.category) {
+      data.category = await this.resolveCategoryPath(row.category, context);
+    }
+
+    const action = existing ? 'update' : 'create';
+    if (context.dryRun) {
+      context.plannedProducts.add(row.sku);
+      return { action, type: 'product' };
+    }
+
+    const product = existing
+      ? await this.productService.updateProduct(existing.id, data, context.userId)
+      : await this.productService.createProduct({ ...data, sku: row.sku }, context.userId);
+
+    await this.attachImages(product, row.images, context);
+
+    return { action, type: 'product' };
+  }
+
+  async importVariant(row, context) {
+    const [parent] = await this.products.find(product => product.sku === row.parentSku && product.status !== 'deleted');
+    if (!parent && !(context.dryRun && context.plannedProducts.has(row.parentSku))) {
+      throw this.createError(`Parent product ${row.parentSku} not found`, 400);
+    }
+
+    const [existing] = await this.variants.findBy('sku', row.sku);
+    if (existing && existing.productId !== parent?.id) {
+      throw this.createError(`SKU ${row.sku} belongs to a variant of another product`, 409);
+    }
+    if (!existing && (await this.products.findBy('sku', row.sku)).length > 0) {
+      throw this.createError(`SKU ${row.sku} belongs to a product`, 409);
+    }
+
+    const data = {};
+    for (const field of ['price', 'salePrice', 'weight', 'status']) {
+      if (row[field] !== undefined) {
+        data[field] = row[field];
+      }
+    }
+    if (row.inventory !== undefined) {
+      data.inventory = this.parseQuantity(row.inventory);
+    }
+    if (Object.keys(row.options).length > 0) {
+      data.options = row.options;
+    } else if (!existing) {
+      throw this.createError(`A new variant needs at least one ${OPTION_PREFIX}<Name> column`, 400);
+    }
+
+    this.variantService.normalizeFields({ ...(existing || {}), ...data });
+
+    const action = existing ? 'update' : 'create';
+    if (context.dryRun) {
+      return { action, type: 'variant' };
+    }
+
+    const variant = existing
+      ? await this.variantService.updateVariant(parent.id, existing.id, data, context.userId)
+      : await this.variantService.createVariant(parent.id, parent, { ...data, sku: row.sku }, context.userId);
+
+    const imageIds = await this.attachImages(parent, row.images, context);
+    if (imageIds.length > 0) {
+      await this.variantService.updateVariant(parent.id, variant.id, {
+        images: [...new Set([...(variant.images || []), ...imageIds])]
+      }, context.userId);
+    }
+
+    return { action, type: 'variant' };
+  }
+
+  /**
+   * Find or create each category along a path such as
+   * "Home > Kitchen > Mugs" and resolve to the last name, which is how
+   * products refer to their category. A lone name matches the category of
+   * that name wherever it sits.
+   */
+  async resolveCategoryPath(categoryPath, context) {
+    const names = categoryPath.split(CATEGORY_SEPARATOR).map(name => name.trim()).filter(Boolean);
+    if (names.length === 0) {
+      throw this.createError('Category is empty', 400);
+    }
+
+    let parentId = null;
+    let trail = '';
+    for (let depth = 0; depth < names.length; depth++) {
+      const name = names[depth];
+      trail = trail ? `${trail} ${CATEGORY_SEPARATOR} ${name}` : name;
+
+      const [category] = await this.categories.find(entry =>
+        entry.status !== 'deleted' && entry.name.toLowerCase() === name.toLowerCase());
+
+      if (category) {
+        if (depth > 0 && (category.parentCategoryId || null) !== parentId) {
+          throw this.createError(`Category ${category.name} already exists outside ${trail.slice(0, trail.lastIndexOf(CATEGORY_SEPARATOR)).trim()}`, 400);
+        }
+        parentId = category.id;
+        continue;
+      }
+
+      const planned = context.plannedCategories.get(name.toLowerCase());
+      if (planned) {
+        if (planned.parentId !== parentId) {
+          throw this.createError(`Category ${name} is given two different parents in this file`, 400);
+        }
+        parentId = planned.id;
+        continue;
+      }
+
+      if (context.dryRun) {
+        const id = `planned:${trail}`;
+        context.plannedCategories.set(name.toLowerCase(), { id, parentId });
+        context.categoriesCreated.push(trail);
+        parentId = id;
+        continue;
+      }
+
+      const created = await this.categoryService.createCategory({ name, parentCategoryId: parentId }, context.userId);
+      context.categoriesCreated.push(trail);
+      parentId = created.id;
+    }
+
+    return names[names.length - 1];
+  }
+
+  /**
+   * Store the row's images against the product. Images the product already
+   * got from the same URL or file name are not added again. An image that
+   * fails to download or validate is a warning on the row rather than an
+   * error, since the product itself has been saved.
+   */
+  async attachImages(product, references, context) {
+    if (references.length === 0) {
+      return [];
+    }
+
+    const existing = await this.imageService.listImages(product.id);
+    const imageIds = [];
+
+    for (const reference of references) {
+      const isUrl = CatalogImportService.isUrl(reference);
+      const originalName = isUrl ? path.basename(new URL(reference).pathname) || 'image' : path.basename(reference);
+      const duplicate = existing.find(image => isUrl ? image.sourceUrl === reference : image.originalName === originalName);
+      if (duplicate) {
+        continue;
+      }
+
+      try {
+        const buffer = isUrl
+          ? await this.downloadImage(reference)
+          : context.zipEntries.get(originalName.toLowerCase());
+        const image = await this.imageService.addImage(product, {
+          buffer,
+          originalName,
+          sourceUrl: isUrl ? reference : null
+        }, context.userId);
+
+        existing.push(image);
+        imageIds.push(image.id);
+      } catch (error) {
+        context.warnings.push({ row: context.rowNumber, sku: product.sku, message: `Image ${reference} skipped: ${error.message}` });
+      }
+    }
+
+    return imageIds;
+  }
+
+  /**
+   * Download an image from a public http(s) URL. Each redirect is checked
+   * like the URL itself, and the body is read only up to MAX_IMAGE_BYTES.
+   */
+  async downloadImage(url) {
+    const signal = AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS);
+    let target = url;
+    let response;
+    for (let redirects = 0; ; redirects++) {
+      await this.assertPublicUrl(target);
+      response = await this.fetch(target, { redirect: 'manual', signal });
+      if (!REDIRECT_STATUSES.includes(response.status)) {
+        break;
+      }
+      if (redirects === MAX_IMAGE_REDIRECTS) {
+        throw new Error('too many redirects');
+      }
+      target = new URL(response.headers.get('location'), target).href;
+    }
+
+    if (!response.ok) {
+      throw new Error(`download failed with status ${response.status}`);
+    }
+    if (Number(response.headers.get('content-length')) > MAX_IMAGE_BYTES) {
+      throw new Error('image is larger than 10MB');
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > MAX_IMAGE_BYTES) {
+        throw new Error('image is larger than 10MB');
+      }
+      chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Reject URLs that are not http(s) or whose host resolves to a private address
+   */
+  async assertPublicUrl(url) {
+    const { protocol, hostname } = new URL(url);
+    if (!['http:', 'https:'].includes(protocol)) {
+      throw new Error('only http and https images can be downloaded');
+    }
+
+    const addresses = await this.lookup(hostname.replace(/^\[|\]$/g, ''), { all: true });
+    if (addresses.some(({ address, family }) => PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+      throw new Error(`${hostname} is not a public address`);
+    }
+  }
+
+  parseQuantity(value) {
+    const quantity = Number(value);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw this.createError('Inventory must be a whole number of zero or more', 400);
+    }
+    return quantity;
+  }
+
+  /**
+   * Stream the catalog as CSV or JSON text, a product followed by its
+   * variants. Filters: status, category (including subcategories), brand
+   * and q, which matches the name or SKU.
+   */
+  async *exportCatalog(format, filters = {}) {
+    if (!IMPORT_FORMATS.includes(format)) {
+      throw this.createError(`Format must be one of: ${IMPORT_FORMATS.join(', ')}`, 400);
+    }
+
+    const categories = await this.categories.find(category => category.status !== 'deleted');
+    const categoryPaths = CatalogImportService.categoryPaths(categories);
+    const products = await this.findExportProducts(filters, categories);
+
+    const variantsByProduct = new Map();
+    for (const product of products) {
+      variantsByProduct.set(product.id, (await this.variants.findBy('productId', product.id))
+        .sort((a, b) => (a.position || 0) - (b.position || 0)));
+    }
+
+    const columns = [
+      ...COLUMNS,
+      ...[...new Set([...variantsByProduct.values()].flat().flatMap(variant => Object.keys(variant.options || {})))]
+        .map(name => `${OPTION_PREFIX}${name}`),
+      ...[...new Set(products.flatMap(product => Object.keys(product.attributes || {})))]
+        .map(name => `${ATTRIBUTE_PREFIX}${name}`)
+    ];
+
+    yield format === 'csv' ? CatalogImportService.toCsvLine(columns) : '[';
+
+    let first = true;
+    for (const product of products) {
+      const inventory = await this.inventory.findBy('productId', product.id);
+      const images = await this.imageService.listImages(product.id);
+      const imageReference = image => image.sourceUrl || image.originalName;
+
+      const rows = [{
+        sku: product.sku,
+        name: product.name,
+        description: product.description,
+        price: product.price,
+        salePrice: product.salePrice,
+        category: categoryPaths.get(String(product.category).toLowerCase()) || product.category,
+        brand: product.brand,
+        tags: product.tags || [],
+        status: product.status,
+        taxClass: product.taxClass,
+        weight: product.weight,
+        inventory: (inventory.find(record => !record.variantId) || {}).quantity,
+        images: images.map(imageReference),
+        attributes: product.attributes || {}
+      }];
+
+      for (const variant of variantsByProduct.get(product.id)) {
+        rows.push({
+          sku: variant.sku,
+          parentSku: product.sku,
+          price: variant.price,
+          salePrice: variant.salePrice,
+          status: variant.status,
+          weight: variant.weight,
+          inventory: (inventory.find(record => record.variantId === variant.id) || {}).quantity,
+          images: images.filter(image => (variant.images || []).includes(image.id)).map(imageReference),
+          options: variant.options || {}
+        });
+      }
+
+      for (const row of rows) {
+        if (format === 'csv') {
+          const flat = CatalogImportService.flattenRow(row);
+          yield CatalogImportService.toCsvLine(columns.map(column => flat[column]));
+        } else {
+          yield `${first ? '\n' : ',\n'}${JSON.stringify(row)}`;
+          first = false;
+        }
+      }
+    }
+
+    if (format === 'json') {
+      yield '\n]\n';
+    }
+  }
+
+  async findExportProducts({ status, category, brand, q } = {}, categories) {
+    let categoryNames = null;
+    if (category) {
+      const root = categories.find(entry => entry.name.toLowerCase() === String(category).toLowerCase() || entry.slug === category);
+      categoryNames = new Set([String(category).toLowerCase()]);
+      if (root) {
+        const pending = [root];
+        while (pending.length > 0) {
+          const current = pending.pop();
+          categoryNames.add(current.name.toLowerCase());
+          pending.push(...categories.filter(entry => entry.parentCategoryId === current.id));
+        }
+      }
+    }
+    const query = q ? String(q).toLowerCase() : null;
+
+    const products = await this.products.find(product =>
+      (status ? product.status === status : product.status !== 'deleted') &&
+      (!categoryNames || categoryNames.has(String(product.category).toLowerCase())) &&
+      (!brand || (product.brand || '').toLowerCase() === String(brand).toLowerCase()) &&
+      (!query || product.name.toLowerCase().includes(query) || String(product.sku).toLowerCase().includes(query))
+    );
+
+    return products.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  static detectFormat(file) {
+    const extension = path.extname(file.originalname || '').slice(1).toLowerCase();
+    if (IMPORT_FORMATS.includes(extension)) {
+      return extension;
+    }
+    if ((file.mimetype || '').includes('json')) {
+      return 'json';
+    }
+    if ((file.mimetype || '').includes('csv')) {
+      return 'csv';
+    }
+    const error = new Error('Upload a .csv or .json file');
+    error.status = 400;
+    throw error;
+  }
+
+  /**
+   * Parse an upload into row objects keyed by column name
+   */
+  static parseRows(format, content) {
+    const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content);
+
+    if (format === 'json') {
+      let parsed;
+      try {
+        parsed = JSON.parse(text);
+      } catch (error) {
+        throw CatalogImportService.badFile(`Invalid JSON: ${error.message}`);
+      }
+      const rows = Array.isArray(parsed) ? parsed : parsed?.products;
+      if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+        throw CatalogImportService.badFile('JSON must be a list of product objects, or { "products": [...] }');
+      }
+      return rows;
+    }
+
+    const [header, ...lines] = CatalogImportService.parseCsv(text);
+    if (!header || !header.map(column => column.trim()).includes('sku')) {
+      throw CatalogImportService.badFile('The CSV header must include a sku column');
+    }
+
+    const columns = header.map(column => column.trim());
+    return lines
+      .filter(cells => cells.some(cell => cell.trim() !== ''))
+      .map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ''])));
+  }
+
+  /**
+   * RFC 4180 CSV: quoted cells may hold commas, newlines and doubled quotes
+   */
+  static parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') {
+          i++;
+        }
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (quoted) {
+      throw CatalogImportService.badFile('The CSV has an unterminated quoted cell');
+    }
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  static toCsvLine(values) {
+    return values.map(value => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',') + '\r\n';
+  }
+
+  /**
+   * Bring a CSV or JSON row to one shape. Blank cells become undefined;
+   * JSON rows may give tags and images as lists and options and
+   * attributes as objects.
+   */
+  static normalizeRow(raw) {
+    const text = value => {
+      if (value === undefined || value === null) {
+        return undefined;
+      }
+      const trimmed = String(value).trim();
+      return trimmed === '' ? undefined : trimmed;
+    };
+    const list = value => (Array.isArray(value) ? value : String(value ?? '').split(LIST_SEPARATOR))
+      .map(entry => String(entry).trim())
+      .filter(Boolean);
+
+    const row = { options: {}, attributes: {} };
+    for (const column of COLUMNS) {
+      row[column] = text(raw[column]);
+    }
+    row.tags = list(raw.tags);
+    row.images = list(raw.images);
+
+    for (const [key, value] of Object.entries(raw)) {
+      if (key.startsWith(OPTION_PREFIX) && text(value) !== undefined) {
+        row.options[key.slice(OPTION_PREFIX.length).trim()] = text(value);
+      } else if (key.startsWith(ATTRIBUTE_PREFIX) && text(value) !== undefined) {
+        row.attributes[key.slice(ATTRIBUTE_PREFIX.length).trim()] = text(value);
+      }
+    }
+    for (const [target, source] of [['options', raw.options], ['attributes', raw.attributes]]) {
+      if (source && typeof source === 'object' && !Array.isArray(source)) {
+        for (const [name, value] of Object.entries(source)) {
+          if (text(value) !== undefined) {
+            row[target][name] = text(value);
+          }
+        }
+      }
+    }
+
+    return row;
+  }
+
+  /**
+   * Export rows for CSV: lists joined and options and attributes spread
+   * into their own columns
+   */
+  static flattenRow(row) {
+    const flat = { ...row, tags: (row.tags || []).join(LIST_SEPARATOR), images: (row.images || []).join(LIST_SEPARATOR) };
+    delete flat.options;
+    delete flat.attributes;
+    for (const [name, value] of Object.entries(row.options || {})) {
+      flat[`${OPTION_PREFIX}${name}`] = value;
+    }
+    for (const [name, value] of Object.entries(row.attributes || {})) {
+      flat[`${ATTRIBUTE_PREFIX}${name}`] = value;
+    }
+    return flat;
+  }
+
+  /**
+   * Full "Parent > Child" path for each category, keyed by lower-case name
+   */
+  static categoryPaths(categories) {
+    const byId = new Map(categories.map(category => [category.id, category]));
+    const paths = new Map();
+
+    for (const category of categories) {
+      const names = [];
+      let current = category;
+      while (current && !names.includes(current.name)) {
+        names.unshift(current.name);
+        current = current.parentCategoryId ? byId.get(current.parentCategoryId) : null;
+      }
+      paths.set(category.name.toLowerCase(), names.join(` ${CATEGORY_SEPARATOR} `));
+    }
+
+    return paths;
+  }
+
+  /**
+   * Zip entries by lower-case file name, so rows can name an image
+   * without the folder it was zipped in
+   */
+  static indexZipEntries(files) {
+    const entries = new Map();
+    for (const [name, contents] of files) {
+      entries.set(path.basename(name).toLowerCase(), contents);
+    }
+    return entries;
+  }
+
+  static isUrl(reference) {
+    return /^https?:\/\//i.test(reference);
+  }
+
+  static progress(record) {
+    return record.totalRows > 0 ? Math.round(record.processedRows / record.totalRows * 100) : 0;
+  }
+
+  static badFile(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+}
+
+CatalogImportService.COLUMNS = COLUMNS;
+CatalogImportService.IMPORT_FORMATS = IMPORT_FORMATS;
+
+module.exports = CatalogImportService;
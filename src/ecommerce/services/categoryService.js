@@ -7,9 +7,12 @@
 
 'use strict';
 
+const Repository = require('./repository');
+
 /**
  * Category Management Service
- * Handles product categorization and hierarchy
+ * Handles product categorization and hierarchy. Products refer to their
+ * category by name, so renaming a category renames it on its products.
  */
 class CategoryService {
   constructor(services) {
@@ -17,6 +20,8 @@ class CategoryService {
     this.cache = services.cache;
     this.logger = services.logger;
     this.notifying = services.notifying;
+    this.categories = new Repository(services, 'categories');
+    this.products = new Repository(services, 'products');
   }
 
   /**
@@ -25,26 +30,19 @@ class CategoryService {
   async createCategory(categoryData, userId) {
     try {
       // Validate required fields
-      if (!categoryData.name) {
-        throw new Error('Category name is required');
+      if (!categoryData.name || !categoryData.name.trim()) {
+        throw this.createError('Category name is required', 400);
       }
 
-      // Check if category already exists
-      const existingCategories = await this.dataServe.jsonFindByPath('categories', 'name', categoryData.name);
-      if (existingCategories.length > 0) {
-        throw new Error('Category with this name already exists');
-      }
-
-      // Generate slug
+      // Check that the name and slug are free
       const slug = this.generateSlug(categoryData.name);
+      await this.assertNameAvailable(categoryData.name.trim(), slug);
 
-      // Check slug uniqueness
-      const existingSlugs = await this.dataServe.jsonFindByPath('categories', 'slug', slug);
-      if (existingSlugs.length > 0) {
-        throw new Error('Category slug already exists');
+      if (categoryData.parentCategoryId) {
+        await this.getActiveCategory(categoryData.parentCategoryId, 'Parent category not found');
       }
 
-      const category = {
+      const category = await this.categories.create({
         name: categoryData.name.trim(),
         description: categoryData.description || '',
         slug,
@@ -54,12 +52,9 @@ class CategoryService {
         status: 'active',
         seoTitle: categoryData.seoTitle || categoryData.name,
         seoDescription: categoryData.seoDescription || categoryData.description,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
         createdBy: userId
-      };
-
-      const categoryUuid = await this.dataServe.add('categories', category);
+      });
+      const categoryUuid = category.id;
 
       // Clear cache
       await this.clearCategoryCache();
@@ -73,7 +68,7 @@ class CategoryService {
 
       this.logger.info(`Category created: ${category.name} (${categoryUuid})`);
 
-      return { id: categoryUuid, ...category };
+      return category;
     } catch (error) {
       this.logger.error('Error creating category:', error);
       throw error;
@@ -83,12 +78,12 @@ class CategoryService {
   /**
    * Update an existing category
    */
-  async updateCategory(categoryId, updateData, userId) {
+  async updateCategory(categoryId, updateData, userId, expectedVersion) {
     try {
-      const category = await this.dataServe.getByUuid('categories', categoryId);
+      const existing = await this.categories.findById(categoryId);
 
-      if (!category) {
-        throw new Error('Category not found');
+      if (!existing || existing.status === 'deleted') {
+        throw this.createError('Category not found', 404);
       }
 
       // Update fields
@@ -97,36 +92,47 @@ class CategoryService {
         'sortOrder', 'status', 'seoTitle', 'seoDescription'
       ];
 
+      const changes = { updatedBy: userId };
       updatableFields.forEach(field => {
         if (updateData[field] !== undefined) {
-          category[field] = updateData[field];
+          changes[field] = updateData[field];
         }
       });
 
       // Update slug if name changed
-      if (updateData.name && updateData.name !== category.name) {
-        category.slug = this.generateSlug(updateData.name);
+      const renamed = changes.name !== undefined && changes.name.trim() !== existing.name;
+      if (renamed) {
+        changes.name = changes.name.trim();
+        if (!changes.name) {
+          throw this.createError('Category name is required', 400);
+        }
+        changes.slug = this.generateSlug(changes.name);
+        await this.assertNameAvailable(changes.name, changes.slug, categoryId);
       }
 
-      category.updatedAt = new Date().toISOString();
-      category.updatedBy = userId;
+      if (changes.parentCategoryId) {
+        await this.assertValidParent(categoryId, changes.parentCategoryId);
+      }
 
-      await this.dataServe.remove('categories', categoryId);
-      const newCategoryUuid = await this.dataServe.add('categories', category);
+      const category = await this.categories.update(categoryId, changes, { expectedVersion });
+
+      if (renamed) {
+        await this.renameProductCategory(existing.name, category.name);
+      }
 
       // Clear cache
       await this.clearCategoryCache();
 
       this.notifying.notify('category-events', {
         type: 'category_updated',
-        categoryId: newCategoryUuid,
+        categoryId,
         categoryName: category.name,
         userId
       });
 
-      this.logger.info(`Category updated: ${category.name} (${newCategoryUuid})`);
+      this.logger.info(`Category updated: ${category.name} (${categoryId})`);
 
-      return { id: newCategoryUuid, ...category };
+      return category;
     } catch (error) {
       this.logger.error('Error updating category:', error);
       throw error;
@@ -143,9 +149,9 @@ class CategoryService {
 
       if (!categories) {
         if (includeInactive) {
-          categories = await this.dataServe.jsonFind('categories', () => true);
+          categories = await this.categories.find(c => c.status !== 'deleted');
         } else {
-          categories = await this.dataServe.jsonFindByCriteria('categories', { status: 'active' });
+          categories = await this.categories.find(c => c.status === 'active');
         }
 
         // Sort by sortOrder, then by name
@@ -168,7 +174,8 @@ class CategoryService {
   }
 
   /**
-   * Get category hierarchy tree
+   * Get category hierarchy tree with product counts. `productCount` counts
+   * the category's own products, `totalProductCount` includes subcategories.
    */
   async getCategoryTree(includeInactive = false) {
     try {
@@ -176,8 +183,8 @@ class CategoryService {
       let tree = await this.cache.get(cacheKey);
 
       if (!tree) {
-        const categories = await this.getAllCategories(includeInactive);
-        tree = this.buildCategoryTree(categories);
+        const categories = await this.getCategoriesWithProductCounts(includeInactive);
+        tree = this.buildCountedTree(categories);
 
         // Cache for 1 hour
         await this.cache.put(cacheKey, tree, 3600);
@@ -198,35 +205,29 @@ class CategoryService {
       let category;
 
       if (bySlug) {
-        const categories = await this.dataServe.jsonFindByPath('categories', 'slug', identifier);
-        category = categories[0] || null;
+        const matches = await this.categories.find(c => c.slug === identifier && c.status !== 'deleted');
+        category = matches[0] || null;
       } else {
-        category = await this.dataServe.getByUuid('categories', identifier);
+        category = await this.categories.findById(identifier);
       }
 
-      if (!category) {
-        throw new Error('Category not found');
+      if (!category || category.status === 'deleted') {
+        throw this.createError('Category not found', 404);
       }
 
       // Get parent category if exists
-      if (category.parentCategoryId) {
-        try {
-          category.parentCategory = await this.dataServe.getByUuid('categories', category.parentCategoryId);
-        } catch (error) {
-          // Parent might have been deleted
-          category.parentCategory = null;
-        }
-      }
+      category.parentCategory = category.parentCategoryId
+        ? await this.categories.findById(category.parentCategoryId)
+        : null;
 
-      // Get child categories
-      const childCategories = await this.dataServe.jsonFindByPath('categories', 'parentCategoryId', category.id);
-      category.childCategories = childCategories.filter(c => c.status === 'active');
+      // Child categories and product counts, including subcategories
+      const counted = await this.getCategoriesWithProductCounts();
+      const node = this.findTreeNode(this.buildCountedTree(counted), category.id);
 
-      // Get product count for this category
-      const products = await this.dataServe.jsonFind('products', p =>
-        p.category === category.name && p.status === 'active'
-      );
-      category.productCount = products.length;
+      category.childCategories = node ? node.children.map(({ children, ...child }) => child) : [];
+      category.productCount = node ? node.productCount : 0;
+      category.totalProductCount = node ? node.totalProductCount : 0;
+      category.breadcrumb = await this.getCategoryBreadcrumb(category.id);
 
       return category;
     } catch (error) {
@@ -270,25 +271,19 @@ class CategoryService {
   /**
    * Get categories with product counts
    */
-  async getCategoriesWithProductCounts() {
+  async getCategoriesWithProductCounts(includeInactive = false) {
     try {
-      const cacheKey = 'categories:with-counts';
+      const cacheKey = `categories:with-counts:${includeInactive}`;
       let categoriesWithCounts = await this.cache.get(cacheKey);
 
       if (!categoriesWithCounts) {
-        const categories = await this.getAllCategories();
-        categoriesWithCounts = [];
-
-        for (const category of categories) {
-          const products = await this.dataServe.jsonFind('products', p =>
-            p.category === category.name && p.status === 'active'
-          );
-
-          categoriesWithCounts.push({
-            ...category,
-            productCount: products.length
-          });
-        }
+        const categories = await this.getAllCategories(includeInactive);
+        const products = await this.products.find(p => p.status === 'active');
+
+        categoriesWithCounts = categories.map(category => ({
+          ...category,
+          productCount: products.filter(p => p.category === category.name).length
+        }));
 
         // Cache for 30 minutes
         await this.cache.put(cacheKey, categoriesWithCounts, 1800);
@@ -324,34 +319,34 @@ class CategoryService {
    */
   async deleteCategory(categoryId, userId) {
     try {
-      const category = await this.dataServe.getByUuid('categories', categoryId);
+      const category = await this.categories.findById(categoryId);
 
-      if (!category) {
-        throw new Error('Category not found');
+      if (!category || category.status === 'deleted') {
+        throw this.createError('Category not found', 404);
       }
 
       // Check if category has child categories
-      const childCategories = await this.dataServe.jsonFindByPath('categories', 'parentCategoryId', categoryId);
+      const childCategories = await this.categories.find(c =>
+        c.parentCategoryId === categoryId && c.status !== 'deleted'
+      );
       if (childCategories.length > 0) {
-        throw new Error('Cannot delete category with child categories');
+        throw this.createError('Cannot delete category with child categories', 409);
       }
 
       // Check if category has products
-      const products = await this.dataServe.jsonFind('products', p =>
+      const products = await this.products.find(p =>
         p.category === category.name && p.status === 'active'
       );
       if (products.length > 0) {
-        throw new Error('Cannot delete category with active products');
+        throw this.createError('Cannot delete category with active products', 409);
       }
 
       // Soft delete
-      category.status = 'deleted';
-      category.deletedAt = new Date().toISOString();
-      category.deletedBy = userId;
-      category.updatedAt = new Date().toISOString();
-
-      await this.dataServe.remove('categories', categoryId);
-      await this.dataServe.add('categories', category);
+      await this.categories.update(categoryId, {
+        status: 'deleted',
+        deletedAt: new Date().toISOString(),
+        deletedBy: userId
+      });
 
       // Clear cache
       await this.clearCategoryCache();
@@ -378,24 +373,19 @@ class CategoryService {
   async getCategoryBreadcrumb(categoryId) {
     try {
       const breadcrumb = [];
-      let currentCategory = await this.dataServe.getByUuid('categories', categoryId);
+      let currentCategory = await this.categories.findById(categoryId);
 
-      while (currentCategory) {
+      // Stop on a missing parent or a loop in the hierarchy
+      while (currentCategory && !breadcrumb.some(entry => entry.id === currentCategory.id)) {
         breadcrumb.unshift({
           id: currentCategory.id,
           name: currentCategory.name,
           slug: currentCategory.slug
         });
 
-        if (currentCategory.parentCategoryId) {
-          try {
-            currentCategory = await this.dataServe.getByUuid('categories', currentCategory.parentCategoryId);
-          } catch (error) {
-            break; // Parent not found
-          }
-        } else {
-          break;
-        }
+        currentCategory = currentCategory.parentCategoryId
+          ? await this.categories.findById(currentCategory.parentCategoryId)
+          : null;
       }
 
       return breadcrumb;
@@ -442,6 +432,94 @@ class CategoryService {
     return tree;
   }
 
+  /**
+   * Build the tree and add each category's total including subcategories
+   */
+  buildCountedTree(categories) {
+    const tree = this.buildCategoryTree(categories);
+
+    const addTotals = (node) => {
+      node.totalProductCount = (node.productCount || 0) +
+        node.children.reduce((sum, child) => sum + addTotals(child), 0);
+      return node.totalProductCount;
+    };
+    tree.forEach(addTotals);
+
+    return tree;
+  }
+
+  findTreeNode(tree, categoryId) {
+    for (const node of tree) {
+      if (node.id === categoryId) {
+        return node;
+      }
+      const found = this.findTreeNode(node.children, categoryId);
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get a category that has not been deleted, or fail with a 400
+   */
+  async getActiveCategory(categoryId, message) {
+    const category = await this.categories.findById(categoryId);
+    if (!category || category.status === 'deleted') {
+      throw this.createError(message, 400);
+    }
+    return category;
+  }
+
+  /**
+   * Category names and slugs are unique among categories that are not deleted
+   */
+  async assertNameAvailable(name, slug, exceptId = null) {
+    const clashes = await this.categories.find(c =>
+      c.id !== exceptId && c.status !== 'deleted' &&
+      (c.name.toLowerCase() === name.toLowerCase() || c.slug === slug)
+    );
+    if (clashes.length > 0) {
+      throw this.createError('Category with this name already exists', 409);
+    }
+  }
+
+  /**
+   * A category cannot become its own ancestor
+   */
+  async assertValidParent(categoryId, parentCategoryId) {
+    let parent = await this.getActiveCategory(parentCategoryId, 'Parent category not found');
+
+    while (parent) {
+      if (parent.id === categoryId) {
+        throw this.createError('A category cannot be moved under itself or its subcategories', 400);
+      }
+      parent = parent.parentCategoryId ? await this.categories.findById(parent.parentCategoryId) : null;
+    }
+  }
+
+  /**
+   * Move the products of a renamed category to the new name
+   */
+  async renameProductCategory(oldName, newName) {
+    const products = await this.products.find(p => p.category === oldName);
+    for (const product of products) {
+      await this.products.update(product.id, { category: newName });
+      await this.cache.delete(`product:${product.id}`);
+    }
+
+    if (products.length > 0) {
+      this.logger.info(`Moved ${products.length} product(s) from category ${oldName} to ${newName}`);
+    }
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
   /**
    * Clear category cache
    */
@@ -453,7 +531,8 @@ class CategoryService {
         'categories:tree:true',
         'categories:tree:false',
         'categories:root',
-        'categories:with-counts'
+        'categories:with-counts:true',
+        'categories:with-counts:false'
       ];
 
       for (const key of cacheKeys) {
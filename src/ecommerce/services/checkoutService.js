@@ -0,0 +1,288 @@
+/**
+ * @fileoverview Checkout Service
+ * Builds signed checkout quotes from the persisted cart so that order and
+ * payment amounts never depend on prices sent by the client
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const PricingService = require('./pricingService');
+const TaxService = require('./taxService');
+const CartService = require('./cartService');
+
+const DEFAULT_QUOTE_MINUTES = 30;
+
+/**
+ * Shipping rates offered at checkout. Standard shipping is free over the
+ * threshold or when a free-shipping promotion applies.
+ */
+const SHIPPING_RATES = [
+  { method: 'standard', name: 'Standard Shipping', cost: 10, estimatedDays: 5, freeOver: 100 },
+  { method: 'express', name: 'Express Shipping', cost: 25, estimatedDays: 2 },
+  { method: 'overnight', name: 'Overnight Shipping', cost: 45, estimatedDays: 1 }
+];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Quotes being completed, per cache service, so every checkout service on
+ * the same cache sees the same claims
+ */
+const quoteClaims = new WeakMap();
+
+function getClaims(cache) {
+  if (!quoteClaims.has(cache)) {
+    quoteClaims.set(cache, new Set());
+  }
+  return quoteClaims.get(cache);
+}
+
+/**
+ * Checkout Service
+ * A quote is stored in the cache under its ID and handed to the client with
+ * an HMAC signature. Payment and order creation only accept a quote whose
+ * signature verifies, that has not expired and whose cart has not changed.
+ */
+class CheckoutService {
+  constructor(services, options = {}) {
+    this.cache = services.cache;
+    this.logger = services.logger;
+    this.pricingService = options.pricingService || new PricingService(services);
+    this.taxService = options.taxService || new TaxService(services);
+    this.cartService = options.cartService || new CartService(services);
+    this.secret = options.secret || process.env.QUOTE_SECRET || process.env.JWT_SECRET || 'ecommerce-secret-key';
+    this.quoteMinutes = options.quoteMinutes ||
+      parseInt(process.env.QUOTE_TTL_MINUTES) || DEFAULT_QUOTE_MINUTES;
+  }
+
+  /**
+   * List the shipping options for a cart subtotal
+   */
+  getShippingOptions(subtotal, freeShipping = false) {
+    return SHIPPING_RATES.map(rate => ({
+      method: rate.method,
+      name: rate.name,
+      estimatedDays: rate.estimatedDays,
+      cost: rate.freeOver !== undefined && (freeShipping || subtotal > rate.freeOver) ? 0 : rate.cost
+    }));
+  }
+
+  /**
+   * Price the server-side cart for a session and issue a signed quote
+   */
+  async createQuote(sessionId, options = {}) {
+    const { shippingAddress = null, shippingMethod = 'standard', userId = null } = options;
+
+    const cart = await this.cartService.getCart(sessionId);
+    if (!cart || !cart.items || cart.items.length === 0) {
+      throw this.createError('Cart is empty', 400);
+    }
+
+    const pricing = await this.pricingService.priceCart(cart, { userId });
+
+    const unavailable = pricing.items.filter(line => line.unavailable);
+    if (unavailable.length > 0) {
+      const error = this.createError('Some items in the cart are no longer available', 409);
+      error.code = 'ITEMS_UNAVAILABLE';
+      error.items = unavailable.map(line => ({ productId: line.productId, variantId: line.variantId || null }));
+      throw error;
+    }
+
+    const shippingOptions = this.getShippingOptions(pricing.subtotal, pricing.freeShipping);
+    const shipping = shippingOptions.find(option => option.method === shippingMethod);
+    if (!shipping) {
+      throw this.createError(`Shipping method must be one of: ${shippingOptions.map(option => option.method).join(', ')}`, 400);
+    }
+
+    const taxBreakdown = await this.taxService.calculate({
+      lines: pricing.items,
+      shippingAddress,
+      shippingCost: shipping.cost
+    });
+
+    const items = pricing.items.map(line => {
+      const taxLine = taxBreakdown.lines.find(entry =>
+        entry.productId === line.productId && entry.variantId === (line.variantId || null)
+      ) || {};
+
+      return {
+        productId: line.productId,
+        variantId: line.variantId || null,
+        name: line.name,
+        quantity: line.quantity,
+        price: line.unitPrice,
+        lineSubtotal: line.lineSubtotal,
+        discount: line.discount,
+        lineTotal: line.lineTotal,
+        taxClass: taxLine.taxClass || 'standard',
+        taxRate: taxLine.rate || 0,
+        taxAmount: taxLine.taxAmount || 0
+      };
+    });
+
+    // Tax-inclusive prices already contain the tax
+    const totalAmount = roundCurrency(
+      pricing.subtotal - pricing.discountTotal + shipping.cost +
+      (taxBreakdown.pricesIncludeTax ? 0 : taxBreakdown.taxAmount)
+    );
+
+    const now = new Date();
+    const quote = {
+      quoteId: uuidv4(),
+      sessionId,
+      userId,
+      currency: 'usd',
+      items,
+      subtotal: pricing.subtotal,
+      discounts: pricing.discounts,
+      discountTotal: pricing.discountTotal,
+      rejectedCoupons: pricing.rejectedCoupons,
+      shippingMethod: shipping.method,
+      shippingCost: shipping.cost,
+      shippingOptions,
+      shippingAddress,
+      taxAmount: taxBreakdown.taxAmount,
+      taxBreakdown,
+      pricesIncludeTax: taxBreakdown.pricesIncludeTax,
+      totalAmount,
+      cartVersion: cart.version,
+      quotedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.quoteMinutes * 60 * 1000).toISOString()
+    };
+    quote.signature = this.sign(quote);
+
+    await this.cache.put(this.cacheKey(quote.quoteId), quote, this.quoteMinutes * 60);
+
+    return quote;
+  }
+
+  /**
+   * Load a quote and check it is still good to pay for
+   */
+  async verifyQuote(quoteId, signature) {
+    if (!quoteId || !signature) {
+      throw this.createError('A checkout quote ID and signature are required', 400);
+    }
+
+    const quote = await this.cache.get(this.cacheKey(quoteId));
+    if (!quote) {
+      throw this.createError('Checkout quote not found', 404);
+    }
+
+    const expected = Buffer.from(this.sign(quote));
+    const provided = Buffer.from(String(signature));
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      throw this.createError('Checkout quote signature is invalid', 400);
+    }
+
+    if (quote.orderId) {
+      const error = this.createError('Checkout quote has already been used', 409);
+      error.code = 'QUOTE_USED';
+      throw error;
+    }
+
+    if (new Date(quote.expiresAt) <= new Date()) {
+      const error = this.createError('Checkout quote has expired', 409);
+      error.code = 'QUOTE_EXPIRED';
+      throw error;
+    }
+
+    const cart = await this.cartService.getCart(quote.sessionId);
+    if (!cart || cart.version !== quote.cartVersion) {
+      const error = this.createError('Cart has changed since the quote was issued', 409);
+      error.code = 'QUOTE_STALE';
+      throw error;
+    }
+
+    return quote;
+  }
+
+  /**
+   * Verify a quote and claim it for one checkout. The claim is taken before
+   * anything is awaited, so a second request for the same quote is turned
+   * away with 409 until `releaseQuote` is called; by then a completed quote
+   * is marked used. Call `releaseQuote` whether or not the order was placed.
+   */
+  async claimQuote(quoteId, signature) {
+    if (!quoteId || !signature) {
+      throw this.createError('A checkout quote ID and signature are required', 400);
+    }
+
+    const claims = getClaims(this.cache);
+    if (claims.has(quoteId)) {
+      const error = this.createError('Checkout quote is already being completed', 409);
+      error.code = 'QUOTE_IN_USE';
+      throw error;
+    }
+    claims.add(quoteId);
+
+    try {
+      return await this.verifyQuote(quoteId, signature);
+    } catch (error) {
+      claims.delete(quoteId);
+      throw error;
+    }
+  }
+
+  releaseQuote(quoteId) {
+    getClaims(this.cache).delete(quoteId);
+  }
+
+  /**
+   * Reject client-supplied items that differ from the quoted lines
+   */
+  assertItemsMatchQuote(items, quote) {
+    if (!items) {
+      return;
+    }
+
+    const matches = items.length === quote.items.length && items.every(item => {
+      const line = quote.items.find(entry =>
+        entry.productId === item.productId && entry.variantId === (item.variantId || null)
+      );
+      return line &&
+        parseInt(item.quantity) === line.quantity &&
+        (item.price === undefined || parseFloat(item.price) === line.price);
+    });
+
+    if (!matches) {
+      const error = this.createError('Order items do not match the checkout quote', 422);
+      error.code = 'ITEMS_NOT_QUOTED';
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a quote as used so it cannot place a second order
+   */
+  async markQuoteUsed(quote, orderId) {
+    await this.cache.put(this.cacheKey(quote.quoteId), { ...quote, orderId }, this.quoteMinutes * 60);
+  }
+
+  /**
+   * Sign every quote field except the signature and usage marker
+   */
+  sign(quote) {
+    const { signature, orderId, ...payload } = quote;
+    return crypto.createHmac('sha256', this.secret).update(JSON.stringify(payload)).digest('hex');
+  }
+
+  cacheKey(quoteId) {
+    return `checkout_quote:${quoteId}`;
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+CheckoutService.SHIPPING_RATES = SHIPPING_RATES;
+
+module.exports = CheckoutService;
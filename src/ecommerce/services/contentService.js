@@ -0,0 +1,686 @@
+/**
+ * @fileoverview Content Service
+ * Handles CMS content drafts, publishing with a start and end date,
+ * version history with diffs and rollback, preview links and the blocks
+ * pages are built from
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const Repository = require('./repository');
+const { normalizeBlocks } = require('./pageBlocks');
+
+const CONTENT_TYPES = ['banner', 'page', 'announcement', 'promotion', 'hero'];
+
+/**
+ * The fields an admin edits. Versions and the published copy hold exactly
+ * these fields.
+ */
+const CONTENT_FIELDS = [
+  'title', 'content', 'type', 'slug', 'excerpt', 'imageUrl', 'videoUrl',
+  'buttonText', 'buttonUrl', 'backgroundColor', 'textColor', 'active',
+  'sortOrder', 'startDate', 'endDate', 'metadata', 'blocks'
+];
+
+const FIELD_DEFAULTS = {
+  content: '',
+  excerpt: '',
+  imageUrl: null,
+  videoUrl: null,
+  buttonText: null,
+  buttonUrl: null,
+  backgroundColor: null,
+  textColor: null,
+  active: true,
+  sortOrder: 0,
+  startDate: null,
+  endDate: null,
+  metadata: {},
+  blocks: []
+};
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DEFAULT_PREVIEW_HOURS = 24;
+
+// Line diffs of longer texts fall back to the before and after values
+const MAX_DIFF_CELLS = 1000000;
+
+/**
+ * Content Service
+ * Admins edit a working copy; the storefront only ever sees the copy that
+ * was last published, in `published`. Published content goes live at its
+ * `startDate` and comes down at its `endDate`, both checked whenever it is
+ * read rather than by a job.
+ *
+ * Every save of the working copy is kept in `content_versions` under an
+ * increasing `revision`. Content saved before versioning has no
+ * `revision`; it is treated as published revision 1.
+ */
+class ContentService {
+  constructor(services, options = {}) {
+    this.logger = services.logger;
+    this.content = new Repository(services, 'content');
+    this.versions = new Repository(services, 'content_versions');
+    this.secret = options.secret || process.env.CONTENT_PREVIEW_SECRET || process.env.JWT_SECRET || 'ecommerce-secret-key';
+    this.previewHours = options.previewHours || DEFAULT_PREVIEW_HOURS;
+    this.storeUrl = options.storeUrl || process.env.STORE_URL || '/applications/ecommerce';
+  }
+
+  /**
+   * Live content for the storefront, optionally of one type, in display order
+   */
+  async listLiveContent({ type } = {}, now = new Date()) {
+    const items = await this.content.find(item => !type || ContentService.publishedFields(item)?.type === type);
+
+    return items
+      .map(item => ContentService.toLive(item, now))
+      .filter(Boolean)
+      .sort((a, b) => {
+        if (a.sortOrder !== b.sortOrder) {
+          return (a.sortOrder || 0) - (b.sortOrder || 0);
+        }
+        return new Date(b.publishedAt) - new Date(a.publishedAt);
+      });
+  }
+
+  async getLiveContent(contentId, now = new Date()) {
+    const item = await this.content.findById(contentId);
+    const live = item && ContentService.toLive(item, now);
+
+    if (!live) {
+      throw this.createError('Content not found', 404);
+    }
+    return live;
+  }
+
+  /**
+   * Working copies for admins with their publication state. Filters:
+   * type, status (draft or published) and state (draft, scheduled, live,
+   * expired or inactive).
+   */
+  async listContent({ type, status, state } = {}, now = new Date()) {
+    const items = (await this.content.find())
+      .map(item => ContentService.withState(ContentService.upgradeLegacy(item), now));
+
+    return items
+      .filter(item => !type || item.type === type)
+      .filter(item => !status || item.status === status)
+      .filter(item => !state || item.state === state)
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  }
+
+  async getContent(contentId, now = new Date()) {
+    return ContentService.withState(await this.loadContent(contentId), now);
+  }
+
+  /**
+   * Create content as a draft, or published straight away with `publish`
+   */
+  async createContent(data, userId, { publish = false } = {}) {
+    if (!data.title || !data.type) {
+      throw this.createError('Title and type are required', 400);
+    }
+
+    const fields = this.normalizeFields({
+      ...FIELD_DEFAULTS,
+      ...data,
+      slug: data.slug || ContentService.slugify(data.title)
+    });
+    await this.assertSlugAvailable(fields.slug);
+
+    const item = await this.content.create({
+      ...fields,
+      status: 'draft',
+      published: null,
+      revision: 1,
+      publishedRevision: null,
+      publishedAt: null,
+      views: 0,
+      createdBy: userId,
+      updatedBy: userId
+    });
+    await this.saveVersion(item, 'created', userId);
+
+    this.logger.info(`Content created: ${item.title} (${item.id})`);
+    return publish ? this.publish(item.id, userId) : ContentService.withState(item);
+  }
+
+  /**
+   * Save changes to the working copy as a new revision. Published content
+   * keeps showing its published copy until it is published again.
+   */
+  async updateContent(contentId, data, userId, { expectedVersion, publish = false } = {}) {
+    const existing = await this.loadContent(contentId);
+    const fields = this.normalizeFields(data, existing);
+
+    if (fields.slug !== existing.slug) {
+      await this.assertSlugAvailable(fields.slug, contentId);
+    }
+
+    let item = existing;
+    if (!ContentService.isSame(ContentService.pickFields(existing), ContentService.pickFields(fields))) {
+      item = await this.write(contentId, current => ({
+        ...fields,
+        revision: current.revision + 1,
+        updatedBy: userId
+      }), { expectedVersion });
+      await this.saveVersion(item, 'updated', userId);
+      this.logger.info(`Content updated: ${item.title} (${item.id}) revision ${item.revision}`);
+    }
+
+    return publish ? this.publish(contentId, userId) : ContentService.withState(item);
+  }
+
+  /**
+   * Publish the working copy. It goes live at its start date, or now.
+   */
+  async publish(contentId, userId, { expectedVersion } = {}) {
+    await this.loadContent(contentId);
+    const publishedAt = new Date().toISOString();
+
+    const item = await this.write(contentId, current => ({
+      status: 'published',
+      published: ContentService.pickFields(current),
+      publishedRevision: current.revision,
+      publishedAt,
+      publishedBy: userId
+    }), { expectedVersion });
+
+    const version = await this.findVersion(contentId, item.revision);
+    if (version) {
+      await this.versions.update(version.id, { publishedAt, publishedBy: userId });
+    }
+
+    this.logger.info(`Content published: ${item.title} (${item.id}) revision ${item.revision}`);
+    return ContentService.withState(item);
+  }
+
+  /**
+   * Take content off the storefront. The working copy is kept as a draft.
+   */
+  async unpublish(contentId, userId, { expectedVersion } = {}) {
+    const existing = await this.loadContent(contentId);
+    if (existing.status !== 'published') {
+      throw this.createError('Content is not published', 409);
+    }
+
+    const item = await this.write(contentId, {
+      status: 'draft',
+      published: null,
+      publishedRevision: null,
+      publishedAt: null,
+      unpublishedAt: new Date().toISOString(),
+      unpublishedBy: userId
+    }, { expectedVersion });
+
+    this.logger.info(`Content unpublished: ${item.title} (${item.id})`);
+    return ContentService.withState(item);
+  }
+
+  /**
+   * Make an earlier revision the working copy again, saved as a new
+   * revision. Pass `publish` to put it live in the same step.
+   */
+  async rollback(contentId, revision, userId, { expectedVersion, publish = false } = {}) {
+    const existing = await this.loadContent(contentId);
+    const version = await this.getVersion(contentId, revision);
+
+    if (version.revision === existing.revision) {
+      throw this.createError(`Revision ${version.revision} is already the current revision`, 409);
+    }
+    if (version.fields.slug !== existing.slug) {
+      await this.assertSlugAvailable(version.fields.slug, contentId);
+    }
+
+    const item = await this.write(contentId, current => ({
+      ...version.fields,
+      revision: current.revision + 1,
+      updatedBy: userId
+    }), { expectedVersion });
+    await this.saveVersion(item, 'rolled_back', userId, { rolledBackTo: version.revision });
+
+    this.logger.info(`Content rolled back: ${item.title} (${item.id}) to revision ${version.revision}`);
+    return publish ? this.publish(contentId, userId) : ContentService.withState(item);
+  }
+
+  /**
+   * Delete content and its history
+   */
+  async deleteContent(contentId) {
+    const item = await this.content.findById(contentId);
+    if (!item) {
+      throw this.createError('Content not found', 404);
+    }
+
+    await this.content.remove(contentId);
+    for (const version of await this.versions.findBy('contentId', contentId)) {
+      await this.versions.remove(version.id);
+    }
+
+    this.logger.info(`Content deleted: ${item.title} (${contentId})`);
+    return true;
+  }
+
+  /**
+   * Count a view of live content
+   */
+  async recordView(contentId) {
+    await this.getLiveContent(contentId);
+
+    return this.content.update(contentId, current => ({
+      views: (current.views || 0) + 1,
+      lastViewedAt: new Date().toISOString()
+    }));
+  }
+
+  /**
+   * Count a click on the call to action of live content
+   */
+  async recordClick(contentId) {
+    await this.getLiveContent(contentId);
+
+    return this.content.update(contentId, current => ({
+      clicks: (current.clicks || 0) + 1,
+      lastClickedAt: new Date().toISOString()
+    }));
+  }
+
+  /**
+   * Revisions newest first, without their field values
+   */
+  async listVersions(contentId) {
+    const item = await this.loadContent(contentId);
+    const versions = await this.versions.findBy('contentId', contentId);
+
+    return versions
+      .sort((a, b) => b.revision - a.revision)
+      .map(({ fields, ...version }) => ({
+        ...version,
+        title: fields.title,
+        isCurrent: version.revision === item.revision,
+        isPublished: version.revision === item.publishedRevision
+      }));
+  }
+
+  async getVersion(contentId, revision) {
+    await this.loadContent(contentId);
+    if (!Number.isInteger(parseInt(revision))) {
+      throw this.createError('revision must be a revision number', 400);
+    }
+
+    const version = await this.findVersion(contentId, parseInt(revision));
+
+    if (!version) {
+      throw this.createError(`Revision ${revision} not found`, 404);
+    }
+    return version;
+  }
+
+  /**
+   * Compare two revisions field by field. By default this compares the
+   * working copy with what is published, or with the revision before it
+   * when the working copy is what is published.
+   */
+  async diff(contentId, { from, to } = {}) {
+    const item = await this.loadContent(contentId);
+
+    const toRevision = to !== undefined ? parseInt(to) : item.revision;
+    const fromRevision = from !== undefined
+      ? parseInt(from)
+      : (item.publishedRevision && item.publishedRevision !== toRevision ? item.publishedRevision : toRevision - 1);
+
+    if (!Number.isInteger(fromRevision) || !Number.isInteger(toRevision)) {
+      throw this.createError('from and to must be revision numbers', 400);
+    }
+
+    const [before, after] = await Promise.all([
+      this.getVersion(contentId, fromRevision),
+      this.getVersion(contentId, toRevision)
+    ]);
+
+    return {
+      contentId,
+      from: fromRevision,
+      to: toRevision,
+      changes: ContentService.diffFields(before.fields, after.fields)
+    };
+  }
+
+  /**
+   * Sign a link that shows the working copy of one content item on the
+   * storefront, whether or not it is published
+   */
+  async createPreviewToken(contentId, now = new Date()) {
+    const item = await this.loadContent(contentId);
+    const expiresAt = new Date(now.getTime() + this.previewHours * 60 * 60 * 1000).toISOString();
+    const payload = Buffer.from(JSON.stringify({ contentId: item.id, expiresAt })).toString('base64url');
+    const token = `${payload}.${this.sign(payload)}`;
+
+    return {
+      token,
+      expiresAt,
+      url: `${this.storeUrl}/?preview=${encodeURIComponent(token)}`
+    };
+  }
+
+  /**
+   * Check a preview token's signature and expiry and return its payload
+   */
+  verifyPreviewToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) {
+      throw this.createError('Preview link is invalid', 400);
+    }
+
+    const expected = Buffer.from(this.sign(payload));
+    const provided = Buffer.from(signature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      throw this.createError('Preview link is invalid', 400);
+    }
+
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (new Date(data.expiresAt) <= new Date()) {
+      throw this.createError('Preview link has expired', 410);
+    }
+
+    return data;
+  }
+
+  /**
+   * The working copy named by a preview token, shaped like live content
+   */
+  async getPreview(token, now = new Date()) {
+    const { contentId } = this.verifyPreviewToken(token);
+    const item = await this.content.findById(contentId);
+
+    if (!item) {
+      throw this.createError('Content not found', 404);
+    }
+
+    const upgraded = ContentService.upgradeLegacy(item);
+    return {
+      id: item.id,
+      ...ContentService.pickFields(upgraded),
+      views: item.views || 0,
+      publishedAt: upgraded.publishedAt,
+      revision: upgraded.revision,
+      state: ContentService.publicationState(ContentService.publishedFields(upgraded), now),
+      preview: true
+    };
+  }
+
+  /**
+   * Load content for an admin change. Content saved before versioning gets
+   * its first revision recorded here.
+   */
+  async loadContent(contentId) {
+    const stored = await this.content.findById(contentId);
+    if (!stored) {
+      throw this.createError('Content not found', 404);
+    }
+
+    const item = ContentService.upgradeLegacy(stored);
+    if (stored.revision === undefined && !(await this.findVersion(contentId, 1))) {
+      await this.saveVersion(item, 'created', item.createdBy, { publishedAt: item.publishedAt });
+    }
+    return item;
+  }
+
+  /**
+   * Update content, upgrading content saved before versioning in the same
+   * write so that the caller's expected version still holds
+   */
+  async write(contentId, changes, options = {}) {
+    return this.content.update(contentId, current => {
+      const upgraded = ContentService.upgradeLegacy(current);
+      return { ...upgraded, ...(typeof changes === 'function' ? changes(upgraded) : changes) };
+    }, options);
+  }
+
+  async findVersion(contentId, revision) {
+    const versions = await this.versions.find(version => version.contentId === contentId && version.revision === revision);
+    return versions[0] || null;
+  }
+
+  async saveVersion(item, action, userId, details = {}) {
+    return this.versions.create({
+      contentId: item.id,
+      revision: item.revision,
+      action,
+      fields: ContentService.pickFields(item),
+      savedBy: userId || null,
+      savedAt: new Date().toISOString(),
+      publishedAt: null,
+      ...details
+    });
+  }
+
+  async assertSlugAvailable(slug, contentId = null) {
+    const taken = await this.content.find(item => item.id !== contentId &&
+      (item.slug === slug || (item.published && item.published.slug === slug)));
+
+    if (taken.length > 0) {
+      throw this.createError('Content with this slug already exists', 400);
+    }
+  }
+
+  /**
+   * Merge changes over the current fields and check them. Fields left
+   * undefined keep their current value.
+   */
+  normalizeFields(data, current = {}) {
+    const fields = {};
+    for (const field of CONTENT_FIELDS) {
+      fields[field] = data[field] !== undefined ? data[field] : current[field];
+    }
+
+    fields.title = String(fields.title || '').trim();
+    if (!fields.title) {
+      throw this.createError('Title is required', 400);
+    }
+    if (!CONTENT_TYPES.includes(fields.type)) {
+      throw this.createError('Invalid content type', 400);
+    }
+    if (!SLUG_PATTERN.test(fields.slug || '')) {
+      throw this.createError('Slug may only contain lowercase letters, numbers and single hyphens', 400);
+    }
+
+    for (const field of ['startDate', 'endDate']) {
+      if (fields[field] === '' || fields[field] === undefined) {
+        fields[field] = null;
+      }
+      if (fields[field] !== null) {
+        const date = new Date(fields[field]);
+        if (Number.isNaN(date.getTime())) {
+          throw this.createError(`${field} must be a valid date`, 400);
+        }
+        fields[field] = date.toISOString();
+      }
+    }
+    if (fields.startDate && fields.endDate && fields.endDate <= fields.startDate) {
+      throw this.createError('endDate must be after startDate', 400);
+    }
+
+    fields.active = fields.active !== false && fields.active !== 'false';
+    fields.sortOrder = parseInt(fields.sortOrder) || 0;
+    if (!fields.metadata || typeof fields.metadata !== 'object' || Array.isArray(fields.metadata)) {
+      fields.metadata = {};
+    }
+
+    fields.blocks = normalizeBlocks(fields.blocks);
+    if (fields.blocks.length > 0 && fields.type !== 'page') {
+      throw this.createError('Only pages can have blocks', 400);
+    }
+
+    return fields;
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  static pickFields(item) {
+    const fields = {};
+    for (const field of CONTENT_FIELDS) {
+      fields[field] = item[field] === undefined ? (FIELD_DEFAULTS[field] ?? null) : item[field];
+    }
+    return fields;
+  }
+
+  /**
+   * Content saved before versioning was live as soon as it was saved, so
+   * it reads as published at revision 1
+   */
+  static upgradeLegacy(item) {
+    if (item.revision !== undefined) {
+      return item;
+    }
+
+    return {
+      ...item,
+      status: 'published',
+      published: ContentService.pickFields(item),
+      revision: 1,
+      publishedRevision: 1,
+      publishedAt: item.createdAt || null
+    };
+  }
+
+  /**
+   * The copy the storefront may show, or null for drafts
+   */
+  static publishedFields(item) {
+    const upgraded = ContentService.upgradeLegacy(item);
+    return upgraded.status === 'published' ? upgraded.published : null;
+  }
+
+  /**
+   * draft, inactive, scheduled (before its start date), expired (from its
+   * end date) or live
+   */
+  static publicationState(fields, now = new Date()) {
+    if (!fields) {
+      return 'draft';
+    }
+    if (!fields.active) {
+      return 'inactive';
+    }
+    if (fields.startDate && new Date(fields.startDate) > now) {
+      return 'scheduled';
+    }
+    if (fields.endDate && new Date(fields.endDate) <= now) {
+      return 'expired';
+    }
+    return 'live';
+  }
+
+  static toLive(item, now = new Date()) {
+    const fields = ContentService.publishedFields(item);
+    if (ContentService.publicationState(fields, now) !== 'live') {
+      return null;
+    }
+
+    return {
+      id: item.id,
+      ...fields,
+      views: item.views || 0,
+      publishedAt: item.publishedAt || item.createdAt
+    };
+  }
+
+  static withState(item, now = new Date()) {
+    return {
+      ...item,
+      state: ContentService.publicationState(ContentService.publishedFields(item), now),
+      hasUnpublishedChanges: item.status === 'published' && item.revision !== item.publishedRevision
+    };
+  }
+
+  /**
+   * Changed fields between two sets of content fields. Multi-line text
+   * also gets a line diff.
+   */
+  static diffFields(before, after) {
+    return CONTENT_FIELDS
+      .filter(field => !ContentService.isSame(before[field], after[field]))
+      .map(field => {
+        const change = { field, from: before[field], to: after[field] };
+        const isText = typeof before[field] === 'string' && typeof after[field] === 'string';
+        if (isText && (before[field].includes('\n') || after[field].includes('\n'))) {
+          const lines = ContentService.diffLines(before[field], after[field]);
+          if (lines) {
+            change.lines = lines;
+          }
+        }
+        return change;
+      });
+  }
+
+  /**
+   * Line diff from the longest common subsequence of lines. Each entry is
+   * `{ op: 'equal' | 'remove' | 'add', text }`.
+   */
+  static diffLines(before, after) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+    if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+      return null;
+    }
+
+    // common[i * width + j] is the common length of a[i..] and b[j..]
+    const width = b.length + 1;
+    const common = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        common[i * width + j] = a[i] === b[j]
+          ? common[(i + 1) * width + j + 1] + 1
+          : Math.max(common[(i + 1) * width + j], common[i * width + j + 1]);
+      }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        lines.push({ op: 'equal', text: a[i] });
+        i++;
+        j++;
+      } else if (common[(i + 1) * width + j] >= common[i * width + j + 1]) {
+        lines.push({ op: 'remove', text: a[i++] });
+      } else {
+        lines.push({ op: 'add', text: b[j++] });
+      }
+    }
+    a.slice(i).forEach(text => lines.push({ op: 'remove', text }));
+    b.slice(j).forEach(text => lines.push({ op: 'add', text }));
+
+    return lines;
+  }
+
+  static isSame(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  static slugify(title) {
+    return String(title).toLowerCase()
+      .replace(/[^a-z0-9\s-]/g, '')
+      .trim()
+      .replace(/[\s-]+/g, '-');
+  }
+}
+
+ContentService.CONTENT_TYPES = CONTENT_TYPES;
+ContentService.CONTENT_FIELDS = CONTENT_FIELDS;
+
+module.exports = ContentService;
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Email Verification Service
+ * Sends signed confirmation links to new accounts and, once an address is
+ * confirmed, attaches the orders placed as a guest with it
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const Repository = require('./repository');
+
+const DEFAULT_LINK_HOURS = 48;
+
+/**
+ * Email Verification Service
+ * Registering with an email address does not prove it belongs to the
+ * registrant, so guest orders are only claimed after the link sent to the
+ * address is followed. A link names the account and the address it was
+ * sent to, and stops working if the account's email changes.
+ */
+class EmailVerificationService {
+  constructor(services, options = {}) {
+    this.services = services;
+    this.logger = services.logger;
+    this.users = new Repository(services, 'users');
+    this.orders = new Repository(services, 'orders');
+    this.secret = options.secret || process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_SECRET || 'ecommerce-secret-key';
+    this.linkHours = options.linkHours ||
+      parseInt(process.env.EMAIL_VERIFICATION_HOURS) || DEFAULT_LINK_HOURS;
+    this.storeUrl = options.storeUrl || process.env.STORE_URL || '/applications/ecommerce';
+  }
+
+  get jobProcessor() {
+    return this.services.jobProcessor;
+  }
+
+  /**
+   * Queue the confirmation email for an account
+   */
+  async sendVerification(user) {
+    if (user.emailVerified) {
+      throw this.createError('Email address is already verified', 409);
+    }
+
+    await this.jobProcessor.addJob('customer_email', {
+      type: 'verify_email',
+      recipientEmail: user.email,
+      recipientName: user.firstName || null,
+      verifyUrl: this.buildVerifyUrl(user)
+    });
+  }
+
+  /**
+   * Sign a confirmation link for an account's current email address
+   */
+  createToken(user, now = new Date()) {
+    const payload = Buffer.from(JSON.stringify({
+      userId: user.id,
+      email: user.email.toLowerCase(),
+      expiresAt: new Date(now.getTime() + this.linkHours * 60 * 60 * 1000).toISOString()
+    })).toString('base64url');
+
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  buildVerifyUrl(user) {
+    return `${this.storeUrl}/?verifyEmail=${encodeURIComponent(this.createToken(user))}`;
+  }
+
+  /**
+   * Check a confirmation token's signature and expiry and return its payload
+   */
+  verifyToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) {
+      throw this.createError('Verification link is invalid', 400);
+    }
+
+    const expected = Buffer.from(this.sign(payload));
+    const provided = Buffer.from(signature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      throw this.createError('Verification link is invalid', 400);
+    }
+
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (new Date(data.expiresAt) <= new Date()) {
+      throw this.createError('Verification link has expired', 410);
+    }
+
+    return data;
+  }
+
+  /**
+   * Mark the address named by a confirmation link as verified and claim
+   * the guest orders placed with it. Following a link again is harmless.
+   */
+  async verifyEmail(token) {
+    const { userId, email } = this.verifyToken(token);
+
+    const user = await this.users.findById(userId);
+    if (!user || (user.email || '').toLowerCase() !== email) {
+      throw this.createError('Verification link is invalid', 400);
+    }
+
+    const verified = user.emailVerified
+      ? user
+      : await this.users.update(userId, { emailVerified: true, emailVerifiedAt: new Date().toISOString() });
+    const claimedOrders = await this.claimGuestOrders(verified);
+
+    return { user: verified, claimedOrders };
+  }
+
+  /**
+   * Attach orders placed as a guest to the verified account with the same email
+   */
+  async claimGuestOrders(user) {
+    if (!user.emailVerified) {
+      return 0;
+    }
+
+    const email = user.email.toLowerCase();
+    const guestOrders = await this.orders.find(order =>
+      order.isGuest && !order.userId && order.customerEmail === email
+    );
+
+    for (const order of guestOrders) {
+      await this.orders.update(order.id, {
+        userId: user.id,
+        isGuest: false,
+        claimedAt: new Date().toISOString()
+      });
+    }
+
+    if (guestOrders.length > 0) {
+      this.logger.info(`Attached ${guestOrders.length} guest order(s) to user ${user.id}`);
+    }
+
+    return guestOrders.length;
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('hex');
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = EmailVerificationService;
@@ -0,0 +1,548 @@
+/**
+ * @fileoverview Experiment Service
+ * Runs A/B experiments between CMS content items: sticky per-session
+ * assignment, view, click and order attribution, and a conversion report
+ * with confidence intervals
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const Repository = require('./repository');
+const ContentService = require('./contentService');
+
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 4;
+const VARIANT_KEYS = ['A', 'B', 'C', 'D'];
+const MAX_WEIGHT = 100;
+
+// Orders count for a variant when placed within this many days of the view
+const DEFAULT_ATTRIBUTION_DAYS = 7;
+
+// Two-sided 95% confidence
+const Z_95 = 1.96;
+
+const roundRate = (value) => Math.round(value * 10000) / 10000;
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Experiment Service
+ * An experiment splits traffic between two to four content items, its
+ * variants, by weight. Variant A is the control. While an experiment runs,
+ * the storefront shows each session the one variant it was assigned,
+ * recorded in `experiment_assignments` the first time the session meets
+ * the experiment so the session keeps seeing it.
+ *
+ * Assignments count the session's views and clicks of its variant and the
+ * first order the session places after viewing it. Conversion is the share
+ * of sessions that viewed a variant and went on to order.
+ *
+ * Declaring a winner completes the experiment; every session then sees the
+ * winning content.
+ */
+class ExperimentService {
+  constructor(services, options = {}) {
+    this.logger = services.logger;
+    this.experiments = new Repository(services, 'content_experiments');
+    this.assignments = new Repository(services, 'experiment_assignments');
+    this.content = new Repository(services, 'content');
+    this.contentService = options.contentService || new ContentService(services);
+    this.attributionDays = options.attributionDays || DEFAULT_ATTRIBUTION_DAYS;
+    this.random = options.random || Math.random;
+  }
+
+  async listExperiments({ status } = {}) {
+    const experiments = await this.experiments.find(experiment => !status || experiment.status === status);
+    return experiments.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  async getExperiment(experimentId) {
+    const experiment = await this.experiments.findById(experimentId);
+    if (!experiment) {
+      throw this.createError('Experiment not found', 404);
+    }
+    return experiment;
+  }
+
+  /**
+   * Create an experiment as a draft. Body: { name, hypothesis?, variants:
+   * [{ contentId, name?, weight? }] } with the control first.
+   */
+  async createExperiment(data, userId) {
+    const fields = await this.normalizeExperiment(data);
+
+    const experiment = await this.experiments.create({
+      ...fields,
+      status: 'draft',
+      winner: null,
+      startedAt: null,
+      completedAt: null,
+      createdBy: userId,
+      updatedBy: userId
+    });
+
+    this.logger.info(`Experiment created: ${experiment.name} (${experiment.id})`);
+    return experiment;
+  }
+
+  /**
+   * Change a draft experiment. Running experiments keep their variants so
+   * that assignments stay meaningful.
+   */
+  async updateExperiment(experimentId, data, userId, expectedVersion) {
+    const existing = await this.getExperiment(experimentId);
+    if (existing.status !== 'draft') {
+      throw this.createError('Only draft experiments can be changed', 409);
+    }
+
+    const fields = await this.normalizeExperiment({
+      name: existing.name,
+      hypothesis: existing.hypothesis,
+      variants: existing.variants,
+      ...data
+    }, experimentId);
+
+    return this.experiments.update(experimentId, { ...fields, updatedBy: userId }, { expectedVersion });
+  }
+
+  /**
+   * Start splitting traffic. Every variant's content must be live.
+   */
+  async startExperiment(experimentId, userId, { expectedVersion } = {}) {
+    const experiment = await this.getExperiment(experimentId);
+    if (experiment.status !== 'draft') {
+      throw this.createError(`Experiment is already ${experiment.status}`, 409);
+    }
+
+    for (const variant of experiment.variants) {
+      try {
+        await this.contentService.getLiveContent(variant.contentId);
+      } catch (error) {
+        if (error.status !== 404) {
+          throw error;
+        }
+        throw this.createError(`The content for variant ${variant.key} is not live`, 409);
+      }
+    }
+    await this.assertContentAvailable(experiment.variants, experimentId);
+
+    const started = await this.experiments.update(experimentId, {
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      startedBy: userId
+    }, { expectedVersion });
+
+    this.logger.info(`Experiment started: ${started.name} (${started.id})`);
+    return started;
+  }
+
+  /**
+   * Complete a running experiment with a winning variant. Pass
+   * `unpublishLosers` to take the other variants' content off the
+   * storefront as well.
+   */
+  async declareWinner(experimentId, variantKey, userId, { expectedVersion, unpublishLosers = false } = {}) {
+    const experiment = await this.getExperiment(experimentId);
+    if (experiment.status !== 'running') {
+      throw this.createError('Only running experiments can have a winner declared', 409);
+    }
+
+    const winner = experiment.variants.find(variant => variant.key === variantKey);
+    if (!winner) {
+      throw this.createError(`Variant must be one of: ${experiment.variants.map(variant => variant.key).join(', ')}`, 400);
+    }
+
+    const report = await this.getReport(experimentId);
+    const completed = await this.experiments.update(experimentId, {
+      status: 'completed',
+      winner: winner.key,
+      completedAt: new Date().toISOString(),
+      completedBy: userId,
+      finalReport: report.variants
+    }, { expectedVersion });
+
+    if (unpublishLosers) {
+      for (const variant of experiment.variants.filter(entry => entry.key !== winner.key)) {
+        const content = await this.contentService.getContent(variant.contentId);
+        if (content.status === 'published') {
+          await this.contentService.unpublish(variant.contentId, userId);
+        }
+      }
+    }
+
+    this.logger.info(`Experiment completed: ${completed.name} (${completed.id}), variant ${winner.key} won`);
+    return completed;
+  }
+
+  /**
+   * Delete an experiment and its assignments
+   */
+  async deleteExperiment(experimentId) {
+    const experiment = await this.getExperiment(experimentId);
+
+    await this.experiments.remove(experimentId);
+    for (const assignment of await this.assignments.findBy('experimentId', experimentId)) {
+      await this.assignments.remove(assignment.id);
+    }
+
+    this.logger.info(`Experiment deleted: ${experiment.name} (${experimentId})`);
+    return true;
+  }
+
+  /**
+   * Show each session one variant of every experiment in a list of live
+   * content. The other variants are taken out and the shown item is tagged
+   * with `experiment: { id, variant }` so the storefront can report views
+   * and clicks. Without a session, the control is shown.
+   */
+  async applyExperiments(items, sessionId) {
+    const experiments = await this.getActiveExperiments();
+    let result = items;
+
+    for (const experiment of experiments) {
+      const contentIds = experiment.variants.map(variant => variant.contentId);
+      const present = result.filter(item => contentIds.includes(item.id));
+      if (present.length === 0) {
+        continue;
+      }
+
+      const variant = await this.assign(experiment, sessionId);
+      const shown = present.find(item => item.id === variant.contentId);
+      const replacement = shown
+        ? { ...shown, experiment: { id: experiment.id, variant: variant.key } }
+        : present[0];
+
+      const position = result.indexOf(present[0]);
+      result = result.filter(item => !contentIds.includes(item.id));
+      result.splice(position, 0, replacement);
+    }
+
+    return result;
+  }
+
+  /**
+   * The variant a session sees: the winner once an experiment is complete,
+   * otherwise the session's recorded assignment or a new weighted pick
+   */
+  async assign(experiment, sessionId) {
+    if (experiment.status === 'completed') {
+      return experiment.variants.find(variant => variant.key === experiment.winner);
+    }
+    if (!sessionId) {
+      return experiment.variants[0];
+    }
+
+    const assignment = await this.ensureAssignment(experiment, sessionId, () => this.pickVariant(experiment.variants));
+    return experiment.variants.find(variant => variant.key === assignment.variant);
+  }
+
+  /**
+   * Count a session's view of content in a running experiment. A session
+   * that reaches a variant without an assignment is assigned to it.
+   */
+  async recordView(contentId, sessionId, now = new Date()) {
+    return this.recordEvent(contentId, sessionId, current => ({
+      views: (current.views || 0) + 1,
+      firstViewedAt: current.firstViewedAt || now.toISOString(),
+      lastViewedAt: now.toISOString()
+    }));
+  }
+
+  async recordClick(contentId, sessionId, now = new Date()) {
+    return this.recordEvent(contentId, sessionId, current => ({
+      clicks: (current.clicks || 0) + 1,
+      firstClickedAt: current.firstClickedAt || now.toISOString(),
+      lastClickedAt: now.toISOString()
+    }));
+  }
+
+  async recordEvent(contentId, sessionId, changes) {
+    if (!sessionId) {
+      return null;
+    }
+
+    const experiments = await this.experiments.find(experiment => experiment.status === 'running' &&
+      experiment.variants.some(variant => variant.contentId === contentId));
+
+    const updated = [];
+    for (const experiment of experiments) {
+      const variant = experiment.variants.find(entry => entry.contentId === contentId);
+      const assignment = await this.ensureAssignment(experiment, sessionId, () => variant);
+
+      // A session only counts towards the variant it was assigned
+      if (assignment.variant === variant.key) {
+        updated.push(await this.assignments.update(assignment.id, changes));
+      }
+    }
+    return updated;
+  }
+
+  /**
+   * Attribute an order to the variants its session viewed within the
+   * attribution window. Each assignment counts its first order only.
+   */
+  async recordOrder(sessionId, order, now = new Date()) {
+    if (!sessionId) {
+      return [];
+    }
+
+    const since = now.getTime() - this.attributionDays * 24 * 60 * 60 * 1000;
+    const assignments = await this.assignments.find(assignment => assignment.sessionId === sessionId &&
+      assignment.firstViewedAt && !assignment.orderId && new Date(assignment.firstViewedAt).getTime() >= since);
+
+    const attributed = [];
+    for (const assignment of assignments) {
+      const experiment = await this.experiments.findById(assignment.experimentId);
+      if (!experiment || experiment.status !== 'running') {
+        continue;
+      }
+
+      attributed.push(await this.assignments.update(assignment.id, {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        orderTotal: roundCurrency(order.totalAmount || 0),
+        orderedAt: now.toISOString()
+      }));
+      this.logger.info(`Order ${order.orderNumber} attributed to experiment ${experiment.name} variant ${assignment.variant}`);
+    }
+    return attributed;
+  }
+
+  /**
+   * Views, clicks, orders and revenue per variant. Click-through and
+   * conversion rates are per viewing session with 95% Wilson intervals;
+   * each variant's difference from the control has a 95% interval and is
+   * significant when that interval excludes zero.
+   */
+  async getReport(experimentId) {
+    const experiment = await this.getExperiment(experimentId);
+    const assignments = await this.assignments.findBy('experimentId', experimentId);
+
+    const variants = [];
+    for (const variant of experiment.variants) {
+      const own = assignments.filter(assignment => assignment.variant === variant.key);
+      const viewed = own.filter(assignment => (assignment.views || 0) > 0);
+      const clicked = viewed.filter(assignment => (assignment.clicks || 0) > 0).length;
+      const ordered = viewed.filter(assignment => assignment.orderId);
+      const content = await this.content.findById(variant.contentId);
+
+      variants.push({
+        key: variant.key,
+        name: variant.name,
+        contentId: variant.contentId,
+        contentTitle: content ? content.title : null,
+        weight: variant.weight,
+        assigned: own.length,
+        visitors: viewed.length,
+        views: viewed.reduce((sum, assignment) => sum + assignment.views, 0),
+        clicks: viewed.reduce((sum, assignment) => sum + (assignment.clicks || 0), 0),
+        clickThrough: ExperimentService.rateWithInterval(clicked, viewed.length),
+        orders: ordered.length,
+        revenue: roundCurrency(ordered.reduce((sum, assignment) => sum + assignment.orderTotal, 0)),
+        conversion: ExperimentService.rateWithInterval(ordered.length, viewed.length)
+      });
+    }
+
+    const [control] = variants;
+    variants.forEach(variant => {
+      variant.isControl = variant === control;
+      variant.differenceFromControl = variant.isControl
+        ? null
+        : ExperimentService.differenceWithInterval(control, variant);
+    });
+
+    return {
+      experimentId: experiment.id,
+      name: experiment.name,
+      status: experiment.status,
+      winner: experiment.winner,
+      startedAt: experiment.startedAt,
+      completedAt: experiment.completedAt,
+      attributionDays: this.attributionDays,
+      variants
+    };
+  }
+
+  async getActiveExperiments() {
+    return this.experiments.find(experiment => experiment.status === 'running' ||
+      (experiment.status === 'completed' && experiment.winner));
+  }
+
+  async findAssignment(experimentId, sessionId) {
+    const assignments = await this.assignments.find(assignment =>
+      assignment.experimentId === experimentId && assignment.sessionId === sessionId);
+    return assignments[0] || null;
+  }
+
+  /**
+   * The session's assignment to an experiment, recording `pick()` if it has
+   * none yet. Serialised per experiment and session so that requests
+   * arriving together never assign a session twice.
+   */
+  async ensureAssignment(experiment, sessionId, pick) {
+    return this.assignments.withLock(`${experiment.id}:${sessionId}`, async () =>
+      await this.findAssignment(experiment.id, sessionId) ||
+      this.createAssignment(experiment, pick(), sessionId));
+  }
+
+  async createAssignment(experiment, variant, sessionId) {
+    return this.assignments.create({
+      experimentId: experiment.id,
+      sessionId,
+      variant: variant.key,
+      assignedAt: new Date().toISOString(),
+      views: 0,
+      clicks: 0,
+      orderId: null
+    });
+  }
+
+  pickVariant(variants) {
+    const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let pick = this.random() * total;
+
+    for (const variant of variants) {
+      pick -= variant.weight;
+      if (pick < 0) {
+        return variant;
+      }
+    }
+    return variants[variants.length - 1];
+  }
+
+  async normalizeExperiment(data, experimentId = null) {
+    const name = String(data.name || '').trim();
+    if (!name) {
+      throw this.createError('Experiment name is required', 400);
+    }
+
+    const variants = data.variants;
+    if (!Array.isArray(variants) || variants.length < MIN_VARIANTS || variants.length > MAX_VARIANTS) {
+      throw this.createError(`An experiment needs ${MIN_VARIANTS} to ${MAX_VARIANTS} variants`, 400);
+    }
+
+    const contentIds = variants.map(variant => variant && variant.contentId);
+    if (new Set(contentIds).size !== contentIds.length) {
+      throw this.createError('Each variant must use different content', 400);
+    }
+
+    const normalized = [];
+    let contentType = null;
+    for (const [index, variant] of variants.entries()) {
+      const key = VARIANT_KEYS[index];
+      const content = variant.contentId && await this.content.findById(variant.contentId);
+      if (!content) {
+        throw this.createError(`Content for variant ${key} not found`, 400);
+      }
+      if (contentType && content.type !== contentType) {
+        throw this.createError('All variants must be the same type of content', 400);
+      }
+      contentType = content.type;
+
+      const weight = variant.weight === undefined ? 1 : Number(variant.weight);
+      if (!Number.isInteger(weight) || weight < 1 || weight > MAX_WEIGHT) {
+        throw this.createError(`Variant ${key} weight must be a whole number from 1 to ${MAX_WEIGHT}`, 400);
+      }
+
+      normalized.push({
+        key,
+        name: variant.name ? String(variant.name).trim() : (index === 0 ? 'Control' : `Variant ${key}`),
+        contentId: content.id,
+        weight
+      });
+    }
+
+    await this.assertContentAvailable(normalized, experimentId);
+
+    return {
+      name,
+      hypothesis: data.hypothesis ? String(data.hypothesis).trim() : null,
+      contentType,
+      variants: normalized
+    };
+  }
+
+  /**
+   * Content can only be in one draft or running experiment at a time
+   */
+  async assertContentAvailable(variants, experimentId = null) {
+    const contentIds = variants.map(variant => variant.contentId);
+    const [clash] = await this.experiments.find(experiment => experiment.id !== experimentId &&
+      ['draft', 'running'].includes(experiment.status) &&
+      experiment.variants.some(variant => contentIds.includes(variant.contentId)));
+
+    if (clash) {
+      throw this.createError(`Content is already in experiment ${clash.name}`, 409);
+    }
+  }
+
+  /**
+   * Refuse to delete content a running experiment is showing
+   */
+  async assertContentNotRunning(contentId) {
+    const [running] = await this.experiments.find(experiment => experiment.status === 'running' &&
+      experiment.variants.some(variant => variant.contentId === contentId));
+
+    if (running) {
+      throw this.createError(`Content is in running experiment ${running.name}`, 409);
+    }
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * A proportion with its Wilson score interval, which stays inside 0..1
+   * and behaves at small counts
+   */
+  static rateWithInterval(successes, trials, z = Z_95) {
+    if (trials === 0) {
+      return { rate: null, low: null, high: null };
+    }
+
+    const rate = successes / trials;
+    const z2 = z * z;
+    const centre = (rate + z2 / (2 * trials)) / (1 + z2 / trials);
+    const margin = (z / (1 + z2 / trials)) * Math.sqrt(rate * (1 - rate) / trials + z2 / (4 * trials * trials));
+
+    return {
+      rate: roundRate(rate),
+      low: roundRate(Math.max(0, centre - margin)),
+      high: roundRate(Math.min(1, centre + margin))
+    };
+  }
+
+  /**
+   * Variant conversion minus control conversion, with a normal-approximation
+   * interval and the relative uplift
+   */
+  static differenceWithInterval(control, variant, z = Z_95) {
+    if (control.visitors === 0 || variant.visitors === 0) {
+      return { difference: null, low: null, high: null, uplift: null, significant: false };
+    }
+
+    const p1 = control.orders / control.visitors;
+    const p2 = variant.orders / variant.visitors;
+    const difference = p2 - p1;
+    const margin = z * Math.sqrt(p1 * (1 - p1) / control.visitors + p2 * (1 - p2) / variant.visitors);
+    const low = difference - margin;
+    const high = difference + margin;
+
+    return {
+      difference: roundRate(difference),
+      low: roundRate(low),
+      high: roundRate(high),
+      uplift: p1 > 0 ? roundRate(difference / p1) : null,
+      significant: margin > 0 && (low > 0 || high < 0)
+    };
+  }
+}
+
+ExperimentService.VARIANT_KEYS = VARIANT_KEYS;
+
+module.exports = ExperimentService;
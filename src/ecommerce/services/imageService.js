@@ -0,0 +1,446 @@
+/**
+ * @fileoverview Product Image Service
+ * Validates product images, builds their resized derivatives in a
+ * background job, serves them, and handles ordering, the primary image
+ * and deletion
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const path = require('path');
+const { Readable } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+const sharp = require('sharp');
+const Repository = require('./repository');
+const ProductService = require('./productService');
+
+/**
+ * Derivatives are scaled down to fit a square of this many pixels.
+ * Images smaller than that are never enlarged.
+ */
+const IMAGE_SIZES = {
+  thumbnail: 150,
+  medium: 600,
+  large: 1200
+};
+const ORIGINAL_SIZE = 'original';
+
+/**
+ * Accepted formats as reported by sharp, with their content type and
+ * file extension. GIF derivatives are written as PNG.
+ */
+const IMAGE_FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+  png: { mimeType: 'image/png', extension: 'png' },
+  webp: { mimeType: 'image/webp', extension: 'webp' },
+  gif: { mimeType: 'image/gif', extension: 'gif' }
+};
+
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024;
+const MAX_IMAGE_PIXELS = 50 * 1000 * 1000;
+const MAX_IMAGES_PER_PRODUCT = 20;
+const IMAGE_CACHE_TTL = 24 * 60 * 60;
+
+/**
+ * Product Image Service
+ * Originals are stored at `products/<productId>/<imageId>/original.<ext>`
+ * with each derivative beside them. Until the `process_product_image` job
+ * has built the derivatives, requests for them get the original.
+ *
+ * The product keeps the ID of its primary image in `primaryImageId` so
+ * that listings can show it without loading the images.
+ */
+class ImageService {
+  constructor(services, options = {}) {
+    this.services = services;
+    this.filing = services.filing;
+    this.cache = services.cache;
+    this.logger = services.logger;
+    this.images = new Repository(services, 'product_images');
+    this.products = new Repository(services, 'products');
+    this.variants = new Repository(services, 'product_variants');
+    this.productService = options.productService || new ProductService(services);
+  }
+
+  get jobProcessor() {
+    return this.services.jobProcessor;
+  }
+
+  /**
+   * Check an image by its contents rather than its name or declared type.
+   * Resolves to its format, content type and upright dimensions.
+   */
+  async inspectImage(buffer) {
+    if (!buffer || buffer.length === 0) {
+      throw this.createError('Image file is empty', 400);
+    }
+    if (buffer.length > MAX_IMAGE_SIZE) {
+      throw this.createError('Images must be 10MB or smaller', 400);
+    }
+
+    let metadata;
+    try {
+      metadata = await sharp(buffer).metadata();
+    } catch (error) {
+      metadata = {};
+    }
+
+    const format = IMAGE_FORMATS[metadata.format];
+    if (!format || !metadata.width || !metadata.height) {
+      throw this.createError('Images must be JPEG, PNG, WebP or GIF files', 400);
+    }
+    if (metadata.width * metadata.height > MAX_IMAGE_PIXELS) {
+      throw this.createError('Images must be 50 megapixels or smaller', 400);
+    }
+
+    // EXIF orientations 5 to 8 are stored on their side
+    const sideways = metadata.orientation >= 5;
+    return {
+      format: metadata.format,
+      mimeType: format.mimeType,
+      extension: format.extension,
+      width: sideways ? metadata.height : metadata.width,
+      height: sideways ? metadata.width : metadata.height
+    };
+  }
+
+  /**
+   * Add uploaded images to a product. Every file is checked before any is
+   * stored, so one bad file rejects the whole upload.
+   */
+  async addImages(productId, files, userId) {
+    const product = await this.findProduct(productId);
+
+    if (files.length === 0) {
+      throw this.createError('No images uploaded', 400);
+    }
+
+    const existing = await this.listImages(productId);
+    if (existing.length + files.length > MAX_IMAGES_PER_PRODUCT) {
+      throw this.createError(`A product can have at most ${MAX_IMAGES_PER_PRODUCT} images`, 400);
+    }
+
+    for (const file of files) {
+      try {
+        await this.inspectImage(file.buffer);
+      } catch (error) {
+        error.message = `${file.originalname}: ${error.message}`;
+        throw error;
+      }
+    }
+
+    const images = [];
+    for (const file of files) {
+      images.push(await this.addImage(product, { buffer: file.buffer, originalName: file.originalname }, userId));
+    }
+    return images;
+  }
+
+  /**
+   * Store one image for a product and queue its derivatives. The first
+   * image a product gets becomes its primary image.
+   */
+  async addImage(product, { buffer, originalName, sourceUrl = null }, userId) {
+    const { format, mimeType, width, height } = await this.inspectImage(buffer);
+    const existing = await this.listImages(product.id);
+
+    const imageId = uuidv4();
+    const fileName = `${ORIGINAL_SIZE}.${IMAGE_FORMATS[format].extension}`;
+    const filePath = `products/${product.id}/${imageId}/${fileName}`;
+    await this.filing.create(filePath, Readable.from(buffer));
+
+    const image = await this.images.create({
+      id: imageId,
+      productId: product.id,
+      fileName,
+      filePath,
+      originalName,
+      sourceUrl,
+      mimeType,
+      size: buffer.length,
+      width,
+      height,
+      sortOrder: existing.reduce((max, other) => Math.max(max, other.sortOrder + 1), 0),
+      isPrimary: existing.length === 0,
+      status: 'processing',
+      derivatives: {},
+      processingError: null,
+      uploadedAt: new Date().toISOString(),
+      uploadedBy: userId
+    });
+
+    if (image.isPrimary) {
+      await this.setProductImage(product.id, image.id);
+    }
+
+    try {
+      await this.jobProcessor.addJob('process_product_image', { imageId: image.id });
+    } catch (error) {
+      // The original is served in the meantime
+      this.logger.error(`Error queueing processing for image ${image.id}:`, error);
+    }
+
+    this.logger.info(`Image ${image.id} added to product ${product.id}`);
+    return image;
+  }
+
+  /**
+   * Build the thumbnail, medium and large derivatives of an image
+   */
+  async processImage(imageId) {
+    const image = await this.images.findById(imageId);
+    if (!image) {
+      this.logger.warn(`Image ${imageId} was deleted before it could be processed`);
+      return null;
+    }
+
+    const directory = path.posix.dirname(image.filePath);
+    const derivatives = {};
+    let changes;
+
+    try {
+      const original = await this.filing.read(image.filePath);
+      const format = ImageService.derivativeFormat(image.mimeType);
+
+      for (const [size, dimension] of Object.entries(IMAGE_SIZES)) {
+        const { data, info } = await sharp(original)
+          .rotate()
+          .resize({ width: dimension, height: dimension, fit: 'inside', withoutEnlargement: true })
+          .toFormat(format)
+          .toBuffer({ resolveWithObject: true });
+
+        const filePath = `${directory}/${size}.${IMAGE_FORMATS[format].extension}`;
+        await this.filing.create(filePath, Readable.from(data));
+        derivatives[size] = {
+          filePath,
+          mimeType: IMAGE_FORMATS[format].mimeType,
+          width: info.width,
+          height: info.height,
+          size: data.length
+        };
+      }
+
+      changes = { status: 'ready', derivatives, processingError: null, processedAt: new Date().toISOString() };
+    } catch (error) {
+      this.logger.error(`Error processing image ${imageId}:`, error);
+      changes = { status: 'failed', processingError: error.message };
+    }
+
+    let updated;
+    try {
+      updated = await this.images.update(imageId, changes);
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+      // Deleted while it was being processed
+      await this.removeFiles(Object.values(derivatives).map(derivative => derivative.filePath));
+      return null;
+    }
+
+    await this.clearImageCache(imageId);
+    return updated;
+  }
+
+  /**
+   * Get the stored file for one size of an image. Derivatives that have not
+   * been built yet fall back to the original, which is marked as not
+   * cacheable so clients come back for the real derivative.
+   */
+  async getImageFile(imageId, size) {
+    if (size !== ORIGINAL_SIZE && !IMAGE_SIZES[size]) {
+      throw this.createError(`Image size must be one of ${[...Object.keys(IMAGE_SIZES), ORIGINAL_SIZE].join(', ')}`, 400);
+    }
+
+    const cacheKey = ImageService.cacheKey(imageId, size);
+    const cached = await this.cache.get(cacheKey);
+    if (cached) {
+      return { ...cached, content: Buffer.from(cached.content, 'base64') };
+    }
+
+    const image = await this.images.findById(imageId);
+    if (!image) {
+      throw this.createError('Image not found', 404);
+    }
+
+    const derivative = size === ORIGINAL_SIZE ? image : (image.derivatives || {})[size];
+    const file = derivative || image;
+    const content = await this.filing.read(file.filePath);
+    const result = {
+      content,
+      mimeType: file.mimeType,
+      etag: `"${image.id}-${size}-${image.version}"`,
+      cacheable: Boolean(derivative)
+    };
+
+    // Derivatives are small enough to keep in the cache; originals are not
+    if (derivative && size !== ORIGINAL_SIZE) {
+      await this.cache.put(cacheKey, { ...result, content: content.toString('base64') }, IMAGE_CACHE_TTL);
+    }
+
+    return result;
+  }
+
+  /**
+   * List a product's images in display order
+   */
+  async listImages(productId) {
+    const images = await this.images.findBy('productId', productId);
+    return images.sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0));
+  }
+
+  /**
+   * Put a product's images in the given order. `imageIds` must list every
+   * image of the product once.
+   */
+  async reorderImages(productId, imageIds) {
+    await this.findProduct(productId);
+    const images = await this.listImages(productId);
+
+    const ids = Array.isArray(imageIds) ? imageIds : [];
+    const known = new Set(images.map(image => image.id));
+    if (ids.length !== images.length || new Set(ids).size !== ids.length || ids.some(id => !known.has(id))) {
+      throw this.createError('imageIds must list every image of the product exactly once', 400);
+    }
+
+    for (const [sortOrder, imageId] of ids.entries()) {
+      if (images.find(image => image.id === imageId).sortOrder !== sortOrder) {
+        await this.images.update(imageId, { sortOrder });
+      }
+    }
+
+    await this.clearProductCache(productId);
+    return this.listImages(productId);
+  }
+
+  /**
+   * Make one image the product's primary image
+   */
+  async setPrimaryImage(productId, imageId) {
+    await this.findProduct(productId);
+    const images = await this.listImages(productId);
+
+    if (!images.some(image => image.id === imageId)) {
+      throw this.createError('Image not found', 404);
+    }
+
+    for (const image of images) {
+      if (image.isPrimary !== (image.id === imageId)) {
+        await this.images.update(image.id, { isPrimary: image.id === imageId });
+      }
+    }
+
+    await this.setProductImage(productId, imageId);
+    return this.listImages(productId);
+  }
+
+  /**
+   * Delete an image with its files. The next image in order becomes
+   * primary if this one was, and variants stop referring to it.
+   */
+  async deleteImage(productId, imageId) {
+    await this.findProduct(productId);
+    const images = await this.listImages(productId);
+    const image = images.find(entry => entry.id === imageId);
+
+    if (!image) {
+      throw this.createError('Image not found', 404);
+    }
+
+    await this.images.remove(imageId);
+    await this.removeFiles([
+      image.filePath,
+      ...Object.values(image.derivatives || {}).map(derivative => derivative.filePath)
+    ]);
+    await this.clearImageCache(imageId);
+
+    const remaining = images.filter(entry => entry.id !== imageId);
+    for (const [sortOrder, entry] of remaining.entries()) {
+      const isPrimary = entry.isPrimary || (image.isPrimary && sortOrder === 0);
+      if (entry.sortOrder !== sortOrder || entry.isPrimary !== isPrimary) {
+        await this.images.update(entry.id, { sortOrder, isPrimary });
+      }
+    }
+
+    const variants = await this.variants.findBy('productId', productId);
+    for (const variant of variants) {
+      if ((variant.images || []).includes(imageId)) {
+        await this.variants.update(variant.id, current => ({
+          images: current.images.filter(id => id !== imageId)
+        }));
+      }
+    }
+
+    if (image.isPrimary) {
+      await this.setProductImage(productId, remaining.length > 0 ? remaining[0].id : null);
+    } else {
+      await this.clearProductCache(productId);
+    }
+
+    this.logger.info(`Image ${imageId} deleted from product ${productId}`);
+    return true;
+  }
+
+  async findProduct(productId) {
+    const product = await this.products.findById(productId);
+    if (!product || product.status === 'deleted') {
+      throw this.createError('Product not found', 404);
+    }
+    return product;
+  }
+
+  async setProductImage(productId, imageId) {
+    await this.products.update(productId, { primaryImageId: imageId });
+    await this.clearProductCache(productId);
+  }
+
+  async clearProductCache(productId) {
+    await this.productService.clearProductCache();
+    await this.cache.delete(`product:${productId}`);
+  }
+
+  async clearImageCache(imageId) {
+    for (const size of Object.keys(IMAGE_SIZES)) {
+      await this.cache.delete(ImageService.cacheKey(imageId, size));
+    }
+  }
+
+  /**
+   * Missing files are logged rather than failing the delete
+   */
+  async removeFiles(filePaths) {
+    for (const filePath of filePaths) {
+      try {
+        await this.filing.delete(filePath);
+      } catch (error) {
+        this.logger.warn(`Could not delete image file ${filePath}: ${error.message}`);
+      }
+    }
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  static cacheKey(imageId, size) {
+    return `image:${imageId}:${size}`;
+  }
+
+  /**
+   * Derivatives keep the original's format, except GIFs which become PNG
+   */
+  static derivativeFormat(mimeType) {
+    const format = Object.keys(IMAGE_FORMATS).find(name => IMAGE_FORMATS[name].mimeType === mimeType);
+    return !format || format === 'gif' ? 'png' : format;
+  }
+}
+
+ImageService.IMAGE_SIZES = IMAGE_SIZES;
+ImageService.ORIGINAL_SIZE = ORIGINAL_SIZE;
+
+module.exports = ImageService;
@@ -0,0 +1,372 @@
+/**
+ * @fileoverview Inventory Reservation Service
+ * Holds stock for carts during checkout and commits it when payment succeeds
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const Repository = require('./repository');
+
+const DEFAULT_RESERVATION_MINUTES = 15;
+
+/**
+ * Inventory Reservation Service
+ * Reservations are time-boxed. Expired reservations are released by the
+ * `release_expired_reservations` job and before every new reservation.
+ */
+class InventoryService {
+  constructor(services, options = {}) {
+    this.logger = services.logger;
+    this.dataServe = services.dataServe;
+    this.inventory = new Repository(services, 'inventory');
+    this.reservations = new Repository(services, 'inventory_reservations');
+    this.reservationMinutes = options.reservationMinutes ||
+      parseInt(process.env.RESERVATION_TTL_MINUTES) || DEFAULT_RESERVATION_MINUTES;
+  }
+
+  /**
+   * Build the out-of-stock error returned to the client
+   */
+  static createOutOfStockError(items) {
+    const error = new Error('Insufficient stock for one or more items');
+    error.status = 409;
+    error.code = 'OUT_OF_STOCK';
+    error.items = items;
+    return error;
+  }
+
+  /**
+   * Reject lines whose quantity is not a whole number greater than zero, so
+   * that no caller can lower reserved or raise on-hand stock by committing
+   * or reserving a negative amount
+   */
+  static assertQuantities(items) {
+    if (items.some(item => !Number.isInteger(item.quantity) || item.quantity <= 0)) {
+      const error = new Error('Quantities must be whole numbers greater than zero');
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * Find the inventory record for a product, preferring a variant-level record
+   */
+  async findInventoryRecord(productId, variantId) {
+    const records = await this.inventory.findBy('productId', productId);
+
+    if (variantId) {
+      const variantRecord = records.find(record => record.variantId === variantId);
+      if (variantRecord) {
+        return variantRecord;
+      }
+    }
+
+    return records.find(record => !record.variantId) || null;
+  }
+
+  /**
+   * Return the line items that cannot be satisfied from available stock
+   */
+  async findShortages(items) {
+    const shortages = [];
+
+    for (const item of items) {
+      const record = await this.findInventoryRecord(item.productId, item.variantId);
+      const available = record ? record.quantity - (record.reserved || 0) : 0;
+
+      if (available < item.quantity) {
+        shortages.push({
+          productId: item.productId,
+          variantId: item.variantId || null,
+          name: item.name || null,
+          requested: item.quantity,
+          available: Math.max(0, available)
+        });
+      }
+    }
+
+    return shortages;
+  }
+
+  /**
+   * Throw an out-of-stock error if any line item exceeds available stock
+   */
+  async assertAvailable(items) {
+    const shortages = await this.findShortages(items);
+    if (shortages.length > 0) {
+      throw InventoryService.createOutOfStockError(shortages);
+    }
+  }
+
+  /**
+   * Get the active reservation for a cart session
+   */
+  async getActiveReservation(sessionId) {
+    const reservations = await this.reservations.find(reservation =>
+      reservation.sessionId === sessionId && reservation.status === 'active'
+    );
+    return reservations[0] || null;
+  }
+
+  /**
+   * Reserve stock for every cart line. Any earlier reservation for the same
+   * session is released first so the cart is always reserved as a whole.
+   */
+  async reserve(sessionId, items, options = {}) {
+    InventoryService.assertQuantities(items);
+    await this.releaseExpiredReservations();
+
+    const existing = await this.getActiveReservation(sessionId);
+    if (existing) {
+      await this.release(existing.id, 'replaced');
+    }
+
+    await this.assertAvailable(items);
+
+    const applied = [];
+    try {
+      for (const item of items) {
+        const record = await this.findInventoryRecord(item.productId, item.variantId);
+
+        await this.inventory.update(record.id, current => {
+          const available = current.quantity - (current.reserved || 0);
+          if (available < item.quantity) {
+            throw InventoryService.createOutOfStockError([{
+              productId: item.productId,
+              variantId: item.variantId || null,
+              name: item.name || null,
+              requested: item.quantity,
+              available: Math.max(0, available)
+            }]);
+          }
+
+          const reserved = (current.reserved || 0) + item.quantity;
+          return {
+            reserved,
+            available: current.quantity - reserved,
+            lastUpdated: new Date().toISOString()
+          };
+        });
+
+        applied.push({ inventoryId: record.id, productId: item.productId, variantId: item.variantId || null, quantity: item.quantity });
+      }
+    } catch (error) {
+      // Stock moved between the check and the write, undo what was held
+      await this.adjustReserved(applied, -1);
+      throw error;
+    }
+
+    let expiresAt = new Date(Date.now() + this.reservationMinutes * 60 * 1000);
+    if (options.expiresAt && new Date(options.expiresAt) < expiresAt) {
+      expiresAt = new Date(options.expiresAt);
+    }
+
+    const reservation = await this.reservations.create({
+      sessionId,
+      userId: options.userId || null,
+      items: applied,
+      status: 'active',
+      expiresAt: expiresAt.toISOString()
+    });
+
+    this.logger.info(`Inventory reserved for session ${sessionId} until ${reservation.expiresAt}`);
+
+    return reservation;
+  }
+
+  /**
+   * Release a reservation and return its stock to available
+   */
+  async release(reservationId, reason = 'released') {
+    const reservation = await this.reservations.findById(reservationId);
+    if (!reservation || reservation.status !== 'active') {
+      return null;
+    }
+
+    const released = await this.reservations.update(reservationId, current => {
+      if (current.status !== 'active') {
+        const error = new Error(`Reservation ${reservationId} is already ${current.status}`);
+        error.status = 409;
+        throw error;
+      }
+      return { status: 'released', releaseReason: reason, releasedAt: new Date().toISOString() };
+    });
+
+    await this.adjustReserved(reservation.items, -1);
+
+    this.logger.info(`Inventory reservation released (${reason}): ${reservationId}`);
+
+    return released;
+  }
+
+  /**
+   * Release the active reservation for a cart session, if any
+   */
+  async releaseForSession(sessionId, reason) {
+    const reservation = await this.getActiveReservation(sessionId);
+    return reservation ? this.release(reservation.id, reason) : null;
+  }
+
+  /**
+   * Convert a reservation into a committed stock decrement
+   */
+  async commit(reservationId, orderId) {
+    const reservation = await this.reservations.update(reservationId, current => {
+      if (current.status !== 'active') {
+        const error = new Error(`Reservation ${reservationId} is ${current.status}`);
+        error.status = 409;
+        error.code = 'RESERVATION_NOT_ACTIVE';
+        throw error;
+      }
+      return { status: 'committed', orderId, committedAt: new Date().toISOString() };
+    });
+
+    for (const item of reservation.items) {
+      await this.inventory.update(item.inventoryId, current => {
+        const quantity = Math.max(0, current.quantity - item.quantity);
+        const reserved = Math.max(0, (current.reserved || 0) - item.quantity);
+        return {
+          quantity,
+          reserved,
+          available: quantity - reserved,
+          lastUpdated: new Date().toISOString()
+        };
+      });
+    }
+
+    this.logger.info(`Inventory reservation committed for order ${orderId}: ${reservationId}`);
+
+    return reservation;
+  }
+
+  /**
+   * Decrement stock directly for items that were never reserved.
+   * Rejects the whole request if any line would oversell, leaving stock as it was.
+   */
+  async commitItems(items) {
+    InventoryService.assertQuantities(items);
+    await this.assertAvailable(items);
+
+    const applied = [];
+    try {
+      for (const item of items) {
+        const record = await this.findInventoryRecord(item.productId, item.variantId);
+
+        await this.inventory.update(record.id, current => {
+          const available = current.quantity - (current.reserved || 0);
+          if (available < item.quantity) {
+            throw InventoryService.createOutOfStockError([{
+              productId: item.productId,
+              variantId: item.variantId || null,
+              requested: item.quantity,
+              available: Math.max(0, available)
+            }]);
+          }
+
+          const quantity = current.quantity - item.quantity;
+          return {
+            quantity,
+            available: quantity - (current.reserved || 0),
+            lastUpdated: new Date().toISOString()
+          };
+        });
+
+        applied.push({ inventoryId: record.id, quantity: item.quantity });
+      }
+    } catch (error) {
+      // Stock moved between the check and the write, put back what was taken
+      for (const item of applied) {
+        await this.inventory.update(item.inventoryId, current => {
+          const quantity = current.quantity + item.quantity;
+          return {
+            quantity,
+            available: quantity - (current.reserved || 0),
+            lastUpdated: new Date().toISOString()
+          };
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Put returned or refunded items back into stock. Items without an
+   * inventory record are skipped. Resolves to the lines that were restocked.
+   */
+  async restock(items, reason, adjustedBy = null) {
+    const restocked = [];
+
+    for (const item of items) {
+      const record = await this.findInventoryRecord(item.productId, item.variantId);
+      if (!record) {
+        this.logger.warn(`No inventory record to restock product ${item.productId}`);
+        continue;
+      }
+
+      const updated = await this.inventory.update(record.id, current => {
+        const quantity = current.quantity + item.quantity;
+        return {
+          quantity,
+          available: quantity - (current.reserved || 0),
+          lastUpdated: new Date().toISOString()
+        };
+      });
+
+      await this.dataServe.add('inventory_logs', {
+        productId: item.productId,
+        variantId: item.variantId || null,
+        oldQuantity: updated.quantity - item.quantity,
+        newQuantity: updated.quantity,
+        change: item.quantity,
+        reason,
+        adjustedBy,
+        adjustedAt: new Date().toISOString()
+      });
+
+      restocked.push({ productId: item.productId, variantId: item.variantId || null, quantity: item.quantity });
+    }
+
+    return restocked;
+  }
+
+  /**
+   * Release every active reservation whose time box has passed
+   */
+  async releaseExpiredReservations() {
+    const now = new Date().toISOString();
+    const expired = await this.reservations.find(reservation =>
+      reservation.status === 'active' && reservation.expiresAt <= now
+    );
+
+    for (const reservation of expired) {
+      try {
+        await this.release(reservation.id, 'expired');
+      } catch (error) {
+        this.logger.error(`Error releasing expired reservation ${reservation.id}:`, error);
+      }
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * Add (direction 1) or remove (direction -1) reserved quantities
+   */
+  async adjustReserved(items, direction) {
+    for (const item of items) {
+      await this.inventory.update(item.inventoryId, current => {
+        const reserved = Math.max(0, (current.reserved || 0) + direction * item.quantity);
+        return {
+          reserved,
+          available: current.quantity - reserved,
+          lastUpdated: new Date().toISOString()
+        };
+      });
+    }
+  }
+}
+
+module.exports = InventoryService;
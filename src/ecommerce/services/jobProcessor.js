@@ -8,6 +8,19 @@
 
 'use strict';
 
+const path = require('path');
+const OrderStatusService = require('./orderStatusService');
+const Repository = require('./repository');
+const InventoryService = require('./inventoryService');
+const CartRecoveryService = require('./cartRecoveryService');
+const PaymentReconciliationService = require('./paymentReconciliationService');
+const CatalogImportService = require('./catalogImportService');
+const ImageService = require('./imageService');
+
+// Payments are reconciled once a day at this hour (UTC) unless
+// PAYMENT_RECONCILIATION_HOUR says otherwise
+const DEFAULT_RECONCILIATION_HOUR = 3;
+
 class JobProcessor {
   constructor(services) {
     this.services = services;
@@ -16,6 +29,22 @@ class JobProcessor {
     this.logger = services.logger;
     this.notifying = services.notifying;
     this.workflow = services.workflow;
+    this.scheduling = services.scheduling;
+    const reconciliationHour = parseInt(process.env.PAYMENT_RECONCILIATION_HOUR, 10);
+    this.reconciliationHour = reconciliationHour >= 0 && reconciliationHour <= 23
+      ? reconciliationHour
+      : DEFAULT_RECONCILIATION_HOUR;
+    this.inventoryService = new InventoryService(services);
+    this.cartRecoveryService = new CartRecoveryService(services);
+    this.orderStatusService = new OrderStatusService(services);
+    this.paymentReconciliationService = new PaymentReconciliationService(services, {
+      inventoryService: this.inventoryService,
+      jobProcessor: this
+    });
+    this.catalogImportService = new CatalogImportService(services);
+    this.imageService = new ImageService(services);
+    this.orders = new Repository(services, 'orders');
+    this.inventory = new Repository(services, 'inventory');
 
     this.isProcessing = false;
     this.jobHandlers = new Map();
@@ -35,6 +64,61 @@ class JobProcessor {
     this.jobHandlers.set('shipping_label', this.handleShippingLabel.bind(this));
     this.jobHandlers.set('customer_email', this.handleCustomerEmail.bind(this));
     this.jobHandlers.set('analytics_tracking', this.handleAnalyticsTracking.bind(this));
+    this.jobHandlers.set('release_expired_reservations', this.handleReleaseExpiredReservations.bind(this));
+    this.jobHandlers.set('detect_abandoned_carts', this.handleDetectAbandonedCarts.bind(this));
+    this.jobHandlers.set('reconcile_payments', this.handleReconcilePayments.bind(this));
+    this.jobHandlers.set('catalog_import', this.handleCatalogImport.bind(this));
+    this.jobHandlers.set('process_product_image', this.handleProcessProductImage.bind(this));
+  }
+
+  /**
+   * Get the recurring jobs and when each one is queued: every
+   * `intervalSeconds`, or once a day at `dailyHour` (UTC)
+   */
+  getRecurringJobs() {
+    return [
+      { type: 'release_expired_reservations', intervalSeconds: 60 },
+      { type: 'detect_abandoned_carts', intervalSeconds: 15 * 60 },
+      { type: 'reconcile_payments', dailyHour: this.reconciliationHour }
+    ];
+  }
+
+  /**
+   * Schedule recurring jobs. The scheduler runs one worker at a time, so a
+   * single tick task queues every recurring job that has come due. Interval
+   * jobs first run at start-up; daily jobs wait for their hour.
+   */
+  async scheduleRecurringJobs(tickSeconds = 60) {
+    const tickScript = path.resolve(__dirname, '../activities/scheduledJobTick.js');
+    const nextDueAt = new Map();
+
+    await this.scheduling.start('ecommerce_recurring_jobs', tickScript, tickSeconds, (status) => {
+      if (status !== 'completed') {
+        return;
+      }
+
+      const now = Date.now();
+      for (const { type, data = {}, intervalSeconds, dailyHour } of this.getRecurringJobs()) {
+        const daily = dailyHour !== undefined;
+        if (daily && !nextDueAt.has(type)) {
+          nextDueAt.set(type, JobProcessor.nextDailyRun(dailyHour, now));
+        }
+        if (now < (nextDueAt.get(type) || 0)) {
+          continue;
+        }
+
+        // Interval jobs get half a tick of slack so timer jitter never
+        // skips a whole interval
+        nextDueAt.set(type, daily
+          ? JobProcessor.nextDailyRun(dailyHour, now)
+          : now + intervalSeconds * 1000 - tickSeconds * 500);
+        this.addJob(type, data).catch(error => {
+          this.logger.error(`Error queueing scheduled job ${type}:`, error);
+        });
+      }
+    });
+
+    this.logger.info(`Recurring jobs scheduled every ${tickSeconds}s`);
   }
 
   /**
@@ -134,7 +218,7 @@ class JobProcessor {
 
     try {
       // Get order details
-      const order = await this.dataServe.jsonFindById('orders', orderId);
+      const order = await this.orders.findById(orderId);
       if (!order) {
         throw new Error(`Order not found: ${orderId}`);
       }
@@ -148,15 +232,10 @@ class JobProcessor {
       });
 
       // Update order status
-      const updatedOrder = {
-        ...order,
-        status: 'fulfilling',
-        fulfillmentStartedAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
-
-      await this.dataServe.remove('orders', orderId);
-      await this.dataServe.add('orders', updatedOrder);
+      await this.orderStatusService.transition(orderId, 'processing', { type: 'system' }, {
+        note: 'Fulfillment started',
+        fields: { fulfillmentStartedAt: new Date().toISOString() }
+      });
 
       // Schedule follow-up jobs
       await this.addJob('shipping_label', { orderId }, { delay: 2000 });
@@ -181,9 +260,9 @@ class JobProcessor {
     const { productId, quantity, operation } = data;
 
     try {
-      const inventoryRecords = await this.dataServe.jsonFindByPath('inventory', 'productId', productId);
+      const existingInventory = await this.inventory.findOneBy('productId', productId);
 
-      if (inventoryRecords.length === 0) {
+      if (!existingInventory) {
         // Create new inventory record
         const inventoryRecord = {
           productId,
@@ -194,26 +273,28 @@ class JobProcessor {
           lastUpdated: new Date().toISOString()
         };
 
-        await this.dataServe.add('inventory', inventoryRecord);
+        await this.inventory.create(inventoryRecord);
         this.logger.info(`Created inventory record for product: ${productId}`);
       } else {
         // Update existing inventory
-        const inventory = inventoryRecords[0];
-        const oldQuantity = inventory.quantity;
-
-        if (operation === 'add') {
-          inventory.quantity += quantity;
-        } else if (operation === 'subtract') {
-          inventory.quantity = Math.max(0, inventory.quantity - quantity);
-        } else {
-          inventory.quantity = quantity;
-        }
-
-        inventory.available = inventory.quantity - inventory.reserved;
-        inventory.lastUpdated = new Date().toISOString();
-
-        await this.dataServe.remove('inventory', inventory.id);
-        await this.dataServe.add('inventory', inventory);
+        const oldQuantity = existingInventory.quantity;
+
+        const inventory = await this.inventory.update(existingInventory.id, current => {
+          let newQuantity;
+          if (operation === 'add') {
+            newQuantity = current.quantity + quantity;
+          } else if (operation === 'subtract') {
+            newQuantity = Math.max(0, current.quantity - quantity);
+          } else {
+            newQuantity = quantity;
+          }
+
+          return {
+            quantity: newQuantity,
+            available: newQuantity - current.reserved,
+            lastUpdated: new Date().toISOString()
+          };
+        });
 
         this.logger.info(`Updated inventory for product ${productId}: ${oldQuantity} → ${inventory.quantity}`);
 
@@ -260,39 +341,14 @@ class JobProcessor {
    * Handle order status update job
    */
   async handleOrderStatusUpdate(data) {
-    const { orderId, status, trackingNumber } = data;
+    const { orderId, status, trackingNumber, note } = data;
 
     try {
-      const order = await this.dataServe.jsonFindById('orders', orderId);
-      if (!order) {
-        throw new Error(`Order not found: ${orderId}`);
-      }
-
-      const updatedOrder = {
-        ...order,
-        status,
-        updatedAt: new Date().toISOString()
-      };
-
-      if (trackingNumber) {
-        updatedOrder.trackingNumber = trackingNumber;
-      }
-
-      // Add status-specific timestamps
-      switch (status) {
-        case 'shipped':
-          updatedOrder.shippedAt = new Date().toISOString();
-          break;
-        case 'delivered':
-          updatedOrder.deliveredAt = new Date().toISOString();
-          break;
-        case 'cancelled':
-          updatedOrder.cancelledAt = new Date().toISOString();
-          break;
-      }
-
-      await this.dataServe.remove('orders', orderId);
-      await this.dataServe.add('orders', updatedOrder);
+      // Transition rules are shared with the admin status route
+      const order = await this.orderStatusService.transition(orderId, status, { type: 'system' }, {
+        trackingNumber,
+        note
+      });
 
       // Schedule customer notification
       await this.addJob('customer_email', {
@@ -317,20 +373,30 @@ class JobProcessor {
 
     try {
       // Update order with payment confirmation
-      const order = await this.dataServe.jsonFindById('orders', orderId);
+      const order = await this.orders.findById(orderId);
       if (!order) {
         throw new Error(`Order not found: ${orderId}`);
       }
 
-      const updatedOrder = {
-        ...order,
-        paymentStatus: 'confirmed',
-        paymentConfirmedAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
+      // Only a payment still awaiting confirmation is confirmed, so a refund
+      // or dispute recorded since the job was queued is not overwritten and a
+      // repeated job does not start fulfillment twice
+      let confirmed = false;
+      await this.orders.update(orderId, current => {
+        if (current.paymentStatus && !['pending', 'paid'].includes(current.paymentStatus)) {
+          return {};
+        }
+        confirmed = true;
+        return {
+          paymentStatus: 'confirmed',
+          paymentConfirmedAt: new Date().toISOString()
+        };
+      });
 
-      await this.dataServe.remove('orders', orderId);
-      await this.dataServe.add('orders', updatedOrder);
+      if (!confirmed) {
+        this.logger.info(`Payment for order ${order.orderNumber} is ${order.paymentStatus}, not confirming it`);
+        return;
+      }
 
       // Start fulfillment process
       await this.addJob('order_fulfillment', { orderId }, { delay: 5000 });
@@ -357,7 +423,7 @@ class JobProcessor {
     const { orderId } = data;
 
     try {
-      const order = await this.dataServe.jsonFindById('orders', orderId);
+      const order = await this.orders.findById(orderId);
       if (!order) {
         throw new Error(`Order not found: ${orderId}`);
       }
@@ -384,7 +450,7 @@ class JobProcessor {
    * Handle customer email job
    */
   async handleCustomerEmail(data) {
-    const { orderId, type, recipientEmail, trackingNumber } = data;
+    const { orderId, type, recipientEmail, trackingNumber, ...details } = data;
 
     try {
       // Simulate sending customer email
@@ -393,11 +459,12 @@ class JobProcessor {
         type,
         recipientEmail,
         trackingNumber,
+        ...details,
         sentAt: new Date().toISOString()
       };
 
       // In a real implementation, this would integrate with an email service
-      this.logger.info(`Customer email sent: ${type} for order ${orderId}`);
+      this.logger.info(`Customer email sent: ${type} ${orderId ? `for order ${orderId}` : `to ${recipientEmail}`}`);
 
       // Store email record for tracking
       await this.dataServe.add('email_logs', emailData);
@@ -431,6 +498,83 @@ class JobProcessor {
     }
   }
 
+  /**
+   * Handle release of expired inventory reservations
+   */
+  async handleReleaseExpiredReservations() {
+    try {
+      const released = await this.inventoryService.releaseExpiredReservations();
+      if (released > 0) {
+        this.logger.info(`Released ${released} expired inventory reservation(s)`);
+      }
+    } catch (error) {
+      this.logger.error('Error releasing expired reservations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle abandoned cart detection: queue a restore-cart email for each
+   * cart that has been idle past the threshold
+   */
+  async handleDetectAbandonedCarts() {
+    try {
+      const abandoned = await this.cartRecoveryService.findAbandonedCarts();
+
+      for (const { cart, user } of abandoned) {
+        const email = await this.cartRecoveryService.prepareReminder(cart, user);
+        await this.addJob('customer_email', email);
+      }
+
+      if (abandoned.length > 0) {
+        this.logger.info(`Queued ${abandoned.length} abandoned cart email(s)`);
+      }
+    } catch (error) {
+      this.logger.error('Error detecting abandoned carts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle the nightly check of order payment status against the provider
+   */
+  async handleReconcilePayments(data = {}) {
+    try {
+      await this.paymentReconciliationService.reconcilePayments(data);
+    } catch (error) {
+      this.logger.error('Error reconciling payments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle a queued bulk catalog import or dry run
+   */
+  async handleCatalogImport(data) {
+    const { importId } = data;
+
+    try {
+      await this.catalogImportService.runImport(importId);
+    } catch (error) {
+      this.logger.error(`Error running catalog import ${importId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle building the resized derivatives of an uploaded product image
+   */
+  async handleProcessProductImage(data) {
+    const { imageId } = data;
+
+    try {
+      await this.imageService.processImage(imageId);
+    } catch (error) {
+      this.logger.error(`Error processing product image ${imageId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Generate a unique job ID
    */
@@ -471,6 +615,18 @@ class JobProcessor {
       return { pending: 0, processing: 0, completed: 0 };
     }
   }
+
+  /**
+   * The next time after `now` that the clock reads `hour`:00 UTC
+   */
+  static nextDailyRun(hour, now) {
+    const next = new Date(now);
+    next.setUTCHours(hour, 0, 0, 0);
+    if (next.getTime() <= now) {
+      next.setUTCDate(next.getUTCDate() + 1);
+    }
+    return next.getTime();
+  }
 }
 
 module.exports = JobProcessor;
\ No newline at end of file
@@ -0,0 +1,330 @@
+/**
+ * @fileoverview Search Merchandising Service
+ * Manages the rules merchandisers use to shape search results: synonym sets,
+ * query redirects, pinned and buried products and ranking boosts
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const Repository = require('./repository');
+const SearchService = require('./searchService');
+
+const RULES_CACHE_KEY = 'search:rules';
+
+const RULE_TYPES = ['synonym', 'redirect', 'pin', 'boost'];
+const MATCH_TYPES = ['exact', 'contains'];
+const BOOST_FACTORS = ['margin', 'stock', 'recency'];
+const MAX_BOOST_WEIGHT = 10;
+const MAX_QUERY_VARIANTS = 10;
+
+/**
+ * Search Merchandising Service
+ * Rules live in the `search_rules` container and are matched against the
+ * normalised search query. Redirect, pin and boost rules list the queries
+ * they apply to and match them exactly or as a phrase within the query; a
+ * boost rule without queries applies to every search. Synonym sets expand
+ * the query into alternatives that are searched alongside the original.
+ */
+class MerchandisingService {
+  constructor(services, options = {}) {
+    this.cache = services.cache;
+    this.logger = services.logger;
+    this.rules = new Repository(services, 'search_rules');
+    this.products = new Repository(services, 'products');
+    this.categories = new Repository(services, 'categories');
+    this.storeUrl = options.storeUrl || process.env.STORE_URL || '/applications/ecommerce';
+  }
+
+  /**
+   * Validate rule input and normalise its queries and terms
+   */
+  async normalizeRule(data) {
+    if (!RULE_TYPES.includes(data.type)) {
+      throw this.createError(`Rule type must be one of: ${RULE_TYPES.join(', ')}`, 400);
+    }
+
+    const rule = {
+      type: data.type,
+      name: data.name ? String(data.name).trim() : null,
+      active: data.active !== undefined ? data.active === true : true
+    };
+
+    if (data.type === 'synonym') {
+      const terms = [...new Set((data.terms || []).map(MerchandisingService.normalizeQuery).filter(Boolean))];
+      if (terms.length < 2) {
+        throw this.createError('A synonym set needs at least two different terms', 400);
+      }
+      return { ...rule, name: rule.name || terms.join(' = '), terms, oneWay: data.oneWay === true };
+    }
+
+    const queries = [...new Set((data.queries || []).map(MerchandisingService.normalizeQuery).filter(Boolean))];
+    const match = data.match || 'exact';
+    if (!MATCH_TYPES.includes(match)) {
+      throw this.createError(`Match must be one of: ${MATCH_TYPES.join(', ')}`, 400);
+    }
+    if (queries.length === 0 && data.type !== 'boost') {
+      throw this.createError('At least one query is required', 400);
+    }
+
+    if (data.type === 'redirect') {
+      const target = await this.normalizeRedirectTarget(data);
+      return { ...rule, name: rule.name || `Redirect ${queries.join(', ')}`, queries, match, ...target };
+    }
+
+    if (data.type === 'pin') {
+      const pinned = [...new Set(data.pinned || [])];
+      const buried = [...new Set(data.buried || [])];
+      if (pinned.length === 0 && buried.length === 0) {
+        throw this.createError('Pin at least one product or bury at least one product', 400);
+      }
+      if (pinned.some(productId => buried.includes(productId))) {
+        throw this.createError('A product cannot be both pinned and buried', 400);
+      }
+      for (const productId of [...pinned, ...buried]) {
+        if (!await this.products.findById(productId)) {
+          throw this.createError(`Product not found: ${productId}`, 400);
+        }
+      }
+      return { ...rule, name: rule.name || `Pin ${queries.join(', ')}`, queries, match, pinned, buried };
+    }
+
+    if (!BOOST_FACTORS.includes(data.factor)) {
+      throw this.createError(`Boost factor must be one of: ${BOOST_FACTORS.join(', ')}`, 400);
+    }
+    const weight = parseFloat(data.weight !== undefined ? data.weight : 1);
+    if (isNaN(weight) || weight <= 0 || weight > MAX_BOOST_WEIGHT) {
+      throw this.createError(`Boost weight must be greater than 0 and at most ${MAX_BOOST_WEIGHT}`, 400);
+    }
+    return { ...rule, name: rule.name || `Boost by ${data.factor}`, queries, match, factor: data.factor, weight };
+  }
+
+  /**
+   * Redirects go to a category page or to a store URL
+   */
+  async normalizeRedirectTarget(data) {
+    if (data.categoryId && data.url) {
+      throw this.createError('Redirect to either a category or a URL, not both', 400);
+    }
+
+    if (data.categoryId) {
+      const category = await this.categories.findById(data.categoryId);
+      if (!category || category.status === 'deleted') {
+        throw this.createError('Category not found', 400);
+      }
+      return { categoryId: category.id, url: null };
+    }
+
+    if (data.url && /^(\/|https?:\/\/)/.test(String(data.url))) {
+      return { categoryId: null, url: String(data.url) };
+    }
+
+    throw this.createError('A redirect needs a category or a URL starting with / or http', 400);
+  }
+
+  /**
+   * Create a merchandising rule
+   */
+  async createRule(data, userId) {
+    const rule = await this.rules.create({ ...await this.normalizeRule(data), createdBy: userId });
+    await this.clearRuleCache();
+    this.logger.info(`Search rule created: ${rule.name} (${rule.id})`);
+    return rule;
+  }
+
+  /**
+   * Update a merchandising rule. The rule type cannot change.
+   */
+  async updateRule(ruleId, data, userId, expectedVersion) {
+    const existing = await this.rules.findById(ruleId);
+    if (!existing) {
+      throw this.createError('Search rule not found', 404);
+    }
+
+    const rule = await this.normalizeRule({ ...existing, ...data, type: existing.type });
+    const updated = await this.rules.update(ruleId, { ...rule, updatedBy: userId }, { expectedVersion });
+    await this.clearRuleCache();
+    return updated;
+  }
+
+  /**
+   * Delete a merchandising rule. Returns false if it did not exist.
+   */
+  async deleteRule(ruleId) {
+    const removed = await this.rules.remove(ruleId);
+    if (removed) {
+      await this.clearRuleCache();
+    }
+    return removed;
+  }
+
+  /**
+   * Work out how the rules shape a search for the given query tokens:
+   * query alternatives from synonyms, a redirect, pinned and buried products
+   * and boosts
+   */
+  async resolve(queryTokens) {
+    const rules = await this.getActiveRules();
+    const query = queryTokens.join(' ');
+
+    const applied = [];
+    const matching = rules.filter(rule => rule.type !== 'synonym' && this.matchesQuery(rule, query));
+
+    const synonyms = rules.filter(rule => rule.type === 'synonym');
+    const variants = this.expandQuery(queryTokens, synonyms, applied);
+
+    let redirect = null;
+    const redirectRule = matching.find(rule => rule.type === 'redirect');
+    if (redirectRule) {
+      redirect = await this.resolveRedirect(redirectRule);
+      if (redirect) {
+        applied.push(redirectRule);
+      }
+    }
+
+    const pinned = [];
+    const buried = [];
+    matching.filter(rule => rule.type === 'pin').forEach(rule => {
+      rule.pinned.filter(productId => !pinned.includes(productId)).forEach(productId => pinned.push(productId));
+      rule.buried.filter(productId => !buried.includes(productId)).forEach(productId => buried.push(productId));
+      applied.push(rule);
+    });
+
+    const boosts = matching.filter(rule => rule.type === 'boost');
+    applied.push(...boosts);
+
+    return {
+      queries: variants,
+      redirect,
+      pinned: pinned.filter(productId => !buried.includes(productId)),
+      buried,
+      boosts: boosts.map(rule => ({ factor: rule.factor, weight: rule.weight })),
+      appliedRules: applied.map(rule => ({ id: rule.id, type: rule.type, name: rule.name }))
+    };
+  }
+
+  /**
+   * Boost rules without queries match every search, including browsing
+   */
+  matchesQuery(rule, query) {
+    if (rule.queries.length === 0) {
+      return rule.type === 'boost';
+    }
+    if (!query) {
+      return false;
+    }
+    return rule.queries.some(ruleQuery => rule.match === 'contains'
+      ? ` ${query} `.includes(` ${ruleQuery} `)
+      : ruleQuery === query);
+  }
+
+  /**
+   * Replace each synonym term found in the query with the other terms of its
+   * set. One-way sets only expand their first term. The original query is
+   * always first.
+   */
+  expandQuery(queryTokens, synonyms, applied = []) {
+    const variants = [queryTokens];
+    const seen = new Set([queryTokens.join(' ')]);
+
+    for (const rule of synonyms) {
+      const sources = rule.oneWay ? [rule.terms[0]] : rule.terms;
+      let used = false;
+
+      for (const source of sources) {
+        const sourceTokens = source.split(' ');
+        const position = MerchandisingService.findPhrase(queryTokens, sourceTokens);
+        if (position === -1) {
+          continue;
+        }
+
+        for (const replacement of rule.terms.filter(term => term !== source)) {
+          const variant = [
+            ...queryTokens.slice(0, position),
+            ...replacement.split(' '),
+            ...queryTokens.slice(position + sourceTokens.length)
+          ];
+          const key = variant.join(' ');
+          if (!seen.has(key) && variants.length < MAX_QUERY_VARIANTS) {
+            seen.add(key);
+            variants.push(variant);
+            used = true;
+          }
+        }
+      }
+
+      if (used) {
+        applied.push(rule);
+      }
+    }
+
+    return variants;
+  }
+
+  /**
+   * Category redirects follow renames by resolving the category when used
+   */
+  async resolveRedirect(rule) {
+    if (!rule.categoryId) {
+      return { ruleId: rule.id, url: rule.url, categoryId: null };
+    }
+
+    const category = await this.categories.findById(rule.categoryId);
+    if (!category || category.status !== 'active') {
+      return null;
+    }
+
+    return {
+      ruleId: rule.id,
+      url: `${this.storeUrl}/?category=${encodeURIComponent(category.name)}`,
+      categoryId: category.id,
+      categoryName: category.name,
+      categorySlug: category.slug
+    };
+  }
+
+  async getActiveRules() {
+    let rules = await this.cache.get(RULES_CACHE_KEY);
+
+    if (!rules) {
+      rules = await this.rules.find(rule => rule.active);
+      rules.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+      await this.cache.put(RULES_CACHE_KEY, rules, 300);
+    }
+
+    return rules;
+  }
+
+  async clearRuleCache() {
+    await this.cache.delete(RULES_CACHE_KEY);
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * Queries and synonym terms are stored the way search tokenises input
+   */
+  static normalizeQuery(text) {
+    return SearchService.tokenize(text).join(' ');
+  }
+
+  static findPhrase(tokens, phrase) {
+    for (let i = 0; i + phrase.length <= tokens.length; i++) {
+      if (phrase.every((token, offset) => tokens[i + offset] === token)) {
+        return i;
+      }
+    }
+    return -1;
+  }
+}
+
+MerchandisingService.RULE_TYPES = RULE_TYPES;
+MerchandisingService.BOOST_FACTORS = BOOST_FACTORS;
+
+module.exports = MerchandisingService;
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Order Status Service
+ * Defines the order lifecycle and applies status transitions with history
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const Repository = require('./repository');
+
+/**
+ * Allowed transitions keyed by the current order status.
+ * Terminal states map to an empty list. A partial refund is recorded in the
+ * order's paymentStatus and leaves its status alone.
+ */
+const ORDER_TRANSITIONS = {
+  created: ['paid', 'cancelled'],
+  paid: ['processing', 'cancelled', 'refunded'],
+  processing: ['picked', 'shipped', 'cancelled', 'refunded'],
+  picked: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered', 'refunded'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+/**
+ * Order Status Service
+ * Enforces the order state machine and records a status history entry per change
+ */
+class OrderStatusService {
+  constructor(services) {
+    this.orders = new Repository(services, 'orders');
+    this.logger = services.logger;
+  }
+
+  /**
+   * Check whether an order may move from one status to another
+   */
+  static canTransition(fromStatus, toStatus) {
+    const allowed = ORDER_TRANSITIONS[fromStatus];
+    return Array.isArray(allowed) && allowed.includes(toStatus);
+  }
+
+  /**
+   * Build a status history entry
+   */
+  static createHistoryEntry(fromStatus, toStatus, changedBy, note) {
+    return {
+      fromStatus: fromStatus || null,
+      status: toStatus,
+      changedAt: new Date().toISOString(),
+      changedBy: {
+        type: changedBy?.type || 'system',
+        id: changedBy?.id || null
+      },
+      note: note || null
+    };
+  }
+
+  /**
+   * Move an order to a new status.
+   * Throws an error with status 409 when the transition is not allowed or
+   * when `details.expectedVersion` no longer matches the stored order.
+   */
+  async transition(orderId, toStatus, changedBy, details = {}) {
+    if (!ORDER_STATUSES.includes(toStatus)) {
+      const error = new Error(`Invalid order status: ${toStatus}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const order = await this.orders.findById(orderId);
+    if (!order) {
+      const error = new Error(`Order not found: ${orderId}`);
+      error.status = 404;
+      throw error;
+    }
+
+    const updatedOrder = await this.orders.update(orderId, current => {
+      const fromStatus = current.status;
+      if (!OrderStatusService.canTransition(fromStatus, toStatus)) {
+        const error = new Error(`Cannot change order status from '${fromStatus}' to '${toStatus}'`);
+        error.status = 409;
+        error.allowedTransitions = ORDER_TRANSITIONS[fromStatus] || [];
+        throw error;
+      }
+
+      return this.applyStatus(current, toStatus, changedBy, details);
+    }, { expectedVersion: details.expectedVersion });
+
+    const lastChange = updatedOrder.statusHistory[updatedOrder.statusHistory.length - 1];
+    this.logger.info(`Order status changed: ${updatedOrder.orderNumber} ${lastChange.fromStatus} → ${toStatus}`);
+
+    return updatedOrder;
+  }
+
+  /**
+   * Build the changes for a status move, including history and timestamps
+   */
+  applyStatus(order, toStatus, changedBy, details) {
+    const now = new Date().toISOString();
+    const updatedOrder = {
+      ...(details.fields || {}),
+      status: toStatus,
+      statusHistory: [
+        ...(order.statusHistory || []),
+        OrderStatusService.createHistoryEntry(order.status, toStatus, changedBy, details.note)
+      ]
+    };
+
+    if (changedBy?.id) {
+      updatedOrder.updatedBy = changedBy.id;
+    }
+
+    if (details.trackingNumber) {
+      updatedOrder.trackingNumber = details.trackingNumber;
+    }
+
+    // Add status-specific timestamps
+    switch (toStatus) {
+      case 'paid':
+        updatedOrder.paidAt = now;
+        break;
+      case 'shipped': {
+        updatedOrder.shippedAt = now;
+        // Calculate estimated delivery (5 business days)
+        const estimatedDelivery = new Date();
+        estimatedDelivery.setDate(estimatedDelivery.getDate() + 5);
+        updatedOrder.estimatedDelivery = estimatedDelivery.toISOString();
+        break;
+      }
+      case 'delivered':
+        updatedOrder.deliveredAt = now;
+        break;
+      case 'cancelled':
+        updatedOrder.cancelledAt = now;
+        break;
+      case 'refunded':
+        updatedOrder.refundedAt = now;
+        break;
+    }
+
+    return updatedOrder;
+  }
+}
+
+OrderStatusService.ORDER_STATUSES = ORDER_STATUSES;
+OrderStatusService.ORDER_TRANSITIONS = ORDER_TRANSITIONS;
+
+module.exports = OrderStatusService;
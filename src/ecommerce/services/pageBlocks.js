@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Page Blocks
+ * Schemas for the typed blocks a CMS page is built from, and the
+ * validation that checks blocks against them
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const SearchService = require('./searchService');
+
+const MAX_BLOCKS = 50;
+const MAX_CAROUSEL_PRODUCTS = 24;
+
+const heading = { type: 'string', maxLength: 200 };
+
+/**
+ * One schema per block type. A field is described by its `type` (string,
+ * url, enum, integer, number, boolean, list or object) with `required`,
+ * `default` and the limits that type takes. Lists describe their entries
+ * with `of`, objects their fields with `fields`.
+ */
+const BLOCK_SCHEMAS = {
+  hero: {
+    heading: { ...heading, required: true },
+    subheading: { type: 'string', maxLength: 500 },
+    imageUrl: { type: 'url' },
+    buttonText: { type: 'string', maxLength: 60 },
+    buttonUrl: { type: 'url' },
+    align: { type: 'enum', values: ['left', 'center', 'right'], default: 'center' }
+  },
+  product_carousel: {
+    heading,
+    source: { type: 'enum', values: ['query', 'collection'], required: true },
+    query: {
+      type: 'object',
+      fields: {
+        q: { type: 'string', maxLength: 200 },
+        category: { type: 'string' },
+        brand: { type: 'string' },
+        tags: { type: 'list', of: { type: 'string' }, maxItems: 10 },
+        minPrice: { type: 'number', min: 0 },
+        maxPrice: { type: 'number', min: 0 },
+        sort: { type: 'enum', values: SearchService.SORTS }
+      }
+    },
+    productIds: { type: 'list', of: { type: 'string' }, maxItems: MAX_CAROUSEL_PRODUCTS },
+    limit: { type: 'integer', min: 1, max: MAX_CAROUSEL_PRODUCTS, default: 8 }
+  },
+  rich_text: {
+    heading,
+    html: { type: 'string', required: true, maxLength: 50000 }
+  },
+  image_grid: {
+    heading,
+    columns: { type: 'integer', min: 1, max: 6, default: 3 },
+    images: {
+      type: 'list',
+      required: true,
+      minItems: 1,
+      maxItems: 24,
+      of: {
+        type: 'object',
+        fields: {
+          imageUrl: { type: 'url', required: true },
+          alt: { type: 'string', maxLength: 200 },
+          caption: { type: 'string', maxLength: 200 },
+          linkUrl: { type: 'url' }
+        }
+      }
+    }
+  },
+  category_tiles: {
+    heading,
+    categoryIds: { type: 'list', of: { type: 'string' }, maxItems: 12 },
+    showProductCount: { type: 'boolean', default: true }
+  }
+};
+
+const BLOCK_TYPES = Object.keys(BLOCK_SCHEMAS);
+
+/**
+ * Checks that span more than one field of a block
+ */
+const BLOCK_RULES = {
+  hero: (block) => {
+    if (block.buttonText && !block.buttonUrl) {
+      return 'buttonUrl is required with buttonText';
+    }
+  },
+  product_carousel: (block) => {
+    if (block.source === 'query' && !block.query) {
+      return 'query is required when source is query';
+    }
+    if (block.source === 'collection' && !(block.productIds && block.productIds.length > 0)) {
+      return 'productIds is required when source is collection';
+    }
+  }
+};
+
+/**
+ * Check page blocks against their schemas. Returns the blocks with
+ * defaults filled in and unset optional fields left out; throws a 400
+ * naming the block and field on the first problem.
+ */
+function normalizeBlocks(blocks) {
+  if (blocks === undefined || blocks === null) {
+    return [];
+  }
+  if (!Array.isArray(blocks)) {
+    throw invalidBlock('blocks must be a list');
+  }
+  if (blocks.length > MAX_BLOCKS) {
+    throw invalidBlock(`A page can have at most ${MAX_BLOCKS} blocks`);
+  }
+
+  return blocks.map((block, index) => {
+    const position = `Block ${index + 1}`;
+    if (!block || typeof block !== 'object' || Array.isArray(block)) {
+      throw invalidBlock(`${position} must be an object`);
+    }
+    if (!BLOCK_TYPES.includes(block.type)) {
+      throw invalidBlock(`${position} type must be one of: ${BLOCK_TYPES.join(', ')}`);
+    }
+
+    const { type, ...fields } = block;
+    const label = `${position} (${type})`;
+    const normalized = { type, ...checkFields(fields, BLOCK_SCHEMAS[type], label) };
+
+    const problem = BLOCK_RULES[type] && BLOCK_RULES[type](normalized);
+    if (problem) {
+      throw invalidBlock(`${label}: ${problem}`);
+    }
+    return normalized;
+  });
+}
+
+function checkFields(values, schema, label, path = '') {
+  const unknown = Object.keys(values).find(name => !schema[name]);
+  if (unknown) {
+    throw invalidBlock(`${label}: unknown field ${path}${unknown}`);
+  }
+
+  const result = {};
+  for (const [name, field] of Object.entries(schema)) {
+    const value = checkValue(values[name], field, label, `${path}${name}`);
+    if (value !== undefined) {
+      result[name] = value;
+    }
+  }
+  return result;
+}
+
+function checkValue(value, field, label, path) {
+  if (value === undefined || value === null || value === '') {
+    if (field.required) {
+      throw invalidBlock(`${label}: ${path} is required`);
+    }
+    return field.default;
+  }
+
+  const fail = (problem) => invalidBlock(`${label}: ${path} ${problem}`);
+
+  switch (field.type) {
+    case 'string': {
+      if (typeof value !== 'string') {
+        throw fail('must be text');
+      }
+      const text = value.trim();
+      if (field.maxLength && text.length > field.maxLength) {
+        throw fail(`must be at most ${field.maxLength} characters`);
+      }
+      return text;
+    }
+    case 'url':
+      if (typeof value !== 'string' || !/^(\/|https?:\/\/)/.test(value.trim())) {
+        throw fail('must be a URL starting with / or http');
+      }
+      return value.trim();
+    case 'enum':
+      if (!field.values.includes(value)) {
+        throw fail(`must be one of: ${field.values.join(', ')}`);
+      }
+      return value;
+    case 'integer':
+    case 'number': {
+      const number = Number(value);
+      if (typeof value === 'boolean' || !Number.isFinite(number) || (field.type === 'integer' && !Number.isInteger(number))) {
+        throw fail(`must be ${field.type === 'integer' ? 'a whole number' : 'a number'}`);
+      }
+      if ((field.min !== undefined && number < field.min) || (field.max !== undefined && number > field.max)) {
+        throw fail(field.max !== undefined ? `must be between ${field.min} and ${field.max}` : `must be at least ${field.min}`);
+      }
+      return number;
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        throw fail('must be true or false');
+      }
+      return value;
+    case 'list':
+      if (!Array.isArray(value)) {
+        throw fail('must be a list');
+      }
+      if (field.minItems && value.length < field.minItems) {
+        throw fail(`needs at least ${field.minItems} ${field.minItems === 1 ? 'entry' : 'entries'}`);
+      }
+      if (field.maxItems && value.length > field.maxItems) {
+        throw fail(`can have at most ${field.maxItems} entries`);
+      }
+      return value.map((entry, index) => {
+        const entryPath = `${path}[${index}]`;
+        if (entry === undefined || entry === null || entry === '') {
+          throw invalidBlock(`${label}: ${entryPath} is required`);
+        }
+        return checkValue(entry, field.of, label, entryPath);
+      });
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        throw fail('must be an object');
+      }
+      return checkFields(value, field.fields, label, `${path}.`);
+    default:
+      throw new Error(`Unknown block field type ${field.type}`);
+  }
+}
+
+function invalidBlock(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+module.exports = { BLOCK_TYPES, BLOCK_SCHEMAS, normalizeBlocks };
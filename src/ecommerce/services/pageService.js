@@ -0,0 +1,380 @@
+/**
+ * @fileoverview Page Service
+ * Serves CMS pages to the storefront with the data their blocks show, and
+ * manages the navigation menus that link to them
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const Repository = require('./repository');
+const ContentService = require('./contentService');
+const SearchService = require('./searchService');
+const CategoryService = require('./categoryService');
+
+const MENU_ITEM_TYPES = ['page', 'category', 'product', 'url'];
+const MAX_MENU_DEPTH = 2;
+const MAX_MENU_ITEMS = 50;
+const MAX_CATEGORY_TILES = 12;
+
+const HANDLE_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Page Service
+ * Pages are content of type `page`. Their blocks are stored as authored;
+ * products and categories are looked up each time a page is served so a
+ * page never shows a product that has since been withdrawn.
+ *
+ * Menus live in `navigation_menus` and are fetched by their `handle`, such
+ * as `main` or `footer`. Items link to a page by slug, a category or a
+ * product by ID, or a URL, and may have one level of children. Links whose
+ * target is not live are left out when a menu is served.
+ */
+class PageService {
+  constructor(services, options = {}) {
+    this.logger = services.logger;
+    this.menus = new Repository(services, 'navigation_menus');
+    this.products = new Repository(services, 'products');
+    this.categories = new Repository(services, 'categories');
+    this.contentService = options.contentService || new ContentService(services);
+    this.searchService = options.searchService || new SearchService(services);
+    this.categoryService = options.categoryService || new CategoryService(services);
+    this.storeUrl = options.storeUrl || process.env.STORE_URL || '/applications/ecommerce';
+  }
+
+  /**
+   * A live page by slug, with its block data resolved
+   */
+  async getPage(slug, now = new Date()) {
+    const pages = await this.contentService.listLiveContent({ type: 'page' }, now);
+    const page = pages.find(item => item.slug === slug);
+
+    if (!page) {
+      throw this.createError('Page not found', 404);
+    }
+    return this.resolvePage(page);
+  }
+
+  /**
+   * The working copy named by a preview token, with its block data resolved
+   */
+  async getPreview(token, now = new Date()) {
+    return this.resolvePage(await this.contentService.getPreview(token, now));
+  }
+
+  async resolvePage(page) {
+    return { ...page, blocks: await this.resolveBlocks(page.blocks || []) };
+  }
+
+  /**
+   * Add the products and categories each block shows as `data`. A block
+   * whose data cannot be loaded is served with empty data rather than
+   * failing the page.
+   */
+  async resolveBlocks(blocks) {
+    return Promise.all(blocks.map(async block => {
+      try {
+        return { ...block, data: await this.resolveBlockData(block) };
+      } catch (error) {
+        this.logger.error(`Error resolving ${block.type} block:`, error);
+        return { ...block, data: PageService.emptyData(block) };
+      }
+    }));
+  }
+
+  async resolveBlockData(block) {
+    switch (block.type) {
+      case 'product_carousel':
+        return { products: await this.resolveCarouselProducts(block) };
+      case 'category_tiles':
+        return { categories: await this.resolveCategoryTiles(block) };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * A query runs as a storefront search. A collection lists its products in
+   * the order given, skipping any that are not active.
+   */
+  async resolveCarouselProducts(block) {
+    if (block.source === 'query') {
+      const { results } = await this.searchService.search(
+        { ...block.query, limit: block.limit },
+        { recordQuery: false }
+      );
+      return results.map(product => PageService.toCard(product, product.rating));
+    }
+
+    const documents = await this.searchService.getDocuments();
+    return block.productIds
+      .map(productId => documents.find(document => document.product.id === productId))
+      .filter(Boolean)
+      .slice(0, block.limit)
+      .map(document => PageService.toCard(document.product, document.rating));
+  }
+
+  /**
+   * The chosen categories in the order given, or the top-level categories
+   * when none are chosen. Inactive categories are skipped.
+   */
+  async resolveCategoryTiles(block) {
+    const categories = await this.categoryService.getCategoriesWithProductCounts();
+    const chosen = block.categoryIds && block.categoryIds.length > 0
+      ? block.categoryIds.map(categoryId => categories.find(category => category.id === categoryId)).filter(Boolean)
+      : categories.filter(category => !category.parentCategoryId).slice(0, MAX_CATEGORY_TILES);
+
+    return chosen.map(category => ({
+      id: category.id,
+      name: category.name,
+      slug: category.slug,
+      description: category.description || '',
+      imageUrl: category.imageUrl || null,
+      productCount: block.showProductCount ? category.productCount : null,
+      url: `${this.storeUrl}/?category=${encodeURIComponent(category.name)}`
+    }));
+  }
+
+  /**
+   * Menus for admins, by handle
+   */
+  async listMenus() {
+    const menus = await this.menus.find();
+    return menus.sort((a, b) => a.handle.localeCompare(b.handle));
+  }
+
+  async getMenu(menuId) {
+    const menu = await this.menus.findById(menuId);
+    if (!menu) {
+      throw this.createError('Menu not found', 404);
+    }
+    return menu;
+  }
+
+  async createMenu(data, userId) {
+    const menu = await this.normalizeMenu(data);
+    await this.assertHandleAvailable(menu.handle);
+
+    const created = await this.menus.create({ ...menu, createdBy: userId, updatedBy: userId });
+    this.logger.info(`Menu created: ${created.name} (${created.handle})`);
+    return created;
+  }
+
+  async updateMenu(menuId, data, userId, expectedVersion) {
+    const existing = await this.getMenu(menuId);
+    const menu = await this.normalizeMenu({ ...existing, ...data });
+    if (menu.handle !== existing.handle) {
+      await this.assertHandleAvailable(menu.handle, menuId);
+    }
+
+    const updated = await this.menus.update(menuId, { ...menu, updatedBy: userId }, { expectedVersion });
+    this.logger.info(`Menu updated: ${updated.name} (${updated.handle})`);
+    return updated;
+  }
+
+  async deleteMenu(menuId) {
+    const menu = await this.getMenu(menuId);
+    await this.menus.remove(menuId);
+    this.logger.info(`Menu deleted: ${menu.name} (${menu.handle})`);
+    return true;
+  }
+
+  /**
+   * A menu for the storefront with each link's URL worked out and links
+   * to anything that is not live left out
+   */
+  async getStorefrontMenu(handle, now = new Date()) {
+    const [menu] = await this.menus.findBy('handle', handle);
+    if (!menu) {
+      throw this.createError('Menu not found', 404);
+    }
+
+    const [pages, categories, products] = await Promise.all([
+      this.contentService.listLiveContent({ type: 'page' }, now),
+      this.categoryService.getAllCategories(),
+      this.products.find(product => product.status === 'active')
+    ]);
+    const targets = { pages, categories, products };
+
+    return {
+      name: menu.name,
+      handle: menu.handle,
+      items: this.resolveMenuItems(menu.items, targets)
+    };
+  }
+
+  resolveMenuItems(items, targets) {
+    return items
+      .map(item => {
+        const link = this.resolveMenuLink(item, targets);
+        return link && { ...link, children: this.resolveMenuItems(item.children || [], targets) };
+      })
+      .filter(Boolean);
+  }
+
+  resolveMenuLink(item, { pages, categories, products }) {
+    const link = { label: item.label, type: item.type };
+
+    switch (item.type) {
+      case 'page': {
+        const page = pages.find(entry => entry.slug === item.slug);
+        return page && { ...link, slug: page.slug, url: `${this.storeUrl}/?page=${encodeURIComponent(page.slug)}` };
+      }
+      case 'category': {
+        const category = categories.find(entry => entry.id === item.categoryId);
+        return category && {
+          ...link,
+          categoryId: category.id,
+          categoryName: category.name,
+          url: `${this.storeUrl}/?category=${encodeURIComponent(category.name)}`
+        };
+      }
+      case 'product': {
+        const product = products.find(entry => entry.id === item.productId);
+        return product && { ...link, productId: product.id, url: `${this.storeUrl}/?product=${encodeURIComponent(product.id)}` };
+      }
+      default:
+        return { ...link, url: item.url, openInNewTab: item.openInNewTab };
+    }
+  }
+
+  /**
+   * Check a menu and its items. Categories and products must exist when
+   * the menu is saved; pages are matched by slug when it is served, so a
+   * menu can link to a page before it is published.
+   */
+  async normalizeMenu(data) {
+    const name = String(data.name || '').trim();
+    if (!name) {
+      throw this.createError('Menu name is required', 400);
+    }
+
+    const handle = data.handle ? String(data.handle) : ContentService.slugify(name);
+    if (!HANDLE_PATTERN.test(handle)) {
+      throw this.createError('Handle may only contain lowercase letters, numbers and single hyphens', 400);
+    }
+
+    if (!Array.isArray(data.items)) {
+      throw this.createError('items must be a list', 400);
+    }
+    const count = { items: 0 };
+    const items = await this.normalizeMenuItems(data.items, 1, count);
+    if (count.items > MAX_MENU_ITEMS) {
+      throw this.createError(`A menu can have at most ${MAX_MENU_ITEMS} items`, 400);
+    }
+
+    return { name, handle, items };
+  }
+
+  async normalizeMenuItems(items, depth, count, prefix = '') {
+    const normalized = [];
+
+    for (const [index, item] of items.entries()) {
+      const position = `Item ${prefix}${index + 1}`;
+      count.items++;
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        throw this.createError(`${position} must be an object`, 400);
+      }
+
+      const label = String(item.label || '').trim();
+      if (!label) {
+        throw this.createError(`${position}: label is required`, 400);
+      }
+      if (!MENU_ITEM_TYPES.includes(item.type)) {
+        throw this.createError(`${position}: type must be one of: ${MENU_ITEM_TYPES.join(', ')}`, 400);
+      }
+
+      const children = item.children || [];
+      if (!Array.isArray(children)) {
+        throw this.createError(`${position}: children must be a list`, 400);
+      }
+      if (children.length > 0 && depth >= MAX_MENU_DEPTH) {
+        throw this.createError(`${position}: menus can only be ${MAX_MENU_DEPTH} levels deep`, 400);
+      }
+
+      normalized.push({
+        label,
+        type: item.type,
+        ...await this.normalizeMenuTarget(item, position),
+        children: await this.normalizeMenuItems(children, depth + 1, count, `${prefix}${index + 1}.`)
+      });
+    }
+
+    return normalized;
+  }
+
+  async normalizeMenuTarget(item, position) {
+    switch (item.type) {
+      case 'page':
+        if (!HANDLE_PATTERN.test(item.slug || '')) {
+          throw this.createError(`${position}: a page link needs the page slug`, 400);
+        }
+        return { slug: item.slug };
+      case 'category': {
+        const category = item.categoryId && await this.categories.findById(item.categoryId);
+        if (!category || category.status === 'deleted') {
+          throw this.createError(`${position}: category not found`, 400);
+        }
+        return { categoryId: category.id };
+      }
+      case 'product': {
+        const product = item.productId && await this.products.findById(item.productId);
+        if (!product || product.status === 'deleted') {
+          throw this.createError(`${position}: product not found`, 400);
+        }
+        return { productId: product.id };
+      }
+      default:
+        if (!/^(\/|https?:\/\/|mailto:)/.test(String(item.url || ''))) {
+          throw this.createError(`${position}: url must start with /, http or mailto:`, 400);
+        }
+        return { url: String(item.url), openInNewTab: item.openInNewTab === true };
+    }
+  }
+
+  async assertHandleAvailable(handle, menuId = null) {
+    const taken = await this.menus.find(menu => menu.handle === handle && menu.id !== menuId);
+    if (taken.length > 0) {
+      throw this.createError('A menu with this handle already exists', 400);
+    }
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * The product fields a storefront product card shows
+   */
+  static toCard(product, rating = null) {
+    return {
+      id: product.id,
+      name: product.name,
+      description: product.description || '',
+      category: product.category,
+      price: product.price,
+      salePrice: product.salePrice || null,
+      primaryImageId: product.primaryImageId || null,
+      rating
+    };
+  }
+
+  static emptyData(block) {
+    switch (block.type) {
+      case 'product_carousel':
+        return { products: [] };
+      case 'category_tiles':
+        return { categories: [] };
+      default:
+        return null;
+    }
+  }
+}
+
+PageService.MENU_ITEM_TYPES = MENU_ITEM_TYPES;
+
+module.exports = PageService;
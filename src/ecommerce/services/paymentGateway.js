@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Payment Gateway
+ * Base class for payment provider adapters and the factory that picks the
+ * configured provider
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+/**
+ * Payment intent statuses, in the provider-neutral form every adapter returns
+ */
+const INTENT_STATUSES = [
+  'requires_payment_method',
+  'requires_action',
+  'processing',
+  'requires_capture',
+  'succeeded',
+  'canceled'
+];
+
+/**
+ * Payment Gateway
+ * Adapters keep provider calls out of routes and services. Amounts are in
+ * the currency's minor unit. Card details never pass through the store:
+ * cards are saved from provider tokens and only the token, brand, last four
+ * digits and expiry come back.
+ *
+ * Payment intents are returned as
+ * { id, status, amount, amountReceived, amountRefunded, currency,
+ *   clientSecret, metadata, customerId, paymentMethod, card, lastError }
+ * where `card` is { brand, last4 } once a card has been charged.
+ *
+ * - createPaymentIntent({ amount, currency, metadata, customerId,
+ *   savePaymentMethod, captureMethod })
+ * - updatePaymentIntent(id, { amount, metadata, customerId, savePaymentMethod })
+ * - retrievePaymentIntent(id)
+ * - confirmPaymentIntent(id, { paymentMethod, authenticated, returnUrl })
+ * - capturePaymentIntent(id, amount)
+ * - refund({ paymentIntentId, amount, reason, metadata }) resolves to
+ *   { id, status, amount, paymentIntentId }
+ * - verifyWebhook(rawBody, headers) resolves to the provider event
+ *   { id, type, created, data: { object } } or rejects with status 400
+ * - createCustomer({ userId, email, name }) resolves to a customer ID
+ * - attachPaymentMethod(customerId, token) resolves to
+ *   { token, brand, last4, expMonth, expYear }
+ * - detachPaymentMethod(token)
+ * - chargePaymentMethod({ customerId, token, amount, currency, metadata })
+ *   charges a saved card off-session and resolves to { id, status, amount }
+ *   where status is `succeeded`, `requires_action` or `declined`
+ * - getClientConfig() returns what the storefront needs to collect payment
+ */
+class PaymentGateway {
+  constructor(services, options = {}) {
+    this.logger = services.logger;
+    this.options = options;
+  }
+
+  async createPaymentIntent() {
+    throw this.notImplemented('createPaymentIntent');
+  }
+
+  async updatePaymentIntent() {
+    throw this.notImplemented('updatePaymentIntent');
+  }
+
+  async retrievePaymentIntent() {
+    throw this.notImplemented('retrievePaymentIntent');
+  }
+
+  async confirmPaymentIntent() {
+    throw this.notImplemented('confirmPaymentIntent');
+  }
+
+  async capturePaymentIntent() {
+    throw this.notImplemented('capturePaymentIntent');
+  }
+
+  async refund() {
+    throw this.notImplemented('refund');
+  }
+
+  async verifyWebhook() {
+    throw this.notImplemented('verifyWebhook');
+  }
+
+  async createCustomer() {
+    throw this.notImplemented('createCustomer');
+  }
+
+  async attachPaymentMethod() {
+    throw this.notImplemented('attachPaymentMethod');
+  }
+
+  async detachPaymentMethod() {
+    throw this.notImplemented('detachPaymentMethod');
+  }
+
+  async chargePaymentMethod() {
+    throw this.notImplemented('chargePaymentMethod');
+  }
+
+  getClientConfig() {
+    return { gateway: this.name };
+  }
+
+  notImplemented(method) {
+    return new Error(`${this.constructor.name} does not implement ${method}`);
+  }
+
+  createError(message, status, code) {
+    const error = new Error(message);
+    error.status = status;
+    if (code) {
+      error.code = code;
+    }
+    return error;
+  }
+
+  /**
+   * Build the configured gateway. `PAYMENT_GATEWAY` chooses between
+   * `stripe` and `simulated` and defaults to Stripe. The simulated gateway
+   * takes no real money, so it is only used when asked for by name.
+   */
+  static create(services, options = {}) {
+    const name = options.gateway || process.env.PAYMENT_GATEWAY || 'stripe';
+
+    switch (name) {
+      case 'stripe': {
+        const StripeGateway = require('./stripeGateway');
+        return new StripeGateway(services, options);
+      }
+      case 'simulated': {
+        const SimulatedGateway = require('./simulatedGateway');
+        return new SimulatedGateway(services, options);
+      }
+      default:
+        throw new Error(`Unknown payment gateway: ${name}`);
+    }
+  }
+}
+
+PaymentGateway.INTENT_STATUSES = INTENT_STATUSES;
+
+module.exports = PaymentGateway;
@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Payment Method Service
+ * Links users to a customer profile at the payment provider and keeps their
+ * saved cards for reuse at checkout
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const Repository = require('./repository');
+const PaymentGateway = require('./paymentGateway');
+
+const MAX_PAYMENT_METHODS = 10;
+
+/**
+ * Payment Method Service
+ * A user's provider customer ID is kept on the user record per provider.
+ * Saved cards store only the provider token, brand, last four digits and
+ * expiry; the token itself is never returned to the browser.
+ */
+class PaymentMethodService {
+  constructor(services, options = {}) {
+    this.logger = services.logger;
+    this.users = new Repository(services, 'users');
+    this.methods = new Repository(services, 'payment_methods');
+    this.gateway = options.gateway || PaymentGateway.create(services);
+  }
+
+  /**
+   * The user's customer ID at the current provider, created on first use
+   */
+  async getOrCreateCustomer(user) {
+    const current = await this.users.findById(user.id);
+    if (!current) {
+      throw this.createError('User not found', 404);
+    }
+
+    const existing = (current.paymentCustomers || {})[this.gateway.name];
+    if (existing) {
+      return existing;
+    }
+
+    const customerId = await this.gateway.createCustomer({
+      userId: current.id,
+      email: current.email,
+      name: [current.firstName, current.lastName].filter(Boolean).join(' ')
+    });
+
+    await this.users.update(current.id, latest => ({
+      paymentCustomers: { ...(latest.paymentCustomers || {}), [this.gateway.name]: customerId }
+    }));
+
+    this.logger.info(`Created ${this.gateway.name} customer for user ${current.id}`);
+    return customerId;
+  }
+
+  /**
+   * Save a card from a provider token. Saving the same card token twice
+   * returns the existing record.
+   */
+  async addPaymentMethod(user, token) {
+    if (!token || typeof token !== 'string') {
+      throw this.createError('A payment method token is required', 400);
+    }
+
+    const saved = await this.methods.find(method => method.userId === user.id && method.provider === this.gateway.name);
+    const duplicate = saved.find(method => method.token === token);
+    if (duplicate) {
+      return duplicate;
+    }
+    if (saved.length >= MAX_PAYMENT_METHODS) {
+      throw this.createError(`You can save at most ${MAX_PAYMENT_METHODS} payment methods`, 400);
+    }
+
+    const customerId = await this.getOrCreateCustomer(user);
+    const card = await this.gateway.attachPaymentMethod(customerId, token);
+
+    if (PaymentMethodService.isExpired(card)) {
+      await this.gateway.detachPaymentMethod(card.token);
+      throw this.createError('This card has expired', 400);
+    }
+
+    return this.methods.create({
+      userId: user.id,
+      provider: this.gateway.name,
+      token: card.token,
+      brand: card.brand,
+      last4: card.last4,
+      expMonth: card.expMonth,
+      expYear: card.expYear
+    });
+  }
+
+  /**
+   * The user's saved cards at the current provider, newest first
+   */
+  async listPaymentMethods(userId) {
+    const methods = await this.methods.find(method => method.userId === userId && method.provider === this.gateway.name);
+    return methods.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  async getPaymentMethod(userId, paymentMethodId) {
+    const method = await this.methods.findById(paymentMethodId);
+    if (!method || method.userId !== userId) {
+      throw this.createError('Payment method not found', 404);
+    }
+    return method;
+  }
+
+  async deletePaymentMethod(userId, paymentMethodId) {
+    const method = await this.getPaymentMethod(userId, paymentMethodId);
+
+    if (method.provider === this.gateway.name) {
+      await this.gateway.detachPaymentMethod(method.token);
+    }
+    await this.methods.remove(method.id);
+
+    return true;
+  }
+
+  /**
+   * Charge a saved card. `amount` is in the currency's minor unit. Resolves
+   * to the gateway result, whose status is `succeeded`, `requires_action` or
+   * `declined`, together with the card used.
+   */
+  async charge(user, paymentMethodId, { amount, currency, metadata = {} }) {
+    const method = await this.getPaymentMethod(user.id, paymentMethodId);
+
+    if (method.provider !== this.gateway.name) {
+      throw this.createError('This payment method can no longer be used', 400);
+    }
+    if (PaymentMethodService.isExpired(method)) {
+      throw this.createError('This card has expired', 400);
+    }
+
+    const result = await this.gateway.chargePaymentMethod({
+      customerId: await this.getOrCreateCustomer(user),
+      token: method.token,
+      amount,
+      currency,
+      metadata
+    });
+
+    return { ...result, paymentMethod: method };
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * Cards are valid until the end of their expiry month
+   */
+  static isExpired(card, now = new Date()) {
+    const year = now.getFullYear();
+    const month = now.getMonth() + 1;
+    return card.expYear < year || (card.expYear === year && card.expMonth < month);
+  }
+
+  static toPublic(method) {
+    return {
+      id: method.id,
+      brand: method.brand,
+      last4: method.last4,
+      expMonth: method.expMonth,
+      expYear: method.expYear,
+      expired: PaymentMethodService.isExpired(method),
+      createdAt: method.createdAt
+    };
+  }
+}
+
+module.exports = PaymentMethodService;
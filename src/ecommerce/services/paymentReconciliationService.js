@@ -0,0 +1,429 @@
+/**
+ * @fileoverview Payment Reconciliation Service
+ * Applies payment provider webhook events to orders and checks local payment
+ * status against the provider
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const Repository = require('./repository');
+const OrderStatusService = require('./orderStatusService');
+const InventoryService = require('./inventoryService');
+const PaymentGateway = require('./paymentGateway');
+
+/**
+ * Local payment statuses that mean the money has been taken
+ */
+const PAID_STATUSES = ['paid', 'confirmed'];
+
+/**
+ * Local payment statuses the provider's payment intent cannot speak for
+ */
+const UNRECONCILED_STATUSES = ['disputed', 'dispute_lost'];
+
+const RECONCILIATION_WINDOW_DAYS = 30;
+
+/**
+ * Payment Reconciliation Service
+ * Events use Stripe's event types and object fields; the simulated gateway
+ * sends the same shapes. Each event is recorded in `payment_events` under
+ * its provider event ID once applied, so a redelivered event is
+ * acknowledged without being applied twice. An event that fails is not
+ * recorded and is applied when the provider retries it.
+ */
+class PaymentReconciliationService {
+  constructor(services, options = {}) {
+    this.services = services;
+    this.logger = services.logger;
+    this.orders = new Repository(services, 'orders');
+    this.events = new Repository(services, 'payment_events');
+    this.orderStatusService = new OrderStatusService(services);
+    this.inventoryService = options.inventoryService || new InventoryService(services);
+    this.configuredGateway = options.gateway || null;
+    this.jobProcessor = options.jobProcessor || services.jobProcessor;
+    this.inFlight = new Set();
+  }
+
+  // Built on first use, so background jobs that never touch payments run
+  // without a payment gateway configured
+  get gateway() {
+    if (!this.configuredGateway) {
+      this.configuredGateway = this.services.paymentGateway || PaymentGateway.create(this.services);
+    }
+    return this.configuredGateway;
+  }
+
+  /**
+   * Apply a verified webhook event once. Resolves to
+   * { duplicate, result, orderId } where `result` says what was done.
+   */
+  async processEvent(event) {
+    if (!event || !event.id || !event.type || !event.data?.object) {
+      throw this.createError('Malformed payment event', 400);
+    }
+
+    const eventKey = `${this.gateway.name}:${event.id}`;
+    if (this.inFlight.has(eventKey) || await this.events.findById(eventKey)) {
+      this.logger.info(`Payment event ${event.id} already processed`);
+      return { duplicate: true, result: 'duplicate', orderId: null };
+    }
+
+    this.inFlight.add(eventKey);
+    try {
+      const { result, orderId = null } = await this.applyEvent(event);
+
+      await this.events.create({
+        id: eventKey,
+        provider: this.gateway.name,
+        eventId: event.id,
+        type: event.type,
+        orderId,
+        result,
+        processedAt: new Date().toISOString()
+      });
+
+      this.logger.info(`Payment event ${event.id} (${event.type}): ${result}`);
+      return { duplicate: false, result, orderId };
+    } finally {
+      this.inFlight.delete(eventKey);
+    }
+  }
+
+  async applyEvent(event) {
+    const object = event.data.object;
+
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        return this.handlePaymentSucceeded(object);
+      case 'payment_intent.payment_failed':
+        return this.handlePaymentFailed(object);
+      case 'charge.refunded':
+        return this.handleChargeRefunded(object);
+      case 'charge.dispute.created':
+        return this.handleDisputeCreated(object);
+      case 'charge.dispute.closed':
+        return this.handleDisputeClosed(object);
+      default:
+        return { result: 'ignored' };
+    }
+  }
+
+  /**
+   * Orders from checkout already carry the payment intent; orders placed
+   * before paying are matched by the quote the intent was created for
+   */
+  async findOrderForPayment(paymentIntentId, metadata = {}) {
+    const orders = await this.orders.find(order =>
+      order.paymentMethod?.paymentIntentId === paymentIntentId ||
+      (metadata.quoteId && order.quoteId === metadata.quoteId));
+
+    return orders.find(order => order.paymentMethod?.paymentIntentId === paymentIntentId) || orders[0] || null;
+  }
+
+  async handlePaymentSucceeded(paymentIntent) {
+    const order = await this.findOrderForPayment(paymentIntent.id, paymentIntent.metadata);
+    if (!order) {
+      // The customer has not completed checkout yet; it creates the order as paid
+      return { result: 'no_order' };
+    }
+
+    if (Math.round(order.totalAmount * 100) !== paymentIntent.amount) {
+      await this.flagMismatch(order, PaymentReconciliationService.localPaymentStatus(order), 'paid',
+        `Provider charged ${paymentIntent.amount} for an order of ${Math.round(order.totalAmount * 100)}`);
+      return { result: 'amount_mismatch', orderId: order.id };
+    }
+
+    return this.markPaid(order, paymentIntent.id, paymentIntent.metadata?.sessionId);
+  }
+
+  /**
+   * Record a confirmed payment on an order and queue its
+   * `payment_confirmation` job. Called from checkout and from webhooks;
+   * whichever comes first queues the job. An order placed before it was
+   * paid takes its stock here, from the session's reservation if it has one.
+   */
+  async markPaid(order, paymentIntentId, sessionId = null) {
+    let current = order;
+    if (current.status === 'created') {
+      await this.commitStock(order, sessionId);
+      current = await this.orderStatusService.transition(order.id, 'paid', { type: 'system' }, {
+        note: 'Payment confirmed by provider'
+      });
+    }
+
+    let queueConfirmation = false;
+    await this.orders.update(current.id, latest => {
+      const changes = {
+        paymentMethod: { ...(latest.paymentMethod || {}), paymentIntentId }
+      };
+      if (!latest.paymentStatus || latest.paymentStatus === 'pending' || latest.paymentStatus === 'failed') {
+        changes.paymentStatus = 'paid';
+      }
+      if (latest.status === 'paid' && !latest.paymentConfirmationQueuedAt) {
+        queueConfirmation = true;
+        changes.paymentConfirmationQueuedAt = new Date().toISOString();
+      }
+      return changes;
+    });
+
+    if (!queueConfirmation) {
+      return { result: 'already_paid', orderId: current.id };
+    }
+
+    await this.jobProcessor.addJob('payment_confirmation', { orderId: current.id, paymentIntentId });
+    return { result: 'confirmation_queued', orderId: current.id };
+  }
+
+  /**
+   * Take the stock for an order that was placed before it was paid. The
+   * order is marked first so that its stock is only ever taken once; the
+   * mark is cleared again if the stock cannot be taken.
+   */
+  async commitStock(order, sessionId) {
+    let claimed = false;
+    await this.orders.update(order.id, latest => {
+      if (latest.stockCommittedAt) {
+        return {};
+      }
+      claimed = true;
+      return { stockCommittedAt: new Date().toISOString() };
+    });
+    if (!claimed) {
+      return;
+    }
+
+    try {
+      const reservation = sessionId ? await this.inventoryService.getActiveReservation(sessionId) : null;
+      if (reservation) {
+        await this.inventoryService.commit(reservation.id, order.id);
+      } else {
+        await this.inventoryService.commitItems(order.items);
+      }
+    } catch (error) {
+      await this.orders.update(order.id, { stockCommittedAt: null });
+      throw error;
+    }
+  }
+
+  /**
+   * A failed attempt frees the held stock. It does not touch an order that
+   * has since been paid, as the customer may have retried with another card.
+   */
+  async handlePaymentFailed(paymentIntent) {
+    if (paymentIntent.metadata?.sessionId) {
+      await this.inventoryService.releaseForSession(paymentIntent.metadata.sessionId, 'payment_failed');
+    }
+
+    const order = await this.findOrderForPayment(paymentIntent.id, paymentIntent.metadata);
+    if (!order || PAID_STATUSES.includes(order.paymentStatus) || order.status !== 'created') {
+      return { result: 'inventory_released', orderId: order ? order.id : null };
+    }
+
+    await this.orders.update(order.id, {
+      paymentStatus: 'failed',
+      paymentError: paymentIntent.last_payment_error?.message || 'Payment failed'
+    });
+    return { result: 'payment_failed', orderId: order.id };
+  }
+
+  /**
+   * `amount_refunded` is the charge's running total, so applying the same
+   * or an older refund event again cannot over-count
+   */
+  async handleChargeRefunded(charge) {
+    const order = await this.findOrderForPayment(charge.payment_intent);
+    if (!order) {
+      return { result: 'no_order' };
+    }
+
+    const captured = charge.amount_captured || charge.amount;
+    const fullyRefunded = charge.amount_refunded >= captured;
+    const fields = {
+      paymentStatus: fullyRefunded ? 'refunded' : 'partially_refunded',
+      amountRefunded: Math.max(order.amountRefunded || 0, charge.amount_refunded / 100)
+    };
+
+    if (fullyRefunded && OrderStatusService.canTransition(order.status, 'refunded')) {
+      await this.orderStatusService.transition(order.id, 'refunded', { type: 'system' }, {
+        note: 'Refunded at payment provider',
+        fields
+      });
+    } else {
+      await this.orders.update(order.id, fields);
+    }
+
+    return { result: fields.paymentStatus, orderId: order.id };
+  }
+
+  async handleDisputeCreated(dispute) {
+    const order = await this.findOrderForPayment(dispute.payment_intent);
+    if (!order) {
+      return { result: 'no_order' };
+    }
+
+    await this.orders.update(order.id, latest => ({
+      paymentStatus: 'disputed',
+      dispute: {
+        id: dispute.id,
+        reason: dispute.reason || null,
+        amount: dispute.amount / 100,
+        status: dispute.status || 'needs_response',
+        previousPaymentStatus: latest.paymentStatus === 'disputed'
+          ? latest.dispute?.previousPaymentStatus
+          : latest.paymentStatus || null,
+        openedAt: new Date().toISOString()
+      }
+    }));
+
+    await this.jobProcessor.addJob('send_notification', {
+      type: 'payment_disputed',
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      reason: dispute.reason || null,
+      amount: dispute.amount / 100
+    });
+
+    return { result: 'disputed', orderId: order.id };
+  }
+
+  /**
+   * A won dispute puts the payment back as it was; a lost one keeps the
+   * order flagged as charged back
+   */
+  async handleDisputeClosed(dispute) {
+    const order = await this.findOrderForPayment(dispute.payment_intent);
+    if (!order) {
+      return { result: 'no_order' };
+    }
+
+    const won = dispute.status === 'won';
+    await this.orders.update(order.id, latest => ({
+      paymentStatus: won ? (latest.dispute?.previousPaymentStatus || 'paid') : 'dispute_lost',
+      dispute: {
+        ...(latest.dispute || { id: dispute.id }),
+        status: dispute.status,
+        closedAt: new Date().toISOString()
+      }
+    }));
+
+    return { result: won ? 'dispute_won' : 'dispute_lost', orderId: order.id };
+  }
+
+  /**
+   * Compare each recent order's payment status with the provider and flag
+   * the ones that disagree. A flag is cleared once the two agree again.
+   */
+  async reconcilePayments({ windowDays = RECONCILIATION_WINDOW_DAYS, now = new Date() } = {}) {
+    const since = now.getTime() - windowDays * 24 * 60 * 60 * 1000;
+    const orders = await this.orders.find(order =>
+      order.paymentMethod?.paymentIntentId &&
+      (order.paymentMethod.provider || order.paymentMethod.type) === this.gateway.name &&
+      new Date(order.createdAt).getTime() >= since);
+
+    const summary = { checked: 0, mismatched: [], cleared: 0, errors: 0 };
+
+    for (const order of orders) {
+      const localStatus = PaymentReconciliationService.localPaymentStatus(order);
+      if (UNRECONCILED_STATUSES.includes(localStatus)) {
+        continue;
+      }
+
+      let providerStatus;
+      try {
+        const paymentIntent = await this.gateway.retrievePaymentIntent(order.paymentMethod.paymentIntentId);
+        providerStatus = PaymentReconciliationService.providerPaymentStatus(paymentIntent);
+      } catch (error) {
+        if (error.status !== 404) {
+          this.logger.error(`Error checking payment for order ${order.orderNumber}:`, error);
+          summary.errors++;
+          continue;
+        }
+        providerStatus = 'missing';
+      }
+
+      summary.checked++;
+      if (providerStatus !== localStatus) {
+        await this.flagMismatch(order, localStatus, providerStatus);
+        summary.mismatched.push({ orderId: order.id, orderNumber: order.orderNumber, localStatus, providerStatus });
+      } else if (order.paymentReconciliation?.status === 'mismatch') {
+        await this.orders.update(order.id, {
+          paymentReconciliation: { status: 'matched', checkedAt: new Date().toISOString() }
+        });
+        summary.cleared++;
+      }
+    }
+
+    if (summary.mismatched.length > 0) {
+      await this.jobProcessor.addJob('send_notification', {
+        type: 'payment_reconciliation_mismatch',
+        count: summary.mismatched.length,
+        orders: summary.mismatched
+      });
+    }
+
+    this.logger.info(`Payment reconciliation checked ${summary.checked} order(s), ${summary.mismatched.length} mismatched`);
+    return summary;
+  }
+
+  async flagMismatch(order, localStatus, providerStatus, detail) {
+    await this.orders.update(order.id, {
+      paymentReconciliation: {
+        status: 'mismatch',
+        localStatus,
+        providerStatus,
+        detail: detail || null,
+        checkedAt: new Date().toISOString()
+      }
+    });
+  }
+
+  /**
+   * Orders currently flagged as disagreeing with the provider
+   */
+  async getMismatchedOrders() {
+    const orders = await this.orders.find(order => order.paymentReconciliation?.status === 'mismatch');
+    return orders.sort((a, b) => new Date(b.paymentReconciliation.checkedAt) - new Date(a.paymentReconciliation.checkedAt));
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  static localPaymentStatus(order) {
+    if (PAID_STATUSES.includes(order.paymentStatus)) {
+      return 'paid';
+    }
+    return order.paymentStatus || 'pending';
+  }
+
+  /**
+   * The local payment status an order should have, judged from its
+   * provider payment intent
+   */
+  static providerPaymentStatus(paymentIntent) {
+    switch (paymentIntent.status) {
+      case 'succeeded':
+        if (paymentIntent.amountRefunded > 0) {
+          return paymentIntent.amountRefunded >= paymentIntent.amountReceived ? 'refunded' : 'partially_refunded';
+        }
+        return 'paid';
+      case 'requires_capture':
+        return 'authorized';
+      case 'canceled':
+        return 'failed';
+      case 'requires_payment_method':
+        return paymentIntent.lastError ? 'failed' : 'pending';
+      default:
+        return 'pending';
+    }
+  }
+}
+
+PaymentReconciliationService.PAID_STATUSES = PAID_STATUSES;
+
+module.exports = PaymentReconciliationService;
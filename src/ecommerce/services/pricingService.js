@@ -0,0 +1,477 @@
+/**
+ * @fileoverview Pricing and Promotion Service
+ * Re-prices carts from the catalog and applies promotions and coupon codes
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const Repository = require('./repository');
+const VariantService = require('./variantService');
+
+const PROMOTION_TYPES = ['percentage', 'fixed_amount', 'buy_x_get_y', 'free_shipping'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Pricing and Promotion Service
+ * Promotions without a `code` apply automatically; coupon promotions only
+ * apply when their code has been added to the cart.
+ */
+class PricingService {
+  constructor(services) {
+    this.dataServe = services.dataServe;
+    this.logger = services.logger;
+    this.promotions = new Repository(services, 'promotions');
+    this.redemptions = new Repository(services, 'promotion_redemptions');
+    this.variants = new Repository(services, 'product_variants');
+    this.products = new Repository(services, 'products');
+  }
+
+  /**
+   * Validate and normalise promotion input
+   */
+  normalizePromotion(data) {
+    if (!data.name) {
+      throw this.createError('Promotion name is required', 400);
+    }
+
+    if (!PROMOTION_TYPES.includes(data.type)) {
+      throw this.createError(`Promotion type must be one of: ${PROMOTION_TYPES.join(', ')}`, 400);
+    }
+
+    if (['percentage', 'fixed_amount'].includes(data.type) && !(parseFloat(data.value) > 0)) {
+      throw this.createError('Promotion value must be greater than zero', 400);
+    }
+
+    if (data.type === 'percentage' && parseFloat(data.value) > 100) {
+      throw this.createError('Percentage promotions cannot exceed 100', 400);
+    }
+
+    if (data.type === 'buy_x_get_y' && !(parseInt(data.buyQuantity) > 0 && parseInt(data.getQuantity) > 0)) {
+      throw this.createError('Buy X get Y promotions need buyQuantity and getQuantity', 400);
+    }
+
+    return {
+      name: data.name,
+      description: data.description || '',
+      type: data.type,
+      code: data.code ? data.code.trim().toUpperCase() : null,
+      value: data.value !== undefined ? parseFloat(data.value) : null,
+      buyQuantity: data.buyQuantity ? parseInt(data.buyQuantity) : null,
+      getQuantity: data.getQuantity ? parseInt(data.getQuantity) : null,
+      getDiscountPercent: data.getDiscountPercent !== undefined ? parseFloat(data.getDiscountPercent) : 100,
+      minSubtotal: data.minSubtotal ? parseFloat(data.minSubtotal) : 0,
+      scope: {
+        productIds: data.scope?.productIds || [],
+        categories: data.scope?.categories || []
+      },
+      startsAt: data.startsAt || null,
+      endsAt: data.endsAt || null,
+      usageLimit: data.usageLimit ? parseInt(data.usageLimit) : null,
+      usageLimitPerCustomer: data.usageLimitPerCustomer ? parseInt(data.usageLimitPerCustomer) : null,
+      priority: parseInt(data.priority) || 0,
+      active: data.active !== undefined ? data.active : true
+    };
+  }
+
+  /**
+   * Create a promotion
+   */
+  async createPromotion(data, userId) {
+    const promotion = this.normalizePromotion(data);
+
+    if (promotion.code) {
+      const existing = await this.findByCode(promotion.code);
+      if (existing) {
+        throw this.createError('A promotion with this code already exists', 409);
+      }
+    }
+
+    const created = await this.promotions.create({ ...promotion, usageCount: 0, createdBy: userId });
+    this.logger.info(`Promotion created: ${created.name} (${created.id})`);
+    return created;
+  }
+
+  /**
+   * Update a promotion
+   */
+  async updatePromotion(promotionId, data, userId, expectedVersion) {
+    const existing = await this.promotions.findById(promotionId);
+    if (!existing) {
+      throw this.createError('Promotion not found', 404);
+    }
+
+    const promotion = this.normalizePromotion({ ...existing, ...data });
+
+    if (promotion.code && promotion.code !== existing.code) {
+      const duplicate = await this.findByCode(promotion.code);
+      if (duplicate) {
+        throw this.createError('A promotion with this code already exists', 409);
+      }
+    }
+
+    return this.promotions.update(promotionId, { ...promotion, updatedBy: userId }, { expectedVersion });
+  }
+
+  /**
+   * Find a promotion by coupon code
+   */
+  async findByCode(code) {
+    if (!code) {
+      return null;
+    }
+    return this.promotions.findOneBy('code', code.trim().toUpperCase());
+  }
+
+  /**
+   * Check whether a promotion can be used right now.
+   * Returns null when it can, otherwise the reason it cannot.
+   */
+  async getIneligibilityReason(promotion, context = {}) {
+    const now = new Date();
+
+    if (!promotion.active) {
+      return 'Promotion is not active';
+    }
+    if (promotion.startsAt && new Date(promotion.startsAt) > now) {
+      return 'Promotion has not started yet';
+    }
+    if (promotion.endsAt && new Date(promotion.endsAt) < now) {
+      return 'Promotion has expired';
+    }
+    if (promotion.usageLimit && (promotion.usageCount || 0) >= promotion.usageLimit) {
+      return 'Promotion usage limit has been reached';
+    }
+    // Customers are known by account, and guests by the email they check out with
+    if (promotion.usageLimitPerCustomer && (context.userId || context.email)) {
+      const email = context.email ? context.email.toLowerCase() : null;
+      const used = await this.redemptions.find(redemption =>
+        redemption.promotionId === promotion.id &&
+        ((context.userId && redemption.userId === context.userId) || (email && redemption.email === email))
+      );
+      if (used.length >= promotion.usageLimitPerCustomer) {
+        return 'You have already used this promotion';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Load current catalog prices for cart items. Every quantity must be a
+   * whole number above zero so that no line can lower the total.
+   */
+  async priceLines(items) {
+    const lines = [];
+
+    for (const item of items) {
+      const quantity = Number(item.quantity);
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw this.createError(`Invalid quantity for product ${item.productId}`, 400);
+      }
+
+      const product = await this.products.findById(item.productId);
+      if (!product || product.status !== 'active') {
+        lines.push({ ...item, unavailable: true, unitPrice: 0, lineSubtotal: 0 });
+        continue;
+      }
+
+      const variant = item.variantId ? await this.variants.findById(item.variantId) : null;
+      if (item.variantId && (!variant || variant.productId !== item.productId || variant.status !== 'active')) {
+        lines.push({ ...item, unavailable: true, unitPrice: 0, lineSubtotal: 0 });
+        continue;
+      }
+
+      const unitPrice = VariantService.unitPrice(product, variant);
+      lines.push({
+        productId: item.productId,
+        variantId: item.variantId,
+        name: variant ? `${product.name} (${variant.title})` : product.name,
+        category: product.category,
+        quantity,
+        unitPrice,
+        lineSubtotal: roundCurrency(unitPrice * quantity),
+        discount: 0
+      });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Re-price a cart from the catalog and apply promotions.
+   * Returns the priced lines and an itemised discount breakdown.
+   */
+  async priceCart(cart, context = {}) {
+    const lines = await this.priceLines(cart.items || []);
+    const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.lineSubtotal, 0));
+
+    const couponCodes = (cart.couponCodes || []).map(code => code.toUpperCase());
+    const candidates = await this.promotions.find(promotion =>
+      !promotion.code || couponCodes.includes(promotion.code)
+    );
+    candidates.sort((a, b) => (a.priority || 0) - (b.priority || 0));
+
+    const discounts = [];
+    const rejectedCoupons = [];
+    let freeShipping = false;
+
+    for (const promotion of candidates) {
+      const reason = await this.getIneligibilityReason(promotion, context);
+      const eligibleLines = lines.filter(line => !line.unavailable && this.isInScope(promotion, line));
+      const eligibleSubtotal = eligibleLines.reduce((sum, line) => sum + line.lineSubtotal - line.discount, 0);
+
+      let rejection = reason;
+      if (!rejection && eligibleLines.length === 0) {
+        rejection = 'No items in the cart qualify for this promotion';
+      } else if (!rejection && promotion.minSubtotal && eligibleSubtotal < promotion.minSubtotal) {
+        rejection = `Spend at least ${promotion.minSubtotal.toFixed(2)} on qualifying items to use this promotion`;
+      }
+
+      if (rejection) {
+        if (promotion.code) {
+          rejectedCoupons.push({ code: promotion.code, reason: rejection });
+        }
+        continue;
+      }
+
+      if (promotion.type === 'free_shipping') {
+        freeShipping = true;
+        discounts.push(this.describeDiscount(promotion, []));
+        continue;
+      }
+
+      const lineDiscounts = this.calculateLineDiscounts(promotion, eligibleLines);
+      const applied = lineDiscounts.filter(entry => entry.amount > 0);
+      if (applied.length === 0) {
+        continue;
+      }
+
+      for (const entry of applied) {
+        entry.line.discount = roundCurrency(entry.line.discount + entry.amount);
+      }
+
+      discounts.push(this.describeDiscount(promotion, applied));
+    }
+
+    // Codes on the cart that no longer match any promotion
+    for (const code of couponCodes) {
+      if (!candidates.some(promotion => promotion.code === code)) {
+        rejectedCoupons.push({ code, reason: 'Coupon code not found' });
+      }
+    }
+
+    const discountTotal = roundCurrency(discounts.reduce((sum, discount) => sum + discount.amount, 0));
+
+    return {
+      items: lines.map(line => ({
+        ...line,
+        lineTotal: roundCurrency(line.lineSubtotal - line.discount)
+      })),
+      subtotal,
+      discounts,
+      discountTotal,
+      freeShipping,
+      rejectedCoupons,
+      total: roundCurrency(subtotal - discountTotal),
+      pricedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Check whether a promotion applies to a cart line
+   */
+  isInScope(promotion, line) {
+    const { productIds = [], categories = [] } = promotion.scope || {};
+    if (productIds.length === 0 && categories.length === 0) {
+      return true;
+    }
+    return productIds.includes(line.productId) || categories.includes(line.category);
+  }
+
+  /**
+   * Work out the discount each eligible line receives
+   */
+  calculateLineDiscounts(promotion, lines) {
+    const remaining = line => line.lineSubtotal - line.discount;
+
+    switch (promotion.type) {
+      case 'percentage':
+        return lines.map(line => ({
+          line,
+          amount: roundCurrency(remaining(line) * promotion.value / 100)
+        }));
+
+      case 'fixed_amount': {
+        // Spread the fixed amount across lines in proportion to their value
+        const eligibleTotal = lines.reduce((sum, line) => sum + remaining(line), 0);
+        const discountTotal = Math.min(promotion.value, eligibleTotal);
+        let allocated = 0;
+
+        return lines.map((line, index) => {
+          const amount = index === lines.length - 1
+            ? roundCurrency(discountTotal - allocated)
+            : roundCurrency(discountTotal * remaining(line) / eligibleTotal);
+          allocated += amount;
+          return { line, amount };
+        });
+      }
+
+      case 'buy_x_get_y': {
+        // For every buy+get units, the cheapest `get` units are discounted
+        const units = [];
+        for (const line of lines) {
+          const unitNet = remaining(line) / line.quantity;
+          for (let i = 0; i < line.quantity; i++) {
+            units.push({ line, price: unitNet });
+          }
+        }
+
+        const groupSize = promotion.buyQuantity + promotion.getQuantity;
+        const discountedUnits = Math.floor(units.length / groupSize) * promotion.getQuantity;
+        units.sort((a, b) => a.price - b.price);
+
+        const amounts = new Map();
+        for (const unit of units.slice(0, discountedUnits)) {
+          const amount = unit.price * promotion.getDiscountPercent / 100;
+          amounts.set(unit.line, (amounts.get(unit.line) || 0) + amount);
+        }
+
+        return lines.map(line => ({ line, amount: roundCurrency(amounts.get(line) || 0) }));
+      }
+
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Build the discount breakdown entry for an applied promotion
+   */
+  describeDiscount(promotion, lineDiscounts) {
+    return {
+      promotionId: promotion.id,
+      name: promotion.name,
+      code: promotion.code,
+      type: promotion.type,
+      amount: roundCurrency(lineDiscounts.reduce((sum, entry) => sum + entry.amount, 0)),
+      lines: lineDiscounts.map(entry => ({
+        productId: entry.line.productId,
+        variantId: entry.line.variantId,
+        amount: entry.amount
+      }))
+    };
+  }
+
+  /**
+   * Check a coupon code before adding it to a cart
+   */
+  async validateCoupon(code, cart, context = {}) {
+    const promotion = await this.findByCode(code);
+    if (!promotion) {
+      throw this.createError('Coupon code not found', 404);
+    }
+
+    const pricing = await this.priceCart({
+      ...cart,
+      couponCodes: [...new Set([...(cart.couponCodes || []), promotion.code])]
+    }, context);
+
+    const rejected = pricing.rejectedCoupons.find(entry => entry.code === promotion.code);
+    if (rejected) {
+      throw this.createError(rejected.reason, 422);
+    }
+
+    return promotion;
+  }
+
+  /**
+   * Claim a use of each promotion on an order before the order is created.
+   * Claims on one promotion are serialised, and each is checked against
+   * the promotion as it stands, so neither the overall nor the
+   * per-customer limit can be exceeded by concurrent checkouts. If any
+   * promotion can no longer be used, claims already made are released and
+   * a 409 is thrown. Pass the claims to `confirmRedemptions` once the order
+   * exists, or to `releaseRedemptions` if it is not placed.
+   */
+  async claimRedemptions(discounts, customer = {}) {
+    const claims = [];
+
+    try {
+      for (const discount of discounts) {
+        claims.push(await this.claimRedemption(discount, customer));
+      }
+    } catch (error) {
+      await this.releaseRedemptions(claims);
+      throw error;
+    }
+
+    return claims;
+  }
+
+  async claimRedemption(discount, customer) {
+    return this.redemptions.withLock(discount.promotionId, async () => {
+      const promotion = await this.promotions.findById(discount.promotionId);
+      const reason = promotion
+        ? await this.getIneligibilityReason(promotion, customer)
+        : 'Promotion is no longer available';
+      if (reason) {
+        const error = this.createError(`${reason}: ${discount.name}`, 409);
+        error.code = 'PROMOTION_UNAVAILABLE';
+        throw error;
+      }
+
+      await this.promotions.update(promotion.id, current => ({ usageCount: (current.usageCount || 0) + 1 }));
+
+      return this.redemptions.create({
+        promotionId: promotion.id,
+        code: discount.code,
+        orderId: null,
+        userId: customer.userId || null,
+        email: customer.email ? customer.email.toLowerCase() : null,
+        amount: discount.amount,
+        redeemedAt: new Date().toISOString()
+      });
+    });
+  }
+
+  /**
+   * Attach claimed redemptions to the order they were claimed for
+   */
+  async confirmRedemptions(claims, orderId) {
+    for (const claim of claims) {
+      await this.redemptions.update(claim.id, { orderId });
+    }
+  }
+
+  /**
+   * Give back uses claimed for an order that was not placed
+   */
+  async releaseRedemptions(claims) {
+    for (const claim of claims) {
+      try {
+        await this.redemptions.withLock(claim.promotionId, async () => {
+          await this.promotions.update(claim.promotionId, current => ({
+            usageCount: Math.max((current.usageCount || 0) - 1, 0)
+          }));
+          await this.redemptions.remove(claim.id);
+        });
+      } catch (error) {
+        this.logger.error(`Error releasing redemption of promotion ${claim.promotionId}:`, error);
+      }
+    }
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+PricingService.PROMOTION_TYPES = PROMOTION_TYPES;
+
+module.exports = PricingService;
@@ -7,6 +7,13 @@
 
 'use strict';
 
+const Repository = require('./repository');
+const CategoryService = require('./categoryService');
+const TaxService = require('./taxService');
+const SearchService = require('./searchService');
+
+const PRODUCT_STATUSES = ['active', 'draft', 'inactive', 'deleted'];
+
 /**
  * Product Management Service
  * Provides business logic for product operations using NooblyJS Core services
@@ -19,6 +26,10 @@ class ProductService {
     this.logger = services.logger;
     this.notifying = services.notifying;
     this.search = services.search;
+    this.products = new Repository(services, 'products');
+    this.inventory = new Repository(services, 'inventory');
+    this.categoryService = new CategoryService(services);
+    this.searchService = new SearchService(services);
   }
 
   /**
@@ -30,23 +41,22 @@ class ProductService {
       const required = ['name', 'description', 'price', 'category'];
       for (const field of required) {
         if (!productData[field]) {
-          throw new Error(`${field} is required`);
+          throw this.createError(`${field} is required`, 400);
         }
       }
 
+      this.validateProductFields(productData);
+
       // Generate SKU if not provided
       if (!productData.sku) {
         productData.sku = await this.generateSKU(productData.category);
       }
 
-      // Validate SKU uniqueness
-      const existingProducts = await this.dataServe.jsonFindByPath('products', 'sku', productData.sku);
-      if (existingProducts.length > 0) {
-        throw new Error('SKU already exists');
-      }
+      // Validate SKU uniqueness across products and variants
+      await this.assertSkuAvailable(productData.sku);
 
       // Create product object
-      const product = {
+      const product = await this.products.create({
         name: productData.name.trim(),
         description: productData.description.trim(),
         price: parseFloat(productData.price),
@@ -55,22 +65,20 @@ class ProductService {
         brand: productData.brand || null,
         sku: productData.sku,
         tags: productData.tags || [],
-        status: 'active',
+        status: productData.status || 'active',
         inventory: parseInt(productData.inventory || 0),
         weight: productData.weight || null,
+        taxClass: productData.taxClass || 'standard',
         dimensions: productData.dimensions || null,
+        attributes: productData.attributes || {},
         seoTitle: productData.seoTitle || productData.name,
         seoDescription: productData.seoDescription || productData.description,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
         createdBy: userId
-      };
-
-      // Create product
-      const productUuid = await this.dataServe.add('products', product);
+      });
+      const productUuid = product.id;
 
       // Create initial inventory record
-      await this.createInventoryRecord(productUuid, product.inventory);
+      await this.createInventoryRecord(productUuid, product.inventory, productData.unitCost);
 
       // Add to search index
       await this.addToSearchIndex(productUuid, product);
@@ -88,7 +96,7 @@ class ProductService {
 
       this.logger.info(`Product created: ${product.name} (${productUuid})`);
 
-      return { id: productUuid, ...product };
+      return product;
     } catch (error) {
       this.logger.error('Error creating product:', error);
       throw error;
@@ -98,49 +106,52 @@ class ProductService {
   /**
    * Update an existing product
    */
-  async updateProduct(productId, updateData, userId) {
+  async updateProduct(productId, updateData, userId, expectedVersion) {
     try {
-      const product = await this.dataServe.getByUuid('products', productId);
+      const existing = await this.products.findById(productId);
 
-      if (!product) {
-        throw new Error('Product not found');
+      if (!existing) {
+        throw this.createError('Product not found', 404);
       }
 
+      this.validateProductFields(updateData);
+
       // Update fields
       const updatableFields = [
         'name', 'description', 'price', 'salePrice', 'category',
         'brand', 'tags', 'status', 'weight', 'dimensions',
-        'seoTitle', 'seoDescription'
+        'taxClass', 'seoTitle', 'seoDescription', 'attributes'
       ];
 
+      const changes = { updatedBy: userId };
       updatableFields.forEach(field => {
         if (updateData[field] !== undefined) {
           if (field === 'price' || field === 'salePrice') {
-            product[field] = updateData[field] ? parseFloat(updateData[field]) : null;
+            changes[field] = updateData[field] ? parseFloat(updateData[field]) : null;
           } else if (field === 'name' || field === 'description') {
-            product[field] = updateData[field].trim();
+            changes[field] = updateData[field].trim();
           } else {
-            product[field] = updateData[field];
+            changes[field] = updateData[field];
           }
         }
       });
 
-      // Update inventory if provided
       if (updateData.inventory !== undefined) {
-        const newInventory = parseInt(updateData.inventory);
-        await this.updateInventory(productId, newInventory);
-        product.inventory = newInventory;
+        changes.inventory = parseInt(updateData.inventory);
       }
 
-      product.updatedAt = new Date().toISOString();
-      product.updatedBy = userId;
+      const product = await this.products.update(productId, changes, { expectedVersion });
 
-      // Update product
-      await this.dataServe.remove('products', productId);
-      const newProductUuid = await this.dataServe.add('products', product);
+      // Update the inventory record once the version check has passed
+      if (changes.inventory !== undefined) {
+        await this.updateInventory(productId, changes.inventory);
+      }
+      if (updateData.unitCost !== undefined) {
+        await this.updateUnitCost(productId, updateData.unitCost);
+      }
 
       // Update search index
-      await this.updateSearchIndex(newProductUuid, product);
+      await this.updateSearchIndex(productId, product);
 
       // Clear caches
       await this.clearProductCache();
@@ -149,20 +160,58 @@ class ProductService {
       // Send notification
       this.notifying.notify('product-events', {
         type: 'product_updated',
-        productId: newProductUuid,
+        productId,
         productName: product.name,
         userId
       });
 
-      this.logger.info(`Product updated: ${product.name} (${newProductUuid})`);
+      this.logger.info(`Product updated: ${product.name} (${productId})`);
 
-      return { id: newProductUuid, ...product };
+      return product;
     } catch (error) {
       this.logger.error('Error updating product:', error);
       throw error;
     }
   }
 
+  /**
+   * Delete a product (soft delete). Orders keep referring to it.
+   */
+  async deleteProduct(productId, userId) {
+    try {
+      const existing = await this.products.findById(productId);
+
+      if (!existing || existing.status === 'deleted') {
+        throw this.createError('Product not found', 404);
+      }
+
+      const product = await this.products.update(productId, {
+        status: 'deleted',
+        deletedAt: new Date().toISOString(),
+        deletedBy: userId
+      });
+
+      await this.removeFromSearchIndex(productId);
+
+      await this.clearProductCache();
+      await this.cache.delete(`product:${productId}`);
+
+      this.notifying.notify('product-events', {
+        type: 'product_deleted',
+        productId,
+        productName: product.name,
+        userId
+      });
+
+      this.logger.info(`Product deleted: ${product.name} (${productId})`);
+
+      return product;
+    } catch (error) {
+      this.logger.error('Error deleting product:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get product with caching
    */
@@ -173,7 +222,7 @@ class ProductService {
       let product = await this.cache.get(cacheKey);
 
       if (!product) {
-        product = await this.dataServe.getByUuid('products', productId);
+        product = await this.products.findById(productId);
         if (product) {
           // Cache for 1 hour
           await this.cache.put(cacheKey, product, 3600);
@@ -181,7 +230,7 @@ class ProductService {
       }
 
       if (!product) {
-        throw new Error('Product not found');
+        throw this.createError('Product not found', 404);
       }
 
       if (includeRelated) {
@@ -388,33 +437,35 @@ class ProductService {
   /**
    * Create inventory record
    */
-  async createInventoryRecord(productId, quantity) {
-    await this.dataServe.add('inventory', {
+  async createInventoryRecord(productId, quantity, unitCost = null) {
+    await this.inventory.create({
       productId,
       quantity: parseInt(quantity),
       reserved: 0,
       available: parseInt(quantity),
+      unitCost: unitCost !== null && unitCost !== undefined && unitCost !== '' ? parseFloat(unitCost) : null,
       reorderLevel: Math.max(5, Math.floor(quantity * 0.1)), // 10% of initial stock or 5, whichever is higher
       lastUpdated: new Date().toISOString()
     });
   }
 
   /**
-   * Update inventory
+   * Update the product-level inventory record (variants keep their own)
    */
   async updateInventory(productId, newQuantity) {
-    const inventoryRecords = await this.dataServe.jsonFindByPath('inventory', 'productId', productId);
-
-    if (inventoryRecords.length > 0) {
-      const inventory = inventoryRecords[0];
-      const oldQuantity = inventory.quantity;
+    const records = await this.inventory.findBy('productId', productId);
+    const existingInventory = records.find(record => !record.variantId);
 
-      inventory.quantity = parseInt(newQuantity);
-      inventory.available = inventory.quantity - inventory.reserved;
-      inventory.lastUpdated = new Date().toISOString();
+    if (!existingInventory) {
+      await this.createInventoryRecord(productId, newQuantity);
+    } else {
+      const oldQuantity = existingInventory.quantity;
 
-      await this.dataServe.remove('inventory', inventory.id);
-      await this.dataServe.add('inventory', inventory);
+      const inventory = await this.inventory.update(existingInventory.id, current => ({
+        quantity: parseInt(newQuantity),
+        available: parseInt(newQuantity) - current.reserved,
+        lastUpdated: new Date().toISOString()
+      }));
 
       // Log inventory change
       await this.dataServe.add('inventory_logs', {
@@ -438,6 +489,22 @@ class ProductService {
     }
   }
 
+  /**
+   * The unit cost is kept on the product-level inventory record so that it
+   * never appears in public product responses
+   */
+  async updateUnitCost(productId, unitCost) {
+    const records = await this.inventory.findBy('productId', productId);
+    const existingInventory = records.find(record => !record.variantId);
+    const value = unitCost !== null && unitCost !== '' ? parseFloat(unitCost) : null;
+
+    if (!existingInventory) {
+      await this.createInventoryRecord(productId, 0, value);
+    } else {
+      await this.inventory.update(existingInventory.id, { unitCost: value, lastUpdated: new Date().toISOString() });
+    }
+  }
+
   /**
    * Add to search index
    */
@@ -452,12 +519,25 @@ class ProductService {
         url: `/products/${productId}`
       };
 
-      await this.search.index('products', productId, searchDocument);
+      // The search service refuses duplicate keys, so replace any earlier entry
+      await this.search.remove(productId);
+      await this.search.add(productId, searchDocument);
     } catch (error) {
       this.logger.error('Error adding to search index:', error);
     }
   }
 
+  /**
+   * Remove from search index
+   */
+  async removeFromSearchIndex(productId) {
+    try {
+      await this.search.remove(productId);
+    } catch (error) {
+      this.logger.error('Error removing from search index:', error);
+    }
+  }
+
   /**
    * Update search index
    */
@@ -478,6 +558,12 @@ class ProductService {
 
       // Clear featured cache
       await this.cache.delete('featured:10');
+
+      // Category product counts depend on the catalog
+      await this.categoryService.clearCategoryCache();
+
+      // Search documents are built from the catalog
+      await this.searchService.clearDocumentCache();
     } catch (error) {
       this.logger.error('Error clearing product cache:', error);
     }
@@ -495,7 +581,7 @@ class ProductService {
       const lowStockProducts = [];
       for (const inventory of inventoryRecords) {
         try {
-          const product = await this.dataServe.getByUuid('products', inventory.productId);
+          const product = await this.products.findById(inventory.productId);
           if (product && product.status === 'active') {
             lowStockProducts.push({
               ...product,
@@ -531,6 +617,64 @@ class ProductService {
 
     return results;
   }
+
+  /**
+   * Validate the product fields that are present in the input
+   */
+  validateProductFields(data) {
+    if (data.price !== undefined && !(parseFloat(data.price) > 0)) {
+      throw this.createError('Price must be greater than zero', 400);
+    }
+
+    if (data.salePrice && !(parseFloat(data.salePrice) >= 0)) {
+      throw this.createError('Sale price must be a non-negative number', 400);
+    }
+
+    if ((data.name !== undefined && !String(data.name).trim()) ||
+        (data.description !== undefined && !String(data.description).trim())) {
+      throw this.createError('Name and description cannot be empty', 400);
+    }
+
+    if (data.taxClass !== undefined && !TaxService.TAX_CLASSES.includes(data.taxClass)) {
+      throw this.createError(`Tax class must be one of: ${TaxService.TAX_CLASSES.join(', ')}`, 400);
+    }
+
+    if (data.unitCost !== undefined && data.unitCost !== null && data.unitCost !== '' &&
+        !(parseFloat(data.unitCost) >= 0)) {
+      throw this.createError('Unit cost must be a non-negative number', 400);
+    }
+
+    if (data.attributes !== undefined && (typeof data.attributes !== 'object' || data.attributes === null ||
+        Array.isArray(data.attributes))) {
+      throw this.createError('Attributes must be an object of names and values', 400);
+    }
+
+    if (data.status !== undefined && !PRODUCT_STATUSES.includes(data.status)) {
+      throw this.createError(`Product status must be one of: ${PRODUCT_STATUSES.join(', ')}`, 400);
+    }
+  }
+
+  /**
+   * SKUs are unique across products and product variants
+   */
+  async assertSkuAvailable(sku) {
+    const [products, variants] = await Promise.all([
+      this.dataServe.jsonFindByPath('products', 'sku', sku),
+      this.dataServe.jsonFindByPath('product_variants', 'sku', sku)
+    ]);
+
+    if (products.length > 0 || variants.length > 0) {
+      throw this.createError('SKU already exists', 409);
+    }
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
 }
 
+ProductService.PRODUCT_STATUSES = PRODUCT_STATUSES;
+
 module.exports = ProductService;
\ No newline at end of file
@@ -0,0 +1,375 @@
+/**
+ * @fileoverview Refund Service
+ * Refunds order lines, shipping and ad-hoc amounts through the payment
+ * gateway and issues a credit note for each refund
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const Repository = require('./repository');
+const OrderStatusService = require('./orderStatusService');
+const InventoryService = require('./inventoryService');
+const PaymentGateway = require('./paymentGateway');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Payment statuses with captured money left to refund
+ */
+const REFUNDABLE_PAYMENT_STATUSES = ['paid', 'confirmed', 'partially_refunded'];
+
+/**
+ * Refund Service
+ * An order's refundable balance is what the customer paid less what has
+ * been refunded. A line refunds what was paid for it after discounts,
+ * including its tax; the last units of a line refund whatever is left of it
+ * so rounding never leaves cents behind. Shipping is refunded separately.
+ *
+ * A refund is booked against the order under its lock before the gateway
+ * is called, so two refunds of the same order cannot both spend its
+ * balance. The gateway is called once, outside the lock, and the booking is
+ * reversed if it fails.
+ *
+ * Partial refunds show in the order's paymentStatus ('partially_refunded')
+ * rather than its status, which follows fulfilment: a partly refunded order
+ * still ships. Only a full refund moves the order to 'refunded'.
+ */
+class RefundService {
+  constructor(services, options = {}) {
+    this.logger = services.logger;
+    this.orders = new Repository(services, 'orders');
+    this.refunds = new Repository(services, 'refunds');
+    this.creditNotes = new Repository(services, 'credit_notes');
+    this.orderStatusService = new OrderStatusService(services);
+    this.inventoryService = options.inventoryService || new InventoryService(services);
+    this.gateway = options.gateway || services.paymentGateway || PaymentGateway.create(services);
+  }
+
+  /**
+   * Refund part or all of an order. `items` is a list of
+   * { productId, variantId, quantity }; `shipping` is true for the rest of
+   * the shipping charge or an amount; `amount` is refunded on top and is not
+   * tied to items. With none of these the whole remaining balance is
+   * refunded. `restock` returns the refunded items to inventory.
+   */
+  async refundOrder(orderId, request = {}, admin = {}) {
+    const { restock = false, reason, expectedVersion } = request;
+
+    const order = await this.orders.findById(orderId);
+    if (!order) {
+      throw this.createError('Order not found', 404);
+    }
+    this.assertRefundable(order);
+
+    let plan;
+    let paidStatus;
+    const updatedOrder = await this.orders.update(orderId, current => {
+      this.assertRefundable(current);
+      plan = RefundService.planRefund(current, request);
+      paidStatus = current.paymentStatus;
+      return RefundService.bookRefund(current, plan, 1, paidStatus);
+    }, { expectedVersion });
+
+    let providerRefund;
+    try {
+      providerRefund = await this.gateway.refund({
+        paymentIntentId: updatedOrder.paymentMethod.paymentIntentId,
+        amount: Math.round(plan.total * 100),
+        reason: reason || null,
+        metadata: { orderId: updatedOrder.id, orderNumber: updatedOrder.orderNumber }
+      });
+    } catch (error) {
+      try {
+        await this.orders.update(orderId, current => RefundService.bookRefund(current, plan, -1, paidStatus));
+      } catch (reverseError) {
+        this.logger.error(`Refund of ${plan.total} on order ${order.orderNumber} failed but is still booked against it:`, reverseError);
+      }
+      throw error;
+    }
+
+    const restocked = restock && plan.lines.length > 0
+      ? await this.inventoryService.restock(plan.lines, `Refund for order ${order.orderNumber}`, admin.id || null)
+      : [];
+
+    const refund = await this.refunds.create({
+      orderId,
+      orderNumber: order.orderNumber,
+      amount: plan.total,
+      lines: plan.lines,
+      shippingAmount: plan.shipping,
+      adjustmentAmount: plan.adjustment,
+      reason: reason || 'Admin refund',
+      restocked,
+      provider: this.gateway.name,
+      providerRefundId: providerRefund.id,
+      status: providerRefund.status,
+      processedAt: new Date().toISOString(),
+      processedBy: admin.id || null
+    });
+
+    const creditNote = await this.issueCreditNote(updatedOrder, refund);
+    await this.refunds.update(refund.id, { creditNoteId: creditNote.id, creditNoteNumber: creditNote.creditNoteNumber });
+
+    let finalOrder = updatedOrder;
+    if (updatedOrder.paymentStatus === 'refunded' && OrderStatusService.canTransition(updatedOrder.status, 'refunded')) {
+      finalOrder = await this.orderStatusService.transition(orderId, 'refunded', { type: 'admin', id: admin.id }, {
+        note: refund.reason,
+        fields: { refundAmount: updatedOrder.amountRefunded }
+      });
+    }
+
+    this.logger.info(`Refunded ${plan.total} on order ${order.orderNumber} (${creditNote.creditNoteNumber})`);
+
+    return {
+      refund: { ...refund, creditNoteId: creditNote.id, creditNoteNumber: creditNote.creditNoteNumber },
+      creditNote,
+      order: finalOrder,
+      summary: RefundService.summarize(finalOrder)
+    };
+  }
+
+  /**
+   * A credit note mirrors the refund as a document: numbered per order,
+   * with each refunded line and its tax
+   */
+  async issueCreditNote(order, refund) {
+    const existing = await this.creditNotes.findBy('orderId', order.id);
+    const taxAmount = roundCurrency(refund.lines.reduce((sum, line) => sum + line.taxAmount, 0));
+
+    return this.creditNotes.create({
+      creditNoteNumber: `CN-${order.orderNumber}-${existing.length + 1}`,
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      refundId: refund.id,
+      customerEmail: order.customerEmail,
+      billingAddress: order.billingAddress || null,
+      currency: 'usd',
+      lines: [
+        ...refund.lines.map(line => ({
+          description: line.name,
+          productId: line.productId,
+          variantId: line.variantId,
+          quantity: line.quantity,
+          amount: line.amount,
+          taxAmount: line.taxAmount
+        })),
+        ...(refund.shippingAmount > 0 ? [{ description: 'Shipping', quantity: 1, amount: refund.shippingAmount, taxAmount: 0 }] : []),
+        ...(refund.adjustmentAmount > 0 ? [{ description: 'Adjustment', quantity: 1, amount: refund.adjustmentAmount, taxAmount: 0 }] : [])
+      ],
+      taxAmount,
+      pricesIncludeTax: Boolean(order.pricesIncludeTax),
+      total: refund.amount,
+      reason: refund.reason,
+      issuedAt: new Date().toISOString()
+    });
+  }
+
+  async listRefunds(orderId) {
+    const refunds = await this.refunds.findBy('orderId', orderId);
+    return refunds.sort((a, b) => new Date(a.processedAt) - new Date(b.processedAt));
+  }
+
+  async getCreditNote(creditNoteId) {
+    const creditNote = await this.creditNotes.findById(creditNoteId);
+    if (!creditNote) {
+      throw this.createError('Credit note not found', 404);
+    }
+    return creditNote;
+  }
+
+  assertRefundable(order) {
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+      throw this.createError(`Cannot refund an order with payment status '${order.paymentStatus || 'pending'}'`, 409);
+    }
+
+    const provider = order.paymentMethod?.provider || order.paymentMethod?.type;
+    if (!order.paymentMethod?.paymentIntentId || provider !== this.gateway.name) {
+      throw this.createError('This order was not paid through the current payment gateway', 409);
+    }
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * The order fields after booking (direction 1) or reversing (direction -1)
+   * a planned refund. `paidStatus` is the payment status to go back to once
+   * nothing is left refunded.
+   */
+  static bookRefund(order, plan, direction, paidStatus) {
+    const refundedItems = { ...(order.refundedItems || {}) };
+    for (const line of plan.lines) {
+      const key = RefundService.lineKey(line);
+      const previous = refundedItems[key] || { quantity: 0, amount: 0, taxAmount: 0 };
+      refundedItems[key] = {
+        quantity: previous.quantity + direction * line.quantity,
+        amount: roundCurrency(previous.amount + direction * line.amount),
+        taxAmount: roundCurrency(previous.taxAmount + direction * line.taxAmount)
+      };
+    }
+
+    const amountRefunded = roundCurrency((order.amountRefunded || 0) + direction * plan.total);
+    let paymentStatus = paidStatus;
+    if (amountRefunded >= order.totalAmount) {
+      paymentStatus = 'refunded';
+    } else if (amountRefunded > 0) {
+      paymentStatus = 'partially_refunded';
+    }
+
+    return {
+      refundedItems,
+      shippingRefunded: roundCurrency((order.shippingRefunded || 0) + direction * plan.shipping),
+      amountRefunded,
+      paymentStatus
+    };
+  }
+
+  static lineKey(line) {
+    return `${line.productId}:${line.variantId || ''}`;
+  }
+
+  /**
+   * What the customer paid for a line, and the tax within it
+   */
+  static linePaid(order, line) {
+    const net = line.lineTotal !== undefined ? line.lineTotal : line.lineSubtotal - (line.discount || 0);
+    return roundCurrency(net + (order.pricesIncludeTax ? 0 : (line.taxAmount || 0)));
+  }
+
+  static shippingPaid(order) {
+    const shippingTax = order.taxBreakdown?.shippingTax || 0;
+    return roundCurrency((order.shippingCost || 0) + (order.pricesIncludeTax ? 0 : shippingTax));
+  }
+
+  /**
+   * Work out what a refund request comes to. Throws a 400 error when the
+   * request asks for more than is left to refund.
+   */
+  static planRefund(order, { items, shipping, amount } = {}) {
+    const refundedItems = order.refundedItems || {};
+    const balance = roundCurrency(order.totalAmount - (order.amountRefunded || 0));
+    const fullRefund = (!items || items.length === 0) && !shipping && (amount === undefined || amount === null);
+
+    const requested = fullRefund
+      ? (order.items || [])
+        .map(line => ({
+          productId: line.productId,
+          variantId: line.variantId,
+          quantity: line.quantity - ((refundedItems[RefundService.lineKey(line)] || {}).quantity || 0)
+        }))
+        .filter(line => line.quantity > 0)
+      : (items || []);
+
+    const lines = requested.map(request => {
+      const line = (order.items || []).find(entry =>
+        entry.productId === request.productId && (entry.variantId || null) === (request.variantId || null));
+      if (!line) {
+        throw RefundService.badRequest(`Order has no line for product ${request.productId}`);
+      }
+
+      const quantity = parseInt(request.quantity);
+      const already = refundedItems[RefundService.lineKey(line)] || { quantity: 0, amount: 0, taxAmount: 0 };
+      const remaining = line.quantity - already.quantity;
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > remaining) {
+        throw RefundService.badRequest(`Quantity for ${line.name || line.productId} must be between 1 and ${remaining}`);
+      }
+
+      const paid = RefundService.linePaid(order, line);
+      const lastUnits = quantity === remaining;
+      return {
+        productId: line.productId,
+        variantId: line.variantId || null,
+        name: line.name || null,
+        quantity,
+        amount: lastUnits ? roundCurrency(paid - already.amount) : roundCurrency(paid * quantity / line.quantity),
+        taxAmount: lastUnits
+          ? roundCurrency((line.taxAmount || 0) - already.taxAmount)
+          : roundCurrency((line.taxAmount || 0) * quantity / line.quantity)
+      };
+    });
+
+    const shippingRemaining = roundCurrency(RefundService.shippingPaid(order) - (order.shippingRefunded || 0));
+    let shippingAmount = 0;
+    if (fullRefund || shipping === true) {
+      if (shipping === true && shippingRemaining <= 0) {
+        throw RefundService.badRequest('Shipping has already been refunded');
+      }
+      shippingAmount = Math.max(0, shippingRemaining);
+    } else if (shipping) {
+      shippingAmount = roundCurrency(parseFloat(shipping));
+      if (!(shippingAmount > 0) || shippingAmount > shippingRemaining) {
+        throw RefundService.badRequest(`Shipping refund must be between 0.01 and ${shippingRemaining.toFixed(2)}`);
+      }
+    }
+
+    const linesTotal = roundCurrency(lines.reduce((sum, line) => sum + line.amount, 0));
+    let adjustment = 0;
+    if (fullRefund) {
+      // Whatever the lines and shipping do not account for, such as order-level rounding
+      adjustment = Math.max(0, roundCurrency(balance - linesTotal - shippingAmount));
+    } else if (amount !== undefined && amount !== null) {
+      adjustment = roundCurrency(parseFloat(amount));
+      if (!(adjustment > 0)) {
+        throw RefundService.badRequest('Refund amount must be greater than zero');
+      }
+    }
+
+    const total = roundCurrency(linesTotal + shippingAmount + adjustment);
+    if (total <= 0) {
+      throw RefundService.badRequest('Nothing left to refund');
+    }
+    if (total > balance) {
+      throw RefundService.badRequest(`Refund of ${total.toFixed(2)} exceeds the refundable balance of ${balance.toFixed(2)}`);
+    }
+
+    return { lines, shipping: shippingAmount, adjustment, total };
+  }
+
+  /**
+   * The order's refund position: paid, refunded and what each line and the
+   * shipping still have to refund
+   */
+  static summarize(order) {
+    const refundedItems = order.refundedItems || {};
+    const amountRefunded = order.amountRefunded || 0;
+
+    return {
+      totalPaid: order.totalAmount,
+      amountRefunded,
+      refundableBalance: REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)
+        ? roundCurrency(order.totalAmount - amountRefunded)
+        : 0,
+      lines: (order.items || []).map(line => {
+        const refunded = refundedItems[RefundService.lineKey(line)] || { quantity: 0, amount: 0 };
+        return {
+          productId: line.productId,
+          variantId: line.variantId || null,
+          name: line.name || null,
+          quantity: line.quantity,
+          refundedQuantity: refunded.quantity,
+          refundableAmount: roundCurrency(RefundService.linePaid(order, line) - refunded.amount)
+        };
+      }),
+      shipping: {
+        paid: RefundService.shippingPaid(order),
+        refunded: order.shippingRefunded || 0
+      }
+    };
+  }
+
+  static badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+}
+
+RefundService.REFUNDABLE_PAYMENT_STATUSES = REFUNDABLE_PAYMENT_STATUSES;
+
+module.exports = RefundService;
@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Container Repository
+ * Gives ecommerce containers stable record IDs, in-place updates and
+ * optimistic concurrency on top of the DataServe service
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Per-DataServe state shared by every repository instance so that routes,
+ * services and background jobs see the same key index and locks. `indexed`
+ * holds, per container, the rebuild of the key index from stored records.
+ */
+const repositoryState = new WeakMap();
+
+function getState(dataServe) {
+  if (!repositoryState.has(dataServe)) {
+    repositoryState.set(dataServe, { keys: new Map(), locks: new Map(), indexed: new Map() });
+  }
+  return repositoryState.get(dataServe);
+}
+
+/**
+ * The [storageKey, record] pairs stored in a container. DataServe's search
+ * methods drop the storage keys, so they are read from the provider: the
+ * memory provider keeps a Map per container and the file provider a keyed
+ * object. Other providers give no entries.
+ */
+async function readStoredEntries(dataServe, containerName) {
+  const provider = dataServe.provider;
+  if (provider?.containers instanceof Map) {
+    return [...(provider.containers.get(containerName) || new Map()).entries()];
+  }
+  if (typeof provider?._readContainerData === 'function') {
+    return Object.entries(await provider._readContainerData(containerName));
+  }
+  return [];
+}
+
+/**
+ * Container Repository
+ * Records keep the same `id` for their whole life. Every write bumps `version`
+ * and a write carrying a stale `expectedVersion` is rejected with status 409.
+ */
+class Repository {
+  constructor(services, containerName) {
+    this.dataServe = services.dataServe;
+    this.logger = services.logger;
+    this.containerName = containerName;
+    this.state = getState(this.dataServe);
+  }
+
+  /**
+   * Create a record and assign its stable ID
+   */
+  async create(data) {
+    const now = new Date().toISOString();
+    const record = {
+      ...data,
+      id: data.id || uuidv4(),
+      version: 1,
+      createdAt: data.createdAt || now,
+      updatedAt: data.updatedAt || now
+    };
+
+    const storageKey = await this.dataServe.add(this.containerName, record);
+    this.state.keys.set(this.indexKey(record.id), storageKey);
+
+    return { ...record };
+  }
+
+  /**
+   * Get a record by its stable ID
+   */
+  async findById(id) {
+    const located = await this.locate(id);
+    return located ? { ...located.record } : null;
+  }
+
+  /**
+   * Find records matching a predicate
+   */
+  async find(predicate = () => true) {
+    const records = await this.dataServe.jsonFind(this.containerName, predicate);
+    return records.map(record => ({ ...record }));
+  }
+
+  /**
+   * Find records where the given path equals the value
+   */
+  async findBy(path, value) {
+    const records = await this.dataServe.jsonFindByPath(this.containerName, path, value);
+    return records.map(record => ({ ...record }));
+  }
+
+  /**
+   * Find the first record where the given path equals the value
+   */
+  async findOneBy(path, value) {
+    const records = await this.findBy(path, value);
+    return records[0] || null;
+  }
+
+  /**
+   * Update a record in place.
+   * `changes` is either an object merged into the record or a function that
+   * receives the current record and returns the changes. Pass
+   * `options.expectedVersion` to reject the write if the record has moved on.
+   */
+  async update(id, changes, options = {}) {
+    return this.withLock(id, async () => {
+      const located = await this.locate(id);
+      if (!located) {
+        const error = new Error(`Record not found in ${this.containerName}: ${id}`);
+        error.status = 404;
+        throw error;
+      }
+
+      const current = located.record;
+      const currentVersion = current.version || 0;
+      const expectedVersion = options.expectedVersion;
+
+      if (expectedVersion !== undefined && expectedVersion !== null &&
+          parseInt(expectedVersion) !== currentVersion) {
+        const error = new Error(`Version conflict on ${this.containerName} ${id}: expected ${expectedVersion}, found ${currentVersion}`);
+        error.status = 409;
+        error.currentVersion = currentVersion;
+        throw error;
+      }
+
+      const resolvedChanges = typeof changes === 'function' ? await changes({ ...current }) : changes;
+
+      const updated = {
+        ...current,
+        ...resolvedChanges,
+        id: current.id || id,
+        version: currentVersion + 1,
+        updatedAt: new Date().toISOString()
+      };
+
+      await this.dataServe.remove(this.containerName, located.storageKey);
+      const storageKey = await this.dataServe.add(this.containerName, updated);
+      this.state.keys.set(this.indexKey(updated.id), storageKey);
+
+      return { ...updated };
+    });
+  }
+
+  /**
+   * Remove a record by its stable ID
+   */
+  async remove(id) {
+    return this.withLock(id, async () => {
+      const located = await this.locate(id);
+      if (!located) {
+        return false;
+      }
+
+      await this.dataServe.remove(this.containerName, located.storageKey);
+      this.state.keys.delete(this.indexKey(id));
+      return true;
+    });
+  }
+
+  /**
+   * Resolve a stable ID to the stored record and its current storage key.
+   * Records written before the repository existed use their storage key as ID.
+   */
+  async locate(id) {
+    if (!id) {
+      return null;
+    }
+
+    await this.ensureIndexed();
+    const indexedKey = this.state.keys.get(this.indexKey(id));
+    if (indexedKey) {
+      const record = await this.dataServe.getByUuid(this.containerName, indexedKey);
+      if (record) {
+        return { storageKey: indexedKey, record };
+      }
+    }
+
+    const legacyRecord = await this.dataServe.getByUuid(this.containerName, id);
+    if (legacyRecord) {
+      return { storageKey: id, record: { ...legacyRecord, id: legacyRecord.id || id } };
+    }
+
+    return null;
+  }
+
+  /**
+   * The key index lives in memory, so after a restart it is rebuilt from the
+   * stored records the first time the container is read. Keys written since
+   * the process started are newer and are kept.
+   */
+  ensureIndexed() {
+    if (!this.state.indexed.has(this.containerName)) {
+      const rebuild = readStoredEntries(this.dataServe, this.containerName).then(entries => {
+        for (const [storageKey, record] of entries) {
+          const key = this.indexKey((record && record.id) || storageKey);
+          if (!this.state.keys.has(key)) {
+            this.state.keys.set(key, storageKey);
+          }
+        }
+      }).catch(error => {
+        this.state.indexed.delete(this.containerName);
+        throw error;
+      });
+      this.state.indexed.set(this.containerName, rebuild);
+    }
+    return this.state.indexed.get(this.containerName);
+  }
+
+  indexKey(id) {
+    return `${this.containerName}:${id}`;
+  }
+
+  /**
+   * Serialise writes to a single record
+   */
+  async withLock(id, fn) {
+    const lockKey = this.indexKey(id);
+    const previous = this.state.locks.get(lockKey) || Promise.resolve();
+
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const chained = previous.then(() => current);
+    this.state.locks.set(lockKey, chained);
+
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      release();
+      if (this.state.locks.get(lockKey) === chained) {
+        this.state.locks.delete(lockKey);
+      }
+    }
+  }
+}
+
+module.exports = Repository;
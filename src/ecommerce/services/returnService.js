@@ -0,0 +1,454 @@
+/**
+ * @fileoverview Return Service
+ * Customer cancellations and returns. Returns are authorized as warehouse
+ * RMAs and refunded once the warehouse has inspected what came back.
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const Repository = require('./repository');
+const OrderStatusService = require('./orderStatusService');
+const InventoryService = require('./inventoryService');
+const RefundService = require('./refundService');
+const DeliveryModule = require('../../warehouse/modules/delivery');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const DEFAULT_RETURN_WINDOW_DAYS = 30;
+
+/**
+ * Order statuses a customer may still cancel, i.e. nothing has shipped
+ */
+const CANCELLABLE_STATUSES = ['created', 'paid', 'processing', 'picked'];
+
+/**
+ * Customer-facing reason codes and the warehouse RMA reason each maps to
+ */
+const RETURN_REASONS = {
+  defective: 'defective',
+  damaged: 'damaged',
+  wrong_item: 'wrong_item',
+  not_as_described: 'other',
+  no_longer_needed: 'not_needed',
+  other: 'other'
+};
+
+/**
+ * Return Service
+ * A return moves from `requested` to `authorized` once the warehouse has
+ * issued an RMA and return label, then to `refunded` (or `rejected` when
+ * inspection leaves nothing to refund) after the warehouse processes it.
+ * Lines the warehouse accepts in full are refunded as order lines; reduced
+ * refunds for used or damaged items are refunded as an amount.
+ */
+class ReturnService {
+  constructor(services, options = {}) {
+    this.logger = services.logger;
+    this.notifying = services.notifying;
+    this.orders = new Repository(services, 'orders');
+    this.returns = new Repository(services, 'order_returns');
+    this.products = new Repository(services, 'products');
+    this.variants = new Repository(services, 'product_variants');
+    this.orderStatusService = new OrderStatusService(services);
+    this.inventoryService = options.inventoryService || new InventoryService(services);
+    this.refundService = options.refundService || new RefundService(services, { inventoryService: this.inventoryService });
+    this.delivery = options.delivery || new DeliveryModule(services, options.eventEmitter);
+    this.returnWindowDays = options.returnWindowDays ||
+      parseInt(process.env.RETURN_WINDOW_DAYS) || DEFAULT_RETURN_WINDOW_DAYS;
+
+    // Labels arrive as an event while the RMA is being created
+    this.labels = new Map();
+
+    if (options.eventEmitter) {
+      options.eventEmitter.on('return.label.generated', ({ returnShipment }) => {
+        if (returnShipment?.rmaNumber) {
+          this.labels.set(returnShipment.rmaNumber, returnShipment);
+        }
+      });
+      options.eventEmitter.on('return.processed', payload => {
+        this.handleProcessedReturn(payload).catch(error => {
+          this.logger.error(`Error refunding processed return ${payload?.rma?.rmaNumber}:`, error);
+        });
+      });
+    }
+  }
+
+  /**
+   * Cancel an order that has not shipped. Paid orders are refunded in full
+   * and their items restocked.
+   */
+  async cancelOrder(orderId, user, { reason, expectedVersion } = {}) {
+    const order = await this.findOrderFor(orderId, user);
+
+    if (!CANCELLABLE_STATUSES.includes(order.status)) {
+      throw this.createError(
+        ['shipped', 'delivered'].includes(order.status)
+          ? 'Order has already shipped and can no longer be cancelled'
+          : `Order is already ${order.status}`,
+        409
+      );
+    }
+
+    const note = reason ? `Cancelled by customer: ${reason}` : 'Cancelled by customer';
+    const cancelled = await this.orderStatusService.transition(orderId, 'cancelled', { type: 'customer', id: user.id }, {
+      note,
+      fields: { cancellationReason: reason || null },
+      expectedVersion
+    });
+
+    if (!RefundService.REFUNDABLE_PAYMENT_STATUSES.includes(cancelled.paymentStatus)) {
+      return { order: cancelled, refund: null };
+    }
+
+    // The order stays cancelled if the refund fails; staff can refund it from admin
+    try {
+      const { refund, order } = await this.refundService.refundOrder(orderId, {
+        restock: true,
+        reason: note
+      }, { id: user.id });
+      return { order, refund };
+    } catch (error) {
+      this.logger.error(`Error refunding cancelled order ${order.orderNumber}:`, error);
+      return { order: cancelled, refund: null, refundError: error.message };
+    }
+  }
+
+  /**
+   * Request a return of delivered items. `items` is a list of
+   * { productId, variantId, quantity }.
+   */
+  async requestReturn(orderId, user, { items, reason, comment } = {}) {
+    const order = await this.findOrderFor(orderId, user);
+    this.assertReturnable(order);
+
+    if (!RETURN_REASONS[reason]) {
+      throw this.createError(`Reason must be one of: ${Object.keys(RETURN_REASONS).join(', ')}`, 400);
+    }
+    if (reason === 'other' && !(comment || '').trim()) {
+      throw this.createError('Please tell us why you are returning these items', 400);
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+      throw this.createError('Select at least one item to return', 400);
+    }
+
+    const existing = await this.returns.findBy('orderId', order.id);
+    const returnable = ReturnService.returnableItems(order, existing);
+
+    const requested = items.map(request => {
+      const line = returnable.find(entry =>
+        entry.productId === request.productId && (entry.variantId || null) === (request.variantId || null));
+      if (!line) {
+        throw this.createError(`Order has no line for product ${request.productId}`, 400);
+      }
+
+      const quantity = parseInt(request.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > line.returnableQuantity) {
+        throw this.createError(`Quantity for ${line.name || line.productId} must be between 1 and ${line.returnableQuantity}`, 400);
+      }
+      return { productId: line.productId, variantId: line.variantId, quantity };
+    });
+
+    // Refund estimates use the same arithmetic as the eventual refund
+    const plan = RefundService.planRefund(order, { items: requested });
+    const lines = [];
+    for (const line of plan.lines) {
+      lines.push({
+        productId: line.productId,
+        variantId: line.variantId,
+        name: line.name,
+        sku: await this.resolveSku(line),
+        quantity: line.quantity,
+        refundAmount: line.amount
+      });
+    }
+
+    const created = await this.returns.create({
+      returnNumber: `RMA-${order.orderNumber}-${existing.length + 1}`,
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      userId: order.userId,
+      customerEmail: order.customerEmail,
+      status: 'requested',
+      reason,
+      comment: (comment || '').trim() || null,
+      lines,
+      estimatedRefund: plan.total,
+      requestedAt: new Date().toISOString()
+    });
+
+    this.logger.info(`Return requested: ${created.returnNumber} for order ${order.orderNumber}`);
+
+    return this.authorize(created.id);
+  }
+
+  /**
+   * Create the warehouse RMA and return label for a requested return. A
+   * failure leaves the return requested so it can be authorized again.
+   */
+  async authorize(returnId) {
+    const request = await this.getReturn(returnId);
+    if (request.status !== 'requested') {
+      throw this.createError(`Return is already ${request.status}`, 409);
+    }
+
+    const order = await this.orders.findById(request.orderId);
+
+    try {
+      const rmaId = await this.delivery.createReturnAuthorization({
+        rmaNumber: request.returnNumber,
+        originalOrderId: order.id,
+        originalShipmentId: order.shipmentId || null,
+        customer: {
+          id: order.userId,
+          email: order.customerEmail,
+          name: [order.shippingAddress?.firstName, order.shippingAddress?.lastName].filter(Boolean).join(' ') || null,
+          address: order.shippingAddress
+        },
+        reason: RETURN_REASONS[request.reason],
+        reasonDescription: request.comment || '',
+        items: request.lines.map(line => ({
+          productSku: line.sku,
+          description: line.name,
+          quantity: line.quantity,
+          condition: ['defective', 'damaged'].includes(request.reason) ? request.reason : 'unknown',
+          refundAmount: line.refundAmount,
+          restockable: !['defective', 'damaged'].includes(request.reason)
+        })),
+        returnType: 'refund',
+        returnMethod: 'ship_back',
+        returnWindow: this.returnWindowDays
+      });
+
+      const label = this.labels.get(request.returnNumber) || null;
+      this.labels.delete(request.returnNumber);
+
+      this.logger.info(`Return authorized: ${request.returnNumber} (RMA ${rmaId})`);
+
+      return this.returns.update(returnId, {
+        status: 'authorized',
+        rmaId,
+        label: label && {
+          trackingNumber: label.trackingNumber,
+          carrierId: label.carrierId,
+          origin: label.origin,
+          destination: label.destination,
+          createdAt: label.createdAt
+        },
+        authorizationError: null,
+        authorizedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.error(`Error authorizing return ${request.returnNumber}:`, error);
+      return this.returns.update(returnId, { authorizationError: error.message });
+    }
+  }
+
+  /**
+   * `return.processed` from the warehouse. RMAs that did not start as an
+   * ecommerce return are ignored.
+   */
+  async handleProcessedReturn({ rma, inspectionResults } = {}) {
+    const request = rma && await this.returns.findOneBy('returnNumber', rma.rmaNumber);
+    if (!request) {
+      return null;
+    }
+    return this.refundReturn(request.id, { inspectionResults, processedBy: rma.processedBy });
+  }
+
+  /**
+   * Refund a received return from the warehouse inspection. A return whose
+   * refund failed is retried with the inspection it was received with.
+   */
+  async refundReturn(returnId, { inspectionResults, processedBy } = {}) {
+    const received = await this.returns.update(returnId, current => {
+      if (!['authorized', 'refund_failed'].includes(current.status)) {
+        throw this.createError(`Return is ${current.status} and cannot be refunded`, 409);
+      }
+      if (!inspectionResults && !current.inspection) {
+        throw this.createError('Return has not been inspected by the warehouse', 409);
+      }
+      return {
+        status: 'received',
+        inspection: inspectionResults || current.inspection,
+        receivedAt: current.receivedAt || new Date().toISOString(),
+        processedBy: processedBy || current.processedBy || null
+      };
+    });
+
+    const lines = received.lines.map(line => {
+      const result = received.inspection.find(entry => entry.productSku === line.sku);
+      const refundAmount = Math.min(line.refundAmount, roundCurrency(result?.refundAmount || 0));
+      return {
+        ...line,
+        receivedCondition: result?.actualCondition || null,
+        restockable: Boolean(result?.restockable),
+        refundedAmount: refundAmount,
+        refundedInFull: refundAmount > 0 && refundAmount >= line.refundAmount
+      };
+    });
+
+    const fullLines = lines.filter(line => line.refundedInFull);
+    const partialAmount = roundCurrency(lines
+      .filter(line => !line.refundedInFull)
+      .reduce((sum, line) => sum + line.refundedAmount, 0));
+
+    if (fullLines.length === 0 && partialAmount <= 0) {
+      this.logger.info(`Return ${received.returnNumber} rejected at inspection, nothing to refund`);
+      return this.returns.update(returnId, { status: 'rejected', lines, closedAt: new Date().toISOString() });
+    }
+
+    let result;
+    try {
+      result = await this.refundService.refundOrder(received.orderId, {
+        items: fullLines.map(line => ({ productId: line.productId, variantId: line.variantId, quantity: line.quantity })),
+        amount: partialAmount > 0 ? partialAmount : undefined,
+        reason: `Return ${received.returnNumber}`
+      }, { id: received.processedBy });
+    } catch (error) {
+      await this.returns.update(returnId, { status: 'refund_failed', lines, refundError: error.message });
+      throw error;
+    }
+
+    const restockable = lines.filter(line => line.restockable);
+    if (restockable.length > 0) {
+      await this.inventoryService.restock(restockable, `Return ${received.returnNumber}`, received.processedBy);
+    }
+
+    const refunded = await this.returns.update(returnId, {
+      status: 'refunded',
+      lines,
+      refundId: result.refund.id,
+      refundAmount: result.refund.amount,
+      creditNoteNumber: result.refund.creditNoteNumber,
+      refundError: null,
+      closedAt: new Date().toISOString()
+    });
+
+    if (this.notifying) {
+      this.notifying.notify('order-events', {
+        type: 'return_refunded',
+        orderId: received.orderId,
+        orderNumber: received.orderNumber,
+        returnNumber: received.returnNumber,
+        userId: received.userId,
+        amount: result.refund.amount
+      });
+    }
+
+    this.logger.info(`Return ${received.returnNumber} refunded ${result.refund.amount}`);
+
+    return refunded;
+  }
+
+  async getReturn(returnId) {
+    const request = await this.returns.findById(returnId);
+    if (!request) {
+      throw this.createError('Return not found', 404);
+    }
+    return request;
+  }
+
+  /**
+   * An order's returns, what can still be returned and until when
+   */
+  async getOrderReturns(orderId, user) {
+    const order = await this.findOrderFor(orderId, user);
+    const returns = await this.returns.findBy('orderId', order.id);
+
+    return {
+      returns: returns.sort((a, b) => new Date(a.requestedAt) - new Date(b.requestedAt)),
+      returnableItems: ReturnService.returnableItems(order, returns),
+      returnWindowEndsAt: this.returnWindowEnd(order)
+    };
+  }
+
+  async listReturns({ status } = {}) {
+    const returns = status ? await this.returns.findBy('status', status) : await this.returns.find(() => true);
+    return returns.sort((a, b) => new Date(b.requestedAt) - new Date(a.requestedAt));
+  }
+
+  async findOrderFor(orderId, user) {
+    const order = await this.orders.findById(orderId);
+    if (!order) {
+      throw this.createError('Order not found', 404);
+    }
+    if (order.userId !== user.id && !user.isAdmin) {
+      throw this.createError('Access denied', 403);
+    }
+    return order;
+  }
+
+  assertReturnable(order) {
+    if (order.status !== 'delivered') {
+      throw this.createError('Only delivered orders can be returned', 409);
+    }
+    if (!RefundService.REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+      throw this.createError('This order has nothing left to refund', 409);
+    }
+
+    const windowEnd = this.returnWindowEnd(order);
+    if (windowEnd && new Date(windowEnd) < new Date()) {
+      throw this.createError(`The return window for this order closed on ${windowEnd.slice(0, 10)}`, 409);
+    }
+  }
+
+  returnWindowEnd(order) {
+    if (!order.deliveredAt) {
+      return null;
+    }
+    const windowEnd = new Date(order.deliveredAt);
+    windowEnd.setDate(windowEnd.getDate() + this.returnWindowDays);
+    return windowEnd.toISOString();
+  }
+
+  async resolveSku(line) {
+    if (line.variantId) {
+      const variant = await this.variants.findById(line.variantId);
+      if (variant?.sku) {
+        return variant.sku;
+      }
+    }
+    const product = await this.products.findById(line.productId);
+    return product?.sku || line.productId;
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * How many units of each order line can still be returned. Every unit on
+   * a return counts against its line unless its refund is already recorded
+   * in the order's refunded items.
+   */
+  static returnableItems(order, returns = []) {
+    const refundedItems = order.refundedItems || {};
+
+    return (order.items || []).map(line => {
+      const key = RefundService.lineKey(line);
+      const returned = returns.reduce((sum, request) => sum + request.lines
+        .filter(entry => RefundService.lineKey(entry) === key)
+        .filter(entry => !(request.status === 'refunded' && entry.refundedInFull))
+        .reduce((lineSum, entry) => lineSum + entry.quantity, 0), 0);
+      const refunded = (refundedItems[key] || {}).quantity || 0;
+
+      return {
+        productId: line.productId,
+        variantId: line.variantId || null,
+        name: line.name || null,
+        quantity: line.quantity,
+        returnableQuantity: Math.max(0, line.quantity - refunded - returned)
+      };
+    });
+  }
+}
+
+ReturnService.CANCELLABLE_STATUSES = CANCELLABLE_STATUSES;
+ReturnService.RETURN_REASONS = RETURN_REASONS;
+
+module.exports = ReturnService;
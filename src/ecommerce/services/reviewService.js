@@ -0,0 +1,370 @@
+/**
+ * @fileoverview Product Review Service
+ * Handles customer reviews with star ratings and photos, verified purchase
+ * flags, the admin moderation queue and aggregated product ratings
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const { Readable } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+const Repository = require('./repository');
+const SearchService = require('./searchService');
+const ImageService = require('./imageService');
+
+const RATINGS_CACHE_KEY = 'reviews:ratings';
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+const REVIEW_SORTS = ['newest', 'oldest', 'rating_desc', 'rating_asc'];
+
+/**
+ * Orders in these statuses count as a purchase for the verified flag
+ */
+const PURCHASED_STATUSES = ['paid', 'processing', 'picked', 'shipped', 'delivered'];
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_BODY_LENGTH = 5000;
+const MAX_REPLY_LENGTH = 2000;
+const MAX_PHOTOS = 5;
+const MAX_PHOTO_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Product Review Service
+ * Customers may review each product once. New reviews wait in the
+ * moderation queue and only approved reviews are shown or counted in a
+ * product's rating.
+ */
+class ReviewService {
+  constructor(services, options = {}) {
+    this.dataServe = services.dataServe;
+    this.filing = services.filing;
+    this.cache = services.cache;
+    this.logger = services.logger;
+    this.reviews = new Repository(services, 'reviews');
+    this.orders = new Repository(services, 'orders');
+    this.products = new Repository(services, 'products');
+    this.searchService = new SearchService(services);
+    this.imageService = options.imageService || new ImageService(services);
+  }
+
+  /**
+   * Submit a review for a product. `files` are uploaded photos with a
+   * `buffer`. Photos are checked by their contents, and stored and served
+   * with the type found there rather than the one the client declared.
+   */
+  async createReview(productId, user, data, files = []) {
+    const product = await this.products.findById(productId);
+    if (!product || product.status !== 'active') {
+      throw this.createError('Product not found', 404);
+    }
+
+    const rating = Number(data.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      throw this.createError('Rating must be a whole number from 1 to 5', 400);
+    }
+
+    const title = String(data.title || '').trim();
+    const body = String(data.body || '').trim();
+    if (!body) {
+      throw this.createError('Review text is required', 400);
+    }
+    if (title.length > MAX_TITLE_LENGTH || body.length > MAX_BODY_LENGTH) {
+      throw this.createError(`Reviews are limited to a ${MAX_TITLE_LENGTH} character title and ${MAX_BODY_LENGTH} characters of text`, 400);
+    }
+
+    if (files.length > MAX_PHOTOS) {
+      throw this.createError(`A review can have at most ${MAX_PHOTOS} photos`, 400);
+    }
+    if (files.some(file => file.buffer.length > MAX_PHOTO_SIZE)) {
+      throw this.createError('Review photos must be 5MB or smaller', 400);
+    }
+
+    const images = [];
+    for (const file of files) {
+      try {
+        images.push(await this.imageService.inspectImage(file.buffer));
+      } catch (error) {
+        throw this.createError('Review photos must be JPEG, PNG, WebP or GIF images', 400);
+      }
+    }
+
+    const existing = await this.reviews.find(review => review.productId === productId && review.userId === user.id);
+    if (existing.length > 0) {
+      throw this.createError('You have already reviewed this product', 409);
+    }
+
+    const reviewId = uuidv4();
+    const photos = [];
+    for (const [index, file] of files.entries()) {
+      const photoId = uuidv4();
+      const filePath = `reviews/${reviewId}/${photoId}.${images[index].extension}`;
+
+      await this.filing.create(filePath, Readable.from(file.buffer));
+      photos.push({ id: photoId, filePath, mimeType: images[index].mimeType, size: file.buffer.length });
+    }
+
+    const review = await this.reviews.create({
+      id: reviewId,
+      productId,
+      userId: user.id,
+      displayName: ReviewService.displayName(user),
+      rating,
+      title,
+      body,
+      photos,
+      verifiedPurchase: await this.hasPurchased(user.id, productId),
+      status: 'pending',
+      reply: null
+    });
+
+    this.logger.info(`Review ${review.id} submitted for product ${productId}`);
+    return review;
+  }
+
+  /**
+   * A purchase is an order item for the product on one of the user's paid orders
+   */
+  async hasPurchased(userId, productId) {
+    const items = await this.dataServe.jsonFindByPath('order_items', 'productId', productId);
+
+    for (const item of items) {
+      const order = await this.orders.findById(item.orderId);
+      if (order && order.userId === userId && PURCHASED_STATUSES.includes(order.status)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Approved reviews for a product. Filters: rating and verified.
+   */
+  async listProductReviews(productId, options = {}) {
+    const sort = options.sort || 'newest';
+    if (!REVIEW_SORTS.includes(sort)) {
+      throw this.createError(`Sort must be one of: ${REVIEW_SORTS.join(', ')}`, 400);
+    }
+
+    const rating = options.rating ? parseInt(options.rating) : null;
+    const verified = options.verified === true || options.verified === 'true';
+    const page = Math.max(parseInt(options.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(options.limit) || 10, 1), 50);
+
+    const approved = await this.reviews.find(review => review.productId === productId && review.status === 'approved');
+    const reviews = approved
+      .filter(review => !rating || review.rating === rating)
+      .filter(review => !verified || review.verifiedPurchase)
+      .sort(ReviewService.comparator(sort));
+
+    return {
+      reviews: reviews.slice((page - 1) * limit, page * limit).map(review => ReviewService.toPublic(review)),
+      summary: ReviewService.summarize(approved),
+      pagination: {
+        page,
+        limit,
+        total: reviews.length,
+        totalPages: Math.ceil(reviews.length / limit)
+      }
+    };
+  }
+
+  /**
+   * Average rating, count and star distribution of a product's approved reviews
+   */
+  async getRatingSummary(productId) {
+    const summaries = await this.getRatingSummaries();
+    return summaries[productId] || ReviewService.summarize([]);
+  }
+
+  /**
+   * Rating summaries for every reviewed product keyed by product ID, cached
+   * until the next moderation decision
+   */
+  async getRatingSummaries() {
+    let summaries = await this.cache.get(RATINGS_CACHE_KEY);
+
+    if (!summaries) {
+      const approved = await this.reviews.find(review => review.status === 'approved');
+      const byProduct = {};
+      approved.forEach(review => {
+        byProduct[review.productId] = byProduct[review.productId] || [];
+        byProduct[review.productId].push(review);
+      });
+
+      summaries = {};
+      Object.entries(byProduct).forEach(([productId, reviews]) => {
+        summaries[productId] = ReviewService.summarize(reviews);
+      });
+
+      await this.cache.put(RATINGS_CACHE_KEY, summaries, 3600);
+    }
+
+    return summaries;
+  }
+
+  /**
+   * Reviews for moderation, oldest first, optionally filtered by status and product
+   */
+  async getModerationQueue(options = {}) {
+    const status = options.status || 'pending';
+    if (status !== 'all' && !REVIEW_STATUSES.includes(status)) {
+      throw this.createError(`Status must be all or one of: ${REVIEW_STATUSES.join(', ')}`, 400);
+    }
+
+    const reviews = await this.reviews.find(review =>
+      (status === 'all' || review.status === status) &&
+      (!options.productId || review.productId === options.productId)
+    );
+
+    return reviews.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * Approve or reject a review
+   */
+  async moderateReview(reviewId, decision, adminId, note, expectedVersion) {
+    const statuses = { approve: 'approved', reject: 'rejected' };
+    if (!statuses[decision]) {
+      throw this.createError('Decision must be approve or reject', 400);
+    }
+
+    const existing = await this.reviews.findById(reviewId);
+    if (!existing) {
+      throw this.createError('Review not found', 404);
+    }
+
+    const review = await this.reviews.update(reviewId, {
+      status: statuses[decision],
+      moderationNote: note ? String(note).trim() : null,
+      moderatedBy: adminId,
+      moderatedAt: new Date().toISOString()
+    }, { expectedVersion });
+
+    if (existing.status === 'approved' || review.status === 'approved') {
+      await this.clearRatingCache();
+    }
+
+    this.logger.info(`Review ${reviewId} ${review.status} by ${adminId}`);
+    return review;
+  }
+
+  /**
+   * Add or replace the store's public reply to a review
+   */
+  async replyToReview(reviewId, text, adminId, expectedVersion) {
+    const body = String(text || '').trim();
+    if (!body) {
+      throw this.createError('Reply text is required', 400);
+    }
+    if (body.length > MAX_REPLY_LENGTH) {
+      throw this.createError(`Replies are limited to ${MAX_REPLY_LENGTH} characters`, 400);
+    }
+
+    const existing = await this.reviews.findById(reviewId);
+    if (!existing) {
+      throw this.createError('Review not found', 404);
+    }
+
+    return this.reviews.update(reviewId, {
+      reply: { body, repliedBy: adminId, repliedAt: new Date().toISOString() }
+    }, { expectedVersion });
+  }
+
+  /**
+   * Read a review photo. Photos of reviews that are not approved are only
+   * visible to admins.
+   */
+  async getPhoto(reviewId, photoId, isAdmin = false) {
+    const review = await this.reviews.findById(reviewId);
+    const photo = review && (review.photos || []).find(entry => entry.id === photoId);
+
+    if (!photo || (review.status !== 'approved' && !isAdmin)) {
+      throw this.createError('Photo not found', 404);
+    }
+
+    return { ...photo, content: await this.filing.read(photo.filePath) };
+  }
+
+  /**
+   * Ratings feed the search index, so both caches are cleared together
+   */
+  async clearRatingCache() {
+    await this.cache.delete(RATINGS_CACHE_KEY);
+    await this.searchService.clearDocumentCache();
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * Reviews are shown under the reviewer's first name and last initial
+   */
+  static displayName(user) {
+    const first = String(user.firstName || '').trim();
+    const last = String(user.lastName || '').trim();
+    if (!first) {
+      return 'Customer';
+    }
+    return last ? `${first} ${last[0].toUpperCase()}.` : first;
+  }
+
+  static summarize(reviews) {
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let total = 0;
+    reviews.forEach(review => {
+      distribution[review.rating]++;
+      total += review.rating;
+    });
+
+    return {
+      averageRating: reviews.length > 0 ? Math.round((total / reviews.length) * 10) / 10 : null,
+      reviewCount: reviews.length,
+      distribution
+    };
+  }
+
+  /**
+   * Moderation details stay internal
+   */
+  static toPublic(review) {
+    return {
+      id: review.id,
+      productId: review.productId,
+      displayName: review.displayName,
+      rating: review.rating,
+      title: review.title,
+      body: review.body,
+      photos: (review.photos || []).map(photo => ({ id: photo.id, mimeType: photo.mimeType })),
+      verifiedPurchase: review.verifiedPurchase,
+      reply: review.reply ? { body: review.reply.body, repliedAt: review.reply.repliedAt } : null,
+      createdAt: review.createdAt
+    };
+  }
+
+  static comparator(sort) {
+    const byDate = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+
+    switch (sort) {
+      case 'oldest':
+        return (a, b) => byDate(a, b);
+      case 'rating_desc':
+        return (a, b) => b.rating - a.rating || byDate(b, a);
+      case 'rating_asc':
+        return (a, b) => a.rating - b.rating || byDate(b, a);
+      default:
+        return (a, b) => byDate(b, a);
+    }
+  }
+}
+
+ReviewService.REVIEW_STATUSES = REVIEW_STATUSES;
+ReviewService.REVIEW_SORTS = REVIEW_SORTS;
+
+module.exports = ReviewService;
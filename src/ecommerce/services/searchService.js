@@ -0,0 +1,670 @@
+/**
+ * @fileoverview Product Search Service
+ * Relevance-ranked, typo-tolerant product search with facet counts,
+ * sorting, cursor pagination and autocomplete suggestions
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const Repository = require('./repository');
+
+const DOCUMENTS_CACHE_KEY = 'search:documents';
+
+/**
+ * How much a match in each field is worth
+ */
+const FIELD_BOOSTS = {
+  name: 10,
+  sku: 8,
+  brand: 5,
+  tags: 4,
+  category: 3,
+  attributes: 2,
+  description: 1
+};
+
+/**
+ * How much each kind of token match is worth, relative to an exact match
+ */
+const MATCH_WEIGHTS = {
+  exact: 1,
+  prefix: 0.75,
+  oneEdit: 0.5,
+  twoEdits: 0.35
+};
+
+const PRICE_BANDS = [
+  { key: '0-25', label: 'Under $25', min: 0, max: 25 },
+  { key: '25-50', label: '$25 to $50', min: 25, max: 50 },
+  { key: '50-100', label: '$50 to $100', min: 50, max: 100 },
+  { key: '100-250', label: '$100 to $250', min: 100, max: 250 },
+  { key: '250+', label: '$250 and over', min: 250, max: null }
+];
+
+const SORTS = ['relevance', 'price_asc', 'price_desc', 'newest', 'name', 'rating'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_TAG_FACETS = 20;
+
+/**
+ * Matches through a synonym are worth slightly less than literal matches
+ */
+const SYNONYM_WEIGHT = 0.9;
+
+/**
+ * Boost signals reach their full value at this stock level or age
+ */
+const STOCK_BOOST_UNITS = 50;
+const RECENCY_BOOST_DAYS = 90;
+
+/**
+ * Product Search Service
+ * Every query token has to match some field of a product, exactly, as a
+ * prefix or within a small edit distance. A product's score is the sum of
+ * each token's best boosted match. Facet counts for a dimension ignore that
+ * dimension's own filter so shoppers can widen a selection.
+ *
+ * When given a merchandising service, its rules are applied too: synonyms
+ * add query alternatives, boosts scale scores and, for relevance sorting,
+ * pinned products come first and buried products last. A review service
+ * supplies the product ratings used by the rating sort.
+ */
+class SearchService {
+  constructor(services, options = {}) {
+    this.cache = services.cache;
+    this.logger = services.logger;
+    this.products = new Repository(services, 'products');
+    this.variants = new Repository(services, 'product_variants');
+    this.inventory = new Repository(services, 'inventory');
+    this.queries = new Repository(services, 'search_queries');
+    this.merchandising = options.merchandisingService || null;
+    this.reviewService = options.reviewService || null;
+    this.documentsTtl = options.documentsTtl || 60;
+  }
+
+  /**
+   * Search the active catalog.
+   * Filters: category, brand, tags, price (band keys), minPrice, maxPrice and
+   * attributes ({ name: value }). List filters accept arrays or comma lists.
+   * Pass `merchandise: false` to see organic results and `recordQuery: false`
+   * to keep the search out of the popular queries.
+   */
+  async search(params = {}, options = {}) {
+    const query = String(params.q || '').trim();
+    const queryTokens = SearchService.tokenize(query);
+    const sort = params.sort || (queryTokens.length > 0 ? 'relevance' : 'newest');
+    const limit = Math.min(Math.max(parseInt(params.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    if (!SORTS.includes(sort)) {
+      throw this.createError(`Sort must be one of: ${SORTS.join(', ')}`, 400);
+    }
+
+    const cursor = params.cursor ? this.decodeCursor(params.cursor, sort) : null;
+    const rules = this.merchandising && options.merchandise !== false
+      ? await this.merchandising.resolve(queryTokens)
+      : null;
+    const queryVariants = rules ? rules.queries : [queryTokens];
+
+    const documents = await this.getDocuments();
+    const matches = [];
+    for (const document of documents) {
+      let score = 0;
+      queryVariants.forEach((variant, index) => {
+        const weight = index === 0 ? 1 : SYNONYM_WEIGHT;
+        score = Math.max(score, variant.length > 0 ? this.scoreDocument(document, variant) * weight : 0);
+      });
+
+      const pinned = rules && rules.pinned.includes(document.product.id);
+      if (queryTokens.length === 0 || score > 0 || pinned) {
+        if (rules) {
+          score *= this.boostMultiplier(document, rules.boosts);
+        }
+        matches.push({ document, score });
+      }
+    }
+
+    const filters = this.buildFilters(params);
+    const passes = (document, except) => Object.entries(filters)
+      .every(([dimension, predicate]) => dimension === except || predicate(document));
+
+    const ranked = matches
+      .filter(match => passes(match.document))
+      .map(match => this.toEntry(match, sort === 'relevance' ? rules : null))
+      .sort(SearchService.comparator(sort));
+
+    const start = cursor
+      ? ranked.findIndex(entry => SearchService.comparator(sort)(entry, cursor) > 0)
+      : 0;
+    const page = start === -1 ? [] : ranked.slice(start, start + limit);
+    const hasMore = start !== -1 && start + limit < ranked.length;
+
+    if (!cursor && queryTokens.length > 0 && options.recordQuery !== false) {
+      await this.recordQuery(queryTokens.join(' '), ranked.length);
+    }
+
+    return {
+      query,
+      sort,
+      results: page.map(entry => ({
+        ...entry.product,
+        rating: entry.rating,
+        relevance: Math.round(entry.score * 100) / 100
+      })),
+      total: ranked.length,
+      facets: this.buildFacets(matches.map(match => match.document), passes, params),
+      nextCursor: hasMore ? this.encodeCursor(page[page.length - 1], sort) : null,
+      redirect: rules ? rules.redirect : null,
+      appliedRules: rules ? rules.appliedRules : []
+    };
+  }
+
+  /**
+   * Autocomplete from product names and popular queries. The last token of
+   * the input is treated as a prefix.
+   */
+  async suggest(input, limit = 8) {
+    const query = String(input || '').trim().toLowerCase();
+    const tokens = SearchService.tokenize(query);
+    limit = Math.min(Math.max(parseInt(limit) || 8, 1), 20);
+
+    if (tokens.length === 0) {
+      return { query, suggestions: [] };
+    }
+
+    const rules = this.merchandising ? await this.merchandising.resolve(tokens) : null;
+    const popular = await this.getPopularQueries(query, Math.min(3, limit));
+    const suggestions = popular.map(entry => ({ type: 'query', text: entry.query, count: entry.count }));
+    const seen = new Set(suggestions.map(suggestion => suggestion.text));
+
+    if (rules && rules.redirect) {
+      suggestions.unshift({ type: 'redirect', text: rules.redirect.categoryName || query, url: rules.redirect.url });
+    }
+
+    const last = tokens[tokens.length - 1];
+    const leading = tokens.slice(0, -1);
+    const documents = await this.getDocuments();
+    const products = [];
+
+    for (const document of documents) {
+      const nameTokens = document.fields.name;
+      const prefixed = nameTokens.some(token => token.startsWith(last));
+      const leadingMatch = leading.every(token => SearchService.matchQuality(token, nameTokens) > 0);
+      if (!prefixed || !leadingMatch) {
+        continue;
+      }
+
+      if (rules && rules.buried.includes(document.product.id)) {
+        continue;
+      }
+
+      const startsWithInput = document.nameText.startsWith(query) ? 1 : 0;
+      const pinned = rules && rules.pinned.includes(document.product.id) ? 2 : 0;
+      products.push({ document, rank: pinned + startsWithInput });
+    }
+
+    products
+      .sort((a, b) => b.rank - a.rank || a.document.product.name.localeCompare(b.document.product.name))
+      .forEach(({ document }) => {
+        if (suggestions.length >= limit || seen.has(document.nameText)) {
+          return;
+        }
+        seen.add(document.nameText);
+        suggestions.push({ type: 'product', text: document.product.name, productId: document.product.id });
+      });
+
+    return { query, suggestions };
+  }
+
+  /**
+   * Popular queries that returned results, most searched first
+   */
+  async getPopularQueries(prefix = '', limit = 10) {
+    const normalized = SearchService.tokenize(prefix).join(' ');
+    const queries = await this.queries.find(entry =>
+      entry.lastResultCount > 0 && (!normalized || entry.query.startsWith(normalized))
+    );
+
+    return queries
+      .sort((a, b) => b.count - a.count || a.query.localeCompare(b.query))
+      .slice(0, limit)
+      .map(entry => ({ query: entry.query, count: entry.count }));
+  }
+
+  /**
+   * Count a search so popular queries can be suggested
+   */
+  async recordQuery(query, resultCount) {
+    try {
+      const existing = await this.queries.findOneBy('query', query);
+      const lastSearchedAt = new Date().toISOString();
+
+      if (existing) {
+        await this.queries.update(existing.id, current => ({
+          count: current.count + 1,
+          lastResultCount: resultCount,
+          lastSearchedAt
+        }));
+      } else {
+        await this.queries.create({ query, count: 1, lastResultCount: resultCount, lastSearchedAt });
+      }
+    } catch (error) {
+      this.logger.error('Error recording search query:', error);
+    }
+  }
+
+  /**
+   * Tokenised search documents for the active catalog, cached briefly
+   */
+  async getDocuments() {
+    let documents = await this.cache.get(DOCUMENTS_CACHE_KEY);
+
+    if (!documents) {
+      const [products, variants, inventory, ratings] = await Promise.all([
+        this.products.find(product => product.status === 'active'),
+        this.variants.find(variant => variant.status === 'active'),
+        this.inventory.find(),
+        this.reviewService ? this.reviewService.getRatingSummaries() : {}
+      ]);
+
+      documents = products.map(product => this.buildDocument(
+        product,
+        variants.filter(variant => variant.productId === product.id),
+        inventory.filter(record => record.productId === product.id),
+        ratings[product.id]
+      ));
+
+      await this.cache.put(DOCUMENTS_CACHE_KEY, documents, this.documentsTtl);
+    }
+
+    return documents;
+  }
+
+  /**
+   * Custom attributes come from the product's `attributes` and the option
+   * values of its active variants. Stock counts variant records when the
+   * product has variants; the unit cost comes from the product-level record.
+   */
+  buildDocument(product, variants = [], inventory = [], rating = null) {
+    const attributes = {};
+    const addAttribute = (name, value) => {
+      if (value === undefined || value === null || value === '') {
+        return;
+      }
+      attributes[name] = attributes[name] || [];
+      if (!attributes[name].includes(String(value))) {
+        attributes[name].push(String(value));
+      }
+    };
+
+    Object.entries(product.attributes || {}).forEach(([name, value]) => {
+      (Array.isArray(value) ? value : [value]).forEach(entry => addAttribute(name, entry));
+    });
+    variants.forEach(variant => {
+      Object.entries(variant.options || {}).forEach(([name, value]) => addAttribute(name, value));
+    });
+
+    const attributeText = Object.values(attributes).flat().join(' ');
+    const productRecord = inventory.find(record => !record.variantId);
+    const variantIds = variants.map(variant => variant.id);
+    const stockRecords = variants.length > 0
+      ? inventory.filter(record => variantIds.includes(record.variantId))
+      : [productRecord].filter(Boolean);
+
+    return {
+      product,
+      price: product.salePrice || product.price,
+      attributes,
+      available: stockRecords.reduce((sum, record) => sum + (record.available || 0), 0),
+      unitCost: productRecord && productRecord.unitCost !== undefined ? productRecord.unitCost : null,
+      rating: {
+        averageRating: rating ? rating.averageRating : null,
+        reviewCount: rating ? rating.reviewCount : 0
+      },
+      nameText: String(product.name || '').toLowerCase(),
+      fields: {
+        name: SearchService.tokenize(product.name),
+        sku: SearchService.tokenize([product.sku, ...variants.map(variant => variant.sku)].join(' ')),
+        brand: SearchService.tokenize(product.brand),
+        tags: SearchService.tokenize((product.tags || []).join(' ')),
+        category: SearchService.tokenize(product.category),
+        attributes: SearchService.tokenize(attributeText),
+        description: SearchService.tokenize(product.description)
+      }
+    };
+  }
+
+  /**
+   * Sum each query token's best boosted field match, or 0 if any token
+   * matches nowhere. Names containing the whole query get a phrase bonus.
+   */
+  scoreDocument(document, queryTokens) {
+    let score = 0;
+
+    for (const token of queryTokens) {
+      let best = 0;
+      for (const [field, boost] of Object.entries(FIELD_BOOSTS)) {
+        const quality = SearchService.matchQuality(token, document.fields[field]);
+        best = Math.max(best, quality * boost);
+      }
+
+      if (best === 0) {
+        return 0;
+      }
+      score += best;
+    }
+
+    if (queryTokens.length > 1 && ` ${document.fields.name.join(' ')} `.includes(` ${queryTokens.join(' ')} `)) {
+      score += FIELD_BOOSTS.name;
+    }
+
+    return score;
+  }
+
+  /**
+   * Each boost adds up to `weight` times the score, in proportion to the
+   * product's margin, stock level or newness
+   */
+  boostMultiplier(document, boosts) {
+    const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+    return boosts.reduce((multiplier, boost) => {
+      let signal = 0;
+      if (boost.factor === 'margin' && document.unitCost !== null && document.price > 0) {
+        signal = clamp((document.price - document.unitCost) / document.price);
+      } else if (boost.factor === 'stock') {
+        signal = clamp(document.available / STOCK_BOOST_UNITS);
+      } else if (boost.factor === 'recency' && document.product.createdAt) {
+        const ageDays = (Date.now() - new Date(document.product.createdAt).getTime()) / (24 * 60 * 60 * 1000);
+        signal = clamp(1 - ageDays / RECENCY_BOOST_DAYS);
+      }
+      return multiplier + boost.weight * signal;
+    }, 1);
+  }
+
+  buildFilters(params) {
+    const filters = {};
+    const categories = SearchService.toList(params.category);
+    const brands = SearchService.toList(params.brand);
+    const tags = SearchService.toList(params.tags);
+    const bands = SearchService.toList(params.price);
+    const minPrice = params.minPrice !== undefined && params.minPrice !== '' ? parseFloat(params.minPrice) : null;
+    const maxPrice = params.maxPrice !== undefined && params.maxPrice !== '' ? parseFloat(params.maxPrice) : null;
+
+    if (categories.length > 0) {
+      filters.category = document => categories.includes(document.product.category);
+    }
+
+    if (brands.length > 0) {
+      filters.brand = document => brands.includes(document.product.brand);
+    }
+
+    if (tags.length > 0) {
+      filters.tags = document => (document.product.tags || []).some(tag => tags.includes(tag));
+    }
+
+    if (bands.length > 0 || minPrice !== null || maxPrice !== null) {
+      const unknown = bands.find(key => !PRICE_BANDS.some(band => band.key === key));
+      if (unknown) {
+        throw this.createError(`Unknown price band: ${unknown}`, 400);
+      }
+
+      filters.price = document => {
+        const inBand = bands.length === 0 ||
+          bands.some(key => SearchService.inPriceBand(document.price, PRICE_BANDS.find(band => band.key === key)));
+        return inBand &&
+          (minPrice === null || document.price >= minPrice) &&
+          (maxPrice === null || document.price <= maxPrice);
+      };
+    }
+
+    Object.entries(params.attributes || {}).forEach(([name, value]) => {
+      const values = SearchService.toList(value);
+      if (values.length > 0) {
+        filters[`attribute:${name}`] = document =>
+          (document.attributes[name] || []).some(entry => values.includes(entry));
+      }
+    });
+
+    return filters;
+  }
+
+  /**
+   * Facet counts over the query matches. Each dimension is counted with
+   * every filter applied except its own.
+   */
+  buildFacets(documents, passes, params) {
+    const selected = {
+      category: SearchService.toList(params.category),
+      brand: SearchService.toList(params.brand),
+      tags: SearchService.toList(params.tags),
+      price: SearchService.toList(params.price)
+    };
+
+    const countValues = (dimension, valuesOf, selectedValues) => {
+      const counts = new Map();
+      documents
+        .filter(document => passes(document, dimension))
+        .forEach(document => {
+          new Set(valuesOf(document)).forEach(value => {
+            counts.set(value, (counts.get(value) || 0) + 1);
+          });
+        });
+
+      return [...counts.entries()]
+        .map(([value, count]) => ({ value, count, selected: selectedValues.includes(value) }))
+        .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+    };
+
+    const priceCounts = countValues(
+      'price',
+      document => PRICE_BANDS.filter(band => SearchService.inPriceBand(document.price, band)).map(band => band.key),
+      selected.price
+    );
+
+    const attributeNames = new Set(documents.flatMap(document => Object.keys(document.attributes)));
+    const attributes = {};
+    [...attributeNames].sort().forEach(name => {
+      attributes[name] = countValues(
+        `attribute:${name}`,
+        document => document.attributes[name] || [],
+        SearchService.toList((params.attributes || {})[name])
+      );
+    });
+
+    return {
+      category: countValues('category', document => [document.product.category].filter(Boolean), selected.category),
+      brand: countValues('brand', document => [document.product.brand].filter(Boolean), selected.brand),
+      price: PRICE_BANDS
+        .map(band => {
+          const entry = priceCounts.find(count => count.value === band.key);
+          return { ...band, count: entry ? entry.count : 0, selected: selected.price.includes(band.key) };
+        })
+        .filter(band => band.count > 0 || band.selected),
+      tags: countValues('tags', document => document.product.tags || [], selected.tags).slice(0, MAX_TAG_FACETS),
+      attributes
+    };
+  }
+
+  /**
+   * Pinned products sort into tier 0 in pin order, buried products into tier 2
+   */
+  toEntry({ document, score }, rules = null) {
+    const pinIndex = rules ? rules.pinned.indexOf(document.product.id) : -1;
+    const buried = rules ? rules.buried.includes(document.product.id) : false;
+
+    return {
+      id: document.product.id,
+      tier: pinIndex !== -1 ? 0 : buried ? 2 : 1,
+      pinIndex: Math.max(pinIndex, 0),
+      score,
+      price: document.price,
+      createdAt: document.product.createdAt || '',
+      name: String(document.product.name || '').toLowerCase(),
+      averageRating: document.rating.averageRating || 0,
+      reviewCount: document.rating.reviewCount,
+      rating: document.rating,
+      product: document.product
+    };
+  }
+
+  /**
+   * Cursors carry the sort keys of the last result returned, so pages stay
+   * stable when products are added or removed between requests
+   */
+  encodeCursor(entry, sort) {
+    const { id, tier, pinIndex, score, price, createdAt, name, averageRating, reviewCount } = entry;
+    const last = { id, tier, pinIndex, score, price, createdAt, name, averageRating, reviewCount };
+    return Buffer.from(JSON.stringify({ sort, last }))
+      .toString('base64url');
+  }
+
+  decodeCursor(cursor, sort) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      throw this.createError('Invalid cursor', 400);
+    }
+
+    if (!decoded || !decoded.last || decoded.sort !== sort) {
+      throw this.createError('Invalid cursor', 400);
+    }
+
+    return decoded.last;
+  }
+
+  async clearDocumentCache() {
+    await this.cache.delete(DOCUMENTS_CACHE_KEY);
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * Lower-case words with accents stripped
+   */
+  static tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+  }
+
+  /**
+   * Best match of a query token against a field's tokens. Short tokens must
+   * match exactly or as a prefix; longer ones tolerate one or two typos.
+   */
+  static matchQuality(token, fieldTokens) {
+    let best = 0;
+    const maxEdits = token.length < 4 ? 0 : token.length < 8 ? 1 : 2;
+
+    for (const candidate of fieldTokens) {
+      if (candidate === token) {
+        return MATCH_WEIGHTS.exact;
+      }
+      if (token.length >= 2 && candidate.startsWith(token)) {
+        best = Math.max(best, MATCH_WEIGHTS.prefix);
+        continue;
+      }
+      if (maxEdits > 0 && best < MATCH_WEIGHTS.oneEdit) {
+        const distance = SearchService.editDistance(token, candidate, maxEdits);
+        if (distance === 1) {
+          best = MATCH_WEIGHTS.oneEdit;
+        } else if (distance === 2 && maxEdits === 2) {
+          best = Math.max(best, MATCH_WEIGHTS.twoEdits);
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Edit distance counting adjacent transpositions as one edit. Returns
+   * `max + 1` as soon as the distance is known to exceed `max`.
+   */
+  static editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) {
+      return max + 1;
+    }
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(row[j] + 1, current[j - 1] + 1, row[j - 1] + cost);
+        if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, previousRow[j - 2] + 1);
+        }
+        current.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+
+      if (rowMin > max) {
+        return max + 1;
+      }
+      previousRow = row;
+      row = current;
+    }
+
+    return row[b.length];
+  }
+
+  static inPriceBand(price, band) {
+    return price >= band.min && (band.max === null || price < band.max);
+  }
+
+  static toList(value) {
+    if (value === undefined || value === null || value === '') {
+      return [];
+    }
+    return (Array.isArray(value) ? value : String(value).split(','))
+      .map(entry => String(entry).trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Order results for a sort, breaking ties by product ID
+   */
+  static comparator(sort) {
+    const byId = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+    const byName = (a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+    const byCreated = (a, b) => (a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0);
+
+    switch (sort) {
+      case 'price_asc':
+        return (a, b) => a.price - b.price || byId(a, b);
+      case 'price_desc':
+        return (a, b) => b.price - a.price || byId(a, b);
+      case 'newest':
+        return (a, b) => byCreated(b, a) || byId(a, b);
+      case 'name':
+        return (a, b) => byName(a, b) || byId(a, b);
+      case 'rating':
+        return (a, b) => b.averageRating - a.averageRating || b.reviewCount - a.reviewCount || byId(a, b);
+      default:
+        return (a, b) => a.tier - b.tier || a.pinIndex - b.pinIndex ||
+          b.score - a.score || byName(a, b) || byId(a, b);
+    }
+  }
+}
+
+SearchService.FIELD_BOOSTS = FIELD_BOOSTS;
+SearchService.PRICE_BANDS = PRICE_BANDS;
+SearchService.SORTS = SORTS;
+
+module.exports = SearchService;
@@ -9,6 +9,7 @@
 
 const ProductService = require('./productService');
 const CategoryService = require('./categoryService');
+const Repository = require('./repository');
 
 /**
  * Data Seeding Service
@@ -21,6 +22,8 @@ class SeedService {
     this.categoryService = new CategoryService(services);
     this.dataServe = services.dataServe;
     this.logger = services.logger;
+    this.content = new Repository(services, 'content');
+    this.users = new Repository(services, 'users');
   }
 
   /**
@@ -83,7 +86,7 @@ class SeedService {
         updatedAt: new Date().toISOString()
       };
 
-      const adminUuid = await this.dataServe.add('users', adminUser);
+      const { id: adminUuid } = await this.users.create(adminUser);
       this.logger.info(`Admin user created: ${adminUser.email} (${adminUuid})`);
 
       return adminUuid;
@@ -398,7 +401,8 @@ class SeedService {
         'products', 'categories', 'users', 'orders', 'order_items',
         'inventory', 'product_images', 'product_variants', 'carts',
         'reviews', 'addresses', 'payment_methods', 'promotions',
-        'analytics', 'inventory_logs', 'refunds'
+        'analytics', 'inventory_logs', 'refunds', 'credit_notes',
+        'order_returns', 'catalog_imports'
       ];
 
       for (const container of containers) {
@@ -589,16 +593,13 @@ class SeedService {
       ];
 
       for (const contentData of sampleContent) {
-        const contentItem = {
+        const contentItem = await this.content.create({
           ...contentData,
           views: 0,
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString(),
           createdBy: 'system'
-        };
+        });
 
-        const contentId = await this.dataServe.add('content', contentItem);
-        this.logger.info(`Content created: ${contentItem.title} (${contentId})`);
+        this.logger.info(`Content created: ${contentItem.title} (${contentItem.id})`);
       }
 
       this.logger.info('Sample content seeded successfully');
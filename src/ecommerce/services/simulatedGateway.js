@@ -0,0 +1,345 @@
+/**
+ * @fileoverview Simulated Payment Gateway
+ * In-process stand-in for a payment provider so checkout can run and be
+ * tested without a network connection
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const PaymentGateway = require('./paymentGateway');
+
+/**
+ * Test card tokens and how charges to them turn out
+ */
+const TEST_CARDS = {
+  tok_visa: { brand: 'visa', last4: '4242', outcome: 'succeeded' },
+  tok_mastercard: { brand: 'mastercard', last4: '4444', outcome: 'succeeded' },
+  tok_amex: { brand: 'amex', last4: '8431', outcome: 'succeeded' },
+  tok_chargeDeclined: { brand: 'visa', last4: '0002', outcome: 'declined', declineCode: 'card_declined' },
+  tok_threeDSecureRequired: { brand: 'visa', last4: '3220', outcome: 'requires_action' },
+  tok_expiredCard: { brand: 'visa', last4: '0069', outcome: 'succeeded', expired: true }
+};
+
+const SIGNATURE_HEADER = 'x-simulated-signature';
+
+/**
+ * Simulated Payment Gateway
+ * IDs are sequential per gateway instance so results are deterministic.
+ * A saved card's payment method ID carries its test token, so saved cards
+ * keep working after a restart; payment intents and refunds live in memory.
+ * Cards expire three years after the current year unless they are the
+ * expired test card.
+ *
+ * Confirming with the 3D Secure card leaves the intent in `requires_action`
+ * until it is confirmed again with `authenticated` true (succeeds) or false
+ * (fails). Webhooks are signed with an HMAC-SHA256 of the raw body keyed
+ * with `SIMULATED_WEBHOOK_SECRET`; without a secret no webhook is accepted.
+ */
+class SimulatedGateway extends PaymentGateway {
+  constructor(services, options = {}) {
+    super(services, options);
+    this.name = 'simulated';
+    this.webhookSecret = options.webhookSecret || process.env.SIMULATED_WEBHOOK_SECRET || null;
+    this.sequence = 0;
+    this.detached = new Set();
+    this.intents = new Map();
+    this.refunds = new Map();
+  }
+
+  async createPaymentIntent({ amount, currency, metadata = {}, customerId, savePaymentMethod, captureMethod }) {
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw this.createError('Amount must be a positive whole number of minor units', 400);
+    }
+
+    const id = this.nextId('sim_pi');
+    const intent = {
+      id,
+      status: 'requires_payment_method',
+      amount,
+      amountReceived: 0,
+      amountRefunded: 0,
+      currency: currency || 'usd',
+      clientSecret: `${id}_secret`,
+      metadata: { ...metadata },
+      customerId: customerId || null,
+      paymentMethod: null,
+      card: null,
+      lastError: null,
+      savePaymentMethod: Boolean(savePaymentMethod),
+      captureMethod: captureMethod === 'manual' ? 'manual' : 'automatic'
+    };
+
+    this.intents.set(id, intent);
+    return SimulatedGateway.toIntent(intent);
+  }
+
+  async updatePaymentIntent(id, { amount, metadata, customerId, savePaymentMethod }) {
+    const intent = this.getIntent(id);
+    if (intent.status !== 'requires_payment_method') {
+      throw this.createError(`A payment intent in status ${intent.status} cannot be updated`, 400);
+    }
+
+    if (amount !== undefined) {
+      if (!Number.isInteger(amount) || amount <= 0) {
+        throw this.createError('Amount must be a positive whole number of minor units', 400);
+      }
+      intent.amount = amount;
+    }
+    if (metadata) {
+      intent.metadata = { ...intent.metadata, ...metadata };
+    }
+    if (customerId) {
+      intent.customerId = customerId;
+    }
+    if (savePaymentMethod !== undefined) {
+      intent.savePaymentMethod = Boolean(savePaymentMethod);
+    }
+
+    return SimulatedGateway.toIntent(intent);
+  }
+
+  async retrievePaymentIntent(id) {
+    return SimulatedGateway.toIntent(this.getIntent(id));
+  }
+
+  /**
+   * `paymentMethod` is a test card token or a saved card's token. A pending
+   * 3D Secure challenge is settled with `authenticated`.
+   */
+  async confirmPaymentIntent(id, { paymentMethod, authenticated } = {}) {
+    const intent = this.getIntent(id);
+
+    if (intent.status === 'requires_action') {
+      if (authenticated === true) {
+        this.authorize(intent);
+      } else if (authenticated === false) {
+        this.fail(intent, 'payment_intent_authentication_failure', 'The card could not be authenticated.');
+      }
+      return SimulatedGateway.toIntent(intent);
+    }
+
+    if (intent.status !== 'requires_payment_method') {
+      throw this.createError(`A payment intent in status ${intent.status} cannot be confirmed`, 400);
+    }
+
+    const card = this.findCard(paymentMethod);
+    if (!card) {
+      throw this.createError(`Unknown test card token. Use one of: ${Object.keys(TEST_CARDS).join(', ')}`, 400);
+    }
+
+    intent.paymentMethod = paymentMethod;
+    intent.card = { brand: card.brand, last4: card.last4 };
+    intent.lastError = null;
+
+    if (card.outcome === 'declined') {
+      this.fail(intent, 'card_declined', 'Your card was declined.', card.declineCode);
+    } else if (card.outcome === 'requires_action') {
+      intent.status = 'requires_action';
+    } else {
+      this.authorize(intent);
+    }
+
+    return SimulatedGateway.toIntent(intent);
+  }
+
+  async capturePaymentIntent(id, amount) {
+    const intent = this.getIntent(id);
+    if (intent.status !== 'requires_capture') {
+      throw this.createError(`A payment intent in status ${intent.status} cannot be captured`, 400);
+    }
+
+    const captured = amount === undefined ? intent.amount : amount;
+    if (!Number.isInteger(captured) || captured <= 0 || captured > intent.amount) {
+      throw this.createError('Capture amount must be between 1 and the authorized amount', 400);
+    }
+
+    intent.amountReceived = captured;
+    intent.status = 'succeeded';
+    return SimulatedGateway.toIntent(intent);
+  }
+
+  async refund({ paymentIntentId, amount, reason, metadata = {} }) {
+    const intent = this.getIntent(paymentIntentId);
+    if (intent.status !== 'succeeded') {
+      throw this.createError('Only succeeded payments can be refunded', 400);
+    }
+
+    const refundable = intent.amountReceived - intent.amountRefunded;
+    const refunded = amount === undefined ? refundable : amount;
+    if (!Number.isInteger(refunded) || refunded <= 0 || refunded > refundable) {
+      throw this.createError(`Refund amount must be between 1 and ${refundable}`, 400);
+    }
+
+    intent.amountRefunded += refunded;
+    const refund = {
+      id: this.nextId('sim_re'),
+      status: 'succeeded',
+      amount: refunded,
+      paymentIntentId,
+      reason: reason || null,
+      metadata: { ...metadata }
+    };
+    this.refunds.set(refund.id, refund);
+
+    return { id: refund.id, status: refund.status, amount: refund.amount, paymentIntentId };
+  }
+
+  async verifyWebhook(rawBody, headers = {}) {
+    const payload = Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(String(rawBody));
+    const signature = Buffer.from(String(headers[SIGNATURE_HEADER] || ''));
+    const expected = Buffer.from(this.signPayload(payload));
+
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+      throw this.createError('Webhook signature verification failed', 400);
+    }
+
+    try {
+      return JSON.parse(payload.toString('utf8'));
+    } catch (error) {
+      throw this.createError('Webhook payload is not valid JSON', 400);
+    }
+  }
+
+  /**
+   * Build a signed event the way the provider would deliver it. Used by
+   * tests and local tooling to exercise the webhook endpoint.
+   */
+  buildWebhook(type, object) {
+    const event = {
+      id: this.nextId('sim_evt'),
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data: { object }
+    };
+    const body = JSON.stringify(event);
+
+    return { event, body, headers: { [SIGNATURE_HEADER]: this.signPayload(body) } };
+  }
+
+  signPayload(payload) {
+    if (!this.webhookSecret) {
+      throw this.createError('Simulated webhook secret is not configured', 400);
+    }
+    return crypto.createHmac('sha256', this.webhookSecret).update(payload).digest('hex');
+  }
+
+  async createCustomer() {
+    return this.nextId('sim_cus');
+  }
+
+  /**
+   * Accepts a test card token, or a token saved while paying
+   */
+  async attachPaymentMethod(customerId, token) {
+    const card = this.findCard(token);
+    if (!card) {
+      throw this.createError(`Unknown test card token. Use one of: ${Object.keys(TEST_CARDS).join(', ')}`, 400);
+    }
+
+    const thisYear = new Date().getFullYear();
+    return {
+      token: TEST_CARDS[token] ? `${this.nextId('sim_pm')}:${token}` : token,
+      brand: card.brand,
+      last4: card.last4,
+      expMonth: 12,
+      expYear: card.expired ? thisYear - 1 : thisYear + 3
+    };
+  }
+
+  async detachPaymentMethod(token) {
+    this.detached.add(token);
+  }
+
+  async chargePaymentMethod({ customerId, token, amount, currency, metadata = {} }) {
+    if (TEST_CARDS[token] || !this.findCard(token)) {
+      throw this.createError('Unknown payment method', 400);
+    }
+
+    const created = await this.createPaymentIntent({ amount, currency, metadata, customerId });
+    const intent = await this.confirmPaymentIntent(created.id, { paymentMethod: token });
+
+    if (intent.status === 'succeeded' || intent.status === 'requires_action') {
+      return { id: intent.id, status: intent.status, amount: intent.amount };
+    }
+
+    return {
+      id: intent.id,
+      status: 'declined',
+      amount: intent.amount,
+      declineCode: intent.lastError.declineCode,
+      message: intent.lastError.message
+    };
+  }
+
+  getClientConfig() {
+    return {
+      gateway: this.name,
+      testCards: Object.entries(TEST_CARDS).map(([token, card]) => ({
+        token,
+        brand: card.brand,
+        last4: card.last4,
+        outcome: card.outcome
+      }))
+    };
+  }
+
+  getIntent(id) {
+    const intent = this.intents.get(id);
+    if (!intent) {
+      throw this.createError('Payment intent not found', 404);
+    }
+    return intent;
+  }
+
+  /**
+   * The test card behind a raw or saved token, unless it has been detached
+   */
+  findCard(token) {
+    if (typeof token !== 'string' || this.detached.has(token)) {
+      return null;
+    }
+    return TEST_CARDS[token] || (token.startsWith('sim_pm_') ? TEST_CARDS[token.split(':')[1]] : null) || null;
+  }
+
+  authorize(intent) {
+    if (intent.captureMethod === 'manual') {
+      intent.status = 'requires_capture';
+    } else {
+      intent.status = 'succeeded';
+      intent.amountReceived = intent.amount;
+    }
+
+    if (intent.savePaymentMethod && TEST_CARDS[intent.paymentMethod]) {
+      intent.paymentMethod = `${this.nextId('sim_pm')}:${intent.paymentMethod}`;
+    }
+  }
+
+  fail(intent, code, message, declineCode) {
+    intent.status = 'requires_payment_method';
+    intent.lastError = { code, message, declineCode: declineCode || code };
+  }
+
+  nextId(prefix) {
+    this.sequence++;
+    return `${prefix}_${String(this.sequence).padStart(6, '0')}`;
+  }
+
+  static toIntent(intent) {
+    const { savePaymentMethod, captureMethod, ...publicIntent } = intent;
+    return {
+      ...publicIntent,
+      metadata: { ...intent.metadata },
+      card: intent.card ? { ...intent.card } : null,
+      lastError: intent.lastError ? { ...intent.lastError } : null
+    };
+  }
+}
+
+SimulatedGateway.TEST_CARDS = TEST_CARDS;
+SimulatedGateway.SIGNATURE_HEADER = SIGNATURE_HEADER;
+
+module.exports = SimulatedGateway;
@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Stripe Payment Gateway
+ * Payment gateway adapter for Stripe payment intents, refunds, webhooks,
+ * customers and saved cards
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const PaymentGateway = require('./paymentGateway');
+
+/**
+ * Stripe Payment Gateway
+ * The storefront collects card details with Stripe Elements and confirms
+ * intents in the browser. Saved cards are Stripe PaymentMethods attached to
+ * the user's Stripe customer and are charged off-session.
+ */
+class StripeGateway extends PaymentGateway {
+  constructor(services, options = {}) {
+    super(services, options);
+    this.name = 'stripe';
+
+    const secretKey = options.secretKey || process.env.STRIPE_SECRET_KEY;
+    if (!options.client && !secretKey) {
+      throw new Error('STRIPE_SECRET_KEY is not set. Set PAYMENT_GATEWAY=simulated to take test payments instead.');
+    }
+    this.stripe = options.client || require('stripe')(secretKey);
+    this.publishableKey = options.publishableKey || process.env.STRIPE_PUBLISHABLE_KEY || null;
+    this.webhookSecret = options.webhookSecret || process.env.STRIPE_WEBHOOK_SECRET || null;
+  }
+
+  async createPaymentIntent({ amount, currency, metadata = {}, customerId, savePaymentMethod, captureMethod }) {
+    const paymentIntent = await this.call(() => this.stripe.paymentIntents.create({
+      amount,
+      currency,
+      metadata,
+      ...StripeGateway.customerParams(customerId, savePaymentMethod),
+      capture_method: captureMethod === 'manual' ? 'manual' : 'automatic',
+      automatic_payment_methods: {
+        enabled: true
+      }
+    }));
+    return StripeGateway.toIntent(paymentIntent);
+  }
+
+  async updatePaymentIntent(id, { amount, metadata, customerId, savePaymentMethod }) {
+    const paymentIntent = await this.call(() => this.stripe.paymentIntents.update(id, {
+      amount,
+      metadata,
+      ...StripeGateway.customerParams(customerId, savePaymentMethod)
+    }));
+    return StripeGateway.toIntent(paymentIntent);
+  }
+
+  async retrievePaymentIntent(id) {
+    const paymentIntent = await this.call(() => this.stripe.paymentIntents.retrieve(id, { expand: ['latest_charge'] }));
+    return StripeGateway.toIntent(paymentIntent);
+  }
+
+  /**
+   * Confirm server-side with a PaymentMethod created by Stripe.js. Intents
+   * waiting for 3D Secure are completed in the browser, so `authenticated`
+   * is not used here.
+   */
+  async confirmPaymentIntent(id, { paymentMethod, returnUrl } = {}) {
+    const paymentIntent = await this.call(() => this.stripe.paymentIntents.confirm(id, {
+      ...(paymentMethod ? { payment_method: paymentMethod } : {}),
+      ...(returnUrl ? { return_url: returnUrl } : {})
+    }));
+    return StripeGateway.toIntent(paymentIntent);
+  }
+
+  async capturePaymentIntent(id, amount) {
+    const paymentIntent = await this.call(() => this.stripe.paymentIntents.capture(
+      id,
+      amount !== undefined ? { amount_to_capture: amount } : {}
+    ));
+    return StripeGateway.toIntent(paymentIntent);
+  }
+
+  /**
+   * Stripe only accepts its own refund reasons, so ours travels in metadata
+   */
+  async refund({ paymentIntentId, amount, reason, metadata = {} }) {
+    const refund = await this.call(() => this.stripe.refunds.create({
+      payment_intent: paymentIntentId,
+      ...(amount !== undefined ? { amount } : {}),
+      metadata: { ...metadata, ...(reason ? { reason } : {}) }
+    }));
+
+    return {
+      id: refund.id,
+      status: refund.status,
+      amount: refund.amount,
+      paymentIntentId
+    };
+  }
+
+  async verifyWebhook(rawBody, headers = {}) {
+    if (!this.webhookSecret) {
+      throw this.createError('Stripe webhook secret is not configured', 400);
+    }
+
+    try {
+      return this.stripe.webhooks.constructEvent(rawBody, headers['stripe-signature'], this.webhookSecret);
+    } catch (error) {
+      throw this.createError(`Webhook signature verification failed: ${error.message}`, 400);
+    }
+  }
+
+  async createCustomer({ userId, email, name }) {
+    const customer = await this.stripe.customers.create({
+      email,
+      name,
+      metadata: { userId }
+    });
+    return customer.id;
+  }
+
+  /**
+   * Cards saved while paying are already attached to the customer
+   */
+  async attachPaymentMethod(customerId, token) {
+    let paymentMethod = await this.call(() => this.stripe.paymentMethods.retrieve(token));
+    if (paymentMethod.customer !== customerId) {
+      paymentMethod = await this.call(() => this.stripe.paymentMethods.attach(token, { customer: customerId }));
+    }
+
+    if (!paymentMethod.card) {
+      throw this.createError('Only cards can be saved', 400);
+    }
+
+    return {
+      token: paymentMethod.id,
+      brand: paymentMethod.card.brand,
+      last4: paymentMethod.card.last4,
+      expMonth: paymentMethod.card.exp_month,
+      expYear: paymentMethod.card.exp_year
+    };
+  }
+
+  async detachPaymentMethod(token) {
+    try {
+      await this.stripe.paymentMethods.detach(token);
+    } catch (error) {
+      // Already detached or deleted at Stripe
+      if (error.type !== 'StripeInvalidRequestError') {
+        throw error;
+      }
+    }
+  }
+
+  async chargePaymentMethod({ customerId, token, amount, currency, metadata = {} }) {
+    try {
+      const paymentIntent = await this.stripe.paymentIntents.create({
+        amount,
+        currency,
+        customer: customerId,
+        payment_method: token,
+        off_session: true,
+        confirm: true,
+        metadata
+      });
+
+      return {
+        id: paymentIntent.id,
+        status: StripeGateway.toChargeStatus(paymentIntent.status),
+        amount: paymentIntent.amount
+      };
+    } catch (error) {
+      if (error.type !== 'StripeCardError') {
+        throw error;
+      }
+
+      return {
+        id: error.raw?.payment_intent?.id || null,
+        status: error.code === 'authentication_required' ? 'requires_action' : 'declined',
+        amount,
+        declineCode: error.decline_code || error.code || null,
+        message: error.message
+      };
+    }
+  }
+
+  getClientConfig() {
+    return { gateway: this.name, publishableKey: this.publishableKey };
+  }
+
+  /**
+   * Card and request errors are the caller's to fix, so they become 400s
+   */
+  async call(request) {
+    try {
+      return await request();
+    } catch (error) {
+      if (error.type === 'StripeCardError' || error.type === 'StripeInvalidRequestError') {
+        throw this.createError(error.message, 400, error.code);
+      }
+      throw error;
+    }
+  }
+
+  static customerParams(customerId, savePaymentMethod) {
+    if (!customerId) {
+      return {};
+    }
+    return savePaymentMethod
+      ? { customer: customerId, setup_future_usage: 'off_session' }
+      : { customer: customerId };
+  }
+
+  static toIntent(paymentIntent) {
+    const charge = typeof paymentIntent.latest_charge === 'object' && paymentIntent.latest_charge
+      ? paymentIntent.latest_charge
+      : paymentIntent.charges?.data?.[0];
+    const card = charge?.payment_method_details?.card;
+    const paymentMethod = paymentIntent.payment_method;
+
+    return {
+      id: paymentIntent.id,
+      status: paymentIntent.status,
+      amount: paymentIntent.amount,
+      amountReceived: paymentIntent.amount_received || 0,
+      amountRefunded: charge?.amount_refunded || 0,
+      currency: paymentIntent.currency,
+      clientSecret: paymentIntent.client_secret,
+      metadata: paymentIntent.metadata || {},
+      customerId: paymentIntent.customer || null,
+      paymentMethod: paymentMethod && typeof paymentMethod === 'object' ? paymentMethod.id : paymentMethod || null,
+      card: card ? { brand: card.brand, last4: card.last4 } : null,
+      lastError: paymentIntent.last_payment_error
+        ? { code: paymentIntent.last_payment_error.code, message: paymentIntent.last_payment_error.message }
+        : null
+    };
+  }
+
+  static toChargeStatus(status) {
+    if (status === 'succeeded') {
+      return 'succeeded';
+    }
+    return status === 'requires_action' ? 'requires_action' : 'declined';
+  }
+}
+
+module.exports = StripeGateway;
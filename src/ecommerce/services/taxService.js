@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Tax Service
+ * Calculates sales tax per line from jurisdiction rules and product tax classes
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const Repository = require('./repository');
+
+const TAX_CLASSES = ['standard', 'reduced', 'exempt'];
+
+/**
+ * Rates used when no rule matches the shipping address
+ */
+const DEFAULT_RATES = {
+  standard: 0.08,
+  reduced: 0.04,
+  exempt: 0
+};
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Tax Service
+ * The most specific active rule for the address wins: a postal code match
+ * beats a state match, which beats a country-wide rule.
+ */
+class TaxService {
+  constructor(services, options = {}) {
+    this.dataServe = services.dataServe;
+    this.logger = services.logger;
+    this.rules = new Repository(services, 'tax_rules');
+    this.products = new Repository(services, 'products');
+    this.pricesIncludeTax = options.pricesIncludeTax !== undefined
+      ? options.pricesIncludeTax
+      : process.env.PRICES_INCLUDE_TAX === 'true';
+    this.defaultRates = {
+      ...DEFAULT_RATES,
+      ...(process.env.DEFAULT_TAX_RATE ? { standard: parseFloat(process.env.DEFAULT_TAX_RATE) } : {}),
+      ...(options.defaultRates || {})
+    };
+  }
+
+  /**
+   * Validate and normalise tax rule input
+   */
+  normalizeRule(data) {
+    if (!data.name) {
+      throw this.createError('Tax rule name is required', 400);
+    }
+
+    if (!data.country || !/^[A-Za-z]{2}$/.test(data.country)) {
+      throw this.createError('Tax rule country must be a two-letter country code', 400);
+    }
+
+    const rates = { exempt: 0 };
+    for (const taxClass of ['standard', 'reduced']) {
+      const rate = data.rates?.[taxClass];
+      if (rate === undefined || rate === null || rate === '') {
+        continue;
+      }
+      const parsed = parseFloat(rate);
+      if (isNaN(parsed) || parsed < 0 || parsed >= 1) {
+        throw this.createError(`Tax rate for ${taxClass} must be a fraction between 0 and 1`, 400);
+      }
+      rates[taxClass] = parsed;
+    }
+
+    if (rates.standard === undefined) {
+      throw this.createError('A standard tax rate is required', 400);
+    }
+    if (rates.reduced === undefined) {
+      rates.reduced = rates.standard;
+    }
+
+    return {
+      name: data.name,
+      country: data.country.toUpperCase(),
+      state: data.state ? data.state.toUpperCase() : null,
+      postalCodes: (data.postalCodes || []).map(code => String(code).replace(/\s+/g, '').toUpperCase()),
+      rates,
+      taxShipping: data.taxShipping === true,
+      priority: parseInt(data.priority) || 0,
+      active: data.active !== undefined ? data.active : true
+    };
+  }
+
+  /**
+   * Create a tax rule
+   */
+  async createRule(data, userId) {
+    const rule = await this.rules.create({ ...this.normalizeRule(data), createdBy: userId });
+    this.logger.info(`Tax rule created: ${rule.name} (${rule.id})`);
+    return rule;
+  }
+
+  /**
+   * Update a tax rule
+   */
+  async updateRule(ruleId, data, userId, expectedVersion) {
+    const existing = await this.rules.findById(ruleId);
+    if (!existing) {
+      throw this.createError('Tax rule not found', 404);
+    }
+
+    const rule = this.normalizeRule({
+      ...existing,
+      ...data,
+      rates: { ...existing.rates, ...(data.rates || {}) }
+    });
+
+    return this.rules.update(ruleId, { ...rule, updatedBy: userId }, { expectedVersion });
+  }
+
+  /**
+   * Find the rule that applies to an address.
+   * Falls back to the default rates when no rule matches.
+   */
+  async resolveRule(address) {
+    const country = (address?.country || '').toUpperCase();
+    const state = (address?.state || '').toUpperCase();
+    const postalCode = String(address?.zipCode || address?.postalCode || '').replace(/\s+/g, '').toUpperCase();
+
+    const rules = await this.rules.find(rule => rule.active && rule.country === country);
+
+    let best = null;
+    let bestScore = -1;
+
+    for (const rule of rules) {
+      if (rule.state && rule.state !== state) {
+        continue;
+      }
+      const postalMatch = rule.postalCodes.length > 0 &&
+        rule.postalCodes.some(pattern => this.matchesPostalCode(pattern, postalCode));
+      if (rule.postalCodes.length > 0 && !postalMatch) {
+        continue;
+      }
+
+      const score = (postalMatch ? 4 : 0) + (rule.state ? 2 : 0) + 1;
+      if (score > bestScore || (score === bestScore && rule.priority > best.priority)) {
+        best = rule;
+        bestScore = score;
+      }
+    }
+
+    return best || {
+      id: null,
+      name: 'Default',
+      country: country || null,
+      state: null,
+      rates: this.defaultRates,
+      taxShipping: false
+    };
+  }
+
+  /**
+   * Postal code patterns are exact codes or prefixes ending in `*`
+   */
+  matchesPostalCode(pattern, postalCode) {
+    if (!postalCode) {
+      return false;
+    }
+    if (pattern.endsWith('*')) {
+      return postalCode.startsWith(pattern.slice(0, -1));
+    }
+    return pattern === postalCode;
+  }
+
+  /**
+   * Look up the tax class of each line's product when the line does not carry one
+   */
+  async resolveTaxClass(line) {
+    if (line.taxClass) {
+      return line.taxClass;
+    }
+
+    const product = await this.products.findById(line.productId);
+    return product && TAX_CLASSES.includes(product.taxClass) ? product.taxClass : 'standard';
+  }
+
+  /**
+   * Calculate tax for priced lines shipped to an address.
+   * Each line needs `lineSubtotal` and optionally `discount`; tax is charged
+   * on the discounted amount. With tax-inclusive pricing the tax is
+   * extracted from the line amount instead of added on top.
+   */
+  async calculate({ lines, shippingAddress, shippingCost = 0 }) {
+    const rule = await this.resolveRule(shippingAddress);
+    const taxLines = [];
+
+    for (const line of lines) {
+      const taxClass = await this.resolveTaxClass(line);
+      const rate = rule.rates[taxClass] !== undefined ? rule.rates[taxClass] : rule.rates.standard;
+      const taxableAmount = roundCurrency(Math.max(0, line.lineSubtotal - (line.discount || 0)));
+
+      taxLines.push({
+        productId: line.productId,
+        variantId: line.variantId || null,
+        taxClass,
+        rate,
+        taxableAmount,
+        taxAmount: this.taxOn(taxableAmount, rate)
+      });
+    }
+
+    const shippingTax = rule.taxShipping ? this.taxOn(shippingCost, rule.rates.standard) : 0;
+    const taxAmount = roundCurrency(taxLines.reduce((sum, line) => sum + line.taxAmount, 0) + shippingTax);
+
+    return {
+      jurisdiction: {
+        ruleId: rule.id,
+        name: rule.name,
+        country: rule.country,
+        state: rule.state || null
+      },
+      pricesIncludeTax: this.pricesIncludeTax,
+      lines: taxLines,
+      shippingTax,
+      taxAmount
+    };
+  }
+
+  taxOn(amount, rate) {
+    if (this.pricesIncludeTax) {
+      return roundCurrency(amount - amount / (1 + rate));
+    }
+    return roundCurrency(amount * rate);
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+TaxService.TAX_CLASSES = TAX_CLASSES;
+TaxService.DEFAULT_RATES = DEFAULT_RATES;
+
+module.exports = TaxService;
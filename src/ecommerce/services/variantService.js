@@ -0,0 +1,442 @@
+/**
+ * @fileoverview Product Variant Service
+ * Manages variant option axes, generated combinations and per-variant SKU,
+ * price, weight, images and inventory
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const Repository = require('./repository');
+
+const VARIANT_STATUSES = ['active', 'inactive'];
+
+/**
+ * Upper bound on combinations generated in one call
+ */
+const MAX_COMBINATIONS = 100;
+
+/**
+ * Product Variant Service
+ * A variant picks one value on every option axis of its product, e.g.
+ * `{ Size: 'M', Colour: 'Red' }`. The axes are the union of the options used
+ * by the product's variants. Each variant owns an inventory record keyed by
+ * `productId` and `variantId`; its price, sale price and weight fall back to
+ * the product's when not set.
+ */
+class VariantService {
+  constructor(services) {
+    this.dataServe = services.dataServe;
+    this.logger = services.logger;
+    this.variants = new Repository(services, 'product_variants');
+    this.inventory = new Repository(services, 'inventory');
+    this.images = new Repository(services, 'product_images');
+  }
+
+  /**
+   * Build every combination of the axis values, in axis order
+   */
+  static combinations(axes) {
+    return axes.reduce((combos, axis) => {
+      const next = [];
+      for (const combo of combos) {
+        for (const value of axis.values) {
+          next.push({ ...combo, [axis.name]: value });
+        }
+      }
+      return next;
+    }, [{}]);
+  }
+
+  static describeOptions(options) {
+    return Object.values(options).join(' / ');
+  }
+
+  /**
+   * Validate and normalise option axes: `[{ name, values: [] }]`
+   */
+  normalizeAxes(axes) {
+    if (!Array.isArray(axes) || axes.length === 0) {
+      throw this.createError('At least one option axis is required', 400);
+    }
+
+    const names = new Set();
+    const normalized = axes.map(axis => {
+      const name = String(axis?.name || '').trim();
+      if (!name) {
+        throw this.createError('Every option axis needs a name', 400);
+      }
+      if (names.has(name.toLowerCase())) {
+        throw this.createError(`Option axis ${name} is listed twice`, 400);
+      }
+      names.add(name.toLowerCase());
+
+      const values = [...new Set((axis.values || []).map(value => String(value).trim()).filter(Boolean))];
+      if (values.length === 0) {
+        throw this.createError(`Option axis ${name} needs at least one value`, 400);
+      }
+
+      return { name, values };
+    });
+
+    const count = normalized.reduce((total, axis) => total * axis.values.length, 1);
+    if (count > MAX_COMBINATIONS) {
+      throw this.createError(`Options would create ${count} variants; the limit is ${MAX_COMBINATIONS}`, 400);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Derive the option axes from a product's variants
+   */
+  getOptionAxes(variants) {
+    const axes = [];
+    for (const variant of variants) {
+      for (const [name, value] of Object.entries(variant.options || {})) {
+        let axis = axes.find(entry => entry.name === name);
+        if (!axis) {
+          axis = { name, values: [] };
+          axes.push(axis);
+        }
+        if (!axis.values.includes(value)) {
+          axis.values.push(value);
+        }
+      }
+    }
+    return axes;
+  }
+
+  /**
+   * List a product's variants with their stock levels
+   */
+  async listVariants(productId, { includeInactive = true } = {}) {
+    const variants = await this.variants.findBy('productId', productId);
+    const inventory = await this.inventory.findBy('productId', productId);
+
+    return variants
+      .filter(variant => includeInactive || variant.status === 'active')
+      .sort((a, b) => a.position - b.position)
+      .map(variant => {
+        const record = inventory.find(entry => entry.variantId === variant.id);
+        return {
+          ...variant,
+          inventory: record
+            ? { quantity: record.quantity, reserved: record.reserved || 0, available: record.quantity - (record.reserved || 0) }
+            : { quantity: 0, reserved: 0, available: 0 }
+        };
+      });
+  }
+
+  /**
+   * Get one of a product's variants
+   */
+  async getVariant(productId, variantId) {
+    const variant = await this.variants.findById(variantId);
+    if (!variant || variant.productId !== productId) {
+      throw this.createError('Variant not found', 404);
+    }
+    return variant;
+  }
+
+  /**
+   * Create the variants for every combination of the given axes that the
+   * product does not have yet. Existing variants are left untouched.
+   */
+  async generateVariants(productId, product, axes, defaults = {}, userId) {
+    const normalizedAxes = this.normalizeAxes(axes);
+    const existing = await this.variants.findBy('productId', productId);
+
+    const existingAxes = this.getOptionAxes(existing).map(axis => axis.name);
+    if (existingAxes.length > 0 && !this.sameNames(existingAxes, normalizedAxes.map(axis => axis.name))) {
+      throw this.createError(`Variants of this product use the options: ${existingAxes.join(', ')}`, 400);
+    }
+
+    const created = [];
+    for (const options of VariantService.combinations(normalizedAxes)) {
+      if (existing.some(variant => this.sameOptions(variant.options, options))) {
+        continue;
+      }
+
+      created.push(await this.createVariant(productId, product, { ...defaults, options, sku: undefined }, userId));
+      existing.push(created[created.length - 1]);
+    }
+
+    this.logger.info(`Generated ${created.length} variant(s) for product ${productId}`);
+
+    return created;
+  }
+
+  /**
+   * Create a single variant and its inventory record
+   */
+  async createVariant(productId, product, data, userId) {
+    const existing = await this.variants.findBy('productId', productId);
+    const options = this.normalizeOptions(data.options, existing);
+
+    if (existing.some(variant => this.sameOptions(variant.options, options))) {
+      throw this.createError(`A variant for ${VariantService.describeOptions(options)} already exists`, 409);
+    }
+
+    const sku = data.sku ? String(data.sku).trim() : this.generateSku(product, options);
+    await this.assertSkuAvailable(sku);
+
+    const fields = this.normalizeFields(data);
+    await this.validateImages(productId, fields.images);
+
+    const variant = await this.variants.create({
+      productId,
+      options,
+      title: VariantService.describeOptions(options),
+      sku,
+      ...fields,
+      status: data.status || 'active',
+      position: existing.reduce((max, variant) => Math.max(max, variant.position + 1), 0),
+      createdBy: userId
+    });
+
+    const quantity = parseInt(data.inventory) || 0;
+    await this.inventory.create({
+      productId,
+      variantId: variant.id,
+      quantity,
+      reserved: 0,
+      available: quantity,
+      lastUpdated: new Date().toISOString()
+    });
+
+    this.logger.info(`Variant created: ${variant.sku} (${variant.id}) for product ${productId}`);
+
+    return variant;
+  }
+
+  /**
+   * Update a variant's options, SKU, prices, weight, images, status or stock
+   */
+  async updateVariant(productId, variantId, data, userId, expectedVersion) {
+    const variant = await this.getVariant(productId, variantId);
+    const changes = { ...this.normalizeFields({ ...variant, ...data }), updatedBy: userId };
+
+    if (data.images !== undefined) {
+      await this.validateImages(productId, changes.images);
+    }
+
+    if (data.options !== undefined) {
+      const siblings = (await this.variants.findBy('productId', productId)).filter(entry => entry.id !== variantId);
+      changes.options = this.normalizeOptions(data.options, siblings);
+      if (siblings.some(entry => this.sameOptions(entry.options, changes.options))) {
+        throw this.createError(`A variant for ${VariantService.describeOptions(changes.options)} already exists`, 409);
+      }
+      changes.title = VariantService.describeOptions(changes.options);
+    }
+
+    if (data.sku !== undefined && data.sku !== variant.sku) {
+      changes.sku = String(data.sku).trim();
+      await this.assertSkuAvailable(changes.sku);
+    }
+
+    if (data.status !== undefined) {
+      changes.status = data.status;
+    }
+
+    const updated = await this.variants.update(variantId, changes, { expectedVersion });
+
+    if (data.inventory !== undefined) {
+      await this.setStock(productId, variantId, parseInt(data.inventory));
+    }
+
+    return updated;
+  }
+
+  /**
+   * Delete a variant and its inventory record. Stock held by a checkout
+   * keeps the variant until the reservation ends.
+   */
+  async deleteVariant(productId, variantId) {
+    await this.getVariant(productId, variantId);
+
+    const record = await this.findInventoryRecord(productId, variantId);
+    if (record && (record.reserved || 0) > 0) {
+      throw this.createError('Variant has stock reserved by a checkout; deactivate it instead', 409);
+    }
+
+    if (record) {
+      await this.inventory.remove(record.id);
+    }
+    await this.variants.remove(variantId);
+
+    this.logger.info(`Variant deleted: ${variantId} from product ${productId}`);
+  }
+
+  /**
+   * Check the variant chosen for a cart line. A product with active
+   * variants needs one of them; a product without variants takes none.
+   */
+  async resolveCartVariant(productId, variantId) {
+    const variants = await this.variants.findBy('productId', productId);
+    const active = variants.filter(variant => variant.status === 'active');
+
+    if (!variantId) {
+      if (active.length > 0) {
+        const axes = this.getOptionAxes(active).map(axis => axis.name);
+        throw this.createError(`Please choose ${axes.join(', ')}`, 400);
+      }
+      return null;
+    }
+
+    const variant = active.find(entry => entry.id === variantId);
+    if (!variant) {
+      throw this.createError('Selected variant is not available for this product', 400);
+    }
+    return variant;
+  }
+
+  /**
+   * The price a variant sells at. A variant with a price override uses its
+   * own price and sale price; otherwise it sells at the product's price.
+   */
+  static unitPrice(product, variant) {
+    if (variant && variant.price !== null && variant.price !== undefined) {
+      return variant.salePrice || variant.price;
+    }
+    return product.salePrice || product.price;
+  }
+
+  async setStock(productId, variantId, quantity) {
+    if (isNaN(quantity) || quantity < 0) {
+      throw this.createError('Inventory must be a non-negative number', 400);
+    }
+
+    const record = await this.findInventoryRecord(productId, variantId);
+    if (!record) {
+      return this.inventory.create({
+        productId,
+        variantId,
+        quantity,
+        reserved: 0,
+        available: quantity,
+        lastUpdated: new Date().toISOString()
+      });
+    }
+
+    return this.inventory.update(record.id, current => ({
+      quantity,
+      available: quantity - (current.reserved || 0),
+      lastUpdated: new Date().toISOString()
+    }));
+  }
+
+  async findInventoryRecord(productId, variantId) {
+    const records = await this.inventory.findBy('productId', productId);
+    return records.find(record => record.variantId === variantId) || null;
+  }
+
+  /**
+   * Options must cover exactly the axes already used by the product
+   */
+  normalizeOptions(options, siblings) {
+    if (!options || typeof options !== 'object' || Array.isArray(options) || Object.keys(options).length === 0) {
+      throw this.createError('Variant options are required, e.g. { "Size": "M" }', 400);
+    }
+
+    const normalized = {};
+    for (const [name, value] of Object.entries(options)) {
+      const trimmedName = String(name).trim();
+      const trimmedValue = String(value ?? '').trim();
+      if (!trimmedName || !trimmedValue) {
+        throw this.createError('Variant options need a name and a value', 400);
+      }
+      normalized[trimmedName] = trimmedValue;
+    }
+
+    const axes = this.getOptionAxes(siblings).map(axis => axis.name);
+    if (axes.length > 0 && !this.sameNames(axes, Object.keys(normalized))) {
+      throw this.createError(`Variant options must be: ${axes.join(', ')}`, 400);
+    }
+
+    // Keep the product's axis order
+    if (axes.length > 0) {
+      return Object.fromEntries(axes.map(name => [name, normalized[name]]));
+    }
+    return normalized;
+  }
+
+  normalizeFields(data) {
+    const price = this.parseAmount(data.price, 'price');
+    const salePrice = this.parseAmount(data.salePrice, 'sale price');
+    const weight = this.parseAmount(data.weight, 'weight');
+
+    if (data.status !== undefined && !VARIANT_STATUSES.includes(data.status)) {
+      throw this.createError(`Variant status must be one of: ${VARIANT_STATUSES.join(', ')}`, 400);
+    }
+
+    return {
+      price,
+      salePrice,
+      weight,
+      images: Array.isArray(data.images) ? data.images : []
+    };
+  }
+
+  parseAmount(value, label) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const parsed = parseFloat(value);
+    if (isNaN(parsed) || parsed < 0) {
+      throw this.createError(`Variant ${label} must be a non-negative number`, 400);
+    }
+    return parsed;
+  }
+
+  /**
+   * Variant images must be images uploaded for the same product
+   */
+  async validateImages(productId, imageIds) {
+    for (const imageId of imageIds) {
+      const image = await this.images.findById(imageId);
+      if (!image || image.productId !== productId) {
+        throw this.createError(`Image ${imageId} does not belong to this product`, 400);
+      }
+    }
+  }
+
+  async assertSkuAvailable(sku) {
+    const [variants, products] = await Promise.all([
+      this.variants.findBy('sku', sku),
+      this.dataServe.jsonFindByPath('products', 'sku', sku)
+    ]);
+    if (variants.length > 0 || products.length > 0) {
+      throw this.createError(`SKU ${sku} already exists`, 409);
+    }
+  }
+
+  generateSku(product, options) {
+    const suffix = Object.values(options)
+      .map(value => value.toUpperCase().replace(/[^A-Z0-9]+/g, ''))
+      .join('-');
+    return `${product.sku}-${suffix}`;
+  }
+
+  sameNames(a, b) {
+    return a.length === b.length && a.every(name => b.includes(name));
+  }
+
+  sameOptions(a, b) {
+    const keys = Object.keys(a || {});
+    return keys.length === Object.keys(b || {}).length && keys.every(key => a[key] === b[key]);
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+VariantService.VARIANT_STATUSES = VARIANT_STATUSES;
+VariantService.MAX_COMBINATIONS = MAX_COMBINATIONS;
+
+module.exports = VariantService;
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Zip Reader
+ * Lists and reads the files in an uploaded zip archive held in memory
+ *
+ * @author NooblyJS eCommerce Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+// Limits on what an archive may unpack to, checked against the sizes it
+// declares before anything is inflated
+const MAX_ENTRY_SIZE = 20 * 1024 * 1024;
+const MAX_TOTAL_SIZE = 250 * 1024 * 1024;
+
+/**
+ * List the files in a zip archive without inflating them. Throws if the
+ * archive is corrupt or declares more than `maxEntrySize` for one file or
+ * `maxTotalSize` for all of them. Directories and macOS resource forks are
+ * left out. Stored and deflated entries are supported, zip64 archives are not.
+ */
+function listZip(buffer, options = {}) {
+  const maxEntrySize = options.maxEntrySize || MAX_ENTRY_SIZE;
+  const maxTotalSize = options.maxTotalSize || MAX_TOTAL_SIZE;
+
+  const end = findEndOfCentralDirectory(buffer);
+  const entryCount = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  const entries = [];
+  let totalSize = 0;
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw invalidZip('Corrupt central directory');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const headerOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/') || name.startsWith('__MACOSX/')) {
+      continue;
+    }
+    if (compressedSize === 0xffffffff || size === 0xffffffff) {
+      throw invalidZip('Zip64 archives are not supported');
+    }
+    if (method !== METHOD_STORED && method !== METHOD_DEFLATED) {
+      throw invalidZip(`Entry ${name} uses an unsupported compression method`);
+    }
+    if (headerOffset + 30 > buffer.length || buffer.readUInt32LE(headerOffset) !== LOCAL_FILE_HEADER) {
+      throw invalidZip(`Corrupt entry ${name}`);
+    }
+
+    const stored = method === METHOD_STORED ? compressedSize : size;
+    if (stored > maxEntrySize) {
+      throw invalidZip(`Entry ${name} unpacks to more than ${formatSize(maxEntrySize)}`);
+    }
+    totalSize += stored;
+    if (totalSize > maxTotalSize) {
+      throw invalidZip(`The archive unpacks to more than ${formatSize(maxTotalSize)}`);
+    }
+
+    const dataStart = headerOffset + 30 + buffer.readUInt16LE(headerOffset + 26) + buffer.readUInt16LE(headerOffset + 28);
+    if (dataStart + compressedSize > buffer.length) {
+      throw invalidZip(`Corrupt entry ${name}`);
+    }
+
+    entries.push({ name, method, size, data: buffer.subarray(dataStart, dataStart + compressedSize) });
+  }
+
+  return entries;
+}
+
+/**
+ * Read every file in a zip archive, within the limits `listZip` checks.
+ * Resolves to a Map of entry name to contents.
+ */
+function readZip(buffer, options = {}) {
+  const files = new Map();
+  for (const { name, method, size, data } of listZip(buffer, options)) {
+    if (method === METHOD_STORED) {
+      files.set(name, Buffer.from(data));
+      continue;
+    }
+
+    // Never inflate past the size the archive declares
+    try {
+      files.set(name, zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) }));
+    } catch (error) {
+      throw invalidZip(`Corrupt entry ${name}`);
+    }
+  }
+
+  return files;
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // The record is 22 bytes plus a comment of up to 64KB at the very end
+  const earliest = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= earliest; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  throw invalidZip('Not a zip archive');
+}
+
+function formatSize(bytes) {
+  return `${Math.round(bytes / (1024 * 1024))}MB`;
+}
+
+function invalidZip(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+module.exports = { listZip, readZip };
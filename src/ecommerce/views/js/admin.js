@@ -147,6 +147,43 @@ class AdminDashboard {
       });
     }
 
+    // Search preview
+    const searchPreviewForm = document.getElementById('searchPreviewForm');
+    if (searchPreviewForm) {
+      searchPreviewForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.previewSearch(document.getElementById('searchPreviewQuery').value.trim());
+      });
+    }
+
+    // Review status filter
+    const reviewStatusFilter = document.getElementById('reviewStatusFilter');
+    if (reviewStatusFilter) {
+      reviewStatusFilter.addEventListener('change', () => {
+        this.loadReviews();
+      });
+    }
+
+    // Catalog import and export
+    const importCatalogBtn = document.getElementById('importCatalogBtn');
+    const catalogImportFile = document.getElementById('catalogImportFile');
+    if (importCatalogBtn && catalogImportFile) {
+      importCatalogBtn.addEventListener('click', () => catalogImportFile.click());
+      catalogImportFile.addEventListener('change', () => {
+        if (catalogImportFile.files[0]) {
+          this.importCatalog(catalogImportFile.files[0]);
+        }
+        catalogImportFile.value = '';
+      });
+    }
+
+    const exportCatalogBtn = document.getElementById('exportCatalogBtn');
+    if (exportCatalogBtn) {
+      exportCatalogBtn.addEventListener('click', () => {
+        this.exportCatalog();
+      });
+    }
+
     // Logout button
     const logoutBtn = document.getElementById('logoutBtn');
     if (logoutBtn) {
@@ -193,6 +230,7 @@ class AdminDashboard {
       products: 'Products',
       categories: 'Categories',
       inventory: 'Inventory',
+      search: 'Search Merchandising',
       orders: 'Orders',
       customers: 'Customers',
       promotions: 'Promotions',
@@ -206,6 +244,7 @@ class AdminDashboard {
     try {
       await Promise.all([
         this.loadStats(),
+        this.loadCartRecovery(),
         this.loadRecentOrders(),
         this.loadLowStock()
       ]);
@@ -250,6 +289,22 @@ class AdminDashboard {
     }
   }
 
+  // Load abandoned cart recovery results
+  async loadCartRecovery() {
+    try {
+      const response = await this.authenticatedFetch(`${this.apiBase}/admin/analytics/cart-recovery`);
+      if (!response) return;
+
+      const { summary } = await response.json();
+
+      this.updateElement('recoveredRevenue', `$${summary.recoveredRevenue.toFixed(2)}`);
+      this.updateElement('recoveredCarts',
+        `${summary.ordersRecovered} of ${summary.emailsSent} carts recovered (${summary.recoveryRate}%)`);
+    } catch (error) {
+      console.error('Error loading cart recovery:', error);
+    }
+  }
+
   // Load recent orders for dashboard
   async loadRecentOrders() {
     try {
@@ -313,6 +368,12 @@ class AdminDashboard {
       case 'analytics':
         await this.loadAnalytics();
         break;
+      case 'search':
+        await this.loadSearchRules();
+        break;
+      case 'reviews':
+        await this.loadReviews();
+        break;
       // Add other sections as needed
     }
   }
@@ -357,6 +418,93 @@ class AdminDashboard {
     }
   }
 
+  // Upload a CSV or JSON catalog, optionally as a dry run, and follow the import job
+  async importCatalog(file) {
+    const dryRun = confirm('Validate the file without changing the catalog? Choose Cancel to import it now.');
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('dryRun', String(dryRun));
+
+    try {
+      // Let the browser set the multipart content type
+      const response = await fetch(`${this.apiBase}/admin/catalog/imports`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${this.authToken}` },
+        body: formData
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        this.showNotification(data.error || 'Import failed', 'error');
+        return;
+      }
+
+      this.showNotification(data.message, 'info');
+      await this.pollCatalogImport(data.import.id);
+    } catch (error) {
+      console.error('Error importing catalog:', error);
+    }
+  }
+
+  // Poll an import every two seconds until it finishes, for up to five minutes
+  async pollCatalogImport(importId) {
+    for (let attempt = 0; attempt < 150; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 2000));
+
+      const response = await this.authenticatedFetch(`${this.apiBase}/admin/catalog/imports/${importId}`);
+      if (!response) return;
+
+      const { import: catalogImport } = await response.json();
+      if (catalogImport.status === 'failed') {
+        this.showNotification(`Import failed: ${catalogImport.error}`, 'error');
+        return;
+      }
+
+      if (catalogImport.status === 'completed') {
+        const { created, updated, failed, errors, dryRun } = catalogImport;
+        const summary = dryRun
+          ? `Dry run: ${created} to create, ${updated} to update, ${failed} with errors`
+          : `Import finished: ${created} created, ${updated} updated, ${failed} failed`;
+        const details = errors.slice(0, 3).map(error => `row ${error.row}: ${error.message}`).join('; ');
+
+        this.showNotification(details ? `${summary} (${details})` : summary, failed > 0 ? 'error' : 'success');
+        if (!dryRun) {
+          await this.loadProducts();
+        }
+        return;
+      }
+    }
+  }
+
+  // Download the catalog as CSV, filtered like the products table
+  async exportCatalog() {
+    const params = new URLSearchParams({ format: 'csv' });
+    const category = document.getElementById('categoryFilter')?.value;
+    const status = document.getElementById('statusFilter')?.value;
+    const search = document.getElementById('productSearch')?.value.trim();
+    if (category) params.set('category', category);
+    if (status === 'active' || status === 'inactive') params.set('status', status);
+    if (search) params.set('q', search);
+
+    try {
+      const response = await this.authenticatedFetch(`${this.apiBase}/admin/catalog/export?${params}`);
+      if (!response) return;
+
+      if (!response.ok) {
+        this.showNotification('Export failed', 'error');
+        return;
+      }
+
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(await response.blob());
+      link.download = `catalog-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (error) {
+      console.error('Error exporting catalog:', error);
+    }
+  }
+
   // Load orders
   async loadOrders() {
     try {
@@ -373,7 +521,10 @@ class AdminDashboard {
             <td>${order.customerName || 'N/A'}</td>
             <td>${order.itemCount || 1} items</td>
             <td>$${order.total.toFixed(2)}</td>
-            <td><span class="status ${order.status}">${order.status}</span></td>
+            <td>
+              <span class="status ${order.status}">${order.status}</span>
+              ${order.paymentStatus === 'partially_refunded' ? '<span class="status partially_refunded">partially refunded</span>' : ''}
+            </td>
             <td>${new Date(order.createdAt).toLocaleDateString()}</td>
             <td>
               <button class="btn-icon" onclick="adminDashboard.viewOrder('${order.id}')">
@@ -388,6 +539,189 @@ class AdminDashboard {
     }
   }
 
+  // Load search merchandising rules
+  async loadSearchRules() {
+    try {
+      const response = await this.authenticatedFetch(`${this.apiBase}/admin/search-rules`);
+      if (!response) return;
+
+      const { rules } = await response.json();
+
+      const tableBody = document.getElementById('searchRulesTableBody');
+      if (tableBody && rules) {
+        tableBody.innerHTML = rules.map(rule => `
+          <tr>
+            <td>${rule.name}</td>
+            <td>${rule.type}</td>
+            <td>${rule.type === 'synonym' ? rule.terms.join(', ') : (rule.queries.join(', ') || 'All searches')}</td>
+            <td><span class="status ${rule.active ? 'active' : 'inactive'}">${rule.active ? 'active' : 'inactive'}</span></td>
+            <td>
+              <button class="btn-icon" onclick="adminDashboard.deleteSearchRule('${rule.id}')">
+                <i class="fas fa-trash"></i>
+              </button>
+            </td>
+          </tr>
+        `).join('');
+      }
+    } catch (error) {
+      console.error('Error loading search rules:', error);
+    }
+  }
+
+  // Show merchandised results next to the organic ones for a query
+  async previewSearch(query) {
+    try {
+      const response = await this.authenticatedFetch(
+        `${this.apiBase}/admin/search-rules/preview?q=${encodeURIComponent(query)}&limit=10`
+      );
+      if (!response) return;
+
+      const data = await response.json();
+      if (!response.ok) {
+        this.showNotification(data.error || 'Preview failed', 'error');
+        return;
+      }
+
+      const { merchandised, organic } = data;
+      const renderResults = (results) => results.map(product => `
+        <li>${product.name} <small class="text-muted">${product.relevance}</small></li>
+      `).join('') || '<li class="text-muted">No results</li>';
+
+      const preview = document.getElementById('searchPreview');
+      if (preview) {
+        preview.innerHTML = `
+          ${merchandised.redirect ? `<p>Redirects to <strong>${merchandised.redirect.url}</strong></p>` : ''}
+          <p>Rules applied: ${merchandised.appliedRules.map(rule => rule.name).join(', ') || 'none'}</p>
+          <div class="analytics-grid">
+            <div class="analytics-card">
+              <h3>With rules (${merchandised.total})</h3>
+              <ol>${renderResults(merchandised.results)}</ol>
+            </div>
+            <div class="analytics-card">
+              <h3>Without rules (${organic.total})</h3>
+              <ol>${renderResults(organic.results)}</ol>
+            </div>
+          </div>
+        `;
+      }
+    } catch (error) {
+      console.error('Error previewing search:', error);
+    }
+  }
+
+  async deleteSearchRule(ruleId) {
+    if (!confirm('Are you sure you want to delete this search rule?')) return;
+
+    try {
+      const response = await this.authenticatedFetch(`${this.apiBase}/admin/search-rules/${ruleId}`, {
+        method: 'DELETE'
+      });
+      if (!response) return;
+
+      this.showNotification('Search rule deleted', 'success');
+      await this.loadSearchRules();
+    } catch (error) {
+      console.error('Error deleting search rule:', error);
+    }
+  }
+
+  // Load the review moderation queue
+  async loadReviews() {
+    try {
+      const status = document.getElementById('reviewStatusFilter')?.value || 'pending';
+      const response = await this.authenticatedFetch(`${this.apiBase}/admin/reviews?status=${status}`);
+      if (!response) return;
+
+      const { reviews } = await response.json();
+
+      const tableBody = document.getElementById('reviewsTableBody');
+      if (tableBody && reviews) {
+        tableBody.innerHTML = reviews.map(review => `
+          <tr>
+            <td>${this.escapeHtml(review.productName || review.productId)}</td>
+            <td>${'<i class="fas fa-star"></i>'.repeat(review.rating)}</td>
+            <td>
+              ${review.title ? `<strong>${this.escapeHtml(review.title)}</strong><br>` : ''}
+              ${this.escapeHtml(review.body)}
+              ${review.photos.length > 0 ? `<br><small class="text-muted">${review.photos.length} photo(s)</small>` : ''}
+              ${review.reply ? `<br><small class="text-muted">Reply: ${this.escapeHtml(review.reply.body)}</small>` : ''}
+            </td>
+            <td>
+              ${this.escapeHtml(review.displayName)}
+              ${review.verifiedPurchase ? '<br><small class="text-muted">Verified purchase</small>' : ''}
+            </td>
+            <td><span class="status ${review.status}">${review.status}</span></td>
+            <td>
+              ${review.status !== 'approved' ? `
+                <button class="btn-icon" title="Approve" onclick="adminDashboard.moderateReview('${review.id}', 'approve', ${review.version})">
+                  <i class="fas fa-check"></i>
+                </button>
+              ` : ''}
+              ${review.status !== 'rejected' ? `
+                <button class="btn-icon" title="Reject" onclick="adminDashboard.moderateReview('${review.id}', 'reject', ${review.version})">
+                  <i class="fas fa-ban"></i>
+                </button>
+              ` : ''}
+              <button class="btn-icon" title="Reply" onclick="adminDashboard.replyToReview('${review.id}', ${review.version})">
+                <i class="fas fa-reply"></i>
+              </button>
+            </td>
+          </tr>
+        `).join('');
+      }
+    } catch (error) {
+      console.error('Error loading reviews:', error);
+    }
+  }
+
+  async moderateReview(reviewId, decision, version) {
+    const note = decision === 'reject' ? prompt('Reason for rejecting (optional):') : null;
+    if (note === null && decision === 'reject') return;
+
+    try {
+      const response = await this.authenticatedFetch(`${this.apiBase}/admin/reviews/${reviewId}/${decision}`, {
+        method: 'POST',
+        body: JSON.stringify({ note, version })
+      });
+      if (!response) return;
+
+      const data = await response.json();
+      if (!response.ok) {
+        this.showNotification(data.error || 'Failed to moderate review', 'error');
+        return;
+      }
+
+      this.showNotification(data.message, 'success');
+      await this.loadReviews();
+    } catch (error) {
+      console.error('Error moderating review:', error);
+    }
+  }
+
+  async replyToReview(reviewId, version) {
+    const reply = prompt('Reply to this review:');
+    if (!reply) return;
+
+    try {
+      const response = await this.authenticatedFetch(`${this.apiBase}/admin/reviews/${reviewId}/reply`, {
+        method: 'POST',
+        body: JSON.stringify({ reply, version })
+      });
+      if (!response) return;
+
+      const data = await response.json();
+      if (!response.ok) {
+        this.showNotification(data.error || 'Failed to save reply', 'error');
+        return;
+      }
+
+      this.showNotification(data.message, 'success');
+      await this.loadReviews();
+    } catch (error) {
+      console.error('Error replying to review:', error);
+    }
+  }
+
   // Load analytics
   async loadAnalytics() {
     // Implementation for analytics charts would go here
@@ -409,6 +743,12 @@ class AdminDashboard {
   }
 
   // Show notification
+  // Text written by shoppers is escaped before it goes into markup
+  escapeHtml(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value ?? '').replace(/[&<>"']/g, char => entities[char]);
+  }
+
   showNotification(message, type = 'info') {
     const container = document.getElementById('notificationContainer');
     if (container) {
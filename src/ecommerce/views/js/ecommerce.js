@@ -36,15 +36,114 @@ class NooblyStore {
     this.loadCart();
     this.updateCartDisplay();
     this.showPage('home');
+    await this.restoreCartFromLink();
+    await this.verifyEmailFromLink();
+    await this.previewContentFromLink();
+    await this.openPageFromLink();
   }
 
-  // Initialize Stripe
+  // Restore an abandoned cart from the link in a recovery email
+  async restoreCartFromLink() {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('restoreCart');
+    if (!token) {
+      return;
+    }
+
+    params.delete('restoreCart');
+    const query = params.toString();
+    window.history.replaceState({}, '', window.location.pathname + (query ? `?${query}` : ''));
+
+    try {
+      const response = await this.apiRequest('/cart/restore', {
+        method: 'POST',
+        body: JSON.stringify({ token, sessionId: this.cart.sessionId })
+      });
+
+      this.adoptServerCart(response.cart, response.cartAdjustments);
+      this.showNotification('Welcome back! Your cart has been restored.', 'success');
+      this.openCart();
+    } catch (error) {
+      console.error('Failed to restore cart:', error);
+      this.showNotification('This cart link is no longer available', 'error');
+    }
+  }
+
+  // Confirm the account's email address from the link in the verification email
+  async verifyEmailFromLink() {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('verifyEmail');
+    if (!token) {
+      return;
+    }
+
+    params.delete('verifyEmail');
+    const query = params.toString();
+    window.history.replaceState({}, '', window.location.pathname + (query ? `?${query}` : ''));
+
+    try {
+      const response = await this.apiRequest('/auth/verify-email', {
+        method: 'POST',
+        body: JSON.stringify({ token })
+      });
+
+      if (this.currentUser && this.currentUser.id === response.user.id) {
+        this.currentUser = { ...response.user, token: this.currentUser.token };
+        localStorage.setItem('user', JSON.stringify(this.currentUser));
+      }
+
+      const claimed = response.claimedOrders > 0
+        ? ` ${response.claimedOrders} earlier order(s) have been added to your account.`
+        : '';
+      this.showNotification(`Your email address is confirmed.${claimed}`, 'success');
+    } catch (error) {
+      console.error('Failed to verify email:', error);
+      this.showNotification('This verification link is no longer valid', 'error');
+    }
+  }
+
+  // Show unpublished content from an admin's preview link. The link stays
+  // in the address bar so the preview survives a reload.
+  async previewContentFromLink() {
+    const token = new URLSearchParams(window.location.search).get('preview');
+    if (!token) {
+      return;
+    }
+
+    try {
+      const response = await this.apiRequest(`/content/preview/${encodeURIComponent(token)}`);
+      this.renderContentPage(response.content);
+      this.showPage('content');
+    } catch (error) {
+      console.error('Failed to load preview:', error);
+    }
+  }
+
+  // Open the page, product or category named in a store link, such as the
+  // links in navigation menus
+  async openPageFromLink() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('preview')) {
+      return;
+    }
+
+    if (params.get('page')) {
+      await this.viewPage(params.get('page'));
+    } else if (params.get('product')) {
+      await this.viewProduct(params.get('product'));
+    } else if (params.get('category')) {
+      this.filterByCategory(params.get('category'));
+    }
+  }
+
+  // Load the payment gateway config, and Stripe when it is the gateway
   async initializeStripe() {
     try {
       const response = await fetch(`${this.apiBase}/payments/config`);
       const config = await response.json();
+      this.paymentConfig = config;
 
-      if (window.Stripe && config.publishableKey) {
+      if (config.gateway === 'stripe' && window.Stripe && config.publishableKey) {
         this.stripe = Stripe(config.publishableKey);
       }
     } catch (error) {
@@ -52,6 +151,11 @@ class NooblyStore {
     }
   }
 
+  // The simulated gateway takes test cards and needs no browser SDK
+  isSimulatedGateway() {
+    return this.paymentConfig?.gateway === 'simulated';
+  }
+
   // Generate unique session ID
   generateSessionId() {
     return localStorage.getItem('sessionId') || this.createNewSessionId();
@@ -79,6 +183,19 @@ class NooblyStore {
         const action = e.target.getAttribute('data-action');
         this.handleAction(action, e.target);
       }
+
+      // Clicks on CMS calls to action count towards content experiments
+      const contentLink = e.target.closest('[data-content-click]');
+      if (contentLink) {
+        this.trackContent(contentLink.getAttribute('data-content-click'), 'click');
+      }
+
+      // Menu links to pages, products and categories open in place
+      const menuLink = e.target.closest('[data-menu-type]');
+      if (menuLink && menuLink.dataset.menuType !== 'url') {
+        e.preventDefault();
+        this.followMenuLink(menuLink.dataset);
+      }
     });
 
     // Search form
@@ -91,6 +208,9 @@ class NooblyStore {
           this.searchProducts(query);
         }
       });
+
+      const searchInput = document.getElementById('searchInput');
+      searchInput.addEventListener('input', () => this.suggestSearches(searchInput.value.trim()));
     }
 
     // Mobile menu toggle
@@ -212,6 +332,25 @@ class NooblyStore {
       paymentForm.addEventListener('submit', (e) => this.handlePaymentSubmit(e));
     }
 
+    const savedPaymentSelect = document.getElementById('savedPaymentSelect');
+    if (savedPaymentSelect) {
+      savedPaymentSelect.addEventListener('change', () => this.toggleNewCardFields());
+    }
+
+    // Choosing a saved address fills the form; editing the form switches back to a new address
+    const savedAddressSelect = document.getElementById('savedAddressSelect');
+    if (savedAddressSelect) {
+      savedAddressSelect.addEventListener('change', (e) => {
+        const address = (this.savedAddresses || []).find(entry => entry.id === e.target.value);
+        if (address) this.fillShippingForm(address);
+      });
+
+      ['shippingFirstName', 'shippingLastName', 'shippingAddress', 'shippingCity', 'shippingState', 'shippingZip', 'shippingCountry']
+        .forEach(id => document.getElementById(id)?.addEventListener('input', () => {
+          savedAddressSelect.value = '';
+        }));
+    }
+
     // Update overlay click to close checkout modal too
     if (overlay) {
       overlay.addEventListener('click', () => {
@@ -263,7 +402,9 @@ class NooblyStore {
     try {
       await Promise.all([
         this.loadCategories(),
-        this.loadFeaturedProducts()
+        this.loadFeaturedProducts(),
+        this.loadMenus(),
+        this.loadHomeHero()
       ]);
     } catch (error) {
       console.error('Failed to load initial data:', error);
@@ -282,6 +423,63 @@ class NooblyStore {
     }
   }
 
+  // Load the main and footer menus. The built-in links stay until an admin
+  // sets a menu up.
+  async loadMenus() {
+    const [main, footer] = await Promise.all(['main', 'footer'].map(handle => this.fetchMenu(handle)));
+    if (main) this.renderMainMenu(main);
+    if (footer) this.renderFooterMenu(footer);
+  }
+
+  async fetchMenu(handle) {
+    try {
+      const response = await fetch(`${this.apiBase}/menus/${handle}`);
+      if (!response.ok) return null;
+
+      const { menu } = await response.json();
+      return menu;
+    } catch (error) {
+      console.error(`Failed to load ${handle} menu:`, error);
+      return null;
+    }
+  }
+
+  // Show the live hero content in place of the built-in hero. The session
+  // id picks this session's variant when heroes are being A/B tested.
+  async loadHomeHero() {
+    try {
+      const response = await this.apiRequest(`/content?type=hero&sessionId=${encodeURIComponent(this.cart.sessionId)}`);
+      const [hero] = response.content || [];
+      const heroText = document.getElementById('heroText');
+      if (!hero || !heroText) return;
+
+      heroText.innerHTML = `
+        <h1>${hero.title}</h1>
+        <p>${hero.excerpt || hero.content}</p>
+        <div class="hero-buttons">
+          ${hero.buttonText && hero.buttonUrl
+            ? `<a class="btn btn-primary btn-lg" href="${hero.buttonUrl}" data-content-click="${hero.id}">${hero.buttonText}</a>`
+            : '<button class="btn btn-primary btn-lg" data-action="shop-now">Shop Now</button>'}
+          <button class="btn btn-outline btn-lg" data-action="explore">Explore Categories</button>
+        </div>
+      `;
+      this.trackContent(hero.id, 'view');
+    } catch (error) {
+      console.error('Failed to load hero content:', error);
+    }
+  }
+
+  // Report a content view or click. keepalive lets a click report finish
+  // while the link navigates away.
+  trackContent(contentId, event) {
+    fetch(`${this.apiBase}/content/${contentId}/${event}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId: this.cart.sessionId }),
+      keepalive: true
+    }).catch(error => console.error(`Failed to record content ${event}:`, error));
+  }
+
   // Load featured products
   async loadFeaturedProducts() {
     try {
@@ -302,14 +500,7 @@ class NooblyStore {
       params.append('page', this.filters.page);
       params.append('limit', this.filters.limit);
 
-      // Handle sorting
-      if (this.filters.sort === 'price-low') {
-        params.append('minPrice', '0');
-        // Sort by price ascending will be handled by backend
-      } else if (this.filters.sort === 'price-high') {
-        params.append('maxPrice', '10000');
-        // Sort by price descending will be handled by backend
-      }
+      if (this.filters.sort) params.append('sort', this.filters.sort);
 
       const response = await this.apiRequest(`/products?${params.toString()}`);
       this.products = response.products || [];
@@ -333,6 +524,29 @@ class NooblyStore {
     }
   }
 
+  // Fill the search box suggestions from product names and popular searches
+  suggestSearches(query) {
+    clearTimeout(this.suggestTimer);
+    const list = document.getElementById('searchSuggestions');
+    if (!list || query.length < 2) return;
+
+    this.suggestTimer = setTimeout(async () => {
+      try {
+        const response = await fetch(`${this.apiBase}/search/suggest?q=${encodeURIComponent(query)}`);
+        const { suggestions = [] } = await response.json();
+
+        list.innerHTML = '';
+        suggestions.forEach(suggestion => {
+          const option = document.createElement('option');
+          option.value = suggestion.text;
+          list.appendChild(option);
+        });
+      } catch (error) {
+        console.error('Failed to load search suggestions:', error);
+      }
+    }, 200);
+  }
+
   // Navigation functions
   showPage(pageName) {
     // Hide all pages
@@ -355,6 +569,31 @@ class NooblyStore {
     }
   }
 
+  async viewPage(slug) {
+    try {
+      const response = await this.apiRequest(`/pages/${encodeURIComponent(slug)}`);
+      this.renderContentPage(response.page);
+      this.showPage('content');
+    } catch (error) {
+      console.error('Failed to load page:', error);
+    }
+  }
+
+  followMenuLink({ menuType, slug, category, productId }) {
+    if (menuType === 'page') {
+      this.viewPage(slug);
+    } else if (menuType === 'category') {
+      this.filterByCategory(category);
+    } else if (menuType === 'product') {
+      this.viewProduct(productId);
+    }
+
+    const mobileMenu = document.getElementById('mobileMenu');
+    if (mobileMenu) {
+      mobileMenu.classList.remove('active');
+    }
+  }
+
   updateActiveNavLinks(activeLink) {
     document.querySelectorAll('.nav-link, .mobile-nav-link').forEach(link => {
       link.classList.remove('active');
@@ -433,7 +672,7 @@ class NooblyStore {
           name: product.name,
           price: product.salePrice || product.price,
           quantity,
-          image: product.images?.[0]?.filePath || null
+          image: product.primaryImageId ? this.imageUrl(product.primaryImageId, 'thumbnail') : null
         });
       }
 
@@ -449,19 +688,70 @@ class NooblyStore {
     }
   }
 
+  // Replace the local cart with the cart returned by the server
+  adoptServerCart(serverCart, adjustments = []) {
+    if (!serverCart) {
+      this.syncCartWithBackend();
+      return;
+    }
+
+    this.cart.items = serverCart.items.map(item => {
+      const localItem = this.cart.items.find(local =>
+        local.productId === item.productId && (local.variantId || null) === (item.variantId || null)
+      );
+      return {
+        productId: item.productId,
+        variantId: item.variantId,
+        name: item.name,
+        price: item.price,
+        quantity: item.quantity,
+        image: localItem ? localItem.image : null
+      };
+    });
+
+    this.saveCart();
+    this.updateCartDisplay();
+
+    if (adjustments.length > 0) {
+      const names = adjustments.map(item => item.name || 'an item').join(', ');
+      this.showNotification(`Some quantities were reduced to what is in stock: ${names}`, 'info');
+    }
+  }
+
+  // Make the server cart match the local cart. Checkout is priced from the
+  // server cart, so quantities are set rather than added.
   async syncCartWithBackend() {
     try {
+      const { cart: serverCart = { items: [] } } = await this.apiRequest(`/cart/${this.cart.sessionId}`);
+      const sameLine = (a, b) => a.productId === b.productId && (a.variantId || null) === (b.variantId || null);
+
       for (const item of this.cart.items) {
-        await this.apiRequest('/cart/add', {
-          method: 'POST',
+        const serverItem = serverCart.items.find(line => sameLine(line, item));
+        if (serverItem && serverItem.quantity === item.quantity) continue;
+
+        await this.apiRequest(serverItem ? '/cart/update' : '/cart/add', {
+          method: serverItem ? 'PUT' : 'POST',
           body: JSON.stringify({
             sessionId: this.cart.sessionId,
             productId: item.productId,
-            variantId: item.variantId,
+            variantId: serverItem ? serverItem.variantId : item.variantId,
             quantity: item.quantity
           })
         });
       }
+
+      for (const serverItem of serverCart.items) {
+        if (this.cart.items.some(item => sameLine(serverItem, item))) continue;
+
+        await this.apiRequest('/cart/remove', {
+          method: 'DELETE',
+          body: JSON.stringify({
+            sessionId: this.cart.sessionId,
+            productId: serverItem.productId,
+            variantId: serverItem.variantId
+          })
+        });
+      }
     } catch (error) {
       console.error('Failed to sync cart with backend:', error);
     }
@@ -482,6 +772,7 @@ class NooblyStore {
       this.saveCart();
       this.updateCartDisplay();
       this.renderCartItems();
+      this.syncCartWithBackend();
     }
   }
 
@@ -493,6 +784,7 @@ class NooblyStore {
     this.saveCart();
     this.updateCartDisplay();
     this.renderCartItems();
+    this.syncCartWithBackend();
   }
 
   updateCartDisplay() {
@@ -590,7 +882,8 @@ class NooblyStore {
       const formData = new FormData(form);
       const credentials = {
         email: formData.get('email') || document.getElementById('loginEmail').value,
-        password: formData.get('password') || document.getElementById('loginPassword').value
+        password: formData.get('password') || document.getElementById('loginPassword').value,
+        sessionId: this.cart.sessionId
       };
 
       const response = await this.apiRequest('/auth/login', {
@@ -606,8 +899,8 @@ class NooblyStore {
       this.updateUserInterface();
       this.showNotification(`Welcome back, ${this.currentUser.firstName}!`, 'success');
 
-      // Sync cart after login
-      this.syncCartWithBackend();
+      // The server merged this session's cart into the account cart
+      this.adoptServerCart(response.cart, response.cartAdjustments);
     } catch (error) {
       console.error('Login failed:', error);
       this.showNotification('Login failed. Please check your credentials.', 'error');
@@ -621,7 +914,8 @@ class NooblyStore {
         firstName: formData.get('firstName') || document.getElementById('registerFirstName').value,
         lastName: formData.get('lastName') || document.getElementById('registerLastName').value,
         email: formData.get('email') || document.getElementById('registerEmail').value,
-        password: formData.get('password') || document.getElementById('registerPassword').value
+        password: formData.get('password') || document.getElementById('registerPassword').value,
+        sessionId: this.cart.sessionId
       };
 
       const response = await this.apiRequest('/auth/register', {
@@ -635,7 +929,7 @@ class NooblyStore {
 
       this.closeAuthModal();
       this.updateUserInterface();
-      this.showNotification(`Welcome to NooblyJS Store, ${this.currentUser.firstName}!`, 'success');
+      this.showNotification(`Welcome to NooblyJS Store, ${this.currentUser.firstName}! Check your email to confirm your address.`, 'success');
 
       // Sync cart after registration
       this.syncCartWithBackend();
@@ -665,18 +959,12 @@ class NooblyStore {
 
   // Checkout process
   async handleCheckout() {
-    if (!this.currentUser) {
-      this.openAuthModal();
-      this.showNotification('Please login to continue with checkout.', 'info');
-      return;
-    }
-
     if (this.cart.items.length === 0) {
       this.showNotification('Your cart is empty.', 'error');
       return;
     }
 
-    if (!this.stripe) {
+    if (!this.stripe && !this.isSimulatedGateway()) {
       this.showNotification('Payment system is not available. Please try again later.', 'error');
       return;
     }
@@ -698,6 +986,14 @@ class NooblyStore {
       // Pre-fill shipping form if user data is available
       this.prefillShippingForm();
 
+      // Guests give an email instead of signing in
+      const guestContactSection = document.getElementById('guestContactSection');
+      if (guestContactSection) {
+        guestContactSection.classList.toggle('hidden', !!this.currentUser);
+      }
+
+      this.loadSavedPaymentMethods();
+
       modal.classList.add('active');
       overlay.classList.add('active');
       document.body.classList.add('modal-open');
@@ -717,6 +1013,9 @@ class NooblyStore {
       overlay.classList.remove('active');
       document.body.classList.remove('modal-open');
 
+      this.checkoutQuote = null;
+      this.paymentIntentId = null;
+
       // Clean up Stripe Elements
       if (this.stripeElements) {
         this.stripeElements = null;
@@ -736,11 +1035,12 @@ class NooblyStore {
 
     if (!checkoutItems) return;
 
-    // Calculate totals
-    const subtotal = this.cart.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    const tax = subtotal * 0.08; // 8% tax
-    const shipping = subtotal > 100 ? 0 : 10; // Free shipping over $100
-    const total = subtotal + tax + shipping;
+    // Totals come from the server quote once it has loaded
+    const quote = this.checkoutQuote;
+    const subtotal = quote ? quote.subtotal : this.cart.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    const tax = quote ? quote.taxAmount : 0;
+    const shipping = quote ? quote.shippingCost : 0;
+    const total = quote ? quote.totalAmount : subtotal;
 
     // Render cart items
     const itemsHTML = this.cart.items.map(item => `
@@ -777,33 +1077,89 @@ class NooblyStore {
     if (lastName && this.currentUser.lastName) {
       lastName.value = this.currentUser.lastName;
     }
+
+    this.loadSavedAddresses();
+  }
+
+  // Offer the address book at checkout, starting with the default shipping address
+  async loadSavedAddresses() {
+    const group = document.getElementById('savedAddressGroup');
+    const select = document.getElementById('savedAddressSelect');
+    if (!group || !select) return;
+
+    try {
+      const { addresses } = await this.apiRequest('/user/addresses');
+      this.savedAddresses = addresses || [];
+
+      select.innerHTML = '<option value="">Enter a new address</option>' + this.savedAddresses.map(address => `
+        <option value="${this.escapeHtml(address.id)}">${this.escapeHtml(address.label || `${address.address}, ${address.city}`)}</option>
+      `).join('');
+      group.classList.toggle('hidden', this.savedAddresses.length === 0);
+
+      const defaultAddress = this.savedAddresses.find(address => address.isDefaultShipping);
+      if (defaultAddress) {
+        select.value = defaultAddress.id;
+        this.fillShippingForm(defaultAddress);
+      }
+    } catch (error) {
+      console.error('Failed to load saved addresses:', error);
+    }
+  }
+
+  fillShippingForm(address) {
+    const fields = {
+      shippingFirstName: address.firstName,
+      shippingLastName: address.lastName,
+      shippingAddress: address.address,
+      shippingCity: address.city,
+      shippingState: address.state,
+      shippingZip: address.zipCode,
+      shippingCountry: address.country
+    };
+
+    Object.entries(fields).forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (input) input.value = value || '';
+    });
+  }
+
+  // The saved address in use, unless the customer has since edited the form
+  getSavedAddressId() {
+    return document.getElementById('savedAddressSelect')?.value || null;
   }
 
   // Initialize Stripe Elements
   async initializeStripeElements() {
-    if (!this.stripe) return;
+    if (!this.stripe && !this.isSimulatedGateway()) return;
 
     try {
-      // Calculate total amount for payment intent
-      const subtotal = this.cart.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-      const tax = subtotal * 0.08;
-      const shipping = subtotal > 100 ? 0 : 10;
-      const total = subtotal + tax + shipping;
+      await this.syncCartWithBackend();
+
+      // Hold stock for the cart while the customer pays
+      await this.apiRequest('/checkout/start', {
+        method: 'POST',
+        body: JSON.stringify({ sessionId: this.cart.sessionId })
+      });
+
+      // Discounts, shipping and tax are calculated by the server
+      const quote = await this.requestCheckoutQuote(this.getShippingAddressFromForm());
 
-      // Create payment intent
+      // Create payment intent for the quoted amount
       const response = await this.apiRequest('/payments/create-intent', {
         method: 'POST',
         body: JSON.stringify({
-          amount: total,
-          currency: 'usd',
-          metadata: {
-            sessionId: this.cart.sessionId,
-            userId: this.currentUser.id
-          }
+          quoteId: quote.quoteId,
+          signature: quote.signature
         })
       });
 
       this.clientSecret = response.clientSecret;
+      this.paymentIntentId = response.paymentIntentId;
+
+      if (this.isSimulatedGateway()) {
+        this.renderTestCardSelect();
+        return;
+      }
 
       // Create Stripe Elements
       const appearance = {
@@ -849,11 +1205,74 @@ class NooblyStore {
     }
   }
 
+  // The simulated gateway's test cards stand in for the card form
+  renderTestCardSelect() {
+    const container = document.getElementById('payment-element');
+    if (!container) return;
+
+    const cards = this.paymentConfig.testCards || [];
+    container.innerHTML = `
+      <div class="form-group">
+        <label for="testCardSelect">Test card</label>
+        <select id="testCardSelect" class="form-control">
+          ${cards.map(card => `
+            <option value="${card.token}">${card.brand.toUpperCase()} ending ${card.last4} (${card.outcome.replace(/_/g, ' ')})</option>
+          `).join('')}
+        </select>
+      </div>
+    `;
+  }
+
+  // Confirm the payment intent with the chosen test card, approving a
+  // 3D Secure challenge if the card asks for one
+  async confirmSimulatedPayment() {
+    const paymentMethod = document.getElementById('testCardSelect')?.value;
+    const confirmPath = `/payments/intents/${encodeURIComponent(this.paymentIntentId)}/confirm`;
+
+    let result = await this.apiRequest(confirmPath, {
+      method: 'POST',
+      body: JSON.stringify({ paymentMethod })
+    });
+
+    if (result.status === 'requires_action') {
+      const authenticated = window.confirm('Your bank asks you to approve this payment. Approve it?');
+      result = await this.apiRequest(confirmPath, {
+        method: 'POST',
+        body: JSON.stringify({ authenticated })
+      });
+    }
+
+    if (result.status !== 'succeeded') {
+      throw new Error(result.error || 'Payment was not completed');
+    }
+
+    return { id: result.paymentIntentId, status: result.status };
+  }
+
+  // Ask the server for a signed quote of the current cart
+  async requestCheckoutQuote(shippingAddress) {
+    const { quote } = await this.apiRequest('/checkout/quote', {
+      method: 'POST',
+      body: JSON.stringify({
+        sessionId: this.cart.sessionId,
+        shippingAddress,
+        shippingAddressId: this.getSavedAddressId() || undefined
+      })
+    });
+
+    this.checkoutQuote = quote;
+    this.populateCheckoutSummary();
+    return quote;
+  }
+
   // Handle payment form submission
   async handlePaymentSubmit(event) {
     event.preventDefault();
 
-    if (!this.stripe || !this.stripeElements || !this.clientSecret) {
+    const savedPaymentMethodId = this.getSavedPaymentMethodId();
+
+    const paymentReady = this.isSimulatedGateway() || (this.stripe && this.stripeElements);
+    if (!savedPaymentMethodId && (!paymentReady || !this.clientSecret)) {
       this.showNotification('Payment system not ready. Please try again.', 'error');
       return;
     }
@@ -875,42 +1294,76 @@ class NooblyStore {
         throw new Error('Please fill in all required shipping information');
       }
 
-      // Confirm payment with Stripe
-      const { error, paymentIntent } = await this.stripe.confirmPayment({
-        elements: this.stripeElements,
-        redirect: 'if_required'
+      const guestEmail = document.getElementById('guestEmail')?.value?.trim();
+      if (!this.currentUser && !guestEmail) {
+        throw new Error('Please enter your email address');
+      }
+
+      // Re-quote for the shipping address
+      const quote = await this.requestCheckoutQuote(shippingAddress);
+
+      // Saved cards are charged by the server, so there is nothing to confirm here
+      if (savedPaymentMethodId) {
+        const response = await this.apiRequest('/checkout/complete', {
+          method: 'POST',
+          body: JSON.stringify({
+            paymentMethodId: savedPaymentMethodId,
+            quoteId: quote.quoteId,
+            signature: quote.signature,
+            billingAddress: shippingAddress,
+            billingAddressId: this.getSavedAddressId() || undefined
+          })
+        });
+        this.finishCheckout(response.order);
+        return;
+      }
+
+      // Move the payment intent onto the new quote
+      await this.apiRequest('/payments/create-intent', {
+        method: 'POST',
+        body: JSON.stringify({
+          quoteId: quote.quoteId,
+          signature: quote.signature,
+          paymentIntentId: this.paymentIntentId,
+          savePaymentMethod: !!document.getElementById('savePaymentMethod')?.checked
+        })
       });
 
-      if (error) {
-        throw new Error(error.message);
+      let paymentIntent;
+      if (this.isSimulatedGateway()) {
+        paymentIntent = await this.confirmSimulatedPayment();
+      } else {
+        await this.stripeElements.fetchUpdates();
+
+        // Confirm payment with Stripe
+        const result = await this.stripe.confirmPayment({
+          elements: this.stripeElements,
+          redirect: 'if_required'
+        });
+
+        if (result.error) {
+          throw new Error(result.error.message);
+        }
+        paymentIntent = result.paymentIntent;
       }
 
       if (paymentIntent.status === 'succeeded') {
         // Payment successful, confirm order on backend
         const orderData = {
           paymentIntentId: paymentIntent.id,
-          items: this.cart.items.map(item => ({
-            productId: item.productId,
-            variantId: item.variantId,
-            quantity: item.quantity,
-            price: item.price
-          })),
-          shippingAddress,
-          billingAddress: shippingAddress // Use same as shipping for now
+          quoteId: quote.quoteId,
+          signature: quote.signature,
+          email: this.currentUser ? undefined : guestEmail,
+          billingAddress: shippingAddress, // Use same as shipping for now
+          billingAddressId: this.getSavedAddressId() || undefined
         };
 
-        const response = await this.apiRequest('/payments/confirm', {
+        const response = await this.apiRequest('/checkout/complete', {
           method: 'POST',
           body: JSON.stringify(orderData)
         });
 
-        // Clear cart and close modal
-        this.cart.items = [];
-        this.saveCart();
-        this.updateCartDisplay();
-        this.closeCheckoutModal();
-
-        this.showNotification(`Order placed successfully! Order number: ${response.order.orderNumber}`, 'success');
+        this.finishCheckout(response.order);
       }
 
     } catch (error) {
@@ -931,6 +1384,53 @@ class NooblyStore {
     }
   }
 
+  finishCheckout(order) {
+    // Clear cart and close modal
+    this.cart.items = [];
+    this.saveCart();
+    this.updateCartDisplay();
+    this.closeCheckoutModal();
+
+    this.showNotification(`Order placed successfully! Order number: ${order.orderNumber}`, 'success');
+  }
+
+  // Offer saved cards to signed-in customers, and to save a new one
+  async loadSavedPaymentMethods() {
+    const group = document.getElementById('savedPaymentGroup');
+    const select = document.getElementById('savedPaymentSelect');
+    const saveGroup = document.getElementById('savePaymentGroup');
+    if (!group || !select) return;
+
+    if (saveGroup) saveGroup.classList.toggle('hidden', !this.currentUser);
+    if (!this.currentUser) {
+      group.classList.add('hidden');
+      return;
+    }
+
+    try {
+      const { paymentMethods } = await this.apiRequest('/user/payment-methods');
+      const usable = (paymentMethods || []).filter(method => !method.expired);
+
+      select.innerHTML = '<option value="">A new card</option>' + usable.map(method => `
+        <option value="${method.id}">${method.brand.toUpperCase()} ending ${method.last4} (${String(method.expMonth).padStart(2, '0')}/${method.expYear})</option>
+      `).join('');
+      group.classList.toggle('hidden', usable.length === 0);
+      this.toggleNewCardFields();
+    } catch (error) {
+      console.error('Failed to load saved payment methods:', error);
+    }
+  }
+
+  getSavedPaymentMethodId() {
+    return document.getElementById('savedPaymentSelect')?.value || null;
+  }
+
+  toggleNewCardFields() {
+    const useSavedCard = !!this.getSavedPaymentMethodId();
+    document.getElementById('payment-element')?.classList.toggle('hidden', useSavedCard);
+    document.getElementById('savePaymentGroup')?.classList.toggle('hidden', useSavedCard || !this.currentUser);
+  }
+
   // Get shipping address from form
   getShippingAddressFromForm() {
     const firstName = document.getElementById('shippingFirstName')?.value?.trim();
@@ -1026,11 +1526,14 @@ class NooblyStore {
       <div class="product-card" onclick="app.viewProduct('${product.id}')">
         <div class="product-image">
           ${hasDiscount ? `<div class="product-badge sale">${discountPercent}% OFF</div>` : ''}
-          <i class="fas fa-image"></i>
+          ${product.primaryImageId
+            ? `<img src="${this.imageUrl(product.primaryImageId, 'medium')}" alt="${product.name}" loading="lazy">`
+            : '<i class="fas fa-image"></i>'}
         </div>
         <div class="product-info">
           <div class="product-category">${product.category}</div>
           <h3 class="product-name">${product.name}</h3>
+          ${this.renderRating(product.rating)}
           <p class="product-description">${product.description}</p>
           <div class="product-price">
             <span class="current-price">$${(product.salePrice || product.price).toFixed(2)}</span>
@@ -1143,6 +1646,7 @@ class NooblyStore {
       const response = await this.apiRequest(`/products/${productId}`);
       this.renderProductDetail(response);
       this.showPage('productDetail');
+      this.loadProductReviews(productId);
     } catch (error) {
       console.error('Failed to load product details:', error);
       this.showNotification('Failed to load product details', 'error');
@@ -1167,16 +1671,30 @@ class NooblyStore {
       const hasDiscount = product.salePrice && product.salePrice < product.price;
       const discountPercent = hasDiscount ? Math.round(((product.price - product.salePrice) / product.price) * 100) : 0;
 
+      const images = product.images || [];
+      const mainImage = images.find(image => image.isPrimary) || images[0];
+
       productDetail.innerHTML = `
         <div class="product-detail-container">
           <div class="product-images">
             <div class="main-image">
-              <i class="fas fa-image"></i>
+              ${mainImage
+                ? `<img id="mainProductImage" src="${this.imageUrl(mainImage.id, 'large')}" alt="${product.name}">`
+                : '<i class="fas fa-image"></i>'}
             </div>
+            ${images.length > 1 ? `
+              <div class="image-thumbnails">
+                ${images.map(image => `
+                  <img src="${this.imageUrl(image.id, 'thumbnail')}" alt="${product.name}" loading="lazy"
+                    class="${image === mainImage ? 'active' : ''}" data-image-id="${image.id}">
+                `).join('')}
+              </div>
+            ` : ''}
           </div>
           <div class="product-details">
             <div class="product-category">${product.category}</div>
             <h1>${product.name}</h1>
+            ${this.renderRating(product.rating)}
             <div class="product-price">
               <span class="current-price">$${(product.salePrice || product.price).toFixed(2)}</span>
               ${hasDiscount ? `
@@ -1201,7 +1719,295 @@ class NooblyStore {
             ${product.sku ? `<div class="product-sku">SKU: <strong>${product.sku}</strong></div>` : ''}
           </div>
         </div>
+        <div class="product-reviews">
+          <h2>Customer Reviews</h2>
+          <div id="productReviewList"></div>
+          ${this.currentUser ? `
+            <form id="reviewForm" class="review-form">
+              <h3>Write a review</h3>
+              <select name="rating" required>
+                <option value="">Rating</option>
+                ${[5, 4, 3, 2, 1].map(stars => `<option value="${stars}">${stars} star${stars > 1 ? 's' : ''}</option>`).join('')}
+              </select>
+              <input type="text" name="title" placeholder="Title (optional)" maxlength="120">
+              <textarea name="body" placeholder="What did you think?" required></textarea>
+              <input type="file" name="photos" accept="image/*" multiple>
+              <button type="submit" class="btn btn-primary">Submit Review</button>
+            </form>
+          ` : '<p><a href="#" onclick="app.openAuthModal()">Sign in</a> to write a review.</p>'}
+        </div>
       `;
+
+      // Thumbnails swap the main image
+      productDetail.querySelectorAll('.image-thumbnails img').forEach(thumbnail => {
+        thumbnail.addEventListener('click', () => {
+          document.getElementById('mainProductImage').src = this.imageUrl(thumbnail.dataset.imageId, 'large');
+          productDetail.querySelectorAll('.image-thumbnails img').forEach(other => {
+            other.classList.toggle('active', other === thumbnail);
+          });
+        });
+      });
+
+      const reviewForm = document.getElementById('reviewForm');
+      if (reviewForm) {
+        reviewForm.addEventListener('submit', (e) => {
+          e.preventDefault();
+          this.submitReview(product.id, reviewForm);
+        });
+      }
+    }
+  }
+
+  renderContentPage(item) {
+    const contentBody = document.getElementById('contentBody');
+    if (!contentBody) return;
+
+    const style = [
+      item.backgroundColor ? `background-color: ${item.backgroundColor}` : '',
+      item.textColor ? `color: ${item.textColor}` : ''
+    ].filter(Boolean).join('; ');
+
+    contentBody.innerHTML = `
+      ${item.preview ? `
+        <div class="content-preview-banner">
+          <i class="fas fa-eye"></i>
+          Preview of revision ${item.revision} (${item.state}). Customers do not see this version yet.
+        </div>
+      ` : ''}
+      ${item.blocks && item.blocks.length ? `
+        <div class="page-blocks" style="${style}">
+          ${item.blocks.map(block => this.renderBlock(block)).join('')}
+        </div>
+      ` : `
+        <article class="content-item content-${item.type}" style="${style}">
+          ${item.imageUrl ? `<img class="content-image" src="${item.imageUrl}" alt="${item.title}">` : ''}
+          <h1>${item.title}</h1>
+          <div class="content-body">${item.content}</div>
+          ${item.buttonText && item.buttonUrl ? `<a class="btn btn-primary" href="${item.buttonUrl}">${item.buttonText}</a>` : ''}
+        </article>
+      `}
+    `;
+  }
+
+  // Page blocks arrive with the products and categories they show in `data`
+  renderBlock(block) {
+    const heading = block.heading ? `<h2 class="block-heading">${block.heading}</h2>` : '';
+
+    switch (block.type) {
+      case 'hero':
+        return `
+          <section class="block block-hero align-${block.align}" ${block.imageUrl ? `style="background-image: url('${block.imageUrl}')"` : ''}>
+            <div class="block-hero-content">
+              <h1>${block.heading}</h1>
+              ${block.subheading ? `<p>${block.subheading}</p>` : ''}
+              ${block.buttonText ? `<a class="btn btn-primary" href="${block.buttonUrl}">${block.buttonText}</a>` : ''}
+            </div>
+          </section>
+        `;
+      case 'product_carousel':
+        if (!block.data.products.length) return '';
+        return `
+          <section class="block">
+            ${heading}
+            <div class="product-carousel">
+              ${block.data.products.map(product => this.createProductCard(product)).join('')}
+            </div>
+          </section>
+        `;
+      case 'rich_text':
+        return `
+          <section class="block">
+            ${heading}
+            <div class="content-body">${block.html}</div>
+          </section>
+        `;
+      case 'image_grid':
+        return `
+          <section class="block">
+            ${heading}
+            <div class="image-grid" style="--columns: ${block.columns}">
+              ${block.images.map(image => {
+                const img = `<img src="${image.imageUrl}" alt="${image.alt || ''}" loading="lazy">`;
+                return `
+                  <figure>
+                    ${image.linkUrl ? `<a href="${image.linkUrl}">${img}</a>` : img}
+                    ${image.caption ? `<figcaption>${image.caption}</figcaption>` : ''}
+                  </figure>
+                `;
+              }).join('')}
+            </div>
+          </section>
+        `;
+      case 'category_tiles':
+        if (!block.data.categories.length) return '';
+        return `
+          <section class="block">
+            ${heading}
+            <div class="categories-grid">
+              ${block.data.categories.map(category => `
+                <div class="category-card" onclick="app.filterByCategory('${category.name}')">
+                  ${category.imageUrl
+                    ? `<img class="category-tile-image" src="${category.imageUrl}" alt="${category.name}" loading="lazy">`
+                    : `<div class="category-icon"><i class="fas fa-${this.getCategoryIcon(category.name)}"></i></div>`}
+                  <h3>${category.name}</h3>
+                  ${category.productCount !== null ? `<p>${category.productCount} products</p>` : ''}
+                </div>
+              `).join('')}
+            </div>
+          </section>
+        `;
+      default:
+        return '';
+    }
+  }
+
+  menuLinkAttributes(item) {
+    return [
+      `href="${item.url}"`,
+      `data-menu-type="${item.type}"`,
+      item.slug ? `data-slug="${item.slug}"` : '',
+      item.categoryName ? `data-category="${item.categoryName}"` : '',
+      item.productId ? `data-product-id="${item.productId}"` : '',
+      item.openInNewTab ? 'target="_blank" rel="noopener"' : ''
+    ].filter(Boolean).join(' ');
+  }
+
+  // The main menu replaces the built-in header links. Children open in a
+  // dropdown, and are indented in the mobile menu.
+  renderMainMenu(menu) {
+    const nav = document.getElementById('mainNav');
+    const mobileNav = document.getElementById('mobileNav');
+
+    if (nav) {
+      nav.innerHTML = menu.items.map(item => item.children.length ? `
+        <div class="nav-dropdown">
+          <a class="nav-link" ${this.menuLinkAttributes(item)}>${item.label} <i class="fas fa-chevron-down"></i></a>
+          <div class="nav-dropdown-menu">
+            ${item.children.map(child => `<a class="nav-dropdown-link" ${this.menuLinkAttributes(child)}>${child.label}</a>`).join('')}
+          </div>
+        </div>
+      ` : `<a class="nav-link" ${this.menuLinkAttributes(item)}>${item.label}</a>`).join('');
+    }
+
+    if (mobileNav) {
+      mobileNav.querySelectorAll('.mobile-nav-link[data-page]').forEach(link => link.remove());
+      mobileNav.insertAdjacentHTML('afterbegin', menu.items.map(item => `
+        <a class="mobile-nav-link" ${this.menuLinkAttributes(item)}>${item.label}</a>
+        ${item.children.map(child => `<a class="mobile-nav-link mobile-nav-sublink" ${this.menuLinkAttributes(child)}>${child.label}</a>`).join('')}
+      `).join(''));
+    }
+  }
+
+  // The footer menu replaces the built-in link columns. Each item with
+  // children becomes a column; items without children share a column
+  // named after the menu.
+  renderFooterMenu(menu) {
+    const defaults = document.querySelectorAll('.footer-section[data-default-menu]');
+    if (!defaults.length) return;
+
+    const columns = menu.items
+      .filter(item => item.children.length)
+      .map(item => ({ title: item.label, links: item.children }));
+    const loose = menu.items.filter(item => !item.children.length);
+    if (loose.length) {
+      columns.unshift({ title: menu.name, links: loose });
+    }
+
+    defaults[0].insertAdjacentHTML('beforebegin', columns.map(column => `
+      <div class="footer-section">
+        <h3>${column.title}</h3>
+        <ul class="footer-links">
+          ${column.links.map(link => `<li><a class="footer-link" ${this.menuLinkAttributes(link)}>${link.label}</a></li>`).join('')}
+        </ul>
+      </div>
+    `).join(''));
+    defaults.forEach(section => section.remove());
+  }
+
+  // Shopper-written text is escaped before it goes into markup
+  escapeHtml(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value ?? '').replace(/[&<>"']/g, char => entities[char]);
+  }
+
+  // Product images are served at thumbnail, medium, large and original sizes
+  imageUrl(imageId, size) {
+    return `${this.apiBase}/images/${imageId}/${size}`;
+  }
+
+  renderRating(rating, showCount = true) {
+    if (!rating || !rating.reviewCount) return '';
+
+    const stars = [1, 2, 3, 4, 5].map(star => {
+      if (rating.averageRating >= star) return '<i class="fas fa-star"></i>';
+      if (rating.averageRating >= star - 0.5) return '<i class="fas fa-star-half-alt"></i>';
+      return '<i class="far fa-star"></i>';
+    }).join('');
+
+    return `
+      <div class="product-rating" title="${rating.averageRating} out of 5">
+        ${stars}
+        ${showCount ? `<span class="review-count">(${rating.reviewCount})</span>` : ''}
+      </div>
+    `;
+  }
+
+  async loadProductReviews(productId) {
+    const reviewList = document.getElementById('productReviewList');
+    if (!reviewList) return;
+
+    try {
+      const response = await fetch(`${this.apiBase}/products/${productId}/reviews?limit=20`);
+      const data = await response.json();
+
+      if (!data.reviews || data.reviews.length === 0) {
+        reviewList.innerHTML = '<p>No reviews yet.</p>';
+        return;
+      }
+
+      reviewList.innerHTML = data.reviews.map(review => `
+        <div class="review">
+          ${this.renderRating({ averageRating: review.rating, reviewCount: 1 }, false)}
+          ${review.title ? `<h4>${this.escapeHtml(review.title)}</h4>` : ''}
+          <div class="review-meta">
+            ${this.escapeHtml(review.displayName)} &middot; ${new Date(review.createdAt).toLocaleDateString()}
+            ${review.verifiedPurchase ? '<span class="verified-purchase"><i class="fas fa-check-circle"></i> Verified Purchase</span>' : ''}
+          </div>
+          <p>${this.escapeHtml(review.body)}</p>
+          ${review.photos.length > 0 ? `
+            <div class="review-photos">
+              ${review.photos.map(photo => `<img src="${this.apiBase}/reviews/${review.id}/photos/${photo.id}" alt="Review photo" loading="lazy">`).join('')}
+            </div>
+          ` : ''}
+          ${review.reply ? `<div class="review-reply"><strong>Store reply:</strong> ${this.escapeHtml(review.reply.body)}</div>` : ''}
+        </div>
+      `).join('');
+    } catch (error) {
+      console.error('Failed to load reviews:', error);
+    }
+  }
+
+  // Photos are sent as multipart form data, so this bypasses apiRequest's JSON headers
+  async submitReview(productId, form) {
+    try {
+      this.showLoading();
+      const response = await fetch(`${this.apiBase}/products/${productId}/reviews`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${this.currentUser.token}` },
+        body: new FormData(form)
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to submit review');
+      }
+
+      form.reset();
+      this.showNotification(data.message, 'success');
+    } catch (error) {
+      this.showNotification(error.message, 'error');
+    } finally {
+      this.hideLoading();
     }
   }
 
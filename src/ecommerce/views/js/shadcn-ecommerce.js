@@ -922,7 +922,9 @@ class NooblyStore {
       // Initialize Stripe if needed
       if (window.Stripe) {
         const config = await this.apiRequest('/payments/config');
-        this.stripe = Stripe(config.publishableKey);
+        if (config.publishableKey) {
+          this.stripe = Stripe(config.publishableKey);
+        }
       }
     } catch (error) {
       console.warn('Stripe initialization failed:', error);
@@ -24,6 +24,41 @@ class DeliveryModule {
     this.cache = services.cache;
     this.queue = services.queue;
     this.workflow = services.workflow;
+    // Storage keys of the records this module has written, by container and record id
+    this.storageKeys = new Map();
+  }
+
+  // =================== RECORD STORAGE ===================
+
+  /**
+   * Find a record by its id
+   * @param {string} container - Container name
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>} Latest stored version of the record
+   */
+  async findRecord(container, id) {
+    const records = await this.dataServe.jsonFind(container, record => record.id === id);
+    return records.reduce((latest, record) =>
+      !latest || record.updatedAt > latest.updatedAt ? record : latest, null);
+  }
+
+  /**
+   * Store a record, replacing the version this module stored before.
+   * DataServe has no update, so the old entry is removed and the record added again.
+   * @param {string} container - Container name
+   * @param {Object} record - Record to store
+   * @returns {Promise<string>} Storage key
+   */
+  async saveRecord(container, record) {
+    const indexKey = `${container}:${record.id}`;
+    const storageKey = this.storageKeys.get(indexKey);
+    if (storageKey) {
+      await this.dataServe.remove(container, storageKey);
+    }
+
+    const savedKey = await this.dataServe.add(container, record);
+    this.storageKeys.set(indexKey, savedKey);
+    return savedKey;
   }
 
   // =================== CARRIER MANAGEMENT ===================
@@ -105,9 +140,7 @@ class DeliveryModule {
       } = shipmentRequirements;
 
       // Get available carriers
-      const carriers = await this.dataServe.jsonFind('carriers', {
-        predicate: `obj.status === 'active'`
-      });
+      const carriers = await this.dataServe.jsonFind('carriers', carrier => carrier.status === 'active');
 
       if (carriers.length === 0) {
         throw new Error('No active carriers available');
@@ -285,7 +318,7 @@ class DeliveryModule {
   /**
    * Create shipment for order
    * @param {Object} shipmentData - Shipment data
-   * @returns {Promise<string>} Shipment UUID
+   * @returns {Promise<string>} Shipment ID
    */
   async createShipment(shipmentData) {
     try {
@@ -335,7 +368,8 @@ class DeliveryModule {
         updatedAt: new Date().toISOString()
       };
 
-      const shipmentId = await this.dataServe.add('shipments', shipment);
+      await this.saveRecord('shipments', shipment);
+      const shipmentId = shipment.id;
 
       // Generate shipping labels
       if (shipmentData.generateLabels) {
@@ -359,15 +393,11 @@ class DeliveryModule {
    */
   async generateShippingLabels(shipmentId) {
     try {
-      const shipments = await this.dataServe.jsonFind('shipments', {
-        predicate: `obj.id === '${shipmentId}'`
-      });
+      const shipment = await this.findRecord('shipments', shipmentId);
 
-      if (shipments.length === 0) {
+      if (!shipment) {
         throw new Error(`Shipment not found: ${shipmentId}`);
       }
-
-      const shipment = shipments[0];
       const labels = [];
 
       // Generate tracking numbers and labels for each package
@@ -402,12 +432,7 @@ class DeliveryModule {
         updatedAt: new Date().toISOString()
       };
 
-      // Find and update shipment
-      const allShipments = await this.dataServe.list('shipments');
-      const shipmentEntry = allShipments.find(entry => entry.data.id === shipmentId);
-      if (shipmentEntry) {
-        await this.dataServe.add('shipments', updatedShipment, shipmentEntry.id);
-      }
+      await this.saveRecord('shipments', updatedShipment);
 
       // Store labels
       await this.services.filing.write(`labels/${shipmentId}.json`, JSON.stringify(labels, null, 2));
@@ -463,16 +488,12 @@ class DeliveryModule {
    */
   async updateShipmentTracking(shipmentId, trackingUpdate) {
     try {
-      const shipments = await this.dataServe.jsonFind('shipments', {
-        predicate: `obj.id === '${shipmentId}'`
-      });
+      const shipment = await this.findRecord('shipments', shipmentId);
 
-      if (shipments.length === 0) {
+      if (!shipment) {
         throw new Error(`Shipment not found: ${shipmentId}`);
       }
 
-      const shipment = shipments[0];
-
       // Create tracking event
       const trackingEvent = {
         id: uuidv4(),
@@ -500,12 +521,7 @@ class DeliveryModule {
         updatedShipment.actualDeliveryDate = trackingEvent.timestamp;
       }
 
-      // Find and update shipment
-      const allShipments = await this.dataServe.list('shipments');
-      const shipmentEntry = allShipments.find(entry => entry.data.id === shipmentId);
-      if (shipmentEntry) {
-        await this.dataServe.add('shipments', updatedShipment, shipmentEntry.id);
-      }
+      await this.saveRecord('shipments', updatedShipment);
 
       // Cache tracking for quick access
       await this.cache.put(`tracking:${shipmentId}`, updatedShipment.tracking);
@@ -544,7 +560,7 @@ class DeliveryModule {
   /**
    * Create return authorization (RMA)
    * @param {Object} returnData - Return request data
-   * @returns {Promise<string>} RMA UUID
+   * @returns {Promise<string>} RMA ID
    */
   async createReturnAuthorization(returnData) {
     try {
@@ -575,11 +591,19 @@ class DeliveryModule {
         updatedAt: new Date().toISOString()
       };
 
-      const rmaId = await this.dataServe.add('returns', rma);
+      await this.saveRecord('returns', rma);
+      const rmaId = rma.id;
 
       // Generate return shipping label if needed
       if (rma.returnMethod === 'ship_back') {
-        await this.generateReturnShippingLabel(rmaId);
+        try {
+          await this.generateReturnShippingLabel(rmaId);
+        } catch (error) {
+          // An RMA the customer has no label for is not kept
+          await this.dataServe.remove('returns', this.storageKeys.get(`returns:${rmaId}`));
+          this.storageKeys.delete(`returns:${rmaId}`);
+          throw error;
+        }
       }
 
       this.eventEmitter.emit('rma.created', { rmaId, rma });
@@ -610,16 +634,12 @@ class DeliveryModule {
    */
   async generateReturnShippingLabel(rmaId) {
     try {
-      const returns = await this.dataServe.jsonFind('returns', {
-        predicate: `obj.id === '${rmaId}'`
-      });
+      const rma = await this.findRecord('returns', rmaId);
 
-      if (returns.length === 0) {
+      if (!rma) {
         throw new Error(`RMA not found: ${rmaId}`);
       }
 
-      const rma = returns[0];
-
       // Create return shipment
       const returnShipment = {
         id: uuidv4(),
@@ -655,12 +675,7 @@ class DeliveryModule {
         updatedAt: new Date().toISOString()
       };
 
-      // Find and update RMA
-      const allReturns = await this.dataServe.list('returns');
-      const rmaEntry = allReturns.find(entry => entry.data.id === rmaId);
-      if (rmaEntry) {
-        await this.dataServe.add('returns', updatedRMA, rmaEntry.id);
-      }
+      await this.saveRecord('returns', updatedRMA);
 
       this.eventEmitter.emit('return.label.generated', { rmaId, returnShipment });
       this.logger.info(`Return label generated: ${rma.rmaNumber} - ${returnShipment.trackingNumber}`);
@@ -680,16 +695,12 @@ class DeliveryModule {
    */
   async processReceivedReturn(rmaId, receivingData) {
     try {
-      const returns = await this.dataServe.jsonFind('returns', {
-        predicate: `obj.id === '${rmaId}'`
-      });
+      const rma = await this.findRecord('returns', rmaId);
 
-      if (returns.length === 0) {
+      if (!rma) {
         throw new Error(`RMA not found: ${rmaId}`);
       }
 
-      const rma = returns[0];
-
       // Inspect received items
       const inspectionResults = [];
       let totalRefund = 0;
@@ -763,23 +774,9 @@ class DeliveryModule {
         updatedAt: new Date().toISOString()
       };
 
-      // Find and update RMA
-      const allReturns = await this.dataServe.list('returns');
-      const rmaEntry = allReturns.find(entry => entry.data.id === rmaId);
-      if (rmaEntry) {
-        await this.dataServe.add('returns', updatedRMA, rmaEntry.id);
-      }
-
-      // Queue refund processing
-      if (totalRefund > 0) {
-        await this.queue.push('refund_queue', {
-          rmaId,
-          customerId: rma.customer.id,
-          refundAmount: totalRefund,
-          type: 'process_refund'
-        });
-      }
+      await this.saveRecord('returns', updatedRMA);
 
+      // The refund is issued by whoever handles return.processed, e.g. the storefront's return service
       this.eventEmitter.emit('return.processed', { rmaId, rma: updatedRMA, inspectionResults });
       this.logger.info(`Return processed: ${rma.rmaNumber} - $${totalRefund} refund`);
 
@@ -834,12 +831,8 @@ class DeliveryModule {
       const cutoffIso = cutoffDate.toISOString();
 
       // Get shipments in period
-      let predicate = `obj.createdAt >= '${cutoffIso}'`;
-      if (filters.carrierId) {
-        predicate += ` && obj.carrierId === '${filters.carrierId}'`;
-      }
-
-      const shipments = await this.dataServe.jsonFind('shipments', { predicate });
+      const shipments = await this.dataServe.jsonFind('shipments', shipment =>
+        shipment.createdAt >= cutoffIso && (!filters.carrierId || shipment.carrierId === filters.carrierId));
 
       const report = {
         generatedAt: new Date().toISOString(),
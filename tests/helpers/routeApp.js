@@ -0,0 +1,55 @@
+/**
+ * Builds an Express app with the eCommerce routes mounted on in-memory
+ * services, for route tests
+ */
+
+const { EventEmitter } = require('events');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const registerRoutes = require('../../src/ecommerce/routes');
+const SimulatedGateway = require('../../src/ecommerce/services/simulatedGateway');
+
+function createRouteApp() {
+  const containers = {};
+  let nextKey = 1;
+  const container = (name) => containers[name] || (containers[name] = new Map());
+  const cached = new Map();
+
+  const services = {
+    dataServe: {
+      add: jest.fn(async (name, record) => {
+        const key = `key-${nextKey++}`;
+        container(name).set(key, record);
+        return key;
+      }),
+      getByUuid: jest.fn(async (name, key) => container(name).get(key) || null),
+      remove: jest.fn(async (name, key) => container(name).delete(key)),
+      jsonFind: jest.fn(async (name, predicate) => [...container(name).values()].filter(predicate)),
+      jsonFindByPath: jest.fn(async (name, path, value) =>
+        [...container(name).values()].filter(record => record[path] === value))
+    },
+    cache: {
+      get: jest.fn(async (key) => cached.get(key)),
+      put: jest.fn(async (key, value) => cached.set(key, value)),
+      delete: jest.fn(async (key) => cached.delete(key))
+    },
+    logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+    notifying: { notify: jest.fn() },
+    jobProcessor: { addJob: jest.fn(async () => `job-${nextKey++}`) }
+  };
+  services.paymentGateway = new SimulatedGateway(services, { webhookSecret: 'test-webhook-secret' });
+
+  const app = express();
+  app.use(express.json());
+  registerRoutes({ express: app }, new EventEmitter(), services);
+
+  // Store a user and return the Authorization header that signs them in
+  const signIn = (user) => {
+    container('users').set(user.id, { status: 'active', ...user });
+    return `Bearer ${jwt.sign({ userId: user.id }, 'ecommerce-secret-key')}`;
+  };
+
+  return { app, services, container, signIn, base: '/applications/ecommerce/api' };
+}
+
+module.exports = { createRouteApp };
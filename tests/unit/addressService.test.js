@@ -0,0 +1,113 @@
+/**
+ * Unit tests for AddressService
+ */
+
+const AddressService = require('../../src/ecommerce/services/addressService');
+
+describe('AddressService', () => {
+  let addressService;
+  let mockServices;
+  let containers;
+
+  const home = {
+    label: 'Home', firstName: 'Ada', lastName: 'Lovelace', address: '1 Main St',
+    city: 'Springfield', state: 'il', zipCode: '627019876', country: 'us'
+  };
+  const office = {
+    label: 'Office', firstName: 'Ada', lastName: 'Lovelace', address: '10 Downing St',
+    city: 'London', zipCode: 'sw1a2aa', country: 'GB'
+  };
+
+  beforeEach(() => {
+    containers = { addresses: new Map() };
+    let nextKey = 1;
+
+    mockServices = {
+      dataServe: {
+        add: jest.fn(async (container, record) => {
+          const key = `key-${nextKey++}`;
+          containers[container].set(key, record);
+          return key;
+        }),
+        getByUuid: jest.fn(async (container, key) => containers[container].get(key) || null),
+        remove: jest.fn(async (container, key) => containers[container].delete(key)),
+        jsonFind: jest.fn(async (container, predicate) => [...containers[container].values()].filter(predicate)),
+        jsonFindByPath: jest.fn(async (container, path, value) =>
+          [...containers[container].values()].filter(record => record[path] === value))
+      },
+      logger: {
+        info: jest.fn(),
+        error: jest.fn()
+      }
+    };
+
+    addressService = new AddressService(mockServices);
+  });
+
+  describe('normalizeAddress', () => {
+    it('should format postal codes and states by country', () => {
+      expect(addressService.normalizeAddress(home)).toMatchObject({ zipCode: '62701-9876', state: 'IL', country: 'US' });
+      expect(addressService.normalizeAddress(office)).toMatchObject({ zipCode: 'SW1A 2AA', state: '' });
+      expect(addressService.normalizeAddress({ ...home, country: 'CA', state: 'on', zipCode: 'k1a0b1' }))
+        .toMatchObject({ zipCode: 'K1A 0B1', state: 'ON' });
+      expect(addressService.normalizeAddress({ ...office, country: 'NZ', zipCode: '6011' })).toMatchObject({ zipCode: '6011' });
+    });
+
+    it('should reject invalid postal codes and missing fields', () => {
+      expect(() => addressService.normalizeAddress({ ...home, zipCode: '1234' })).toThrow('valid ZIP code');
+      expect(() => addressService.normalizeAddress({ ...home, state: '' })).toThrow('State is required');
+      expect(() => addressService.normalizeAddress({ ...home, country: 'CA', state: 'XX', zipCode: 'K1A0B1' }))
+        .toThrow('province code');
+      expect(() => addressService.normalizeAddress({ ...office, zipCode: '12345' })).toThrow('valid postcode');
+      expect(() => addressService.normalizeAddress({ ...home, city: ' ' })).toThrow('city');
+      expect(() => addressService.normalizeAddress({ ...home, country: 'USA' })).toThrow('two-letter');
+    });
+  });
+
+  describe('defaults', () => {
+    it('should make the first address the default and move defaults between addresses', async () => {
+      const first = await addressService.createAddress('ada', home);
+      expect(first).toMatchObject({ isDefaultShipping: true, isDefaultBilling: true });
+
+      const second = await addressService.createAddress('ada', { ...office, isDefaultShipping: true });
+      expect(second).toMatchObject({ isDefaultShipping: true, isDefaultBilling: false });
+      await expect(addressService.getAddress('ada', first.id))
+        .resolves.toMatchObject({ isDefaultShipping: false, isDefaultBilling: true });
+
+      const addresses = await addressService.listAddresses('ada');
+      expect(addresses.map(address => address.label)).toEqual(['Office', 'Home']);
+    });
+
+    it('should hand the defaults on when a default address is deleted', async () => {
+      const first = await addressService.createAddress('ada', home);
+      const second = await addressService.createAddress('ada', office);
+
+      await addressService.deleteAddress('ada', first.id);
+
+      await expect(addressService.getDefaultAddress('ada', 'billing')).resolves.toMatchObject({ id: second.id });
+      await expect(addressService.getDefaultAddress('ada')).resolves.toMatchObject({ id: second.id });
+    });
+  });
+
+  describe('ownership and snapshots', () => {
+    it('should not expose other users\' addresses', async () => {
+      const address = await addressService.createAddress('ada', home);
+
+      await expect(addressService.getAddress('bob', address.id)).rejects.toMatchObject({ status: 404 });
+      await expect(addressService.updateAddress('bob', address.id, { city: 'Paris' })).rejects.toMatchObject({ status: 404 });
+      await expect(addressService.deleteAddress('bob', address.id)).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('should snapshot an address so later edits do not change it', async () => {
+      const address = await addressService.createAddress('ada', home);
+      const snapshot = await addressService.getSnapshot('ada', address.id);
+
+      await addressService.updateAddress('ada', address.id, { city: 'Chicago' }, address.version);
+
+      expect(snapshot).toMatchObject({ addressId: address.id, city: 'Springfield', zipCode: '62701-9876' });
+      expect(snapshot).not.toHaveProperty('userId');
+      await expect(addressService.updateAddress('ada', address.id, { city: 'Peoria' }, address.version))
+        .rejects.toMatchObject({ status: 409 });
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Unit tests for CartRecoveryService
+ */
+
+const CartRecoveryService = require('../../src/ecommerce/services/cartRecoveryService');
+
+describe('CartRecoveryService', () => {
+  let cartRecoveryService;
+  let mockServices;
+  let containers;
+
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+  const putCart = (id, fields) => {
+    containers.carts.set(id, {
+      id,
+      sessionId: `session-${id}`,
+      userId: 'user-1',
+      items: [{ productId: 'p1', quantity: 2 }],
+      couponCodes: [],
+      status: 'active',
+      version: 1,
+      updatedAt: minutesAgo(90),
+      ...fields
+    });
+  };
+
+  beforeEach(() => {
+    containers = {
+      products: new Map(),
+      promotions: new Map(),
+      users: new Map(),
+      carts: new Map(),
+      inventory: new Map(),
+      inventory_reservations: new Map(),
+      analytics: new Map()
+    };
+    let nextKey = 1;
+
+    containers.products.set('p1', { name: 'Lamp', price: 40, status: 'active' });
+    containers.users.set('user-1', { id: 'user-1', email: 'jane@example.com', firstName: 'Jane' });
+    containers.users.set('user-2', { id: 'user-2', firstName: 'No Email' });
+
+    mockServices = {
+      dataServe: {
+        add: jest.fn(async (container, record) => {
+          const key = `key-${nextKey++}`;
+          containers[container].set(key, record);
+          return key;
+        }),
+        getByUuid: jest.fn(async (container, key) => containers[container].get(key) || null),
+        remove: jest.fn(async (container, key) => containers[container].delete(key)),
+        jsonFind: jest.fn(async (container, predicate) => [...containers[container].values()].filter(predicate)),
+        jsonFindByPath: jest.fn(async (container, path, value) =>
+          [...containers[container].values()].filter(record => record[path] === value))
+      },
+      logger: {
+        info: jest.fn(),
+        error: jest.fn()
+      }
+    };
+
+    cartRecoveryService = new CartRecoveryService(mockServices, { secret: 'test-secret', idleMinutes: 60 });
+  });
+
+  describe('findAbandonedCarts', () => {
+    it('should only pick idle, non-empty carts of users with an email', async () => {
+      putCart('idle');
+      putCart('recent', { updatedAt: minutesAgo(10) });
+      putCart('empty', { items: [] });
+      putCart('anonymous', { userId: null });
+      putCart('no-email', { userId: 'user-2' });
+      putCart('ordered', { status: 'merged' });
+      putCart('ancient', { updatedAt: minutesAgo(30 * 24 * 60) });
+
+      const abandoned = await cartRecoveryService.findAbandonedCarts();
+
+      expect(abandoned.map(entry => entry.cart.id)).toEqual(['idle']);
+      expect(abandoned[0].user.email).toBe('jane@example.com');
+    });
+
+    it('should email a cart once per version', async () => {
+      putCart('idle');
+      const [{ cart, user }] = await cartRecoveryService.findAbandonedCarts();
+
+      const email = await cartRecoveryService.prepareReminder(cart, user);
+
+      expect(email).toMatchObject({ type: 'abandoned_cart', recipientEmail: 'jane@example.com', cartValue: 80 });
+      expect(email.restoreUrl).toContain('?restoreCart=');
+      expect(await cartRecoveryService.findAbandonedCarts()).toHaveLength(0);
+
+      putCart('idle', { version: 2 });
+      expect(await cartRecoveryService.findAbandonedCarts()).toHaveLength(1);
+    });
+  });
+
+  describe('restore tokens', () => {
+    it('should reject tampered and expired tokens', () => {
+      const cart = { id: 'idle', userId: 'user-1' };
+      const token = cartRecoveryService.createRestoreToken(cart);
+      const [, signature] = token.split('.');
+      const forged = Buffer.from(JSON.stringify({ cartId: 'other', userId: 'user-1', expiresAt: '2999-01-01' }))
+        .toString('base64url');
+
+      expect(cartRecoveryService.verifyRestoreToken(token)).toMatchObject({ cartId: 'idle', userId: 'user-1' });
+      expect(() => cartRecoveryService.verifyRestoreToken(`${forged}.${signature}`)).toThrow('Restore link is invalid');
+
+      const expired = cartRecoveryService.createRestoreToken(cart, new Date(Date.now() - 8 * 24 * 60 * 60 * 1000));
+      expect(() => cartRecoveryService.verifyRestoreToken(expired)).toThrow('Restore link has expired');
+    });
+
+    it('should move the cart into the new session', async () => {
+      putCart('idle');
+      const token = cartRecoveryService.createRestoreToken(containers.carts.get('idle'));
+
+      const { cart } = await cartRecoveryService.restoreCart(token, 'new-session');
+
+      expect(cart).toMatchObject({ id: 'idle', sessionId: 'new-session' });
+    });
+  });
+
+  describe('recordRecovery', () => {
+    it('should attribute the order once to the emailed cart', async () => {
+      putCart('idle');
+      const [{ cart, user }] = await cartRecoveryService.findAbandonedCarts();
+      await cartRecoveryService.prepareReminder(cart, user);
+
+      const order = { id: 'order-1', orderNumber: 'ORD-1', userId: 'user-1', totalAmount: 96.4 };
+      await expect(cartRecoveryService.recordRecovery(cart, order)).resolves.toMatchObject({
+        event: 'cart_recovered',
+        data: { orderId: 'order-1', revenue: 96.4 }
+      });
+      await expect(cartRecoveryService.recordRecovery(cart, { ...order, id: 'order-2' })).resolves.toBeNull();
+
+      await expect(cartRecoveryService.getSummary()).resolves.toMatchObject({
+        emailsSent: 1,
+        ordersRecovered: 1,
+        recoveredRevenue: 96.4,
+        recoveryRate: 100
+      });
+    });
+  });
+});
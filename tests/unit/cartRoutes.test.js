@@ -0,0 +1,52 @@
+/**
+ * Route tests for changing cart lines
+ */
+
+const request = require('supertest');
+const { createRouteApp } = require('../helpers/routeApp');
+
+describe('Cart routes', () => {
+  let app;
+  let base;
+
+  beforeEach(async () => {
+    const routeApp = createRouteApp();
+    ({ app, base } = routeApp);
+
+    routeApp.container('products').set('lamp', { id: 'lamp', name: 'Desk Lamp', price: 40, category: 'Lighting', status: 'active' });
+    routeApp.container('inventory').set('inv-lamp', { id: 'inv-lamp', productId: 'lamp', quantity: 10, reserved: 0 });
+
+    await request(app).post(`${base}/cart/add`).send({ sessionId: 's1', productId: 'lamp', quantity: 1 }).expect(200);
+  });
+
+  it('should find lines of products without variants when variantId is left out', async () => {
+    const updated = await request(app).put(`${base}/cart/update`).send({ sessionId: 's1', productId: 'lamp', quantity: 3 });
+    expect(updated.status).toBe(200);
+    expect(updated.body.cart.items).toEqual([expect.objectContaining({ productId: 'lamp', variantId: null, quantity: 3 })]);
+
+    const tooMany = await request(app).put(`${base}/cart/update`).send({ sessionId: 's1', productId: 'lamp', quantity: 11 });
+    expect(tooMany.status).toBe(409);
+
+    const removed = await request(app).delete(`${base}/cart/remove`).send({ sessionId: 's1', productId: 'lamp' });
+    expect(removed.status).toBe(200);
+    expect(removed.body.cart.items).toEqual([]);
+  });
+
+  it('should only take quantities that are whole numbers above zero', async () => {
+    for (const quantity of [-12, 0, 1.5, 'two', null]) {
+      const added = await request(app).post(`${base}/cart/add`).send({ sessionId: 's1', productId: 'lamp', quantity });
+      expect(added.status).toBe(400);
+      const updated = await request(app).put(`${base}/cart/update`).send({ sessionId: 's1', productId: 'lamp', quantity });
+      expect(updated.status).toBe(400);
+    }
+
+    await request(app).post(`${base}/cart/add`).send({ sessionId: 's1', productId: 'lamp', quantity: '2' }).expect(200);
+    const added = await request(app).post(`${base}/cart/add`).send({ sessionId: 's1', productId: 'lamp', quantity: '2' });
+    expect(added.body.cart.items).toEqual([expect.objectContaining({ productId: 'lamp', quantity: 5 })]);
+  });
+
+  it('should answer unknown lines with 404', async () => {
+    const response = await request(app).put(`${base}/cart/update`).send({ sessionId: 's1', productId: 'lamp', variantId: 'blue', quantity: 2 });
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit tests for CartService
+ */
+
+const CartService = require('../../src/ecommerce/services/cartService');
+
+describe('CartService', () => {
+  let cartService;
+  let mockServices;
+  let containers;
+
+  const createInventory = (productId, quantity) => {
+    containers.inventory.set(`inv-${productId}`, { id: `inv-${productId}`, productId, quantity, reserved: 0, available: quantity });
+  };
+
+  beforeEach(() => {
+    containers = { carts: new Map(), saved_items: new Map(), inventory: new Map(), inventory_reservations: new Map() };
+    let nextKey = 1;
+
+    mockServices = {
+      dataServe: {
+        add: jest.fn(async (container, record) => {
+          const key = `key-${nextKey++}`;
+          containers[container].set(key, record);
+          return key;
+        }),
+        getByUuid: jest.fn(async (container, key) => containers[container].get(key) || null),
+        remove: jest.fn(async (container, key) => containers[container].delete(key)),
+        jsonFind: jest.fn(async (container, predicate) => [...containers[container].values()].filter(predicate)),
+        jsonFindByPath: jest.fn(async (container, path, value) =>
+          [...containers[container].values()].filter(record => record[path] === value))
+      },
+      logger: {
+        info: jest.fn(),
+        error: jest.fn()
+      }
+    };
+
+    cartService = new CartService(mockServices);
+  });
+
+  describe('saveCart', () => {
+    it('should persist a new cart and find it by session', async () => {
+      await cartService.saveCart({ sessionId: 's1', items: [{ productId: 'p1', quantity: 1 }] });
+
+      const cart = await cartService.getCart('s1');
+
+      expect(cart).toEqual(expect.objectContaining({ sessionId: 's1', userId: null, status: 'active', version: 1 }));
+      expect(cart.items).toHaveLength(1);
+    });
+  });
+
+  describe('mergeOnLogin', () => {
+    it('should sum quantities into the user cart and cap them at available stock', async () => {
+      createInventory('p1', 5);
+      createInventory('p2', 10);
+      await cartService.saveCart({ sessionId: 'old-session', userId: 'user-1', items: [{ productId: 'p1', quantity: 3 }] });
+      await cartService.saveCart({
+        sessionId: 'anon',
+        items: [{ productId: 'p1', quantity: 4, name: 'Lamp' }, { productId: 'p2', quantity: 2 }],
+        couponCodes: ['SAVE10']
+      });
+
+      const { cart, adjustments } = await cartService.mergeOnLogin('anon', 'user-1');
+
+      expect(cart.sessionId).toBe('anon');
+      expect(cart.userId).toBe('user-1');
+      expect(cart.couponCodes).toEqual(['SAVE10']);
+      expect(cart.items).toEqual([
+        expect.objectContaining({ productId: 'p1', quantity: 5 }),
+        expect.objectContaining({ productId: 'p2', quantity: 2 })
+      ]);
+      expect(adjustments).toEqual([
+        { productId: 'p1', variantId: null, name: null, requested: 7, quantity: 5 }
+      ]);
+      expect((await cartService.getCart('anon')).id).toBe(cart.id);
+    });
+
+    it('should hand the anonymous cart to a user without a cart', async () => {
+      await cartService.saveCart({ sessionId: 'anon', items: [{ productId: 'p1', quantity: 1 }] });
+
+      const { cart } = await cartService.mergeOnLogin('anon', 'user-1');
+
+      expect(cart).toEqual(expect.objectContaining({ sessionId: 'anon', userId: 'user-1' }));
+    });
+  });
+
+  describe('saved for later', () => {
+    it('should move items between the cart and the saved list', async () => {
+      createInventory('p1', 5);
+      await cartService.saveCart({ sessionId: 's1', userId: 'user-1', items: [{ productId: 'p1', variantId: null, quantity: 2 }] });
+
+      const { cart, savedItem } = await cartService.saveForLater('s1', 'user-1', 'p1', null);
+
+      expect(cart.items).toHaveLength(0);
+      expect(await cartService.getSavedItems('user-1')).toEqual([
+        expect.objectContaining({ id: savedItem.id, productId: 'p1', quantity: 2 })
+      ]);
+
+      const restored = await cartService.moveToCart('s1', 'user-1', savedItem.id);
+
+      expect(restored.items).toEqual([expect.objectContaining({ productId: 'p1', quantity: 2 })]);
+      expect(await cartService.getSavedItems('user-1')).toHaveLength(0);
+    });
+
+    it('should not let one user touch another user\'s saved items', async () => {
+      await cartService.saveCart({ sessionId: 's1', userId: 'user-1', items: [{ productId: 'p1', quantity: 1 }] });
+      const { savedItem } = await cartService.saveForLater('s1', 'user-1', 'p1');
+
+      await expect(cartService.removeSavedItem('user-2', savedItem.id)).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('should not move lines in or out of another user\'s cart', async () => {
+      createInventory('p1', 5);
+      await cartService.saveCart({ sessionId: 's1', userId: 'user-1', items: [{ productId: 'p1', quantity: 1 }] });
+      await cartService.saveCart({ sessionId: 's2', userId: 'user-2', items: [{ productId: 'p1', quantity: 2 }] });
+      const { savedItem } = await cartService.saveForLater('s1', 'user-1', 'p1');
+
+      await expect(cartService.saveForLater('s2', 'user-1', 'p1')).rejects.toMatchObject({ status: 404, message: 'Cart not found' });
+      await expect(cartService.moveToCart('s2', 'user-1', savedItem.id)).rejects.toMatchObject({ status: 404 });
+      expect((await cartService.getCart('s2')).items).toEqual([expect.objectContaining({ productId: 'p1', quantity: 2 })]);
+      expect(await cartService.getSavedItems('user-1')).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,304 @@
+/**
+ * Unit tests for CatalogImportService
+ */
+
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const sharp = require('sharp');
+const CatalogImportService = require('../../src/ecommerce/services/catalogImportService');
+const { readZip } = require('../../src/ecommerce/services/zipReader');
+
+// Build a zip archive with deflated entries
+const createZip = (files) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, contents] of Object.entries(files)) {
+    const nameBuffer = Buffer.from(name);
+    const data = zlib.deflateRawSync(contents);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(contents.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(contents.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuffer);
+
+    offset += local.length + nameBuffer.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+};
+
+describe('CatalogImportService', () => {
+  let importService;
+  let mockServices;
+  let containers;
+  let files;
+  let fetch;
+  let lookup;
+  let png;
+  let jpeg;
+
+  const admin = { id: 'admin-1' };
+
+  const csv = (lines) => ({ originalname: 'catalog.csv', mimetype: 'text/csv', buffer: Buffer.from(lines.join('\n')) });
+
+  const runImport = async (file, options = {}) => {
+    const queued = await importService.createImport({ file, ...options }, admin);
+    return importService.runImport(queued.id);
+  };
+
+  const imageZip = () => ({ originalname: 'images.zip', buffer: createZip({ 'photos/mug.png': png }) });
+
+  const productBySku = async (sku) => (await importService.products.findBy('sku', sku))[0];
+
+  const catalogSheet = [
+    'sku,parentSku,name,description,price,category,tags,inventory,images,option:Size,attr:Material',
+    'MUG-1,,Mug,"A mug, for tea",12.5,Home > Kitchen,mugs|tea,10,mug.png,,Ceramic',
+    'MUG-1-L,MUG-1,,,14,,,4,,Large,',
+    'MUG-1-S,MUG-1,,,,,,3,,Small,',
+    'POSTER-1,,Poster,Wall poster,9,Home > Decor,,5,https://cdn.example.com/poster.jpg,,',
+    'BAD-1,,No price,Missing price,,Home,,1,,,',
+    'ORPHAN-1,NOPE-1,,,5,,,1,,Large,',
+    'MUG-1,,Mug again,,3,,,,,,'
+  ];
+
+  beforeAll(async () => {
+    const blank = { create: { width: 8, height: 8, channels: 3, background: '#cccccc' } };
+    png = await sharp(blank).png().toBuffer();
+    jpeg = await sharp(blank).jpeg().toBuffer();
+  });
+
+  beforeEach(() => {
+    containers = {};
+    let nextKey = 1;
+    const container = (name) => containers[name] || (containers[name] = new Map());
+    files = new Map();
+
+    mockServices = {
+      dataServe: {
+        add: jest.fn(async (name, record) => {
+          const key = `key-${nextKey++}`;
+          container(name).set(key, record);
+          return key;
+        }),
+        getByUuid: jest.fn(async (name, key) => container(name).get(key) || null),
+        remove: jest.fn(async (name, key) => container(name).delete(key)),
+        jsonFind: jest.fn(async (name, predicate) => [...container(name).values()].filter(predicate)),
+        jsonFindByPath: jest.fn(async (name, path, value) =>
+          [...container(name).values()].filter(record => record[path] === value))
+      },
+      filing: {
+        create: jest.fn(async (path, contents) => files.set(path, contents)),
+        delete: jest.fn(async (path) => files.delete(path)),
+        read: jest.fn(async (path) => files.get(path))
+      },
+      cache: { get: jest.fn(), put: jest.fn(), delete: jest.fn() },
+      search: { add: jest.fn(), remove: jest.fn() },
+      notifying: { notify: jest.fn() },
+      logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      jobProcessor: { addJob: jest.fn().mockResolvedValue('job-1') }
+    };
+
+    fetch = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      headers: new Map([['content-type', 'image/jpeg'], ['content-length', String(jpeg.length)]]),
+      body: Readable.from([jpeg])
+    }));
+    lookup = jest.fn(async () => [{ address: '93.184.216.34', family: 4 }]);
+    importService = new CatalogImportService(mockServices, { fetch, lookup });
+  });
+
+  describe('parsing', () => {
+    it('should parse quoted CSV cells and write them back the same way', () => {
+      const rows = CatalogImportService.parseCsv('sku,description\r\nA,"Says ""hi"", twice\nover two lines"\r\nB,plain\n');
+
+      expect(rows).toEqual([['sku', 'description'], ['A', 'Says "hi", twice\nover two lines'], ['B', 'plain']]);
+      expect(CatalogImportService.toCsvLine(rows[1])).toBe('A,"Says ""hi"", twice\nover two lines"\r\n');
+    });
+
+    it('should reject unusable uploads before queuing them', async () => {
+      await expect(importService.createImport({ file: { originalname: 'catalog.xlsx', buffer: Buffer.from('x') } }, admin))
+        .rejects.toMatchObject({ status: 400, message: 'Upload a .csv or .json file' });
+      await expect(importService.createImport({ file: csv(['name,price', 'Mug,3']) }, admin))
+        .rejects.toMatchObject({ status: 400, message: 'The CSV header must include a sku column' });
+      await expect(importService.createImport({ file: csv(['sku,price', 'A,"3']) }, admin))
+        .rejects.toMatchObject({ status: 400 });
+      await expect(importService.createImport({ file: csv(['sku']), images: { buffer: Buffer.from('not a zip') } }, admin))
+        .rejects.toMatchObject({ status: 400 });
+      expect(mockServices.jobProcessor.addJob).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runImport', () => {
+    it('should upsert products, variants, category paths, images and stock with row errors', async () => {
+      const queued = await importService.createImport({ file: csv(catalogSheet), images: imageZip() }, admin);
+      expect(queued).toMatchObject({ status: 'queued', totalRows: 7, jobId: 'job-1' });
+      expect(mockServices.jobProcessor.addJob).toHaveBeenCalledWith('catalog_import', { importId: queued.id });
+
+      const result = await importService.runImport(queued.id);
+
+      expect(result).toMatchObject({ status: 'completed', processedRows: 7, created: 4, updated: 0, failed: 3 });
+      expect(result.categoriesCreated).toEqual(['Home', 'Home > Kitchen', 'Home > Decor']);
+      expect(result.errors).toEqual([
+        { row: 6, sku: 'BAD-1', message: 'price is required for a new product' },
+        { row: 7, sku: 'ORPHAN-1', message: 'Parent product NOPE-1 not found' },
+        { row: 8, sku: 'MUG-1', message: 'SKU MUG-1 appears more than once in this file (first on row 2)' }
+      ]);
+
+      const mug = await productBySku('MUG-1');
+      expect(mug).toMatchObject({ name: 'Mug', description: 'A mug, for tea', price: 12.5, category: 'Kitchen', tags: ['mugs', 'tea'], attributes: { Material: 'Ceramic' } });
+      const kitchen = [...containers.categories.values()].find(category => category.name === 'Kitchen');
+      const home = [...containers.categories.values()].find(category => category.name === 'Home');
+      expect(kitchen.parentCategoryId).toBe(home.id);
+
+      const variants = await importService.variants.findBy('productId', mug.id);
+      expect(variants.map(variant => [variant.sku, variant.options.Size, variant.price])).toEqual([['MUG-1-L', 'Large', 14], ['MUG-1-S', 'Small', null]]);
+      const stock = [...containers.inventory.values()].filter(record => record.productId === mug.id).map(record => record.quantity);
+      expect(stock).toEqual([10, 4, 3]);
+
+      const productImages = [...containers.product_images.values()];
+      expect(productImages.map(image => [image.originalName, image.mimeType, image.isPrimary])).toEqual([
+        ['mug.png', 'image/png', true],
+        ['poster.jpg', 'image/jpeg', true]
+      ]);
+      expect(fetch).toHaveBeenCalledWith('https://cdn.example.com/poster.jpg', expect.anything());
+    });
+
+    it('should update by SKU, leave blank cells alone and not duplicate images', async () => {
+      await runImport(csv(catalogSheet.slice(0, 5)), { images: imageZip() });
+      const result = await runImport(csv([
+        'sku,parentSku,price,inventory,images,option:Size',
+        'POSTER-1,,11,7,https://cdn.example.com/poster.jpg,',
+        'MUG-1-S,MUG-1,9,8,,'
+      ]));
+
+      expect(result).toMatchObject({ created: 0, updated: 2, failed: 0 });
+      await expect(productBySku('POSTER-1')).resolves.toMatchObject({ name: 'Poster', price: 11, inventory: 7 });
+      expect((await importService.variants.findBy('sku', 'MUG-1-S'))[0]).toMatchObject({ price: 9, options: { Size: 'Small' } });
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should validate a dry run without writing anything', async () => {
+      const result = await runImport({
+        originalname: 'catalog.json',
+        buffer: Buffer.from(JSON.stringify({
+          products: [
+            { sku: 'LAMP-1', name: 'Lamp', description: 'Desk lamp', price: 30, category: 'Home > Lighting', inventory: 2 },
+            { sku: 'LAMP-1-R', parentSku: 'LAMP-1', options: { Colour: 'Red' }, inventory: 1 },
+            { sku: 'LAMP-2', name: 'Lamp', description: 'Desk lamp', price: -1, category: 'Home' }
+          ]
+        }))
+      }, { dryRun: true });
+
+      expect(result).toMatchObject({ status: 'completed', dryRun: true, created: 2, failed: 1 });
+      expect(result.results.map(row => row.action)).toEqual(['create', 'create', 'error']);
+      expect(result.errors[0]).toEqual({ row: 3, sku: 'LAMP-2', message: 'Price must be greater than zero' });
+      expect(result.categoriesCreated).toEqual(['Home', 'Home > Lighting']);
+      expect(new Set(mockServices.dataServe.add.mock.calls.map(([name]) => name))).toEqual(new Set(['catalog_imports']));
+    });
+  });
+
+  describe('exportCatalog', () => {
+    it('should export the catalog in the import layout', async () => {
+      await runImport(csv(catalogSheet.slice(0, 5)), { images: imageZip() });
+
+      let text = '';
+      for await (const chunk of importService.exportCatalog('csv', { category: 'Kitchen' })) {
+        text += chunk;
+      }
+      const [header, ...rows] = CatalogImportService.parseCsv(text);
+
+      expect(header).toEqual([...CatalogImportService.COLUMNS, 'option:Size', 'attr:Material']);
+      expect(rows.map(row => row[0])).toEqual(['MUG-1', 'MUG-1-L', 'MUG-1-S']);
+      expect(rows[0][header.indexOf('category')]).toBe('Home > Kitchen');
+      expect(rows[0][header.indexOf('images')]).toBe('mug.png');
+      expect(rows[1][header.indexOf('option:Size')]).toBe('Large');
+
+      let json = '';
+      for await (const chunk of importService.exportCatalog('json', { q: 'poster' })) {
+        json += chunk;
+      }
+      expect(JSON.parse(json)).toEqual([expect.objectContaining({ sku: 'POSTER-1', images: ['https://cdn.example.com/poster.jpg'], inventory: 5 })]);
+    });
+  });
+
+  describe('image downloads', () => {
+    const respond = (status, headers, chunks = []) => ({ ok: status < 300, status, headers: new Map(headers), body: Readable.from(chunks) });
+
+    it('should only download from public http(s) hosts, redirects included', async () => {
+      lookup.mockImplementation(async host => host === 'cdn.example.com'
+        ? [{ address: '93.184.216.34', family: 4 }]
+        : [{ address: host === 'metadata.internal' ? '169.254.169.254' : '::1', family: host === 'metadata.internal' ? 4 : 6 }]);
+
+      await expect(importService.downloadImage('file:///etc/passwd')).rejects.toThrow('only http and https');
+      await expect(importService.downloadImage('http://metadata.internal/latest')).rejects.toThrow('metadata.internal is not a public address');
+      await expect(importService.downloadImage('http://[::1]:8080/a.jpg')).rejects.toThrow('is not a public address');
+      expect(fetch).not.toHaveBeenCalled();
+
+      fetch.mockResolvedValueOnce(respond(302, [['location', 'http://metadata.internal/latest']]));
+      await expect(importService.downloadImage('https://cdn.example.com/a.jpg')).rejects.toThrow('is not a public address');
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(fetch).toHaveBeenCalledWith('https://cdn.example.com/a.jpg', expect.objectContaining({ redirect: 'manual', signal: expect.any(AbortSignal) }));
+    });
+
+    it('should stop reading an image past 10MB', async () => {
+      const megabyte = Buffer.alloc(1024 * 1024);
+      fetch.mockResolvedValueOnce(respond(200, [['content-length', String(11 * megabyte.length)]]));
+      await expect(importService.downloadImage('https://cdn.example.com/big.jpg')).rejects.toThrow('larger than 10MB');
+
+      const chunks = Array.from({ length: 11 }, () => megabyte);
+      fetch.mockResolvedValueOnce(respond(200, [], chunks));
+      await expect(importService.downloadImage('https://cdn.example.com/big.jpg')).rejects.toThrow('larger than 10MB');
+    });
+  });
+
+  describe('image zips', () => {
+    const zeros = Buffer.alloc(1000);
+
+    it('should refuse archives that unpack to more than the limits', () => {
+      expect(readZip(createZip({ 'a.png': zeros, 'b.png': zeros }), { maxEntrySize: 1000, maxTotalSize: 2000 }).size).toBe(2);
+      expect(() => readZip(createZip({ 'a.png': zeros }), { maxEntrySize: 999 }))
+        .toThrow(expect.objectContaining({ status: 400, message: expect.stringMatching(/^Entry a\.png unpacks to more than/) }));
+      expect(() => readZip(createZip({ 'a.png': zeros, 'b.png': zeros, 'c.png': zeros }), { maxTotalSize: 2500 }))
+        .toThrow(expect.objectContaining({ status: 400, message: expect.stringMatching(/^The archive unpacks to more than/) }));
+    });
+
+    it('should not inflate an entry past the size it declares', () => {
+      const zip = createZip({ 'a.png': zeros });
+      const centralDirectory = zip.readUInt32LE(zip.length - 6);
+      zip.writeUInt32LE(10, centralDirectory + 24);
+
+      expect(() => readZip(zip)).toThrow(expect.objectContaining({ status: 400, message: 'Corrupt entry a.png' }));
+    });
+
+    it('should leave unpacking the zip to the import job', async () => {
+      const zip = createZip({ 'photos/mug.png': png });
+      zip.writeUInt32LE(10, zip.readUInt32LE(zip.length - 6) + 24);
+
+      const record = await runImport(csv(['sku,name,price,images', 'MUG-1,Mug,12,mug.png']), { images: { originalname: 'images.zip', buffer: zip } });
+      expect(record).toMatchObject({ status: 'failed', error: 'Corrupt entry photos/mug.png' });
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Unit tests for CategoryService
+ */
+
+const CategoryService = require('../../src/ecommerce/services/categoryService');
+
+describe('CategoryService', () => {
+  let categoryService;
+  let mockServices;
+  let containers;
+  let cacheStore;
+
+  beforeEach(() => {
+    containers = {
+      categories: new Map(),
+      products: new Map()
+    };
+    cacheStore = new Map();
+    let nextKey = 1;
+
+    mockServices = {
+      dataServe: {
+        add: jest.fn(async (container, record) => {
+          const key = `key-${nextKey++}`;
+          containers[container].set(key, record);
+          return key;
+        }),
+        getByUuid: jest.fn(async (container, key) => containers[container].get(key) || null),
+        remove: jest.fn(async (container, key) => containers[container].delete(key)),
+        jsonFind: jest.fn(async (container, predicate) => [...containers[container].values()].filter(predicate)),
+        jsonFindByPath: jest.fn(async (container, path, value) =>
+          [...containers[container].values()].filter(record => record[path] === value))
+      },
+      cache: {
+        get: jest.fn(async key => cacheStore.get(key)),
+        put: jest.fn(async (key, value) => { cacheStore.set(key, value); }),
+        delete: jest.fn(async key => { cacheStore.delete(key); })
+      },
+      notifying: {
+        notify: jest.fn()
+      },
+      logger: {
+        info: jest.fn(),
+        error: jest.fn()
+      }
+    };
+
+    categoryService = new CategoryService(mockServices);
+  });
+
+  const createTree = async () => {
+    const home = await categoryService.createCategory({ name: 'Home' }, 'admin');
+    const lighting = await categoryService.createCategory({ name: 'Lighting', parentCategoryId: home.id }, 'admin');
+    containers.products.set('p1', { id: 'p1', name: 'Lamp', category: 'Lighting', status: 'active' });
+    containers.products.set('p2', { id: 'p2', name: 'Rug', category: 'Home', status: 'active' });
+    containers.products.set('p3', { id: 'p3', name: 'Old Lamp', category: 'Lighting', status: 'deleted' });
+    return { home, lighting };
+  };
+
+  describe('createCategory', () => {
+    it('should reject duplicate names and unknown parents', async () => {
+      await categoryService.createCategory({ name: 'Home' }, 'admin');
+
+      await expect(categoryService.createCategory({ name: 'home' }, 'admin')).rejects.toMatchObject({ status: 409 });
+      await expect(categoryService.createCategory({ name: 'Garden', parentCategoryId: 'nope' }, 'admin'))
+        .rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('getCategory', () => {
+    it('should return the breadcrumb, children and product counts by slug', async () => {
+      const { home } = await createTree();
+
+      const lighting = await categoryService.getCategory('lighting', true);
+      expect(lighting.breadcrumb.map(crumb => crumb.name)).toEqual(['Home', 'Lighting']);
+      expect(lighting.productCount).toBe(1);
+
+      const parent = await categoryService.getCategory(home.id);
+      expect(parent.childCategories.map(child => child.name)).toEqual(['Lighting']);
+      expect(parent).toMatchObject({ productCount: 1, totalProductCount: 2 });
+    });
+
+    it('should not find deleted categories', async () => {
+      await expect(categoryService.getCategory('missing', true)).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('updateCategory', () => {
+    it('should rename the category on its products', async () => {
+      const { lighting } = await createTree();
+
+      const updated = await categoryService.updateCategory(lighting.id, { name: 'Lamps' }, 'admin', lighting.version);
+
+      expect(updated.slug).toBe('lamps');
+      await expect(categoryService.products.findById('p1')).resolves.toMatchObject({ category: 'Lamps' });
+    });
+
+    it('should refuse to make a category its own ancestor', async () => {
+      const { home, lighting } = await createTree();
+
+      await expect(categoryService.updateCategory(home.id, { parentCategoryId: lighting.id }, 'admin'))
+        .rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('deleteCategory', () => {
+    it('should refuse to delete categories with subcategories or active products', async () => {
+      const { home, lighting } = await createTree();
+
+      await expect(categoryService.deleteCategory(home.id, 'admin')).rejects.toMatchObject({ status: 409 });
+      await expect(categoryService.deleteCategory(lighting.id, 'admin')).rejects.toMatchObject({ status: 409 });
+
+      containers.products.get('p1').status = 'inactive';
+      await categoryService.deleteCategory(lighting.id, 'admin');
+
+      const tree = await categoryService.getCategoryTree();
+      expect(tree.map(node => node.name)).toEqual(['Home']);
+      expect(tree[0].children).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Route tests for paying for a checkout quote
+ */
+
+const request = require('supertest');
+const { createRouteApp } = require('../helpers/routeApp');
+const InventoryService = require('../../src/ecommerce/services/inventoryService');
+
+describe('Checkout routes', () => {
+  const base = '/applications/ecommerce/api';
+  const shippingAddress = { firstName: 'Ada', lastName: 'Guest', address: '1 Main St', city: 'Albany', state: 'NY', zipCode: '12207', country: 'US' };
+
+  let app;
+  let container;
+  let gateway;
+  let signIn;
+
+  const quoteFor = async (sessionId, auth) => {
+    const withAuth = (req) => auth ? req.set('Authorization', auth) : req;
+    await withAuth(request(app).post(`${base}/cart/add`)).send({ sessionId, productId: 'lamp', quantity: 1 }).expect(200);
+    const { body } = await withAuth(request(app).post(`${base}/checkout/quote`)).send({ sessionId, shippingAddress }).expect(200);
+    return body.quote;
+  };
+
+  const sellOut = () => {
+    container('inventory').set('inv-lamp', { id: 'inv-lamp', productId: 'lamp', quantity: 0, reserved: 0 });
+  };
+
+  beforeEach(() => {
+    const routeApp = createRouteApp();
+    app = routeApp.app;
+    container = routeApp.container;
+    gateway = routeApp.services.paymentGateway;
+    signIn = routeApp.signIn;
+
+    container('products').set('lamp', { id: 'lamp', name: 'Desk Lamp', price: 40, category: 'Lighting', status: 'active' });
+    container('inventory').set('inv-lamp', { id: 'inv-lamp', productId: 'lamp', quantity: 10, reserved: 0 });
+  });
+
+  describe('POST /payments/create-intent', () => {
+    it('should set the intent metadata itself rather than take it from the request', async () => {
+      const quote = await quoteFor('guest-1');
+      const { body } = await request(app).post(`${base}/payments/create-intent`).send({
+        quoteId: quote.quoteId,
+        signature: quote.signature,
+        metadata: { savePaymentMethod: 'true', userId: 'ada', sessionId: 'someone-else' }
+      }).expect(200);
+
+      const intent = await gateway.retrievePaymentIntent(body.paymentIntentId);
+      expect(intent.metadata).toEqual({ userId: 'guest', quoteId: quote.quoteId, sessionId: 'guest-1', source: 'nooblyjs-ecommerce' });
+    });
+  });
+
+  describe('POST /payments/confirm', () => {
+    it('should refund a payment whose order cannot be placed', async () => {
+      const quote = await quoteFor('guest-1');
+      const { body: intent } = await request(app).post(`${base}/payments/create-intent`)
+        .send({ quoteId: quote.quoteId, signature: quote.signature }).expect(200);
+      await request(app).post(`${base}/payments/intents/${intent.paymentIntentId}/confirm`)
+        .send({ paymentMethod: 'tok_visa' }).expect(200);
+
+      sellOut();
+      const confirm = () => request(app).post(`${base}/payments/confirm`)
+        .send({ quoteId: quote.quoteId, signature: quote.signature, paymentIntentId: intent.paymentIntentId, email: 'ada@example.com' });
+
+      const response = await confirm();
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('OUT_OF_STOCK');
+      expect(container('orders').size).toBe(0);
+      const paid = Math.round(quote.totalAmount * 100);
+      await expect(gateway.retrievePaymentIntent(intent.paymentIntentId))
+        .resolves.toMatchObject({ amountReceived: paid, amountRefunded: paid });
+
+      container('inventory').set('inv-lamp', { id: 'inv-lamp', productId: 'lamp', quantity: 10, reserved: 0 });
+      const retried = await confirm();
+      expect(retried.status).toBe(400);
+      expect(retried.body.error).toBe('Payment has been refunded');
+    });
+
+    it('should refund a payment whose stock cannot be committed', async () => {
+      const quote = await quoteFor('guest-1');
+      const { body: intent } = await request(app).post(`${base}/payments/create-intent`)
+        .send({ quoteId: quote.quoteId, signature: quote.signature }).expect(200);
+      await request(app).post(`${base}/payments/intents/${intent.paymentIntentId}/confirm`)
+        .send({ paymentMethod: 'tok_visa' }).expect(200);
+
+      const expired = Object.assign(new Error('Reservation has expired'), { status: 409, code: 'RESERVATION_NOT_ACTIVE' });
+      const commit = jest.spyOn(InventoryService.prototype, 'commit').mockRejectedValueOnce(expired);
+
+      const response = await request(app).post(`${base}/payments/confirm`)
+        .send({ quoteId: quote.quoteId, signature: quote.signature, paymentIntentId: intent.paymentIntentId, email: 'ada@example.com' });
+      commit.mockRestore();
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('RESERVATION_NOT_ACTIVE');
+      expect(container('orders').size).toBe(0);
+      expect([...container('inventory').values()]).toEqual([expect.objectContaining({ quantity: 10, reserved: 0 })]);
+      const paid = Math.round(quote.totalAmount * 100);
+      await expect(gateway.retrievePaymentIntent(intent.paymentIntentId))
+        .resolves.toMatchObject({ amountReceived: paid, amountRefunded: paid });
+    });
+
+    it('should check stock before charging a saved card', async () => {
+      const auth = signIn({ id: 'ada', email: 'ada@example.com', firstName: 'Ada' });
+      const quote = await quoteFor('member-1', auth);
+      const charge = jest.spyOn(gateway, 'chargePaymentMethod');
+
+      sellOut();
+      const response = await request(app).post(`${base}/payments/confirm`).set('Authorization', auth)
+        .send({ quoteId: quote.quoteId, signature: quote.signature, paymentMethodId: 'pm-1' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('OUT_OF_STOCK');
+      expect(charge).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Unit tests for CheckoutService
+ */
+
+const CheckoutService = require('../../src/ecommerce/services/checkoutService');
+
+describe('CheckoutService', () => {
+  let checkoutService;
+  let mockServices;
+  let containers;
+  let cacheStore;
+
+  const putCart = (sessionId, items, version = 1) => {
+    containers.carts.set(`cart-${sessionId}`, { id: `cart-${sessionId}`, sessionId, items, status: 'active', version });
+  };
+
+  beforeEach(() => {
+    containers = {
+      products: new Map(),
+      promotions: new Map(),
+      promotion_redemptions: new Map(),
+      tax_rules: new Map(),
+      carts: new Map()
+    };
+    cacheStore = new Map();
+    let nextKey = 1;
+
+    containers.products.set('p1', { name: 'Lamp', price: 40, status: 'active' });
+    containers.products.set('p2', { name: 'Book', price: 30, salePrice: 25, status: 'active', taxClass: 'exempt' });
+
+    mockServices = {
+      dataServe: {
+        add: jest.fn(async (container, record) => {
+          const key = `key-${nextKey++}`;
+          containers[container].set(key, record);
+          return key;
+        }),
+        getByUuid: jest.fn(async (container, key) => containers[container].get(key) || null),
+        remove: jest.fn(async (container, key) => containers[container].delete(key)),
+        jsonFind: jest.fn(async (container, predicate) => [...containers[container].values()].filter(predicate)),
+        jsonFindByPath: jest.fn(async (container, path, value) =>
+          [...containers[container].values()].filter(record => record[path] === value))
+      },
+      cache: {
+        get: jest.fn(async key => cacheStore.get(key)),
+        put: jest.fn(async (key, value) => { cacheStore.set(key, value); })
+      },
+      logger: {
+        info: jest.fn(),
+        error: jest.fn()
+      }
+    };
+
+    checkoutService = new CheckoutService(mockServices, { secret: 'test-secret' });
+  });
+
+  describe('createQuote', () => {
+    it('should price the server cart from the catalog, ignoring stored prices', async () => {
+      putCart('s1', [
+        { productId: 'p1', variantId: null, quantity: 2, price: 1 },
+        { productId: 'p2', variantId: null, quantity: 1, price: 1 }
+      ]);
+
+      const quote = await checkoutService.createQuote('s1', {
+        shippingAddress: { country: 'US', state: 'NY', zipCode: '10001' }
+      });
+
+      expect(quote.items).toEqual([
+        expect.objectContaining({ productId: 'p1', price: 40, lineSubtotal: 80, taxAmount: 6.4 }),
+        expect.objectContaining({ productId: 'p2', price: 25, lineSubtotal: 25, taxClass: 'exempt', taxAmount: 0 })
+      ]);
+      expect(quote.subtotal).toBe(105);
+      expect(quote.shippingCost).toBe(0);
+      expect(quote.totalAmount).toBe(111.4);
+      expect(quote.signature).toMatch(/^[a-f0-9]{64}$/);
+    });
+
+    it('should charge the selected shipping rate', async () => {
+      putCart('s1', [{ productId: 'p1', quantity: 1 }]);
+
+      const quote = await checkoutService.createQuote('s1', { shippingMethod: 'express' });
+
+      expect(quote.shippingCost).toBe(25);
+      expect(quote.totalAmount).toBe(40 + 3.2 + 25);
+    });
+
+    it('should reject unknown shipping methods and empty carts', async () => {
+      putCart('s1', [{ productId: 'p1', quantity: 1 }]);
+
+      await expect(checkoutService.createQuote('s1', { shippingMethod: 'teleport' })).rejects.toMatchObject({ status: 400 });
+      await expect(checkoutService.createQuote('missing')).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('verifyQuote', () => {
+    let quote;
+
+    beforeEach(async () => {
+      putCart('s1', [{ productId: 'p1', quantity: 1 }]);
+      quote = await checkoutService.createQuote('s1');
+    });
+
+    it('should accept an untouched quote', async () => {
+      await expect(checkoutService.verifyQuote(quote.quoteId, quote.signature)).resolves.toMatchObject({
+        quoteId: quote.quoteId,
+        totalAmount: quote.totalAmount
+      });
+    });
+
+    it('should reject a forged signature', async () => {
+      await expect(checkoutService.verifyQuote(quote.quoteId, 'a'.repeat(64))).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should reject a quote once the cart changes', async () => {
+      putCart('s1', [{ productId: 'p1', quantity: 5 }], 2);
+
+      await expect(checkoutService.verifyQuote(quote.quoteId, quote.signature)).rejects.toMatchObject({
+        status: 409,
+        code: 'QUOTE_STALE'
+      });
+    });
+
+    it('should reject a quote that already placed an order', async () => {
+      await checkoutService.markQuoteUsed(quote, 'order-1');
+
+      await expect(checkoutService.verifyQuote(quote.quoteId, quote.signature)).rejects.toMatchObject({
+        status: 409,
+        code: 'QUOTE_USED'
+      });
+    });
+  });
+
+  describe('claimQuote', () => {
+    it('should let only one concurrent checkout complete a quote', async () => {
+      putCart('s1', [{ productId: 'p1', quantity: 1 }]);
+      const quote = await checkoutService.createQuote('s1');
+
+      const [first, second] = await Promise.allSettled([
+        checkoutService.claimQuote(quote.quoteId, quote.signature),
+        checkoutService.claimQuote(quote.quoteId, quote.signature)
+      ]);
+      expect(first).toMatchObject({ status: 'fulfilled', value: { quoteId: quote.quoteId } });
+      expect(second.reason).toMatchObject({ status: 409, code: 'QUOTE_IN_USE' });
+
+      // A checkout that fails gives the quote back; one that succeeds uses it up
+      checkoutService.releaseQuote(quote.quoteId);
+      const retried = await checkoutService.claimQuote(quote.quoteId, quote.signature);
+      await checkoutService.markQuoteUsed(retried, 'order-1');
+      checkoutService.releaseQuote(quote.quoteId);
+
+      await expect(checkoutService.claimQuote(quote.quoteId, quote.signature)).rejects.toMatchObject({ status: 409, code: 'QUOTE_USED' });
+      await expect(checkoutService.claimQuote(quote.quoteId, 'forged')).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('assertItemsMatchQuote', () => {
+    it('should refuse items with prices that were not quoted', async () => {
+      putCart('s1', [{ productId: 'p1', quantity: 1 }]);
+      const quote = await checkoutService.createQuote('s1');
+
+      expect(() => checkoutService.assertItemsMatchQuote([{ productId: 'p1', quantity: 1, price: 40 }], quote)).not.toThrow();
+      expect(() => checkoutService.assertItemsMatchQuote([{ productId: 'p1', quantity: 1, price: 0.01 }], quote))
+        .toThrow('Order items do not match the checkout quote');
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Unit tests for ContentService
+ */
+
+const ContentService = require('../../src/ecommerce/services/contentService');
+
+describe('ContentService', () => {
+  let contentService;
+  let mockServices;
+  let containers;
+
+  const at = (iso) => new Date(iso);
+  const hero = (overrides = {}) => ({ title: 'Summer Sale', type: 'hero', content: 'Up to 50% off', ...overrides });
+
+  beforeEach(() => {
+    containers = {
+      content: new Map(),
+      content_versions: new Map()
+    };
+    let nextKey = 1;
+
+    mockServices = {
+      dataServe: {
+        add: jest.fn(async (container, record) => {
+          const key = `key-${nextKey++}`;
+          containers[container].set(key, record);
+          return key;
+        }),
+        getByUuid: jest.fn(async (container, key) => containers[container].get(key) || null),
+        remove: jest.fn(async (container, key) => containers[container].delete(key)),
+        jsonFind: jest.fn(async (container, predicate) => [...containers[container].values()].filter(predicate)),
+        jsonFindByPath: jest.fn(async (container, path, value) =>
+          [...containers[container].values()].filter(record => record[path] === value))
+      },
+      logger: { info: jest.fn(), error: jest.fn() }
+    };
+
+    contentService = new ContentService(mockServices, { secret: 'test-secret' });
+  });
+
+  describe('publishing', () => {
+    it('should keep drafts off the storefront until they are published', async () => {
+      const draft = await contentService.createContent(hero(), 'admin-1');
+
+      expect(draft).toMatchObject({ slug: 'summer-sale', status: 'draft', state: 'draft', revision: 1 });
+      await expect(contentService.listLiveContent()).resolves.toEqual([]);
+      await expect(contentService.getLiveContent(draft.id)).rejects.toMatchObject({ status: 404 });
+
+      await contentService.publish(draft.id, 'admin-1');
+      await expect(contentService.listLiveContent({ type: 'hero' }))
+        .resolves.toEqual([expect.objectContaining({ id: draft.id, title: 'Summer Sale' })]);
+      await expect(contentService.listLiveContent({ type: 'banner' })).resolves.toEqual([]);
+    });
+
+    it('should enforce the start and end dates when content is read', async () => {
+      const item = await contentService.createContent(hero({
+        startDate: '2026-07-01T00:00:00.000Z',
+        endDate: '2026-08-01T00:00:00.000Z'
+      }), 'admin-1', { publish: true });
+
+      expect(item.status).toBe('published');
+      await expect(contentService.listLiveContent({}, at('2026-06-30T23:59:59Z'))).resolves.toEqual([]);
+      await expect(contentService.listLiveContent({}, at('2026-07-15T00:00:00Z'))).resolves.toHaveLength(1);
+      await expect(contentService.getLiveContent(item.id, at('2026-08-01T00:00:00Z'))).rejects.toMatchObject({ status: 404 });
+
+      const states = await Promise.all(['2026-06-01', '2026-07-15', '2026-09-01'].map(date =>
+        contentService.listContent({}, at(date)).then(([entry]) => entry.state)));
+      expect(states).toEqual(['scheduled', 'live', 'expired']);
+
+      await expect(contentService.createContent(hero({ slug: 'bad-dates', startDate: '2026-08-01', endDate: '2026-07-01' }), 'admin-1'))
+        .rejects.toMatchObject({ status: 400, message: 'endDate must be after startDate' });
+    });
+
+    it('should keep showing the published copy while edits are unpublished', async () => {
+      const item = await contentService.createContent(hero(), 'admin-1', { publish: true });
+
+      const edited = await contentService.updateContent(item.id, { title: 'Winter Sale' }, 'admin-1', { expectedVersion: item.version });
+      expect(edited).toMatchObject({ title: 'Winter Sale', revision: 2, publishedRevision: 1, hasUnpublishedChanges: true });
+      await expect(contentService.getLiveContent(item.id)).resolves.toMatchObject({ title: 'Summer Sale' });
+
+      await contentService.publish(item.id, 'admin-1');
+      await expect(contentService.getLiveContent(item.id)).resolves.toMatchObject({ title: 'Winter Sale' });
+
+      await contentService.unpublish(item.id, 'admin-1');
+      await expect(contentService.listLiveContent()).resolves.toEqual([]);
+      await expect(contentService.unpublish(item.id, 'admin-1')).rejects.toMatchObject({ status: 409 });
+    });
+
+    it('should serve content saved before versioning and version it on the next edit', async () => {
+      containers.content.set('legacy', { title: 'About Us', type: 'page', slug: 'about-us', content: 'Hello', active: true, version: 1 });
+
+      await expect(contentService.getLiveContent('legacy')).resolves.toMatchObject({ title: 'About Us' });
+
+      const edited = await contentService.updateContent('legacy', { content: 'Hello there' }, 'admin-1', { expectedVersion: 1 });
+      expect(edited).toMatchObject({ revision: 2, status: 'published', publishedRevision: 1, hasUnpublishedChanges: true });
+      const versions = await contentService.listVersions('legacy');
+      expect(versions.map(version => [version.revision, version.action, version.isPublished])).toEqual([
+        [2, 'updated', false],
+        [1, 'created', true]
+      ]);
+    });
+  });
+
+  describe('version history', () => {
+    it('should diff revisions and roll back as a new revision', async () => {
+      const item = await contentService.createContent(hero({ content: 'Line one\nLine two\nLine three' }), 'admin-1', { publish: true });
+      await contentService.updateContent(item.id, { content: 'Line one\nLine 2\nLine three\nLine four', sortOrder: 5 }, 'admin-2');
+
+      const diff = await contentService.diff(item.id);
+      expect(diff).toMatchObject({ from: 1, to: 2 });
+      expect(diff.changes.map(change => change.field)).toEqual(['content', 'sortOrder']);
+      expect(diff.changes[0].lines).toEqual([
+        { op: 'equal', text: 'Line one' },
+        { op: 'remove', text: 'Line two' },
+        { op: 'add', text: 'Line 2' },
+        { op: 'equal', text: 'Line three' },
+        { op: 'add', text: 'Line four' }
+      ]);
+
+      const rolledBack = await contentService.rollback(item.id, 1, 'admin-1', { publish: true });
+      expect(rolledBack).toMatchObject({ revision: 3, publishedRevision: 3, content: 'Line one\nLine two\nLine three', sortOrder: 0 });
+      await expect(contentService.diff(item.id, { from: 1, to: 3 })).resolves.toMatchObject({ changes: [] });
+      await expect(contentService.rollback(item.id, 3, 'admin-1')).rejects.toMatchObject({ status: 409 });
+      await expect(contentService.rollback(item.id, 9, 'admin-1')).rejects.toMatchObject({ status: 404 });
+
+      const [latest] = await contentService.listVersions(item.id);
+      expect(latest).toMatchObject({ revision: 3, action: 'rolled_back', rolledBackTo: 1, isCurrent: true, isPublished: true });
+      expect(latest.fields).toBeUndefined();
+    });
+
+    it('should not add a revision when nothing changed', async () => {
+      const item = await contentService.createContent(hero(), 'admin-1');
+
+      await expect(contentService.updateContent(item.id, { title: 'Summer Sale' }, 'admin-1')).resolves.toMatchObject({ revision: 1 });
+      await expect(contentService.listVersions(item.id)).resolves.toHaveLength(1);
+    });
+  });
+
+  describe('preview links', () => {
+    it('should show the working copy to anyone holding a valid link', async () => {
+      const item = await contentService.createContent(hero({ title: 'Secret launch' }), 'admin-1');
+      const { token, url } = await contentService.createPreviewToken(item.id);
+
+      expect(url).toBe(`/applications/ecommerce/?preview=${encodeURIComponent(token)}`);
+      await expect(contentService.getPreview(token)).resolves.toMatchObject({ id: item.id, title: 'Secret launch', state: 'draft', preview: true });
+
+      const [payload] = token.split('.');
+      await expect(contentService.getPreview(`${payload}.forged`)).rejects.toMatchObject({ status: 400 });
+
+      const expired = await contentService.createPreviewToken(item.id, at('2020-01-01T00:00:00Z'));
+      await expect(contentService.getPreview(expired.token)).rejects.toMatchObject({ status: 410 });
+    });
+  });
+});
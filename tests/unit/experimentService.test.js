@@ -0,0 +1,189 @@
+/**
+ * Unit tests for ExperimentService
+ */
+
+const ExperimentService = require('../../src/ecommerce/services/experimentService');
+
+describe('ExperimentService', () => {
+  let experimentService;
+  let contentService;
+  let mockServices;
+  let containers;
+  let draws;
+  let heroA;
+  let heroB;
+  let banner;
+
+  const admin = 'admin-1';
+  const order = (id, totalAmount) => ({ id, orderNumber: `ORD-${id}`, totalAmount });
+
+  const runExperiment = async (overrides = {}) => {
+    const experiment = await experimentService.createExperiment({
+      name: 'Hero copy',
+      variants: [{ contentId: heroA.id }, { contentId: heroB.id, name: 'Urgent' }],
+      ...overrides
+    }, admin);
+    return experimentService.startExperiment(experiment.id, admin);
+  };
+
+  const shownTo = async (sessionId) => {
+    const live = await contentService.listLiveContent({ type: 'hero' });
+    return experimentService.applyExperiments(live, sessionId);
+  };
+
+  beforeEach(async () => {
+    containers = {};
+    let nextKey = 1;
+    const container = (name) => containers[name] || (containers[name] = new Map());
+    draws = [];
+
+    mockServices = {
+      dataServe: {
+        add: jest.fn(async (name, record) => {
+          const key = `key-${nextKey++}`;
+          container(name).set(key, record);
+          return key;
+        }),
+        getByUuid: jest.fn(async (name, key) => container(name).get(key) || null),
+        remove: jest.fn(async (name, key) => container(name).delete(key)),
+        jsonFind: jest.fn(async (name, predicate) => [...container(name).values()].filter(predicate)),
+        jsonFindByPath: jest.fn(async (name, path, value) =>
+          [...container(name).values()].filter(record => record[path] === value))
+      },
+      logger: { info: jest.fn(), error: jest.fn() }
+    };
+
+    experimentService = new ExperimentService(mockServices, { random: () => draws.shift() ?? 0 });
+    contentService = experimentService.contentService;
+
+    heroA = await contentService.createContent({ title: 'Summer Sale', type: 'hero', sortOrder: 1 }, admin, { publish: true });
+    heroB = await contentService.createContent({ title: 'Last Chance', type: 'hero', sortOrder: 2 }, admin, { publish: true });
+    banner = await contentService.createContent({ title: 'Free Shipping', type: 'banner' }, admin, { publish: true });
+  });
+
+  describe('setting up experiments', () => {
+    it('should check variants and only start when every variant is live', async () => {
+      await expect(experimentService.createExperiment({ name: 'Solo', variants: [{ contentId: heroA.id }] }, admin))
+        .rejects.toMatchObject({ status: 400, message: 'An experiment needs 2 to 4 variants' });
+      await expect(experimentService.createExperiment({ name: 'Twins', variants: [{ contentId: heroA.id }, { contentId: heroA.id }] }, admin))
+        .rejects.toMatchObject({ status: 400, message: 'Each variant must use different content' });
+      await expect(experimentService.createExperiment({ name: 'Mixed', variants: [{ contentId: heroA.id }, { contentId: banner.id }] }, admin))
+        .rejects.toMatchObject({ status: 400, message: 'All variants must be the same type of content' });
+      await expect(experimentService.createExperiment({ name: 'Heavy', variants: [{ contentId: heroA.id }, { contentId: heroB.id, weight: 0 }] }, admin))
+        .rejects.toMatchObject({ status: 400, message: 'Variant B weight must be a whole number from 1 to 100' });
+
+      const draft = await experimentService.createExperiment({ name: 'Hero copy', variants: [{ contentId: heroA.id }, { contentId: heroB.id }] }, admin);
+      expect(draft).toMatchObject({ status: 'draft', contentType: 'hero' });
+      expect(draft.variants.map(variant => [variant.key, variant.name, variant.weight])).toEqual([['A', 'Control', 1], ['B', 'Variant B', 1]]);
+      await expect(experimentService.createExperiment({ name: 'Again', variants: [{ contentId: heroB.id }, { contentId: heroA.id }] }, admin))
+        .rejects.toMatchObject({ status: 409, message: 'Content is already in experiment Hero copy' });
+
+      await contentService.unpublish(heroB.id, admin);
+      await expect(experimentService.startExperiment(draft.id, admin))
+        .rejects.toMatchObject({ status: 409, message: 'The content for variant B is not live' });
+
+      await contentService.publish(heroB.id, admin);
+      await expect(experimentService.startExperiment(draft.id, admin)).resolves.toMatchObject({ status: 'running' });
+      await expect(experimentService.updateExperiment(draft.id, { name: 'Renamed' }, admin))
+        .rejects.toMatchObject({ status: 409 });
+      await expect(experimentService.assertContentNotRunning(heroA.id)).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('assignment', () => {
+    it('should show each session one sticky variant and leave other content alone', async () => {
+      const experiment = await runExperiment({ variants: [{ contentId: heroA.id, weight: 1 }, { contentId: heroB.id, weight: 3 }] });
+      draws.push(0.2, 0.3);
+
+      const first = await shownTo('session-1');
+      expect(first).toEqual([expect.objectContaining({ id: heroA.id, experiment: { id: experiment.id, variant: 'A' } })]);
+      const second = await shownTo('session-2');
+      expect(second).toEqual([expect.objectContaining({ id: heroB.id, experiment: { id: experiment.id, variant: 'B' } })]);
+
+      await expect(shownTo('session-1')).resolves.toEqual([expect.objectContaining({ id: heroA.id })]);
+      await expect(shownTo(undefined)).resolves.toEqual([expect.objectContaining({ id: heroA.id })]);
+      expect(containers.experiment_assignments.size).toBe(2);
+
+      const everything = await experimentService.applyExperiments(await contentService.listLiveContent(), 'session-2');
+      expect(everything.map(item => item.title)).toEqual(['Free Shipping', 'Last Chance']);
+    });
+
+    it('should assign a session once when its requests arrive together', async () => {
+      const experiment = await runExperiment();
+      draws.push(0);
+
+      const [first, second] = await Promise.all([
+        experimentService.assign(experiment, 'session-1'),
+        experimentService.assign(experiment, 'session-1'),
+        experimentService.recordView(heroB.id, 'session-1')
+      ]);
+
+      expect(containers.experiment_assignments.size).toBe(1);
+      expect(first.key).toBe('A');
+      expect(second.key).toBe('A');
+      expect([...containers.experiment_assignments.values()][0]).toMatchObject({ variant: 'A', views: 0 });
+    });
+  });
+
+  describe('attribution and reporting', () => {
+    it('should attribute views, clicks and orders to the assigned variant', async () => {
+      const experiment = await runExperiment();
+      const now = new Date();
+
+      // session-1 sees A and orders, session-2 sees B, clicks and orders twice,
+      // session-3 is assigned B but never views it
+      draws.push(0, 0.9, 0.9);
+      for (const sessionId of ['session-1', 'session-2', 'session-3']) {
+        await shownTo(sessionId);
+      }
+      await experimentService.recordView(heroA.id, 'session-1', now);
+      await experimentService.recordView(heroA.id, 'session-1', now);
+      await experimentService.recordView(heroB.id, 'session-2', now);
+      await experimentService.recordClick(heroB.id, 'session-2', now);
+      await experimentService.recordView(heroB.id, 'session-1', now);
+
+      await expect(experimentService.recordOrder('session-1', order('o1', 40), now)).resolves.toHaveLength(1);
+      await expect(experimentService.recordOrder('session-2', order('o2', 25.5), now)).resolves.toHaveLength(1);
+      await expect(experimentService.recordOrder('session-2', order('o3', 99), now)).resolves.toHaveLength(0);
+      await expect(experimentService.recordOrder('session-3', order('o4', 10), now)).resolves.toHaveLength(0);
+
+      // A fourth session views A and orders after the attribution window
+      await experimentService.recordView(heroA.id, 'session-4', new Date('2020-01-01T00:00:00Z'));
+      await expect(experimentService.recordOrder('session-4', order('o5', 10), now)).resolves.toHaveLength(0);
+
+      const { variants } = await experimentService.getReport(experiment.id);
+      expect(variants.map(variant => [variant.key, variant.assigned, variant.visitors, variant.views, variant.clicks, variant.orders, variant.revenue]))
+        .toEqual([
+          ['A', 2, 2, 3, 0, 1, 40],
+          ['B', 2, 1, 1, 1, 1, 25.5]
+        ]);
+      expect(variants[0]).toMatchObject({ isControl: true, contentTitle: 'Summer Sale', conversion: { rate: 0.5 }, differenceFromControl: null });
+      expect(variants[1].differenceFromControl).toMatchObject({ difference: 0.5, uplift: 1, significant: false });
+    });
+
+    it('should compute Wilson intervals for conversion and compare variants with the control', () => {
+      expect(ExperimentService.rateWithInterval(10, 100)).toEqual({ rate: 0.1, low: 0.0552, high: 0.1744 });
+      expect(ExperimentService.rateWithInterval(0, 0)).toEqual({ rate: null, low: null, high: null });
+      expect(ExperimentService.differenceWithInterval({ orders: 10, visitors: 100 }, { orders: 20, visitors: 100 }))
+        .toEqual({ difference: 0.1, low: 0.002, high: 0.198, uplift: 1, significant: true });
+    });
+  });
+
+  describe('declareWinner', () => {
+    it('should show the winner to everyone and optionally unpublish the losers', async () => {
+      const experiment = await runExperiment();
+      draws.push(0);
+      await shownTo('session-1');
+
+      await expect(experimentService.declareWinner(experiment.id, 'C', admin)).rejects.toMatchObject({ status: 400 });
+      const completed = await experimentService.declareWinner(experiment.id, 'B', admin, { unpublishLosers: true });
+      expect(completed).toMatchObject({ status: 'completed', winner: 'B' });
+      expect(completed.finalReport).toHaveLength(2);
+
+      await expect(shownTo('session-1')).resolves.toEqual([expect.objectContaining({ id: heroB.id })]);
+      await expect(contentService.getContent(heroA.id)).resolves.toMatchObject({ status: 'draft' });
+      await expect(experimentService.declareWinner(experiment.id, 'A', admin)).rejects.toMatchObject({ status: 409 });
+      await expect(experimentService.assertContentNotRunning(heroA.id)).resolves.toBeUndefined();
+    });
+  });
+});
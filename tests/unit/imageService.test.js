@@ -0,0 +1,175 @@
+/**
+ * Unit tests for ImageService
+ */
+
+const sharp = require('sharp');
+const ImageService = require('../../src/ecommerce/services/imageService');
+
+describe('ImageService', () => {
+  let imageService;
+  let mockServices;
+  let containers;
+  let files;
+  let cached;
+  let wide;
+  let small;
+
+  const upload = (buffer, originalname = 'photo.png') => ({ buffer, originalname, mimetype: 'image/png', size: buffer.length });
+
+  beforeAll(async () => {
+    wide = await sharp({ create: { width: 2000, height: 1000, channels: 3, background: '#336699' } }).jpeg().toBuffer();
+    small = await sharp({ create: { width: 100, height: 80, channels: 4, background: '#ff000080' } }).png().toBuffer();
+  });
+
+  beforeEach(() => {
+    containers = {
+      products: new Map(),
+      product_images: new Map(),
+      product_variants: new Map(),
+      categories: new Map()
+    };
+    let nextKey = 1;
+    files = new Map();
+    cached = new Map();
+
+    mockServices = {
+      dataServe: {
+        add: jest.fn(async (container, record) => {
+          const key = `key-${nextKey++}`;
+          containers[container].set(key, record);
+          return key;
+        }),
+        getByUuid: jest.fn(async (container, key) => containers[container].get(key) || null),
+        remove: jest.fn(async (container, key) => containers[container].delete(key)),
+        jsonFind: jest.fn(async (container, predicate) => [...containers[container].values()].filter(predicate)),
+        jsonFindByPath: jest.fn(async (container, path, value) =>
+          [...containers[container].values()].filter(record => record[path] === value))
+      },
+      filing: {
+        create: jest.fn(async (path, stream) => files.set(path, Buffer.concat(await stream.toArray()))),
+        read: jest.fn(async (path) => files.get(path)),
+        delete: jest.fn(async (path) => files.delete(path))
+      },
+      cache: {
+        get: jest.fn(async (key) => cached.get(key)),
+        put: jest.fn(async (key, value) => cached.set(key, value)),
+        delete: jest.fn(async (key) => cached.delete(key))
+      },
+      logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      jobProcessor: { addJob: jest.fn().mockResolvedValue('job-1') }
+    };
+
+    imageService = new ImageService(mockServices);
+    containers.products.set('mug', { id: 'mug', name: 'Mug', status: 'active' });
+    containers.product_variants.set('mug-l', { id: 'mug-l', productId: 'mug', images: [] });
+  });
+
+  describe('addImages', () => {
+    it('should store checked images and queue their derivatives', async () => {
+      const [first, second] = await imageService.addImages('mug', [upload(wide, 'front.jpg'), upload(small)], 'admin-1');
+
+      expect(first).toMatchObject({ mimeType: 'image/jpeg', width: 2000, height: 1000, sortOrder: 0, isPrimary: true, status: 'processing' });
+      expect(second).toMatchObject({ mimeType: 'image/png', sortOrder: 1, isPrimary: false });
+      expect(first.filePath).toBe(`products/mug/${first.id}/original.jpg`);
+      expect(files.get(first.filePath)).toEqual(wide);
+      expect(mockServices.jobProcessor.addJob).toHaveBeenCalledWith('process_product_image', { imageId: first.id });
+      await expect(imageService.products.findById('mug')).resolves.toMatchObject({ primaryImageId: first.id });
+    });
+
+    it('should reject the whole upload when any file is not an image', async () => {
+      const disguised = upload(Buffer.from('<svg></svg>'), 'logo.png');
+
+      await expect(imageService.addImages('mug', [upload(small), disguised], 'admin-1'))
+        .rejects.toMatchObject({ status: 400, message: 'logo.png: Images must be JPEG, PNG, WebP or GIF files' });
+      await expect(imageService.addImages('missing', [upload(small)], 'admin-1')).rejects.toMatchObject({ status: 404 });
+      expect(files.size).toBe(0);
+      expect(containers.product_images.size).toBe(0);
+    });
+  });
+
+  describe('processImage', () => {
+    it('should build derivatives without enlarging small images', async () => {
+      const [photo, icon] = await imageService.addImages('mug', [upload(wide), upload(small)], 'admin-1');
+
+      const processed = await imageService.processImage(photo.id);
+      expect(processed.status).toBe('ready');
+      expect(Object.entries(processed.derivatives).map(([size, file]) => [size, file.width, file.height, file.mimeType])).toEqual([
+        ['thumbnail', 150, 75, 'image/jpeg'],
+        ['medium', 600, 300, 'image/jpeg'],
+        ['large', 1200, 600, 'image/jpeg']
+      ]);
+      await expect(sharp(files.get(processed.derivatives.medium.filePath)).metadata()).resolves.toMatchObject({ width: 600 });
+
+      const { derivatives } = await imageService.processImage(icon.id);
+      expect([derivatives.thumbnail.width, derivatives.large.width]).toEqual([100, 100]);
+    });
+
+    it('should mark an image failed when its original cannot be read', async () => {
+      const [photo] = await imageService.addImages('mug', [upload(small)], 'admin-1');
+      files.delete(photo.filePath);
+
+      await expect(imageService.processImage(photo.id)).resolves.toMatchObject({ status: 'failed' });
+    });
+  });
+
+  describe('getImageFile', () => {
+    it('should serve the original until derivatives exist, then cache them', async () => {
+      const [photo] = await imageService.addImages('mug', [upload(wide)], 'admin-1');
+
+      const pending = await imageService.getImageFile(photo.id, 'thumbnail');
+      expect(pending).toMatchObject({ mimeType: 'image/jpeg', cacheable: false });
+      expect(pending.content).toEqual(wide);
+
+      await imageService.processImage(photo.id);
+      const thumbnail = await imageService.getImageFile(photo.id, 'thumbnail');
+      expect(thumbnail.cacheable).toBe(true);
+      await expect(sharp(thumbnail.content).metadata()).resolves.toMatchObject({ width: 150 });
+
+      files.clear();
+      await expect(imageService.getImageFile(photo.id, 'thumbnail')).resolves.toMatchObject({ etag: thumbnail.etag });
+      await expect(imageService.getImageFile(photo.id, 'huge')).rejects.toMatchObject({ status: 400 });
+      await expect(imageService.getImageFile('missing', 'large')).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('managing images', () => {
+    let images;
+
+    beforeEach(async () => {
+      images = await imageService.addImages('mug', [upload(small, 'a.png'), upload(small, 'b.png'), upload(small, 'c.png')], 'admin-1');
+    });
+
+    it('should reorder images and change the primary image', async () => {
+      const [a, b, c] = images.map(image => image.id);
+
+      await expect(imageService.reorderImages('mug', [c, a])).rejects.toMatchObject({ status: 400 });
+      const reordered = await imageService.reorderImages('mug', [c, a, b]);
+      expect(reordered.map(image => image.originalName)).toEqual(['c.png', 'a.png', 'b.png']);
+
+      const updated = await imageService.setPrimaryImage('mug', b);
+      expect(updated.filter(image => image.isPrimary).map(image => image.id)).toEqual([b]);
+      await expect(imageService.products.findById('mug')).resolves.toMatchObject({ primaryImageId: b });
+      await expect(imageService.setPrimaryImage('mug', 'missing')).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('should delete an image with its files and promote the next one', async () => {
+      const [a, b] = images;
+      await imageService.processImage(a.id);
+      await imageService.variants.update('mug-l', { images: [a.id, b.id] });
+      const paths = [...files.keys()].filter(path => path.includes(a.id));
+      expect(paths).toHaveLength(4);
+
+      await imageService.deleteImage('mug', a.id);
+
+      expect(paths.filter(path => files.has(path))).toEqual([]);
+      const remaining = await imageService.listImages('mug');
+      expect(remaining.map(image => [image.originalName, image.sortOrder, image.isPrimary])).toEqual([
+        ['b.png', 0, true],
+        ['c.png', 1, false]
+      ]);
+      await expect(imageService.products.findById('mug')).resolves.toMatchObject({ primaryImageId: b.id });
+      await expect(imageService.variants.findById('mug-l')).resolves.toMatchObject({ images: [b.id] });
+      await expect(imageService.deleteImage('mug', a.id)).rejects.toMatchObject({ status: 404 });
+    });
+  });
+});
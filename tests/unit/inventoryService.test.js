@@ -0,0 +1,197 @@
+/**
+ * Unit tests for InventoryService
+ */
+
+const InventoryService = require('../../src/ecommerce/services/inventoryService');
+
+describe('InventoryService', () => {
+  let inventoryService;
+  let mockServices;
+  let containers;
+
+  const createInventory = async (productId, quantity) => {
+    const record = { id: `inv-${productId}`, productId, quantity, reserved: 0, available: quantity, version: 1 };
+    containers.inventory.set(record.id, record);
+    return record;
+  };
+
+  const getInventory = productId =>
+    [...containers.inventory.values()].find(record => record.productId === productId);
+
+  beforeEach(() => {
+    containers = { inventory: new Map(), inventory_reservations: new Map(), inventory_logs: new Map() };
+    let nextKey = 1;
+
+    mockServices = {
+      dataServe: {
+        add: jest.fn(async (container, record) => {
+          const key = `key-${nextKey++}`;
+          containers[container].set(key, record);
+          return key;
+        }),
+        getByUuid: jest.fn(async (container, key) => containers[container].get(key) || null),
+        remove: jest.fn(async (container, key) => containers[container].delete(key)),
+        jsonFind: jest.fn(async (container, predicate) => [...containers[container].values()].filter(predicate)),
+        jsonFindByPath: jest.fn(async (container, path, value) =>
+          [...containers[container].values()].filter(record => record[path] === value))
+      },
+      logger: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+      }
+    };
+
+    inventoryService = new InventoryService(mockServices, { reservationMinutes: 15 });
+  });
+
+  describe('reserve', () => {
+    it('should hold stock for every line item', async () => {
+      await createInventory('p1', 10);
+      await createInventory('p2', 5);
+
+      const reservation = await inventoryService.reserve('session-1', [
+        { productId: 'p1', quantity: 3 },
+        { productId: 'p2', quantity: 5 }
+      ]);
+
+      expect(reservation.status).toBe('active');
+      expect(new Date(reservation.expiresAt).getTime()).toBeGreaterThan(Date.now());
+      expect(getInventory('p1')).toEqual(expect.objectContaining({ quantity: 10, reserved: 3, available: 7 }));
+      expect(getInventory('p2')).toEqual(expect.objectContaining({ quantity: 5, reserved: 5, available: 0 }));
+    });
+
+    it('should reject overselling and list the offending items', async () => {
+      await createInventory('p1', 10);
+      await createInventory('p2', 1);
+
+      await expect(inventoryService.reserve('session-1', [
+        { productId: 'p1', quantity: 3 },
+        { productId: 'p2', quantity: 2, name: 'Widget' },
+        { productId: 'p3', quantity: 1 }
+      ])).rejects.toMatchObject({
+        status: 409,
+        code: 'OUT_OF_STOCK',
+        items: [
+          expect.objectContaining({ productId: 'p2', name: 'Widget', requested: 2, available: 1 }),
+          expect.objectContaining({ productId: 'p3', requested: 1, available: 0 })
+        ]
+      });
+      expect(getInventory('p1').reserved).toBe(0);
+    });
+
+    it('should not let two sessions reserve the same stock', async () => {
+      await createInventory('p1', 2);
+
+      await inventoryService.reserve('session-1', [{ productId: 'p1', quantity: 2 }]);
+
+      await expect(
+        inventoryService.reserve('session-2', [{ productId: 'p1', quantity: 1 }])
+      ).rejects.toMatchObject({ code: 'OUT_OF_STOCK' });
+    });
+
+    it('should replace an earlier reservation for the same session', async () => {
+      await createInventory('p1', 5);
+
+      await inventoryService.reserve('session-1', [{ productId: 'p1', quantity: 2 }]);
+      await inventoryService.reserve('session-1', [{ productId: 'p1', quantity: 4 }]);
+
+      expect(getInventory('p1').reserved).toBe(4);
+    });
+
+    it('should refuse quantities that are not whole numbers above zero', async () => {
+      await createInventory('p1', 10);
+
+      for (const quantity of [-12, 0, 1.5, '2']) {
+        await expect(inventoryService.reserve('session-1', [{ productId: 'p1', quantity }]))
+          .rejects.toMatchObject({ status: 400 });
+      }
+      expect(getInventory('p1')).toEqual(expect.objectContaining({ reserved: 0, available: 10 }));
+      expect(containers.inventory_reservations.size).toBe(0);
+    });
+  });
+
+  describe('release', () => {
+    it('should return reserved stock when payment fails', async () => {
+      await createInventory('p1', 5);
+      await inventoryService.reserve('session-1', [{ productId: 'p1', quantity: 2 }]);
+
+      const released = await inventoryService.releaseForSession('session-1', 'payment_failed');
+
+      expect(released.status).toBe('released');
+      expect(released.releaseReason).toBe('payment_failed');
+      expect(getInventory('p1')).toEqual(expect.objectContaining({ reserved: 0, available: 5 }));
+    });
+
+    it('should release reservations past their time box', async () => {
+      await createInventory('p1', 5);
+      await inventoryService.reserve('session-1', [{ productId: 'p1', quantity: 2 }], {
+        expiresAt: new Date(Date.now() - 1000).toISOString()
+      });
+
+      const count = await inventoryService.releaseExpiredReservations();
+
+      expect(count).toBe(1);
+      expect(getInventory('p1').reserved).toBe(0);
+    });
+  });
+
+  describe('commit', () => {
+    it('should convert a reservation into a stock decrement', async () => {
+      await createInventory('p1', 5);
+      const reservation = await inventoryService.reserve('session-1', [{ productId: 'p1', quantity: 2 }]);
+
+      const committed = await inventoryService.commit(reservation.id, 'order-1');
+
+      expect(committed).toEqual(expect.objectContaining({ status: 'committed', orderId: 'order-1' }));
+      expect(getInventory('p1')).toEqual(expect.objectContaining({ quantity: 3, reserved: 0, available: 3 }));
+      await expect(inventoryService.commit(reservation.id, 'order-2')).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('commitItems', () => {
+    it('should reject decrements below available stock', async () => {
+      await createInventory('p1', 1);
+
+      await expect(
+        inventoryService.commitItems([{ productId: 'p1', quantity: 2 }])
+      ).rejects.toMatchObject({ code: 'OUT_OF_STOCK' });
+      expect(getInventory('p1').quantity).toBe(1);
+    });
+
+    it('should take nothing when a later line oversells', async () => {
+      await createInventory('p1', 10);
+
+      await expect(inventoryService.commitItems([
+        { productId: 'p1', quantity: 6 },
+        { productId: 'p1', quantity: 6 }
+      ])).rejects.toMatchObject({ code: 'OUT_OF_STOCK' });
+      expect(getInventory('p1')).toEqual(expect.objectContaining({ quantity: 10, available: 10 }));
+    });
+
+    it('should refuse negative quantities', async () => {
+      await createInventory('p1', 1);
+
+      await expect(inventoryService.commitItems([{ productId: 'p1', quantity: -5 }])).rejects.toMatchObject({ status: 400 });
+      expect(getInventory('p1').quantity).toBe(1);
+    });
+  });
+
+  describe('restock', () => {
+    it('should return items to stock and log the change', async () => {
+      await createInventory('p1', 4);
+      await inventoryService.reserve('session-1', [{ productId: 'p1', quantity: 1 }]);
+
+      const restocked = await inventoryService.restock([
+        { productId: 'p1', quantity: 2 },
+        { productId: 'p9', quantity: 1 }
+      ], 'Refund for order ORD-1', 'admin-1');
+
+      expect(restocked).toEqual([{ productId: 'p1', variantId: null, quantity: 2 }]);
+      expect(getInventory('p1')).toEqual(expect.objectContaining({ quantity: 6, reserved: 1, available: 5 }));
+      expect([...containers.inventory_logs.values()]).toEqual([
+        expect.objectContaining({ productId: 'p1', oldQuantity: 4, newQuantity: 6, change: 2, adjustedBy: 'admin-1' })
+      ]);
+    });
+  });
+});
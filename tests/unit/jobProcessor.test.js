@@ -16,6 +16,7 @@ describe('JobProcessor', () => {
       },
       dataServe: {
         jsonFindById: jest.fn(),
+        getByUuid: jest.fn(),
         add: jest.fn(),
         remove: jest.fn(),
         jsonFindByPath: jest.fn()
@@ -64,8 +65,8 @@ describe('JobProcessor', () => {
 
   describe('handleOrderFulfillment', () => {
     it('should process order fulfillment', async () => {
-      const mockOrder = global.testHelpers.createMockOrder();
-      mockServices.dataServe.jsonFindById.mockResolvedValue(mockOrder);
+      const mockOrder = { ...global.testHelpers.createMockOrder(), status: 'paid' };
+      mockServices.dataServe.getByUuid.mockResolvedValue(mockOrder);
       mockServices.dataServe.remove.mockResolvedValue();
       mockServices.dataServe.add.mockResolvedValue('updated-order-id');
       mockServices.workflow.startWorkflow.mockResolvedValue();
@@ -82,13 +83,13 @@ describe('JobProcessor', () => {
       expect(mockServices.dataServe.add).toHaveBeenCalledWith(
         'orders',
         expect.objectContaining({
-          status: 'fulfilling'
+          status: 'processing'
         })
       );
     });
 
     it('should handle missing order', async () => {
-      mockServices.dataServe.jsonFindById.mockResolvedValue(null);
+      mockServices.dataServe.getByUuid.mockResolvedValue(null);
 
       await expect(
         jobProcessor.handleOrderFulfillment({ orderId: 'missing-order' })
@@ -96,6 +97,73 @@ describe('JobProcessor', () => {
     });
   });
 
+  describe('handlePaymentConfirmation', () => {
+    beforeEach(() => {
+      mockServices.dataServe.remove.mockResolvedValue();
+      mockServices.dataServe.add.mockResolvedValue('updated-order-id');
+      mockServices.queue.enqueue.mockResolvedValue();
+    });
+
+    it('should confirm a paid order and start fulfillment', async () => {
+      mockServices.dataServe.getByUuid.mockResolvedValue({ ...global.testHelpers.createMockOrder(), status: 'paid', paymentStatus: 'paid' });
+
+      await jobProcessor.handlePaymentConfirmation({ orderId: 'order-123', paymentIntentId: 'pi-1' });
+
+      expect(mockServices.dataServe.add).toHaveBeenCalledWith('orders', expect.objectContaining({ paymentStatus: 'confirmed' }));
+      expect(mockServices.queue.enqueue).toHaveBeenCalledWith('ecommerce_jobs', expect.objectContaining({ type: 'order_fulfillment' }));
+    });
+
+    it('should leave a refunded or already confirmed payment alone', async () => {
+      for (const paymentStatus of ['refunded', 'confirmed']) {
+        mockServices.dataServe.getByUuid.mockResolvedValue({ ...global.testHelpers.createMockOrder(), status: 'paid', paymentStatus });
+
+        await jobProcessor.handlePaymentConfirmation({ orderId: 'order-123', paymentIntentId: 'pi-1' });
+      }
+
+      expect(mockServices.dataServe.add).not.toHaveBeenCalledWith('orders', expect.objectContaining({ paymentStatus: 'confirmed', paymentConfirmedAt: expect.any(String) }));
+      expect(mockServices.queue.enqueue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleOrderStatusUpdate', () => {
+    it('should apply an allowed transition and record history', async () => {
+      const mockOrder = { ...global.testHelpers.createMockOrder(), status: 'processing' };
+      mockServices.dataServe.getByUuid.mockResolvedValue(mockOrder);
+      mockServices.dataServe.add.mockResolvedValue('updated-order-id');
+
+      await jobProcessor.handleOrderStatusUpdate({
+        orderId: 'order-123',
+        status: 'shipped',
+        trackingNumber: 'TN123456ABCDEF'
+      });
+
+      expect(mockServices.dataServe.add).toHaveBeenCalledWith(
+        'orders',
+        expect.objectContaining({
+          status: 'shipped',
+          trackingNumber: 'TN123456ABCDEF',
+          statusHistory: [
+            expect.objectContaining({
+              fromStatus: 'processing',
+              status: 'shipped',
+              changedBy: { type: 'system', id: null }
+            })
+          ]
+        })
+      );
+    });
+
+    it('should reject an invalid transition', async () => {
+      const mockOrder = { ...global.testHelpers.createMockOrder(), status: 'delivered' };
+      mockServices.dataServe.getByUuid.mockResolvedValue(mockOrder);
+
+      await expect(
+        jobProcessor.handleOrderStatusUpdate({ orderId: 'order-123', status: 'shipped' })
+      ).rejects.toMatchObject({ status: 409 });
+      expect(mockServices.dataServe.remove).not.toHaveBeenCalled();
+    });
+  });
+
   describe('handleInventoryUpdate', () => {
     it('should update existing inventory', async () => {
       const mockInventory = {
@@ -108,6 +176,7 @@ describe('JobProcessor', () => {
       };
 
       mockServices.dataServe.jsonFindByPath.mockResolvedValue([mockInventory]);
+      mockServices.dataServe.getByUuid.mockResolvedValue(mockInventory);
       mockServices.dataServe.remove.mockResolvedValue();
       mockServices.dataServe.add.mockResolvedValue('updated-inv-id');
 
@@ -120,10 +189,12 @@ describe('JobProcessor', () => {
       expect(mockServices.dataServe.add).toHaveBeenCalledWith(
         'inventory',
         expect.objectContaining({
+          id: 'inv-123',
           quantity: 95,
           available: 85
         })
       );
+      expect(mockServices.dataServe.remove).toHaveBeenCalledWith('inventory', 'inv-123');
     });
 
     it('should create new inventory record if none exists', async () => {
@@ -184,4 +255,38 @@ describe('JobProcessor', () => {
       expect(trackingNumber).toMatch(/^TN\d{6}[A-Z0-9]{6}$/);
     });
   });
+
+  describe('scheduleRecurringJobs', () => {
+    let tick;
+    let now;
+
+    const queuedAt = (time) => {
+      now.mockReturnValue(new Date(time).getTime());
+      jobProcessor.addJob.mockClear();
+      tick('completed');
+      return jobProcessor.addJob.mock.calls.map(([type]) => type);
+    };
+
+    beforeEach(async () => {
+      now = jest.spyOn(Date, 'now');
+      mockServices.scheduling = { start: jest.fn(async (name, script, seconds, callback) => { tick = callback; }) };
+      jobProcessor = new JobProcessor(mockServices);
+      jest.spyOn(jobProcessor, 'addJob').mockResolvedValue('job-1');
+      await jobProcessor.scheduleRecurringJobs(60);
+    });
+
+    afterEach(() => {
+      now.mockRestore();
+    });
+
+    it('should reconcile payments once a day at the configured hour, not at start-up', () => {
+      expect(jobProcessor.reconciliationHour).toBe(3);
+
+      expect(queuedAt('2026-03-10T10:00:00Z')).toEqual(['release_expired_reservations', 'detect_abandoned_carts']);
+      expect(queuedAt('2026-03-11T02:59:00Z')).not.toContain('reconcile_payments');
+      expect(queuedAt('2026-03-11T03:00:20Z')).toContain('reconcile_payments');
+      expect(queuedAt('2026-03-11T03:01:20Z')).not.toContain('reconcile_payments');
+      expect(queuedAt('2026-03-12T03:00:40Z')).toContain('reconcile_payments');
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,145 @@
+/**
+ * Unit tests for MerchandisingService
+ */
+
+const MerchandisingService = require('../../src/ecommerce/services/merchandisingService');
+const SearchService = require('../../src/ecommerce/services/searchService');
+
+describe('MerchandisingService', () => {
+  let merchandisingService;
+  let searchService;
+  let mockServices;
+  let containers;
+  let cacheStore;
+
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  beforeEach(() => {
+    containers = {
+      products: new Map(),
+      product_variants: new Map(),
+      inventory: new Map(),
+      categories: new Map(),
+      search_queries: new Map(),
+      search_rules: new Map()
+    };
+    cacheStore = new Map();
+    let nextKey = 1;
+
+    containers.products.set('red', { id: 'red', name: 'Red T-Shirt', category: 'Clothing', price: 20, status: 'active', createdAt: daysAgo(200) });
+    containers.products.set('blue', { id: 'blue', name: 'Blue T-Shirt', category: 'Clothing', price: 20, status: 'active', createdAt: daysAgo(1) });
+    containers.products.set('green', { id: 'green', name: 'Green T-Shirt', category: 'Clothing', price: 20, status: 'active', createdAt: daysAgo(100) });
+    containers.products.set('socks', { id: 'socks', name: 'Socks', category: 'Clothing', price: 5, status: 'active', createdAt: daysAgo(10) });
+    containers.inventory.set('i-red', { id: 'i-red', productId: 'red', available: 50, unitCost: 5 });
+    containers.inventory.set('i-blue', { id: 'i-blue', productId: 'blue', available: 0, unitCost: 18 });
+    containers.categories.set('cat-shoes', { id: 'cat-shoes', name: 'Shoes', slug: 'shoes', status: 'active' });
+
+    mockServices = {
+      dataServe: {
+        add: jest.fn(async (container, record) => {
+          const key = `key-${nextKey++}`;
+          containers[container].set(key, record);
+          return key;
+        }),
+        getByUuid: jest.fn(async (container, key) => containers[container].get(key) || null),
+        remove: jest.fn(async (container, key) => containers[container].delete(key)),
+        jsonFind: jest.fn(async (container, predicate) => [...containers[container].values()].filter(predicate)),
+        jsonFindByPath: jest.fn(async (container, path, value) =>
+          [...containers[container].values()].filter(record => record[path] === value))
+      },
+      cache: {
+        get: jest.fn(async key => cacheStore.get(key)),
+        put: jest.fn(async (key, value) => { cacheStore.set(key, value); }),
+        delete: jest.fn(async key => { cacheStore.delete(key); })
+      },
+      logger: {
+        info: jest.fn(),
+        error: jest.fn()
+      }
+    };
+
+    merchandisingService = new MerchandisingService(mockServices, { storeUrl: '/store' });
+    searchService = new SearchService(mockServices, { merchandisingService });
+  });
+
+  const resultIds = async (params, options) =>
+    (await searchService.search(params, options)).results.map(product => product.id);
+
+  describe('normalizeRule', () => {
+    it('should validate each rule type', async () => {
+      await expect(merchandisingService.createRule({ type: 'synonym', terms: ['tee'] }, 'admin'))
+        .rejects.toMatchObject({ status: 400 });
+      await expect(merchandisingService.createRule({ type: 'redirect', queries: ['shoes'], categoryId: 'nope' }, 'admin'))
+        .rejects.toMatchObject({ status: 400 });
+      await expect(merchandisingService.createRule({ type: 'pin', queries: ['tee'], pinned: ['red'], buried: ['red'] }, 'admin'))
+        .rejects.toMatchObject({ status: 400 });
+      await expect(merchandisingService.createRule({ type: 'boost', factor: 'colour' }, 'admin'))
+        .rejects.toMatchObject({ status: 400 });
+
+      const rule = await merchandisingService.createRule({ type: 'synonym', terms: ['Tee', 'T-Shirt'] }, 'admin');
+      expect(rule).toMatchObject({ terms: ['tee', 't shirt'], name: 'tee = t shirt', active: true });
+    });
+  });
+
+  describe('search with rules', () => {
+    it('should find products through synonyms', async () => {
+      expect(await resultIds({ q: 'tee' })).toEqual([]);
+
+      await merchandisingService.createRule({ type: 'synonym', terms: ['tee', 't-shirt'] }, 'admin');
+
+      const result = await searchService.search({ q: 'red tee' });
+      expect(result.results.map(product => product.id)).toEqual(['red']);
+      expect(result.appliedRules).toEqual([expect.objectContaining({ type: 'synonym' })]);
+    });
+
+    it('should return the redirect for a query', async () => {
+      await merchandisingService.createRule({ type: 'redirect', queries: ['Footwear'], categoryId: 'cat-shoes' }, 'admin');
+
+      const result = await searchService.search({ q: 'footwear' });
+
+      expect(result.redirect).toMatchObject({ url: '/store/?category=Shoes', categorySlug: 'shoes' });
+      await expect(searchService.suggest('footwear')).resolves.toMatchObject({
+        suggestions: [{ type: 'redirect', text: 'Shoes', url: '/store/?category=Shoes' }]
+      });
+    });
+
+    it('should pin and bury products for relevance sorting only', async () => {
+      await merchandisingService.createRule({
+        type: 'pin', queries: ['shirt'], pinned: ['socks', 'green'], buried: ['blue']
+      }, 'admin');
+
+      expect(await resultIds({ q: 'shirt' })).toEqual(['socks', 'green', 'red', 'blue']);
+      expect(await resultIds({ q: 'shirt' }, { merchandise: false })).toEqual(['blue', 'green', 'red']);
+      expect(await resultIds({ q: 'shirt', sort: 'name' })).toEqual(['blue', 'green', 'red', 'socks']);
+
+      const first = await searchService.search({ q: 'shirt', limit: 2 });
+      const second = await searchService.search({ q: 'shirt', limit: 2, cursor: first.nextCursor });
+      expect(second.results.map(product => product.id)).toEqual(['red', 'blue']);
+    });
+
+    it('should boost by margin, stock and recency', async () => {
+      const boost = await merchandisingService.createRule({ type: 'boost', factor: 'margin', weight: 1 }, 'admin');
+      expect(await resultIds({ q: 'shirt' })).toEqual(['red', 'blue', 'green']);
+
+      await merchandisingService.updateRule(boost.id, { factor: 'recency' }, 'admin');
+      expect(await resultIds({ q: 'shirt' })).toEqual(['blue', 'green', 'red']);
+
+      await merchandisingService.updateRule(boost.id, { factor: 'stock', queries: ['shirt'] }, 'admin');
+      expect(await resultIds({ q: 'shirt' })).toEqual(['red', 'blue', 'green']);
+      expect(await resultIds({ q: 'red shirt' })).toEqual(['red']);
+    });
+
+    it('should ignore inactive and deleted rules', async () => {
+      const rule = await merchandisingService.createRule({ type: 'pin', queries: ['shirt'], pinned: ['socks'] }, 'admin');
+
+      await merchandisingService.updateRule(rule.id, { active: false }, 'admin');
+      expect(await resultIds({ q: 'shirt' })).not.toContain('socks');
+
+      await merchandisingService.updateRule(rule.id, { active: true }, 'admin');
+      expect(await resultIds({ q: 'shirt' })).toContain('socks');
+
+      await merchandisingService.deleteRule(rule.id);
+      expect(await resultIds({ q: 'shirt' })).not.toContain('socks');
+    });
+  });
+});
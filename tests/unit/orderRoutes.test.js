@@ -0,0 +1,100 @@
+/**
+ * Route tests for guest orders, order tracking and claiming guest orders
+ */
+
+const request = require('supertest');
+const { createRouteApp } = require('../helpers/routeApp');
+
+describe('Order routes', () => {
+  const base = '/applications/ecommerce/api';
+  const shippingAddress = { firstName: 'Ada', lastName: 'Guest', address: '1 Main St', city: 'Albany', state: 'NY', zipCode: '12207', country: 'US' };
+
+  let app;
+  let jobProcessor;
+
+  const placeGuestOrder = async (sessionId, email) => {
+    await request(app).post(`${base}/cart/add`).send({ sessionId, productId: 'lamp', quantity: 1 }).expect(200);
+    const { body } = await request(app).post(`${base}/checkout/quote`).send({ sessionId, shippingAddress }).expect(200);
+    return request(app).post(`${base}/orders`).send({ quoteId: body.quote.quoteId, signature: body.quote.signature, email });
+  };
+
+  beforeEach(() => {
+    const routeApp = createRouteApp();
+    const { container } = routeApp;
+    app = routeApp.app;
+    jobProcessor = routeApp.services.jobProcessor;
+
+    container('products').set('lamp', { id: 'lamp', name: 'Desk Lamp', price: 40, category: 'Lighting', status: 'active' });
+    container('inventory').set('inv-lamp', { id: 'inv-lamp', productId: 'lamp', quantity: 10, reserved: 0 });
+  });
+
+  describe('POST /orders', () => {
+    it('should take guest orders identified by email', async () => {
+      let response = await placeGuestOrder('guest-1', 'not-an-email');
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('A valid email is required for guest checkout');
+
+      const { body } = await request(app).post(`${base}/checkout/quote`).send({ sessionId: 'guest-1', shippingAddress }).expect(200);
+      response = await request(app).post(`${base}/orders`).send({ quoteId: body.quote.quoteId, signature: body.quote.signature, email: ' Ada@Example.com ' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.order).toMatchObject({
+        userId: null,
+        isGuest: true,
+        customerEmail: 'ada@example.com',
+        status: 'created',
+        totalAmount: body.quote.totalAmount
+      });
+    });
+  });
+
+  describe('GET /orders/track/:orderNumber', () => {
+    it('should only show an order to someone who knows its email', async () => {
+      const { body: { order } } = await placeGuestOrder('guest-1', 'ada@example.com');
+      const track = (query) => request(app).get(`${base}/orders/track/${order.orderNumber}${query}`);
+
+      expect((await track('')).status).toBe(400);
+      expect((await track('?email=someone@example.com')).status).toBe(404);
+      expect((await request(app).get(`${base}/orders/track/ORD-UNKNOWN?email=ada@example.com`)).status).toBe(404);
+
+      const response = await track('?email=ADA@example.com');
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ orderNumber: order.orderNumber, status: 'created', items: [expect.objectContaining({ productId: 'lamp', quantity: 1 })] });
+      expect(response.body.shippingAddress).toBeUndefined();
+    });
+  });
+
+  describe('claiming guest orders', () => {
+    it('should only attach guest orders once the registrant confirms the email', async () => {
+      const { body: { order } } = await placeGuestOrder('guest-1', 'ada@example.com');
+
+      const registered = await request(app).post(`${base}/auth/register`)
+        .send({ email: 'ada@example.com', password: 'secret123', firstName: 'Ada', lastName: 'Guest' });
+      expect(registered.status).toBe(201);
+      expect(registered.body).toMatchObject({ verificationSent: true, user: { emailVerified: false } });
+      expect(registered.body.claimedOrders).toBeUndefined();
+
+      const auth = `Bearer ${registered.body.token}`;
+      expect((await request(app).get(`${base}/orders/${order.id}`).set('Authorization', auth)).status).toBe(403);
+
+      const [type, email] = jobProcessor.addJob.mock.calls[0];
+      expect(type).toBe('customer_email');
+      expect(email).toMatchObject({ type: 'verify_email', recipientEmail: 'ada@example.com' });
+      const token = decodeURIComponent(email.verifyUrl.split('verifyEmail=')[1]);
+
+      const forged = await request(app).post(`${base}/auth/verify-email`).send({ token: `${token.split('.')[0]}.${'0'.repeat(64)}` });
+      expect(forged.status).toBe(400);
+
+      const verified = await request(app).post(`${base}/auth/verify-email`).send({ token });
+      expect(verified.status).toBe(200);
+      expect(verified.body).toMatchObject({ claimedOrders: 1, user: { emailVerified: true } });
+      expect(verified.body.user.password).toBeUndefined();
+
+      const mine = await request(app).get(`${base}/orders/${order.id}`).set('Authorization', auth);
+      expect(mine.status).toBe(200);
+      expect(mine.body.order).toMatchObject({ userId: registered.body.user.id, isGuest: false });
+
+      expect((await request(app).post(`${base}/auth/verify-email/resend`).set('Authorization', auth)).status).toBe(409);
+    });
+  });
+});
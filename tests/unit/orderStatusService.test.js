@@ -0,0 +1,82 @@
+/**
+ * Unit tests for OrderStatusService
+ */
+
+const OrderStatusService = require('../../src/ecommerce/services/orderStatusService');
+
+describe('OrderStatusService', () => {
+  let orderStatusService;
+  let mockServices;
+
+  beforeEach(() => {
+    mockServices = {
+      dataServe: {
+        getByUuid: jest.fn(),
+        add: jest.fn(),
+        remove: jest.fn()
+      },
+      logger: {
+        info: jest.fn(),
+        error: jest.fn()
+      }
+    };
+
+    orderStatusService = new OrderStatusService(mockServices);
+  });
+
+  describe('canTransition', () => {
+    it('should follow the order lifecycle', () => {
+      expect(OrderStatusService.canTransition('created', 'paid')).toBe(true);
+      expect(OrderStatusService.canTransition('paid', 'processing')).toBe(true);
+      expect(OrderStatusService.canTransition('picked', 'shipped')).toBe(true);
+      expect(OrderStatusService.canTransition('shipped', 'delivered')).toBe(true);
+    });
+
+    it('should reject skipped, backward and terminal transitions', () => {
+      expect(OrderStatusService.canTransition('created', 'shipped')).toBe(false);
+      expect(OrderStatusService.canTransition('delivered', 'processing')).toBe(false);
+      expect(OrderStatusService.canTransition('cancelled', 'paid')).toBe(false);
+      expect(OrderStatusService.canTransition('unknown', 'paid')).toBe(false);
+    });
+  });
+
+  describe('transition', () => {
+    it('should persist the new status with a history entry', async () => {
+      mockServices.dataServe.getByUuid.mockResolvedValue({
+        orderNumber: 'ORD-1',
+        status: 'created',
+        statusHistory: [OrderStatusService.createHistoryEntry(null, 'created', { type: 'customer', id: 'user-1' })]
+      });
+      mockServices.dataServe.add.mockResolvedValue('order-2');
+
+      const order = await orderStatusService.transition('order-1', 'cancelled', { type: 'admin', id: 'admin-1' }, {
+        note: 'Customer request'
+      });
+
+      expect(order.status).toBe('cancelled');
+      expect(order.cancelledAt).toBeDefined();
+      expect(order.statusHistory).toHaveLength(2);
+      expect(order.statusHistory[1]).toEqual(expect.objectContaining({
+        fromStatus: 'created',
+        status: 'cancelled',
+        changedBy: { type: 'admin', id: 'admin-1' },
+        note: 'Customer request'
+      }));
+    });
+
+    it('should reject an invalid transition with status 409', async () => {
+      mockServices.dataServe.getByUuid.mockResolvedValue({ orderNumber: 'ORD-1', status: 'created' });
+
+      await expect(
+        orderStatusService.transition('order-1', 'delivered', { type: 'admin', id: 'admin-1' })
+      ).rejects.toMatchObject({ status: 409, allowedTransitions: ['paid', 'cancelled'] });
+      expect(mockServices.dataServe.add).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown status with status 400', async () => {
+      await expect(
+        orderStatusService.transition('order-1', 'teleported', { type: 'admin', id: 'admin-1' })
+      ).rejects.toMatchObject({ status: 400 });
+    });
+  });
+});
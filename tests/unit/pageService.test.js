@@ -0,0 +1,175 @@
+/**
+ * Unit tests for PageService
+ */
+
+const PageService = require('../../src/ecommerce/services/pageService');
+
+describe('PageService', () => {
+  let pageService;
+  let mockServices;
+  let containers;
+
+  const admin = 'admin-1';
+
+  const createPage = (blocks, overrides = {}) => pageService.contentService.createContent(
+    { title: 'Summer Edit', type: 'page', blocks, ...overrides },
+    admin,
+    { publish: true }
+  );
+
+  beforeEach(() => {
+    containers = {};
+    let nextKey = 1;
+    const container = (name) => containers[name] || (containers[name] = new Map());
+    const cached = new Map();
+
+    mockServices = {
+      dataServe: {
+        add: jest.fn(async (name, record) => {
+          const key = `key-${nextKey++}`;
+          container(name).set(key, record);
+          return key;
+        }),
+        getByUuid: jest.fn(async (name, key) => container(name).get(key) || null),
+        remove: jest.fn(async (name, key) => container(name).delete(key)),
+        jsonFind: jest.fn(async (name, predicate) => [...container(name).values()].filter(predicate)),
+        jsonFindByPath: jest.fn(async (name, path, value) =>
+          [...container(name).values()].filter(record => record[path] === value))
+      },
+      cache: {
+        get: jest.fn(async (key) => cached.get(key)),
+        put: jest.fn(async (key, value) => cached.set(key, value)),
+        delete: jest.fn(async (key) => cached.delete(key))
+      },
+      logger: { info: jest.fn(), error: jest.fn() }
+    };
+
+    pageService = new PageService(mockServices);
+
+    container('products').set('mug', { id: 'mug', name: 'Blue Mug', description: 'Tea mug', price: 12, category: 'Kitchen', status: 'active', primaryImageId: 'img-1' });
+    container('products').set('lamp', { id: 'lamp', name: 'Desk Lamp', description: 'Bright', price: 40, category: 'Lighting', status: 'active' });
+    container('products').set('old', { id: 'old', name: 'Old Mug', description: 'Retired', price: 5, category: 'Kitchen', status: 'inactive' });
+    container('categories').set('home', { id: 'home', name: 'Home', slug: 'home', status: 'active', sortOrder: 0 });
+    container('categories').set('kitchen', { id: 'kitchen', name: 'Kitchen', slug: 'kitchen', parentCategoryId: 'home', status: 'active', sortOrder: 1 });
+    container('categories').set('lighting', { id: 'lighting', name: 'Lighting', slug: 'lighting', status: 'active', sortOrder: 2 });
+  });
+
+  describe('blocks', () => {
+    it('should check blocks against their schema when content is saved', async () => {
+      const page = await createPage([
+        { type: 'hero', heading: ' Summer ', imageUrl: '/images/summer.jpg' },
+        { type: 'image_grid', images: [{ imageUrl: 'https://cdn.example.com/a.jpg', alt: 'A' }] }
+      ]);
+      expect(page.blocks).toEqual([
+        { type: 'hero', heading: 'Summer', imageUrl: '/images/summer.jpg', align: 'center' },
+        { type: 'image_grid', columns: 3, images: [{ imageUrl: 'https://cdn.example.com/a.jpg', alt: 'A' }] }
+      ]);
+
+      const invalid = [
+        [[{ type: 'video' }], 'Block 1 type must be one of: hero, product_carousel, rich_text, image_grid, category_tiles'],
+        [[{ type: 'hero' }], 'Block 1 (hero): heading is required'],
+        [[{ type: 'rich_text', html: '<p>Hi</p>', colour: 'red' }], 'Block 1 (rich_text): unknown field colour'],
+        [[{ type: 'image_grid', columns: 9, images: [{ imageUrl: '/a.jpg' }] }], 'Block 1 (image_grid): columns must be between 1 and 6'],
+        [[{ type: 'image_grid', images: [{ imageUrl: 'javascript:alert(1)' }] }], 'Block 1 (image_grid): images[0].imageUrl must be a URL starting with / or http'],
+        [[{ type: 'product_carousel', source: 'query', query: { sort: 'random' } }], 'Block 1 (product_carousel): query.sort must be one of: relevance, price_asc, price_desc, newest, name, rating'],
+        [[{ type: 'product_carousel', source: 'collection' }], 'Block 1 (product_carousel): productIds is required when source is collection']
+      ];
+      for (const [blocks, message] of invalid) {
+        await expect(createPage(blocks, { slug: 'invalid' })).rejects.toMatchObject({ status: 400, message });
+      }
+
+      await expect(pageService.contentService.createContent({ title: 'Sale', type: 'banner', blocks: [{ type: 'hero', heading: 'Sale' }] }, admin))
+        .rejects.toMatchObject({ status: 400, message: 'Only pages can have blocks' });
+    });
+
+    it('should resolve carousel products and category tiles when a page is served', async () => {
+      await createPage([
+        { type: 'product_carousel', heading: 'Mugs', source: 'query', query: { q: 'mug' } },
+        { type: 'product_carousel', source: 'collection', productIds: ['lamp', 'old', 'missing', 'mug'] },
+        { type: 'category_tiles', categoryIds: ['lighting', 'kitchen'] },
+        { type: 'category_tiles', showProductCount: false },
+        { type: 'rich_text', html: '<p>Enjoy</p>' }
+      ]);
+
+      const page = await pageService.getPage('summer-edit');
+      const [query, collection, chosen, roots, text] = page.blocks;
+
+      expect(query.data.products).toEqual([
+        { id: 'mug', name: 'Blue Mug', description: 'Tea mug', category: 'Kitchen', price: 12, salePrice: null, primaryImageId: 'img-1', rating: { averageRating: null, reviewCount: 0 } }
+      ]);
+      expect(collection.data.products.map(product => product.id)).toEqual(['lamp', 'mug']);
+      expect(chosen.data.categories.map(category => [category.name, category.productCount, category.url])).toEqual([
+        ['Lighting', 1, '/applications/ecommerce/?category=Lighting'],
+        ['Kitchen', 1, '/applications/ecommerce/?category=Kitchen']
+      ]);
+      expect(roots.data.categories.map(category => [category.name, category.productCount])).toEqual([['Home', null], ['Lighting', null]]);
+      expect(text).toEqual({ type: 'rich_text', html: '<p>Enjoy</p>', data: null });
+    });
+
+    it('should only serve live pages by slug', async () => {
+      const draft = await pageService.contentService.createContent({ title: 'Coming Soon', type: 'page' }, admin);
+      const banner = await pageService.contentService.createContent({ title: 'Sale', type: 'banner' }, admin, { publish: true });
+
+      await expect(pageService.getPage('coming-soon')).rejects.toMatchObject({ status: 404 });
+      await expect(pageService.getPage(banner.slug)).rejects.toMatchObject({ status: 404 });
+
+      await pageService.contentService.publish(draft.id, admin);
+      await expect(pageService.getPage('coming-soon')).resolves.toMatchObject({ title: 'Coming Soon', blocks: [] });
+    });
+  });
+
+  describe('menus', () => {
+    const menuItems = () => [
+      { label: 'Shop', type: 'category', categoryId: 'home', children: [
+        { label: 'Kitchen', type: 'category', categoryId: 'kitchen' },
+        { label: 'Lamp', type: 'product', productId: 'lamp' }
+      ] },
+      { label: 'Summer', type: 'page', slug: 'summer-edit' },
+      { label: 'Blog', type: 'url', url: 'https://blog.example.com', openInNewTab: true }
+    ];
+
+    it('should validate menus and keep handles unique', async () => {
+      const menu = await pageService.createMenu({ name: 'Main', items: menuItems() }, admin);
+      expect(menu).toMatchObject({ name: 'Main', handle: 'main', version: 1 });
+      expect(menu.items[0].children[1]).toEqual({ label: 'Lamp', type: 'product', productId: 'lamp', children: [] });
+
+      await expect(pageService.createMenu({ name: 'Main', items: [] }, admin))
+        .rejects.toMatchObject({ status: 400, message: 'A menu with this handle already exists' });
+      await expect(pageService.createMenu({ name: 'Footer', items: [{ label: 'Gone', type: 'product', productId: 'missing' }] }, admin))
+        .rejects.toMatchObject({ status: 400, message: 'Item 1: product not found' });
+      await expect(pageService.createMenu({ name: 'Footer', items: [{ label: 'Bad', type: 'url', url: 'javascript:void(0)' }] }, admin))
+        .rejects.toMatchObject({ status: 400, message: 'Item 1: url must start with /, http or mailto:' });
+
+      const nested = menuItems();
+      nested[0].children[0].children = [{ label: 'Deep', type: 'url', url: '/deep' }];
+      await expect(pageService.updateMenu(menu.id, { items: nested }, admin))
+        .rejects.toMatchObject({ status: 400, message: 'Item 1.1: menus can only be 2 levels deep' });
+
+      await expect(pageService.updateMenu(menu.id, { name: 'Header' }, admin, 1)).resolves.toMatchObject({ name: 'Header', handle: 'main', version: 2 });
+      await expect(pageService.updateMenu(menu.id, { name: 'Stale' }, admin, 1)).rejects.toMatchObject({ status: 409 });
+    });
+
+    it('should serve menus with links worked out and links to anything not live left out', async () => {
+      await pageService.createMenu({ name: 'Main', items: menuItems() }, admin);
+
+      let menu = await pageService.getStorefrontMenu('main');
+      expect(menu.items.map(item => item.label)).toEqual(['Shop', 'Blog']);
+      expect(menu.items[0].children).toEqual([
+        { label: 'Kitchen', type: 'category', categoryId: 'kitchen', categoryName: 'Kitchen', url: '/applications/ecommerce/?category=Kitchen', children: [] },
+        { label: 'Lamp', type: 'product', productId: 'lamp', url: '/applications/ecommerce/?product=lamp', children: [] }
+      ]);
+
+      await createPage([]);
+      containers.products.get('lamp').status = 'inactive';
+
+      menu = await pageService.getStorefrontMenu('main');
+      expect(menu.items.map(item => [item.label, item.url])).toEqual([
+        ['Shop', '/applications/ecommerce/?category=Home'],
+        ['Summer', '/applications/ecommerce/?page=summer-edit'],
+        ['Blog', 'https://blog.example.com']
+      ]);
+      expect(menu.items[0].children.map(item => item.label)).toEqual(['Kitchen']);
+      await expect(pageService.getStorefrontMenu('footer')).rejects.toMatchObject({ status: 404 });
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit tests for PaymentMethodService
+ */
+
+const PaymentMethodService = require('../../src/ecommerce/services/paymentMethodService');
+const SimulatedGateway = require('../../src/ecommerce/services/simulatedGateway');
+
+describe('PaymentMethodService', () => {
+  let paymentMethodService;
+  let gateway;
+  let mockServices;
+  let containers;
+
+  const user = { id: 'ada' };
+
+  beforeEach(() => {
+    containers = {
+      users: new Map(),
+      payment_methods: new Map()
+    };
+    let nextKey = 1;
+
+    containers.users.set('ada', { id: 'ada', email: 'ada@example.com', firstName: 'Ada', lastName: 'Lovelace' });
+    containers.users.set('bob', { id: 'bob', email: 'bob@example.com', firstName: 'Bob' });
+
+    mockServices = {
+      dataServe: {
+        add: jest.fn(async (container, record) => {
+          const key = `key-${nextKey++}`;
+          containers[container].set(key, record);
+          return key;
+        }),
+        getByUuid: jest.fn(async (container, key) => containers[container].get(key) || null),
+        remove: jest.fn(async (container, key) => containers[container].delete(key)),
+        jsonFind: jest.fn(async (container, predicate) => [...containers[container].values()].filter(predicate)),
+        jsonFindByPath: jest.fn(async (container, path, value) =>
+          [...containers[container].values()].filter(record => record[path] === value))
+      },
+      logger: {
+        info: jest.fn(),
+        error: jest.fn()
+      }
+    };
+
+    gateway = new SimulatedGateway(mockServices);
+    paymentMethodService = new PaymentMethodService(mockServices, { gateway });
+  });
+
+  describe('getOrCreateCustomer', () => {
+    it('should create the provider customer once and keep it on the user', async () => {
+      const customerId = await paymentMethodService.getOrCreateCustomer(user);
+
+      await expect(paymentMethodService.getOrCreateCustomer(user)).resolves.toBe(customerId);
+      await expect(paymentMethodService.users.findById('ada'))
+        .resolves.toMatchObject({ paymentCustomers: { simulated: customerId } });
+    });
+  });
+
+  describe('addPaymentMethod', () => {
+    it('should store only the token, brand, last4 and expiry', async () => {
+      const method = await paymentMethodService.addPaymentMethod(user, 'tok_mastercard');
+
+      expect(method).toMatchObject({ userId: 'ada', provider: 'simulated', brand: 'mastercard', last4: '4444', expMonth: 12 });
+      expect(PaymentMethodService.toPublic(method)).not.toHaveProperty('token');
+      await expect(paymentMethodService.addPaymentMethod(user, method.token)).resolves.toMatchObject({ id: method.id });
+    });
+
+    it('should reject unknown tokens and expired cards', async () => {
+      await expect(paymentMethodService.addPaymentMethod(user, 'tok_nope')).rejects.toMatchObject({ status: 400 });
+      await expect(paymentMethodService.addPaymentMethod(user, 'tok_expiredCard')).rejects.toThrow('expired');
+      await expect(paymentMethodService.listPaymentMethods('ada')).resolves.toEqual([]);
+    });
+  });
+
+  describe('charge', () => {
+    it('should report success, decline and authentication outcomes', async () => {
+      const visa = await paymentMethodService.addPaymentMethod(user, 'tok_visa');
+      const declined = await paymentMethodService.addPaymentMethod(user, 'tok_chargeDeclined');
+      const threeDS = await paymentMethodService.addPaymentMethod(user, 'tok_threeDSecureRequired');
+      const payment = { amount: 1999, currency: 'usd' };
+
+      await expect(paymentMethodService.charge(user, visa.id, payment))
+        .resolves.toMatchObject({ status: 'succeeded', amount: 1999, paymentMethod: { last4: '4242' } });
+      await expect(paymentMethodService.charge(user, declined.id, payment))
+        .resolves.toMatchObject({ status: 'declined', declineCode: 'card_declined' });
+      await expect(paymentMethodService.charge(user, threeDS.id, payment))
+        .resolves.toMatchObject({ status: 'requires_action' });
+    });
+
+    it('should only charge and delete the owner\'s cards', async () => {
+      const visa = await paymentMethodService.addPaymentMethod(user, 'tok_visa');
+
+      await expect(paymentMethodService.charge({ id: 'bob' }, visa.id, { amount: 100, currency: 'usd' }))
+        .rejects.toMatchObject({ status: 404 });
+      await expect(paymentMethodService.deletePaymentMethod('bob', visa.id)).rejects.toMatchObject({ status: 404 });
+
+      await paymentMethodService.deletePaymentMethod('ada', visa.id);
+      await expect(paymentMethodService.listPaymentMethods('ada')).resolves.toEqual([]);
+      await expect(gateway.chargePaymentMethod({ token: visa.token, amount: 100, currency: 'usd' }))
+        .rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('isExpired', () => {
+    it('should treat cards as valid through their expiry month', () => {
+      const now = new Date(2026, 5, 15);
+      expect(PaymentMethodService.isExpired({ expMonth: 6, expYear: 2026 }, now)).toBe(false);
+      expect(PaymentMethodService.isExpired({ expMonth: 5, expYear: 2026 }, now)).toBe(true);
+      expect(PaymentMethodService.isExpired({ expMonth: 1, expYear: 2027 }, now)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Unit tests for PaymentReconciliationService
+ */
+
+const PaymentReconciliationService = require('../../src/ecommerce/services/paymentReconciliationService');
+const SimulatedGateway = require('../../src/ecommerce/services/simulatedGateway');
+
+describe('PaymentReconciliationService', () => {
+  let reconciliationService;
+  let gateway;
+  let jobProcessor;
+  let inventoryService;
+  let mockServices;
+  let containers;
+
+  const event = (id, type, object) => ({ id, type, created: 1700000000, data: { object } });
+
+  const createOrder = (overrides = {}) => reconciliationService.orders.create({
+    orderNumber: `ORD-${containers.orders.size + 1}`,
+    status: 'paid',
+    paymentStatus: 'paid',
+    totalAmount: 25,
+    quoteId: 'quote-1',
+    statusHistory: [],
+    ...overrides
+  });
+
+  const paidIntent = async () => {
+    const intent = await gateway.createPaymentIntent({ amount: 2500, currency: 'usd', metadata: { quoteId: 'quote-1' } });
+    return gateway.confirmPaymentIntent(intent.id, { paymentMethod: 'tok_visa' });
+  };
+
+  beforeEach(() => {
+    containers = {
+      orders: new Map(),
+      payment_events: new Map()
+    };
+    let nextKey = 1;
+
+    mockServices = {
+      dataServe: {
+        add: jest.fn(async (container, record) => {
+          const key = `key-${nextKey++}`;
+          containers[container].set(key, record);
+          return key;
+        }),
+        getByUuid: jest.fn(async (container, key) => containers[container].get(key) || null),
+        remove: jest.fn(async (container, key) => containers[container].delete(key)),
+        jsonFind: jest.fn(async (container, predicate) => [...containers[container].values()].filter(predicate)),
+        jsonFindByPath: jest.fn(async (container, path, value) =>
+          [...containers[container].values()].filter(record => record[path] === value))
+      },
+      logger: {
+        info: jest.fn(),
+        error: jest.fn()
+      }
+    };
+
+    gateway = new SimulatedGateway(mockServices);
+    jobProcessor = { addJob: jest.fn().mockResolvedValue('job-1') };
+    inventoryService = {
+      releaseForSession: jest.fn().mockResolvedValue(null),
+      getActiveReservation: jest.fn().mockResolvedValue(null),
+      commit: jest.fn().mockResolvedValue({}),
+      commitItems: jest.fn().mockResolvedValue(undefined)
+    };
+    reconciliationService = new PaymentReconciliationService(mockServices, { gateway, jobProcessor, inventoryService });
+  });
+
+  describe('processEvent', () => {
+    it('should mark an unpaid order paid and ignore the redelivered event', async () => {
+      const items = [{ productId: 'lamp', quantity: 1 }];
+      const order = await createOrder({ status: 'created', paymentStatus: undefined, items });
+      const intent = await paidIntent();
+      const succeeded = event('evt_1', 'payment_intent.succeeded', { id: intent.id, amount: 2500, metadata: { quoteId: 'quote-1' } });
+
+      await expect(reconciliationService.processEvent(succeeded))
+        .resolves.toMatchObject({ duplicate: false, result: 'confirmation_queued', orderId: order.id });
+      await expect(reconciliationService.processEvent(succeeded))
+        .resolves.toMatchObject({ duplicate: true });
+
+      const updated = await reconciliationService.orders.findById(order.id);
+      expect(updated).toMatchObject({ status: 'paid', paymentStatus: 'paid', paymentMethod: { paymentIntentId: intent.id } });
+      expect(jobProcessor.addJob).toHaveBeenCalledTimes(1);
+      expect(jobProcessor.addJob).toHaveBeenCalledWith('payment_confirmation', { orderId: order.id, paymentIntentId: intent.id });
+      expect(inventoryService.commitItems).toHaveBeenCalledTimes(1);
+      expect(inventoryService.commitItems).toHaveBeenCalledWith(items);
+    });
+
+    it('should commit the held stock of an order paid after it was placed', async () => {
+      const order = await createOrder({ status: 'created', paymentStatus: undefined, items: [{ productId: 'lamp', quantity: 1 }] });
+      const intent = await paidIntent();
+      inventoryService.getActiveReservation.mockResolvedValue({ id: 'reservation-1' });
+      inventoryService.commit.mockRejectedValueOnce(new Error('Inventory offline'));
+      const succeeded = event('evt_9', 'payment_intent.succeeded',
+        { id: intent.id, amount: 2500, metadata: { quoteId: 'quote-1', sessionId: 'session-1' } });
+
+      // Not recorded, so the provider's retry applies it again
+      await expect(reconciliationService.processEvent(succeeded)).rejects.toThrow('Inventory offline');
+      await expect(reconciliationService.orders.findById(order.id))
+        .resolves.toMatchObject({ status: 'created', stockCommittedAt: null });
+
+      await expect(reconciliationService.processEvent(succeeded)).resolves.toMatchObject({ result: 'confirmation_queued' });
+      expect(inventoryService.getActiveReservation).toHaveBeenCalledWith('session-1');
+      expect(inventoryService.commit).toHaveBeenLastCalledWith('reservation-1', order.id);
+      expect(inventoryService.commitItems).not.toHaveBeenCalled();
+      await expect(reconciliationService.orders.findById(order.id)).resolves.toMatchObject({ status: 'paid' });
+    });
+
+    it('should queue the confirmation once when checkout got there first', async () => {
+      const order = await createOrder({ paymentMethod: { type: 'simulated', paymentIntentId: 'sim_pi_9' } });
+
+      await reconciliationService.markPaid(order, 'sim_pi_9');
+      await expect(reconciliationService.processEvent(
+        event('evt_2', 'payment_intent.succeeded', { id: 'sim_pi_9', amount: 2500, metadata: {} })
+      )).resolves.toMatchObject({ result: 'already_paid' });
+
+      expect(jobProcessor.addJob).toHaveBeenCalledTimes(1);
+    });
+
+    it('should release stock on failure without touching a paid order', async () => {
+      const unpaid = await createOrder({ status: 'created', paymentStatus: undefined, quoteId: 'quote-2' });
+      const paid = await createOrder({ paymentMethod: { paymentIntentId: 'sim_pi_8' } });
+      const failure = { last_payment_error: { message: 'Your card was declined.' } };
+
+      await reconciliationService.processEvent(event('evt_3', 'payment_intent.payment_failed',
+        { id: 'sim_pi_7', metadata: { quoteId: 'quote-2', sessionId: 'session-1' }, ...failure }));
+      await reconciliationService.processEvent(event('evt_4', 'payment_intent.payment_failed',
+        { id: 'sim_pi_8', metadata: {}, ...failure }));
+
+      expect(inventoryService.releaseForSession).toHaveBeenCalledWith('session-1', 'payment_failed');
+      await expect(reconciliationService.orders.findById(unpaid.id))
+        .resolves.toMatchObject({ paymentStatus: 'failed', paymentError: 'Your card was declined.' });
+      await expect(reconciliationService.orders.findById(paid.id)).resolves.toMatchObject({ paymentStatus: 'paid' });
+    });
+
+    it('should track partial and full refunds from the charge totals', async () => {
+      const order = await createOrder({ paymentMethod: { paymentIntentId: 'sim_pi_5' } });
+      const charge = { id: 'ch_1', payment_intent: 'sim_pi_5', amount: 2500, amount_captured: 2500 };
+
+      await reconciliationService.processEvent(event('evt_5', 'charge.refunded', { ...charge, amount_refunded: 1000 }));
+      await expect(reconciliationService.orders.findById(order.id))
+        .resolves.toMatchObject({ status: 'paid', paymentStatus: 'partially_refunded', amountRefunded: 10 });
+
+      await reconciliationService.processEvent(event('evt_6', 'charge.refunded', { ...charge, amount_refunded: 2500 }));
+      await expect(reconciliationService.orders.findById(order.id))
+        .resolves.toMatchObject({ status: 'refunded', paymentStatus: 'refunded', amountRefunded: 25 });
+    });
+
+    it('should flag disputes and restore the payment status when won', async () => {
+      const order = await createOrder({ paymentStatus: 'confirmed', paymentMethod: { paymentIntentId: 'sim_pi_4' } });
+      const dispute = { id: 'dp_1', payment_intent: 'sim_pi_4', amount: 2500, reason: 'fraudulent' };
+
+      await reconciliationService.processEvent(event('evt_7', 'charge.dispute.created', { ...dispute, status: 'needs_response' }));
+      await expect(reconciliationService.orders.findById(order.id))
+        .resolves.toMatchObject({ paymentStatus: 'disputed', dispute: { reason: 'fraudulent', amount: 25 } });
+      expect(jobProcessor.addJob).toHaveBeenCalledWith('send_notification', expect.objectContaining({ type: 'payment_disputed' }));
+
+      await reconciliationService.processEvent(event('evt_8', 'charge.dispute.closed', { ...dispute, status: 'won' }));
+      await expect(reconciliationService.orders.findById(order.id))
+        .resolves.toMatchObject({ paymentStatus: 'confirmed', dispute: { status: 'won' } });
+    });
+  });
+
+  describe('reconcilePayments', () => {
+    it('should flag orders that disagree with the provider and clear them once fixed', async () => {
+      const refundedIntent = await paidIntent();
+      await gateway.refund({ paymentIntentId: refundedIntent.id });
+      const matching = await createOrder({ paymentMethod: { type: 'simulated', paymentIntentId: (await paidIntent()).id } });
+      const stale = await createOrder({ paymentMethod: { type: 'simulated', paymentIntentId: refundedIntent.id } });
+      const missing = await createOrder({ paymentMethod: { type: 'simulated', paymentIntentId: 'sim_pi_404' } });
+
+      const summary = await reconciliationService.reconcilePayments();
+
+      expect(summary).toMatchObject({ checked: 3, errors: 0 });
+      expect(summary.mismatched).toEqual([
+        { orderId: stale.id, orderNumber: stale.orderNumber, localStatus: 'paid', providerStatus: 'refunded' },
+        { orderId: missing.id, orderNumber: missing.orderNumber, localStatus: 'paid', providerStatus: 'missing' }
+      ]);
+      expect((await reconciliationService.getMismatchedOrders()).map(order => order.id)).not.toContain(matching.id);
+
+      await reconciliationService.orders.update(stale.id, { paymentStatus: 'refunded' });
+      await expect(reconciliationService.reconcilePayments()).resolves.toMatchObject({ cleared: 1 });
+      await expect(reconciliationService.orders.findById(stale.id))
+        .resolves.toMatchObject({ paymentReconciliation: { status: 'matched' } });
+    });
+  });
+});
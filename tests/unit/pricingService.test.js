@@ -0,0 +1,222 @@
+/**
+ * Unit tests for PricingService
+ */
+
+const PricingService = require('../../src/ecommerce/services/pricingService');
+
+describe('PricingService', () => {
+  let pricingService;
+  let mockServices;
+  let containers;
+
+  const addProduct = (id, price, extra = {}) => {
+    containers.products.set(id, { id, name: `Product ${id}`, price, status: 'active', category: 'Electronics', ...extra });
+  };
+
+  beforeEach(() => {
+    containers = { products: new Map(), product_variants: new Map(), promotions: new Map(), promotion_redemptions: new Map() };
+    let nextKey = 1;
+
+    mockServices = {
+      dataServe: {
+        add: jest.fn(async (container, record) => {
+          const key = `key-${nextKey++}`;
+          containers[container].set(key, record);
+          return key;
+        }),
+        getByUuid: jest.fn(async (container, key) => containers[container].get(key) || null),
+        remove: jest.fn(async (container, key) => containers[container].delete(key)),
+        jsonFind: jest.fn(async (container, predicate) => [...containers[container].values()].filter(predicate)),
+        jsonFindByPath: jest.fn(async (container, path, value) =>
+          [...containers[container].values()].filter(record => record[path] === value))
+      },
+      logger: {
+        info: jest.fn(),
+        error: jest.fn()
+      }
+    };
+
+    pricingService = new PricingService(mockServices);
+  });
+
+  describe('priceCart', () => {
+    it('should re-price items from the current catalog price', async () => {
+      addProduct('p1', 20, { salePrice: 15 });
+
+      const pricing = await pricingService.priceCart({
+        items: [{ productId: 'p1', quantity: 2, price: 99 }]
+      });
+
+      expect(pricing.items[0]).toEqual(expect.objectContaining({ unitPrice: 15, lineSubtotal: 30, lineTotal: 30 }));
+      expect(pricing.subtotal).toBe(30);
+      expect(pricing.total).toBe(30);
+    });
+
+    it('should price variants from their override and mark inactive variants unavailable', async () => {
+      addProduct('p1', 20);
+      containers.product_variants.set('v-large', { id: 'v-large', productId: 'p1', title: 'L', price: 24, status: 'active' });
+      containers.product_variants.set('v-small', { id: 'v-small', productId: 'p1', title: 'S', price: null, status: 'active' });
+      containers.product_variants.set('v-old', { id: 'v-old', productId: 'p1', title: 'XS', price: 18, status: 'inactive' });
+
+      const pricing = await pricingService.priceCart({
+        items: [
+          { productId: 'p1', variantId: 'v-large', quantity: 1 },
+          { productId: 'p1', variantId: 'v-small', quantity: 1 },
+          { productId: 'p1', variantId: 'v-old', quantity: 1 }
+        ]
+      });
+
+      expect(pricing.items[0]).toEqual(expect.objectContaining({ name: 'Product p1 (L)', unitPrice: 24 }));
+      expect(pricing.items[1]).toEqual(expect.objectContaining({ unitPrice: 20 }));
+      expect(pricing.items[2].unavailable).toBe(true);
+      expect(pricing.subtotal).toBe(44);
+    });
+
+    it('should apply automatic percentage promotions only to scoped items', async () => {
+      addProduct('p1', 50);
+      addProduct('p2', 10, { category: 'Books' });
+      await pricingService.createPromotion({
+        name: 'Electronics 10% off',
+        type: 'percentage',
+        value: 10,
+        scope: { categories: ['Electronics'] }
+      });
+
+      const pricing = await pricingService.priceCart({
+        items: [{ productId: 'p1', quantity: 1 }, { productId: 'p2', quantity: 1 }]
+      });
+
+      expect(pricing.discountTotal).toBe(5);
+      expect(pricing.discounts).toEqual([
+        expect.objectContaining({ name: 'Electronics 10% off', amount: 5, lines: [{ productId: 'p1', variantId: undefined, amount: 5 }] })
+      ]);
+      expect(pricing.total).toBe(55);
+    });
+
+    it('should discount the cheapest units for buy X get Y', async () => {
+      addProduct('p1', 30);
+      addProduct('p2', 10);
+      await pricingService.createPromotion({ name: 'Buy 2 get 1', type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1 });
+
+      const pricing = await pricingService.priceCart({
+        items: [{ productId: 'p1', quantity: 2 }, { productId: 'p2', quantity: 1 }]
+      });
+
+      expect(pricing.discountTotal).toBe(10);
+      expect(pricing.items.find(line => line.productId === 'p2').lineTotal).toBe(0);
+    });
+
+    it('should only apply coupon promotions when the code is on the cart', async () => {
+      addProduct('p1', 100);
+      await pricingService.createPromotion({ name: 'Ten off', type: 'fixed_amount', value: 10, code: 'save10' });
+      await pricingService.createPromotion({ name: 'Free shipping', type: 'free_shipping', code: 'SHIPFREE' });
+
+      const without = await pricingService.priceCart({ items: [{ productId: 'p1', quantity: 1 }] });
+      const withCodes = await pricingService.priceCart({
+        items: [{ productId: 'p1', quantity: 1 }],
+        couponCodes: ['SAVE10', 'SHIPFREE']
+      });
+
+      expect(without.discountTotal).toBe(0);
+      expect(withCodes.discountTotal).toBe(10);
+      expect(withCodes.freeShipping).toBe(true);
+    });
+
+    it('should report coupons outside their date window', async () => {
+      addProduct('p1', 100);
+      await pricingService.createPromotion({
+        name: 'Expired',
+        type: 'percentage',
+        value: 20,
+        code: 'OLD',
+        endsAt: new Date(Date.now() - 1000).toISOString()
+      });
+
+      const pricing = await pricingService.priceCart({ items: [{ productId: 'p1', quantity: 1 }], couponCodes: ['OLD'] });
+
+      expect(pricing.discountTotal).toBe(0);
+      expect(pricing.rejectedCoupons).toEqual([{ code: 'OLD', reason: 'Promotion has expired' }]);
+    });
+
+    it('should not let a negative or fractional line lower the total', async () => {
+      addProduct('tv', 500);
+      addProduct('lamp', 40);
+
+      for (const quantity of [-12, 0, 1.5, 'two']) {
+        await expect(pricingService.priceCart({ items: [{ productId: 'tv', quantity: 1 }, { productId: 'lamp', quantity }] }))
+          .rejects.toMatchObject({ status: 400, message: 'Invalid quantity for product lamp' });
+      }
+
+      const pricing = await pricingService.priceCart({ items: [{ productId: 'tv', quantity: 1 }, { productId: 'lamp', quantity: '2' }] });
+      expect(pricing.items[1]).toEqual(expect.objectContaining({ quantity: 2, lineSubtotal: 80 }));
+      expect(pricing.total).toBe(580);
+    });
+  });
+
+  describe('validateCoupon', () => {
+    it('should reject unknown codes with 404', async () => {
+      await expect(pricingService.validateCoupon('NOPE', { items: [] })).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('should reject codes that reached their usage limit with 422', async () => {
+      addProduct('p1', 100);
+      const promotion = await pricingService.createPromotion({
+        name: 'Once only',
+        type: 'percentage',
+        value: 10,
+        code: 'ONCE',
+        usageLimit: 1
+      });
+
+      const claims = await pricingService.claimRedemptions([{ promotionId: promotion.id, code: 'ONCE', amount: 10 }], { userId: 'user-1' });
+      await pricingService.confirmRedemptions(claims, 'order-1');
+
+      await expect(
+        pricingService.validateCoupon('once', { items: [{ productId: 'p1', quantity: 1 }] })
+      ).rejects.toMatchObject({ status: 422, message: 'Promotion usage limit has been reached' });
+    });
+  });
+
+  describe('claimRedemptions', () => {
+    const discountFor = (promotion) => ({ promotionId: promotion.id, name: promotion.name, code: promotion.code, amount: 5 });
+
+    it('should never let concurrent orders go over the usage limit', async () => {
+      const promotion = await pricingService.createPromotion({ name: 'Twice', type: 'percentage', value: 10, code: 'TWICE', usageLimit: 2 });
+
+      const results = await Promise.allSettled([1, 2, 3].map(n =>
+        pricingService.claimRedemptions([discountFor(promotion)], { userId: `user-${n}` })
+      ));
+
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'fulfilled', 'rejected']);
+      expect(results[2].reason).toMatchObject({ status: 409, code: 'PROMOTION_UNAVAILABLE', message: 'Promotion usage limit has been reached: Twice' });
+      expect((await pricingService.promotions.findById(promotion.id)).usageCount).toBe(2);
+      expect(containers.promotion_redemptions.size).toBe(2);
+    });
+
+    it('should hold guests to the per-customer limit by email and give back released claims', async () => {
+      const promotion = await pricingService.createPromotion({ name: 'Welcome', type: 'percentage', value: 10, code: 'WELCOME', usageLimitPerCustomer: 1 });
+      const other = await pricingService.createPromotion({ name: 'Spring', type: 'percentage', value: 5 });
+
+      const claims = await pricingService.claimRedemptions([discountFor(promotion)], { userId: null, email: 'Guest@Example.com' });
+      await pricingService.confirmRedemptions(claims, 'order-1');
+      expect((await pricingService.redemptions.findById(claims[0].id)).orderId).toBe('order-1');
+
+      await expect(pricingService.claimRedemptions([discountFor(other), discountFor(promotion)], { userId: null, email: 'guest@example.com' }))
+        .rejects.toMatchObject({ status: 409, message: 'You have already used this promotion: Welcome' });
+      expect((await pricingService.promotions.findById(other.id)).usageCount).toBe(0);
+
+      const released = await pricingService.claimRedemptions([discountFor(promotion)], { userId: 'user-2', email: 'other@example.com' });
+      await pricingService.releaseRedemptions(released);
+      expect((await pricingService.promotions.findById(promotion.id)).usageCount).toBe(1);
+      expect(containers.promotion_redemptions.size).toBe(1);
+    });
+  });
+
+  describe('createPromotion', () => {
+    it('should reject unknown promotion types', async () => {
+      await expect(
+        pricingService.createPromotion({ name: 'Bad', type: 'mystery' })
+      ).rejects.toMatchObject({ status: 400 });
+    });
+  });
+});
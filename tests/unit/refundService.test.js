@@ -0,0 +1,156 @@
+/**
+ * Unit tests for RefundService
+ */
+
+const RefundService = require('../../src/ecommerce/services/refundService');
+const SimulatedGateway = require('../../src/ecommerce/services/simulatedGateway');
+
+describe('RefundService', () => {
+  let refundService;
+  let gateway;
+  let inventoryService;
+  let mockServices;
+  let containers;
+  let order;
+
+  const admin = { id: 'admin-1' };
+
+  // Two mugs at 10 and a poster at 15 less a 3 discount, 10% tax, 5 shipping
+  const createPaidOrder = async (overrides = {}) => {
+    const intent = await gateway.createPaymentIntent({ amount: 4170, currency: 'usd' });
+    await gateway.confirmPaymentIntent(intent.id, { paymentMethod: 'tok_visa' });
+
+    return refundService.orders.create({
+      orderNumber: 'ORD-1',
+      status: 'paid',
+      paymentStatus: 'paid',
+      paymentMethod: { type: 'simulated', paymentIntentId: intent.id },
+      items: [
+        { productId: 'mug', variantId: null, name: 'Mug', quantity: 2, price: 10, lineSubtotal: 20, discount: 0, lineTotal: 20, taxAmount: 2 },
+        { productId: 'poster', variantId: 'a2', name: 'Poster', quantity: 1, price: 15, lineSubtotal: 15, discount: 3, lineTotal: 12, taxAmount: 1.2 }
+      ],
+      shippingCost: 5,
+      taxBreakdown: { shippingTax: 0 },
+      pricesIncludeTax: false,
+      totalAmount: 40.2,
+      statusHistory: [],
+      ...overrides
+    });
+  };
+
+  beforeEach(async () => {
+    containers = {
+      orders: new Map(),
+      refunds: new Map(),
+      credit_notes: new Map()
+    };
+    let nextKey = 1;
+
+    mockServices = {
+      dataServe: {
+        add: jest.fn(async (container, record) => {
+          const key = `key-${nextKey++}`;
+          containers[container].set(key, record);
+          return key;
+        }),
+        getByUuid: jest.fn(async (container, key) => containers[container].get(key) || null),
+        remove: jest.fn(async (container, key) => containers[container].delete(key)),
+        jsonFind: jest.fn(async (container, predicate) => [...containers[container].values()].filter(predicate)),
+        jsonFindByPath: jest.fn(async (container, path, value) =>
+          [...containers[container].values()].filter(record => record[path] === value))
+      },
+      logger: {
+        info: jest.fn(),
+        error: jest.fn()
+      }
+    };
+
+    gateway = new SimulatedGateway(mockServices);
+    inventoryService = { restock: jest.fn(async items => items) };
+    refundService = new RefundService(mockServices, { gateway, inventoryService });
+    order = await createPaidOrder();
+  });
+
+  describe('refundOrder', () => {
+    it('should refund a line with its tax and keep a running balance', async () => {
+      const { refund, order: updated, summary } = await refundService.refundOrder(order.id, {
+        items: [{ productId: 'mug', quantity: 1 }],
+        reason: 'Chipped'
+      }, admin);
+
+      expect(refund).toMatchObject({ amount: 11, lines: [{ productId: 'mug', quantity: 1, amount: 11, taxAmount: 1 }] });
+      expect(updated).toMatchObject({ status: 'paid', paymentStatus: 'partially_refunded', amountRefunded: 11 });
+      expect(summary).toMatchObject({ refundableBalance: 29.2, lines: [{ refundedQuantity: 1, refundableAmount: 11 }, {}] });
+      await expect(gateway.retrievePaymentIntent(order.paymentMethod.paymentIntentId))
+        .resolves.toMatchObject({ amountRefunded: 1100 });
+    });
+
+    it('should refund shipping separately and only once', async () => {
+      const { refund } = await refundService.refundOrder(order.id, { shipping: true }, admin);
+      expect(refund).toMatchObject({ amount: 5, shippingAmount: 5, lines: [] });
+
+      await expect(refundService.refundOrder(order.id, { shipping: true }, admin))
+        .rejects.toMatchObject({ status: 400, message: 'Shipping has already been refunded' });
+    });
+
+    it('should not refund more than the remaining balance or quantity', async () => {
+      await expect(refundService.refundOrder(order.id, { items: [{ productId: 'mug', quantity: 3 }] }, admin))
+        .rejects.toMatchObject({ status: 400 });
+      await expect(refundService.refundOrder(order.id, { amount: 40.21 }, admin))
+        .rejects.toMatchObject({ status: 400 });
+
+      await refundService.refundOrder(order.id, { amount: 35 }, admin);
+      await expect(refundService.refundOrder(order.id, { items: [{ productId: 'poster', variantId: 'a2', quantity: 1 }] }, admin))
+        .rejects.toThrow('exceeds the refundable balance of 5.20');
+    });
+
+    it('should refund the rest, restock and mark the order refunded', async () => {
+      await refundService.refundOrder(order.id, { items: [{ productId: 'mug', quantity: 1 }] }, admin);
+      const { refund, order: updated } = await refundService.refundOrder(order.id, { restock: true }, admin);
+
+      expect(refund).toMatchObject({ amount: 29.2, shippingAmount: 5, adjustmentAmount: 0 });
+      expect(inventoryService.restock).toHaveBeenCalledWith(
+        [expect.objectContaining({ productId: 'mug', quantity: 1 }), expect.objectContaining({ productId: 'poster', quantity: 1 })],
+        'Refund for order ORD-1',
+        'admin-1'
+      );
+      expect(updated).toMatchObject({ status: 'refunded', paymentStatus: 'refunded', amountRefunded: 40.2 });
+      await expect(refundService.refundOrder(order.id, {}, admin)).rejects.toMatchObject({ status: 409 });
+    });
+
+    it('should issue a numbered credit note for each refund', async () => {
+      const first = await refundService.refundOrder(order.id, { items: [{ productId: 'mug', quantity: 2 }] }, admin);
+      const second = await refundService.refundOrder(order.id, { shipping: 2.5, amount: 1 }, admin);
+
+      expect(first.creditNote).toMatchObject({ creditNoteNumber: 'CN-ORD-1-1', total: 22, taxAmount: 2 });
+      expect(second.creditNote.creditNoteNumber).toBe('CN-ORD-1-2');
+      expect(second.creditNote.lines.map(line => line.description)).toEqual(['Shipping', 'Adjustment']);
+      await expect(refundService.listRefunds(order.id)).resolves.toHaveLength(2);
+    });
+
+    it('should give the balance back when the gateway refund fails', async () => {
+      const refund = jest.spyOn(gateway, 'refund').mockRejectedValueOnce(new Error('Gateway unavailable'));
+
+      await expect(refundService.refundOrder(order.id, { items: [{ productId: 'mug', quantity: 1 }] }, admin))
+        .rejects.toThrow('Gateway unavailable');
+      expect(refund).toHaveBeenCalledTimes(1);
+      await expect(refundService.orders.findById(order.id))
+        .resolves.toMatchObject({ paymentStatus: 'paid', amountRefunded: 0, shippingRefunded: 0 });
+      await expect(refundService.listRefunds(order.id)).resolves.toHaveLength(0);
+
+      await refundService.refundOrder(order.id, { items: [{ productId: 'mug', quantity: 2 }] }, admin);
+      await expect(refundService.orders.findById(order.id))
+        .resolves.toMatchObject({ paymentStatus: 'partially_refunded', amountRefunded: 22, refundedItems: { 'mug:': { quantity: 2 } } });
+    });
+
+    it('should reject unpaid orders and stale versions', async () => {
+      const unpaid = await createPaidOrder({ status: 'created', paymentStatus: undefined });
+
+      await expect(refundService.refundOrder(unpaid.id, {}, admin)).rejects.toMatchObject({ status: 409 });
+      await expect(refundService.refundOrder(order.id, { amount: 1, expectedVersion: order.version + 1 }, admin))
+        .rejects.toMatchObject({ status: 409 });
+      await expect(gateway.retrievePaymentIntent(order.paymentMethod.paymentIntentId))
+        .resolves.toMatchObject({ amountRefunded: 0 });
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Unit tests for Repository
+ */
+
+const EventEmitter = require('events');
+const Repository = require('../../src/ecommerce/services/repository');
+const createDataServe = require('nooblyjs-core/src/dataserve');
+
+describe('Repository', () => {
+  let repository;
+  let mockServices;
+  let store;
+
+  beforeEach(() => {
+    store = new Map();
+    let nextKey = 1;
+
+    mockServices = {
+      dataServe: {
+        add: jest.fn(async (container, record) => {
+          const key = `key-${nextKey++}`;
+          store.set(key, record);
+          return key;
+        }),
+        getByUuid: jest.fn(async (container, key) => store.get(key) || null),
+        remove: jest.fn(async (container, key) => store.delete(key)),
+        jsonFind: jest.fn(async (container, predicate) => [...store.values()].filter(predicate)),
+        jsonFindByPath: jest.fn(async (container, path, value) =>
+          [...store.values()].filter(record => record[path] === value))
+      },
+      logger: {
+        info: jest.fn(),
+        error: jest.fn()
+      }
+    };
+
+    repository = new Repository(mockServices, 'orders');
+  });
+
+  describe('create', () => {
+    it('should assign a stable id and initial version', async () => {
+      const record = await repository.create({ orderNumber: 'ORD-1' });
+
+      expect(record.id).toBeDefined();
+      expect(record.version).toBe(1);
+      expect(await repository.findById(record.id)).toEqual(record);
+    });
+  });
+
+  describe('update', () => {
+    it('should keep the id stable and bump the version', async () => {
+      const record = await repository.create({ orderNumber: 'ORD-1', status: 'created' });
+
+      const updated = await repository.update(record.id, { status: 'paid' });
+      const again = await repository.update(record.id, current => ({ note: `was ${current.status}` }));
+
+      expect(updated.id).toBe(record.id);
+      expect(again.id).toBe(record.id);
+      expect(again.version).toBe(3);
+      expect(again.note).toBe('was paid');
+      expect(store.size).toBe(1);
+      expect((await repository.findOneBy('orderNumber', 'ORD-1')).id).toBe(record.id);
+    });
+
+    it('should reject a stale expected version with status 409', async () => {
+      const record = await repository.create({ status: 'created' });
+      await repository.update(record.id, { status: 'paid' }, { expectedVersion: 1 });
+
+      await expect(
+        repository.update(record.id, { status: 'cancelled' }, { expectedVersion: 1 })
+      ).rejects.toMatchObject({ status: 409, currentVersion: 2 });
+    });
+
+    it('should serialise concurrent writes to the same record', async () => {
+      const record = await repository.create({ views: 0 });
+
+      await Promise.all([1, 2, 3, 4, 5].map(() =>
+        repository.update(record.id, current => ({ views: current.views + 1 }))
+      ));
+
+      const stored = await repository.findById(record.id);
+      expect(stored.views).toBe(5);
+      expect(stored.version).toBe(6);
+    });
+
+    it('should update records stored before the repository existed', async () => {
+      store.set('legacy-key', { orderNumber: 'ORD-OLD' });
+
+      const updated = await repository.update('legacy-key', { status: 'paid' });
+
+      expect(updated.id).toBe('legacy-key');
+      expect(await repository.findById('legacy-key')).toEqual(updated);
+    });
+
+    it('should return status 404 for a missing record', async () => {
+      await expect(repository.update('missing', { status: 'paid' })).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('remove', () => {
+    it('should remove the record by its stable id', async () => {
+      const record = await repository.create({ status: 'created' });
+      await repository.update(record.id, { status: 'paid' });
+
+      expect(await repository.remove(record.id)).toBe(true);
+      expect(await repository.findById(record.id)).toBeNull();
+      expect(store.size).toBe(0);
+    });
+  });
+
+  describe('after a restart', () => {
+    it('should find and update records written before the restart', async () => {
+      const dataServe = createDataServe('memory', {}, new EventEmitter());
+      await dataServe.createContainer('orders');
+      const before = new Repository({ ...mockServices, dataServe }, 'orders');
+      const record = await before.create({ orderNumber: 'ORD-1', status: 'created' });
+      await before.update(record.id, { status: 'paid' });
+
+      // A new process starts with an empty key index over the same stored data
+      const restarted = new Repository({ ...mockServices, dataServe: { ...dataServe } }, 'orders');
+
+      await expect(restarted.findById(record.id)).resolves.toMatchObject({ status: 'paid', version: 2 });
+      await restarted.update(record.id, { status: 'shipped' });
+      expect(await dataServe.jsonFind('orders', () => true)).toEqual([
+        expect.objectContaining({ id: record.id, status: 'shipped', version: 3 })
+      ]);
+      await expect(restarted.remove(record.id)).resolves.toBe(true);
+      await expect(dataServe.jsonFind('orders', () => true)).resolves.toEqual([]);
+    });
+  });
+});
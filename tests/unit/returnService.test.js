@@ -0,0 +1,288 @@
+/**
+ * Unit tests for ReturnService
+ */
+
+const EventEmitter = require('events');
+const ReturnService = require('../../src/ecommerce/services/returnService');
+const RefundService = require('../../src/ecommerce/services/refundService');
+const SimulatedGateway = require('../../src/ecommerce/services/simulatedGateway');
+const DeliveryModule = require('../../src/warehouse/modules/delivery');
+const createDataServe = require('nooblyjs-core/src/dataserve');
+
+describe('ReturnService', () => {
+  let returnService;
+  let eventEmitter;
+  let delivery;
+  let inventoryService;
+  let gateway;
+  let mockServices;
+  let containers;
+
+  const customer = { id: 'user-1' };
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  // Two mugs at 10 and a poster at 15 less a 3 discount, 10% tax, 5 shipping
+  const createOrder = async (overrides = {}) => {
+    const intent = await gateway.createPaymentIntent({ amount: 4170, currency: 'usd' });
+    await gateway.confirmPaymentIntent(intent.id, { paymentMethod: 'tok_visa' });
+
+    return returnService.orders.create({
+      orderNumber: `ORD-${containers.orders.size + 1}`,
+      userId: 'user-1',
+      customerEmail: 'jo@example.com',
+      status: 'delivered',
+      deliveredAt: daysAgo(3),
+      paymentStatus: 'paid',
+      paymentMethod: { type: 'simulated', paymentIntentId: intent.id },
+      items: [
+        { productId: 'mug', variantId: null, name: 'Mug', quantity: 2, price: 10, lineSubtotal: 20, discount: 0, lineTotal: 20, taxAmount: 2 },
+        { productId: 'poster', variantId: 'a2', name: 'Poster', quantity: 1, price: 15, lineSubtotal: 15, discount: 3, lineTotal: 12, taxAmount: 1.2 }
+      ],
+      shippingCost: 5,
+      taxBreakdown: { shippingTax: 0 },
+      pricesIncludeTax: false,
+      totalAmount: 40.2,
+      shippingAddress: { firstName: 'Jo', lastName: 'Bloggs', city: 'Leeds' },
+      statusHistory: [],
+      ...overrides
+    });
+  };
+
+  beforeEach(async () => {
+    containers = {
+      orders: new Map(),
+      order_returns: new Map(),
+      products: new Map(),
+      product_variants: new Map(),
+      refunds: new Map(),
+      credit_notes: new Map()
+    };
+    let nextKey = 1;
+
+    mockServices = {
+      dataServe: {
+        add: jest.fn(async (container, record) => {
+          const key = `key-${nextKey++}`;
+          containers[container].set(key, record);
+          return key;
+        }),
+        getByUuid: jest.fn(async (container, key) => containers[container].get(key) || null),
+        remove: jest.fn(async (container, key) => containers[container].delete(key)),
+        jsonFind: jest.fn(async (container, predicate) => [...containers[container].values()].filter(predicate)),
+        jsonFindByPath: jest.fn(async (container, path, value) =>
+          [...containers[container].values()].filter(record => record[path] === value))
+      },
+      logger: {
+        info: jest.fn(),
+        error: jest.fn()
+      }
+    };
+
+    eventEmitter = new EventEmitter();
+    delivery = {
+      createReturnAuthorization: jest.fn(async rma => {
+        eventEmitter.emit('return.label.generated', {
+          rmaId: 'rma-1',
+          returnShipment: { rmaNumber: rma.rmaNumber, trackingNumber: 'RTN1', carrierId: 'return_carrier' }
+        });
+        return 'rma-1';
+      })
+    };
+    gateway = new SimulatedGateway(mockServices);
+    inventoryService = { restock: jest.fn(async items => items) };
+    const refundService = new RefundService(mockServices, { gateway, inventoryService });
+    returnService = new ReturnService(mockServices, { eventEmitter, delivery, inventoryService, refundService });
+
+    containers.products.set('mug', { id: 'mug', sku: 'MUG-1' });
+    containers.product_variants.set('a2', { id: 'a2', sku: 'POSTER-A2' });
+  });
+
+  describe('cancelOrder', () => {
+    it('should cancel and fully refund a paid order that has not shipped', async () => {
+      const order = await createOrder({ status: 'processing', deliveredAt: undefined });
+
+      const { order: cancelled, refund } = await returnService.cancelOrder(order.id, customer, { reason: 'Ordered twice' });
+
+      expect(cancelled).toMatchObject({ status: 'cancelled', paymentStatus: 'refunded', amountRefunded: 40.2 });
+      expect(refund).toMatchObject({ amount: 40.2, reason: 'Cancelled by customer: Ordered twice' });
+      expect(inventoryService.restock).toHaveBeenCalledWith(
+        [expect.objectContaining({ productId: 'mug', quantity: 2 }), expect.objectContaining({ productId: 'poster', quantity: 1 })],
+        'Refund for order ORD-1',
+        'user-1'
+      );
+    });
+
+    it('should cancel an unpaid order without refunding', async () => {
+      const order = await createOrder({ status: 'created', paymentStatus: undefined, deliveredAt: undefined });
+
+      await expect(returnService.cancelOrder(order.id, customer))
+        .resolves.toMatchObject({ order: { status: 'cancelled' }, refund: null });
+    });
+
+    it('should refuse shipped orders and other customers', async () => {
+      const shipped = await createOrder({ status: 'shipped', deliveredAt: undefined });
+      const paid = await createOrder({ status: 'paid', deliveredAt: undefined });
+
+      await expect(returnService.cancelOrder(shipped.id, customer))
+        .rejects.toMatchObject({ status: 409, message: 'Order has already shipped and can no longer be cancelled' });
+      await expect(returnService.cancelOrder(paid.id, { id: 'user-2' })).rejects.toMatchObject({ status: 403 });
+    });
+  });
+
+  describe('requestReturn', () => {
+    it('should create a warehouse RMA with a return label', async () => {
+      const order = await createOrder();
+
+      const request = await returnService.requestReturn(order.id, customer, {
+        items: [{ productId: 'mug', quantity: 1 }, { productId: 'poster', variantId: 'a2', quantity: 1 }],
+        reason: 'no_longer_needed'
+      });
+
+      expect(request).toMatchObject({
+        returnNumber: 'RMA-ORD-1-1',
+        status: 'authorized',
+        rmaId: 'rma-1',
+        estimatedRefund: 24.2,
+        label: { trackingNumber: 'RTN1' }
+      });
+      expect(delivery.createReturnAuthorization).toHaveBeenCalledWith(expect.objectContaining({
+        rmaNumber: 'RMA-ORD-1-1',
+        originalOrderId: order.id,
+        reason: 'not_needed',
+        returnMethod: 'ship_back',
+        customer: expect.objectContaining({ name: 'Jo Bloggs', email: 'jo@example.com' }),
+        items: [
+          expect.objectContaining({ productSku: 'MUG-1', quantity: 1, refundAmount: 11, restockable: true }),
+          expect.objectContaining({ productSku: 'POSTER-A2', quantity: 1, refundAmount: 13.2, restockable: true })
+        ]
+      }));
+    });
+
+    it('should not return more than was bought across returns', async () => {
+      const order = await createOrder();
+      await returnService.requestReturn(order.id, customer, { items: [{ productId: 'mug', quantity: 1 }], reason: 'damaged' });
+
+      await expect(returnService.requestReturn(order.id, customer, { items: [{ productId: 'mug', quantity: 2 }], reason: 'damaged' }))
+        .rejects.toMatchObject({ status: 400, message: 'Quantity for Mug must be between 1 and 1' });
+
+      const { returnableItems } = await returnService.getOrderReturns(order.id, customer);
+      expect(returnableItems.map(line => line.returnableQuantity)).toEqual([1, 1]);
+    });
+
+    it('should enforce delivery, the return window and reason codes', async () => {
+      const shipped = await createOrder({ status: 'shipped', deliveredAt: undefined });
+      const late = await createOrder({ deliveredAt: daysAgo(31) });
+      const order = await createOrder();
+      const items = [{ productId: 'mug', quantity: 1 }];
+
+      await expect(returnService.requestReturn(shipped.id, customer, { items, reason: 'damaged' }))
+        .rejects.toMatchObject({ status: 409, message: 'Only delivered orders can be returned' });
+      await expect(returnService.requestReturn(late.id, customer, { items, reason: 'damaged' }))
+        .rejects.toThrow('The return window for this order closed on');
+      await expect(returnService.requestReturn(order.id, customer, { items, reason: 'bored' }))
+        .rejects.toMatchObject({ status: 400 });
+      await expect(returnService.requestReturn(order.id, customer, { items, reason: 'other' }))
+        .rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should keep the return requested when the warehouse cannot authorize it', async () => {
+      const order = await createOrder();
+      delivery.createReturnAuthorization.mockRejectedValueOnce(new Error('Failed to create RMA: warehouse offline'));
+
+      const request = await returnService.requestReturn(order.id, customer, { items: [{ productId: 'mug', quantity: 1 }], reason: 'defective' });
+      expect(request).toMatchObject({ status: 'requested', authorizationError: 'Failed to create RMA: warehouse offline' });
+
+      await expect(returnService.authorize(request.id)).resolves.toMatchObject({ status: 'authorized', authorizationError: null });
+    });
+  });
+
+  describe('processed returns', () => {
+    it('should refund from the warehouse inspection when the return is processed', async () => {
+      const order = await createOrder();
+      const request = await returnService.requestReturn(order.id, customer, {
+        items: [{ productId: 'mug', quantity: 2 }, { productId: 'poster', variantId: 'a2', quantity: 1 }],
+        reason: 'no_longer_needed'
+      });
+
+      await returnService.handleProcessedReturn({
+        rmaId: 'rma-1',
+        rma: { rmaNumber: request.returnNumber, processedBy: 'picker-1' },
+        inspectionResults: [
+          { productSku: 'MUG-1', actualCondition: 'new', refundAmount: 22, restockable: true },
+          { productSku: 'POSTER-A2', actualCondition: 'used', refundAmount: 13.2 * 0.8, restockable: true }
+        ]
+      });
+
+      const refunded = await returnService.getReturn(request.id);
+      expect(refunded).toMatchObject({ status: 'refunded', refundAmount: 32.56, creditNoteNumber: 'CN-ORD-1-1' });
+      await expect(returnService.orders.findById(order.id))
+        .resolves.toMatchObject({ paymentStatus: 'partially_refunded', amountRefunded: 32.56, refundedItems: { 'mug:': { quantity: 2 } } });
+      expect(inventoryService.restock).toHaveBeenCalledTimes(1);
+      expect(inventoryService.restock.mock.calls[0][0]).toHaveLength(2);
+
+      // The poster was only part refunded, but it has still been returned
+      const { returnableItems } = await returnService.getOrderReturns(order.id, customer);
+      expect(returnableItems.map(line => line.returnableQuantity)).toEqual([0, 0]);
+      await expect(returnService.refundReturn(request.id)).rejects.toMatchObject({ status: 409 });
+    });
+
+    it('should reject a return when inspection leaves nothing to refund', async () => {
+      const order = await createOrder();
+      const request = await returnService.requestReturn(order.id, customer, { items: [{ productId: 'mug', quantity: 1 }], reason: 'damaged' });
+
+      const rejected = await returnService.handleProcessedReturn({
+        rma: { rmaNumber: request.returnNumber },
+        inspectionResults: [{ productSku: 'MUG-1', actualCondition: 'missing', refundAmount: 0, restockable: false }]
+      });
+
+      expect(rejected).toMatchObject({ status: 'rejected' });
+      await expect(returnService.orders.findById(order.id)).resolves.toMatchObject({ paymentStatus: 'paid' });
+      await expect(returnService.handleProcessedReturn({ rma: { rmaNumber: 'RMA-OTHER' } })).resolves.toBeNull();
+    });
+  });
+
+  describe('with the warehouse delivery module', () => {
+    beforeEach(async () => {
+      const services = {
+        dataServe: createDataServe('memory', {}, eventEmitter),
+        logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+      };
+      const names = ['orders', 'order_returns', 'products', 'product_variants', 'refunds', 'credit_notes', 'returns', 'return_shipments'];
+      for (const name of names) {
+        await services.dataServe.createContainer(name);
+      }
+
+      eventEmitter = new EventEmitter();
+      delivery = new DeliveryModule(services, eventEmitter);
+      gateway = new SimulatedGateway(services);
+      const refundService = new RefundService(services, { gateway, inventoryService });
+      returnService = new ReturnService(services, { eventEmitter, delivery, inventoryService, refundService });
+
+      await returnService.products.create({ id: 'mug', sku: 'MUG-1' });
+    });
+
+    it('should authorize, receive and refund a return', async () => {
+      const order = await createOrder();
+      const request = await returnService.requestReturn(order.id, customer, {
+        items: [{ productId: 'mug', quantity: 2 }],
+        reason: 'no_longer_needed'
+      });
+      expect(request).toMatchObject({ status: 'authorized', label: { trackingNumber: expect.stringMatching(/^RTN/) } });
+      await expect(delivery.findRecord('returns', request.rmaId))
+        .resolves.toMatchObject({ rmaNumber: request.returnNumber, status: 'label_sent' });
+
+      const processed = jest.spyOn(returnService, 'handleProcessedReturn');
+      await delivery.processReceivedReturn(request.rmaId, {
+        items: [{ productSku: 'MUG-1', actualCondition: 'new', quantity: 2 }],
+        processedBy: 'picker-1'
+      });
+      await processed.mock.results[0].value;
+
+      await expect(returnService.getReturn(request.id)).resolves.toMatchObject({ status: 'refunded', refundAmount: 22 });
+      await expect(returnService.orders.findById(order.id))
+        .resolves.toMatchObject({ paymentStatus: 'partially_refunded', amountRefunded: 22 });
+      const rmas = await delivery.dataServe.jsonFind('returns', () => true);
+      expect(rmas).toEqual([expect.objectContaining({ id: request.rmaId, status: 'completed', actualRefund: 22 })]);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Review text is shown on the storefront and in the admin moderation queue;
+ * markup written by a shopper must come out as text in both.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const request = require('supertest');
+const { createRouteApp } = require('../helpers/routeApp');
+
+// Run a browser script with just enough of a DOM to render into elements
+function loadBrowserScript(file, className, globals = {}) {
+  const elements = new Map();
+  const context = vm.createContext({
+    window: {},
+    localStorage: { getItem: () => null, setItem: () => {} },
+    document: {
+      addEventListener: () => {},
+      getElementById: (id) => {
+        if (!elements.has(id)) {
+          elements.set(id, { id, innerHTML: '', value: '' });
+        }
+        return elements.get(id);
+      }
+    },
+    console,
+    ...globals
+  });
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '../../src/ecommerce/views/js', file), 'utf8'), context);
+  return { View: vm.runInContext(className, context), elements, context };
+}
+
+describe('Review rendering', () => {
+  const markup = {
+    title: '<img src=x onerror="alert(document.cookie)">',
+    body: '<script>steal(localStorage.adminToken)</script>'
+  };
+
+  let app;
+  let base;
+  let admin;
+  let review;
+
+  const expectEscaped = (html) => {
+    expect(html).not.toMatch(/<img src=x|<script>|<b>/);
+    expect(html).toContain('&lt;img src=x onerror=&quot;alert(document.cookie)&quot;&gt;');
+    expect(html).toContain('&lt;script&gt;steal(localStorage.adminToken)&lt;/script&gt;');
+    expect(html).toContain('&lt;b&gt;Eve&lt;/b&gt;');
+  };
+
+  beforeEach(async () => {
+    const routeApp = createRouteApp();
+    ({ app, base } = routeApp);
+    routeApp.container('products').set('lamp', { id: 'lamp', name: 'Desk Lamp', price: 40, category: 'Lighting', status: 'active' });
+
+    admin = routeApp.signIn({ id: 'admin-1', email: 'admin@example.com', firstName: 'Ada', isAdmin: true });
+    const shopper = routeApp.signIn({ id: 'shopper-1', email: 'eve@example.com', firstName: '<b>Eve</b>' });
+
+    const submitted = await request(app).post(`${base}/products/lamp/reviews`).set('Authorization', shopper)
+      .send({ rating: 5, ...markup });
+    expect(submitted.status).toBe(201);
+    review = submitted.body.review;
+  });
+
+  it('should show markup in reviews as text in the moderation queue', async () => {
+    const { body } = await request(app).get(`${base}/admin/reviews?status=pending`).set('Authorization', admin).expect(200);
+
+    const { View, elements } = loadBrowserScript('admin.js', 'AdminDashboard');
+    const dashboard = new View();
+    dashboard.authenticatedFetch = async () => ({ json: async () => body });
+    await dashboard.loadReviews();
+
+    expectEscaped(elements.get('reviewsTableBody').innerHTML);
+  });
+
+  it('should show markup in reviews and replies as text on the storefront', async () => {
+    await request(app).post(`${base}/admin/reviews/${review.id}/approve`).set('Authorization', admin).send({}).expect(200);
+    await request(app).post(`${base}/admin/reviews/${review.id}/reply`).set('Authorization', admin)
+      .send({ reply: 'Thanks <i>Eve</i>' }).expect(200);
+    const { body } = await request(app).get(`${base}/products/lamp/reviews`).expect(200);
+
+    const { View, elements } = loadBrowserScript('ecommerce.js', 'NooblyStore', {
+      fetch: async () => ({ json: async () => body })
+    });
+    const store = Object.create(View.prototype);
+    store.apiBase = base;
+    await store.loadProductReviews('lamp');
+
+    const html = elements.get('productReviewList').innerHTML;
+    expectEscaped(html);
+    expect(html).toContain('Thanks &lt;i&gt;Eve&lt;/i&gt;');
+  });
+});
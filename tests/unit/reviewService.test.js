@@ -0,0 +1,206 @@
+/**
+ * Unit tests for ReviewService
+ */
+
+const sharp = require('sharp');
+const ReviewService = require('../../src/ecommerce/services/reviewService');
+const SearchService = require('../../src/ecommerce/services/searchService');
+
+describe('ReviewService', () => {
+  let reviewService;
+  let mockServices;
+  let containers;
+  let cacheStore;
+  let files;
+  let jpeg;
+
+  const alice = { id: 'alice', firstName: 'Alice', lastName: 'smith' };
+  const bob = { id: 'bob', firstName: 'Bob' };
+
+  const photo = (mimetype = 'image/jpeg', buffer = jpeg) => ({
+    originalname: 'photo.JPG', mimetype, size: buffer.length, buffer
+  });
+
+  beforeAll(async () => {
+    jpeg = await sharp({ create: { width: 4, height: 3, channels: 3, background: '#ffcc00' } }).jpeg().toBuffer();
+  });
+
+  beforeEach(() => {
+    containers = {
+      products: new Map(),
+      product_variants: new Map(),
+      inventory: new Map(),
+      search_queries: new Map(),
+      orders: new Map(),
+      order_items: new Map(),
+      reviews: new Map()
+    };
+    cacheStore = new Map();
+    files = new Map();
+    let nextKey = 1;
+
+    containers.products.set('lamp', { id: 'lamp', name: 'Desk Lamp', category: 'Lighting', price: 40, status: 'active' });
+    containers.products.set('rug', { id: 'rug', name: 'Rug', category: 'Home', price: 90, status: 'active' });
+    containers.products.set('old', { id: 'old', name: 'Old Lamp', category: 'Lighting', price: 10, status: 'deleted' });
+    containers.orders.set('o1', { id: 'o1', userId: 'alice', status: 'delivered' });
+    containers.orders.set('o2', { id: 'o2', userId: 'bob', status: 'cancelled' });
+    containers.order_items.set('i1', { orderId: 'o1', productId: 'lamp', quantity: 1 });
+    containers.order_items.set('i2', { orderId: 'o2', productId: 'lamp', quantity: 1 });
+
+    mockServices = {
+      dataServe: {
+        add: jest.fn(async (container, record) => {
+          const key = `key-${nextKey++}`;
+          containers[container].set(key, record);
+          return key;
+        }),
+        getByUuid: jest.fn(async (container, key) => containers[container].get(key) || null),
+        remove: jest.fn(async (container, key) => containers[container].delete(key)),
+        jsonFind: jest.fn(async (container, predicate) => [...containers[container].values()].filter(predicate)),
+        jsonFindByPath: jest.fn(async (container, path, value) =>
+          [...containers[container].values()].filter(record => record[path] === value))
+      },
+      filing: {
+        create: jest.fn(async (path, stream) => {
+          const chunks = [];
+          for await (const chunk of stream) {
+            chunks.push(Buffer.from(chunk));
+          }
+          files.set(path, Buffer.concat(chunks));
+        }),
+        read: jest.fn(async path => files.get(path))
+      },
+      cache: {
+        get: jest.fn(async key => cacheStore.get(key)),
+        put: jest.fn(async (key, value) => { cacheStore.set(key, value); }),
+        delete: jest.fn(async key => { cacheStore.delete(key); })
+      },
+      logger: {
+        info: jest.fn(),
+        error: jest.fn()
+      }
+    };
+
+    reviewService = new ReviewService(mockServices);
+  });
+
+  const submit = (productId, user, rating, extra = {}) =>
+    reviewService.createReview(productId, user, { rating, body: 'Nice', ...extra });
+
+  describe('createReview', () => {
+    it('should validate the rating, text, photos and product', async () => {
+      await expect(submit('lamp', alice, 6)).rejects.toMatchObject({ status: 400 });
+      await expect(submit('lamp', alice, 2.5)).rejects.toMatchObject({ status: 400 });
+      await expect(submit('lamp', alice, 4, { body: '  ' })).rejects.toMatchObject({ status: 400 });
+      await expect(reviewService.createReview('lamp', alice, { rating: 4, body: 'Nice' }, [photo('application/pdf', Buffer.from('%PDF-1.4'))]))
+        .rejects.toMatchObject({ status: 400 });
+      await expect(submit('old', alice, 4)).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('should flag verified purchases, store photos and allow one review per product', async () => {
+      const review = await reviewService.createReview('lamp', alice, { rating: '5', body: 'Bright' }, [photo()]);
+
+      expect(review).toMatchObject({ rating: 5, status: 'pending', verifiedPurchase: true, displayName: 'Alice S.' });
+      expect(review.photos[0].filePath).toMatch(new RegExp(`^reviews/${review.id}/.+\\.jpg$`));
+      expect(files.get(review.photos[0].filePath).equals(jpeg)).toBe(true);
+
+      await expect(submit('lamp', bob, 3)).resolves.toMatchObject({ verifiedPurchase: false, displayName: 'Bob' });
+      await expect(submit('rug', alice, 3)).resolves.toMatchObject({ verifiedPurchase: false });
+      await expect(submit('lamp', alice, 1)).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('moderation', () => {
+    it('should only show and count approved reviews', async () => {
+      const first = await submit('lamp', alice, 5);
+      const second = await submit('lamp', bob, 2);
+
+      expect((await reviewService.getModerationQueue()).map(review => review.id)).toEqual([first.id, second.id]);
+      await expect(reviewService.getRatingSummary('lamp')).resolves.toMatchObject({ averageRating: null, reviewCount: 0 });
+
+      await reviewService.moderateReview(first.id, 'approve', 'admin');
+      await reviewService.moderateReview(second.id, 'reject', 'admin', 'Off topic');
+
+      const { reviews, summary } = await reviewService.listProductReviews('lamp');
+      expect(reviews.map(review => review.id)).toEqual([first.id]);
+      expect(reviews[0]).not.toHaveProperty('moderatedBy');
+      expect(summary).toMatchObject({ averageRating: 5, reviewCount: 1 });
+      await expect(reviewService.getModerationQueue({ status: 'rejected' }))
+        .resolves.toEqual([expect.objectContaining({ moderationNote: 'Off topic' })]);
+    });
+
+    it('should update the rating when an approved review is rejected', async () => {
+      const first = await submit('lamp', alice, 5);
+      const second = await submit('lamp', bob, 2);
+      await reviewService.moderateReview(first.id, 'approve', 'admin');
+      const approved = await reviewService.moderateReview(second.id, 'approve', 'admin');
+
+      await expect(reviewService.getRatingSummary('lamp')).resolves.toMatchObject({
+        averageRating: 3.5, reviewCount: 2, distribution: { 2: 1, 5: 1 }
+      });
+
+      await expect(reviewService.moderateReview(second.id, 'reject', 'admin', null, approved.version - 1))
+        .rejects.toMatchObject({ status: 409 });
+      await reviewService.moderateReview(second.id, 'reject', 'admin', null, approved.version);
+
+      await expect(reviewService.getRatingSummary('lamp')).resolves.toMatchObject({ averageRating: 5, reviewCount: 1 });
+    });
+
+    it('should add the store reply to the public review', async () => {
+      const review = await submit('lamp', alice, 4);
+      await reviewService.moderateReview(review.id, 'approve', 'admin');
+
+      await expect(reviewService.replyToReview(review.id, '', 'admin')).rejects.toMatchObject({ status: 400 });
+      await reviewService.replyToReview(review.id, 'Thank you!', 'admin');
+
+      const { reviews } = await reviewService.listProductReviews('lamp');
+      expect(reviews[0].reply).toMatchObject({ body: 'Thank you!' });
+    });
+
+    it('should hide photos of unapproved reviews from shoppers', async () => {
+      const review = await reviewService.createReview('lamp', alice, { rating: 4, body: 'Nice' }, [photo()]);
+      const photoId = review.photos[0].id;
+
+      await expect(reviewService.getPhoto(review.id, photoId)).rejects.toMatchObject({ status: 404 });
+      await expect(reviewService.getPhoto(review.id, photoId, true)).resolves.toMatchObject({ mimeType: 'image/jpeg' });
+
+      await reviewService.moderateReview(review.id, 'approve', 'admin');
+      const result = await reviewService.getPhoto(review.id, photoId);
+      expect(result.content.equals(jpeg)).toBe(true);
+    });
+
+    it('should judge photos by their contents rather than the declared type', async () => {
+      const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>');
+      await expect(reviewService.createReview('lamp', alice, { rating: 4, body: 'Nice' }, [photo('image/svg+xml', svg)]))
+        .rejects.toMatchObject({ status: 400, message: 'Review photos must be JPEG, PNG, WebP or GIF images' });
+      await expect(reviewService.createReview('lamp', alice, { rating: 4, body: 'Nice' }, [photo('image/png', Buffer.from('<html><script>alert(1)</script>'))]))
+        .rejects.toMatchObject({ status: 400 });
+      expect(files.size).toBe(0);
+
+      const png = await sharp(jpeg).png().toBuffer();
+      const review = await reviewService.createReview('lamp', alice, { rating: 4, body: 'Nice' }, [photo('image/gif', png)]);
+      expect(review.photos[0]).toMatchObject({ mimeType: 'image/png', size: png.length });
+      expect(review.photos[0].filePath).toMatch(/\.png$/);
+    });
+  });
+
+  describe('rating sort', () => {
+    it('should sort search results by average rating', async () => {
+      const searchService = new SearchService(mockServices, { reviewService });
+      const lampReview = await submit('lamp', alice, 3);
+      const rugReview = await submit('rug', alice, 5);
+
+      await reviewService.moderateReview(lampReview.id, 'approve', 'admin');
+      await expect(searchService.search({ sort: 'rating' })).resolves.toMatchObject({
+        results: [{ id: 'lamp', rating: { averageRating: 3, reviewCount: 1 } }, { id: 'rug' }]
+      });
+
+      await reviewService.moderateReview(rugReview.id, 'approve', 'admin');
+      const first = await searchService.search({ sort: 'rating', limit: 1 });
+      expect(first.results.map(product => product.id)).toEqual(['rug']);
+
+      const second = await searchService.search({ sort: 'rating', limit: 1, cursor: first.nextCursor });
+      expect(second.results.map(product => product.id)).toEqual(['lamp']);
+    });
+  });
+});
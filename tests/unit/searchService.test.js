@@ -0,0 +1,143 @@
+/**
+ * Unit tests for SearchService
+ */
+
+const SearchService = require('../../src/ecommerce/services/searchService');
+
+describe('SearchService', () => {
+  let searchService;
+  let mockServices;
+  let containers;
+  let cacheStore;
+
+  const putProduct = (id, fields) => {
+    containers.products.set(id, {
+      id,
+      description: '',
+      status: 'active',
+      tags: [],
+      createdAt: `2024-01-0${containers.products.size + 1}T00:00:00.000Z`,
+      ...fields
+    });
+  };
+
+  beforeEach(() => {
+    containers = {
+      products: new Map(),
+      product_variants: new Map(),
+      inventory: new Map(),
+      search_queries: new Map()
+    };
+    cacheStore = new Map();
+    let nextKey = 1;
+
+    putProduct('lamp', { name: 'Brass Desk Lamp', category: 'Lighting', brand: 'Lumo', price: 40, tags: ['brass'] });
+    putProduct('floor', { name: 'Floor Lamp', category: 'Lighting', brand: 'Lumo', price: 120, description: 'Tall lamp' });
+    putProduct('mug', { name: 'Desk Mug', category: 'Kitchen', brand: 'Potts', price: 12, description: 'For your lamp-lit desk' });
+    putProduct('tee', { name: 'Cotton Tee', category: 'Clothing', price: 20, attributes: { Material: 'Cotton' } });
+    putProduct('old', { name: 'Old Lamp', category: 'Lighting', price: 10, status: 'deleted' });
+    containers.product_variants.set('v1', { productId: 'tee', options: { Size: 'M' }, sku: 'TEE-M', status: 'active' });
+
+    mockServices = {
+      dataServe: {
+        add: jest.fn(async (container, record) => {
+          const key = `key-${nextKey++}`;
+          containers[container].set(key, record);
+          return key;
+        }),
+        getByUuid: jest.fn(async (container, key) => containers[container].get(key) || null),
+        remove: jest.fn(async (container, key) => containers[container].delete(key)),
+        jsonFind: jest.fn(async (container, predicate) => [...containers[container].values()].filter(predicate)),
+        jsonFindByPath: jest.fn(async (container, path, value) =>
+          [...containers[container].values()].filter(record => record[path] === value))
+      },
+      cache: {
+        get: jest.fn(async key => cacheStore.get(key)),
+        put: jest.fn(async (key, value) => { cacheStore.set(key, value); }),
+        delete: jest.fn(async key => { cacheStore.delete(key); })
+      },
+      logger: {
+        info: jest.fn(),
+        error: jest.fn()
+      }
+    };
+
+    searchService = new SearchService(mockServices);
+  });
+
+  describe('search', () => {
+    it('should rank name matches above description matches', async () => {
+      const result = await searchService.search({ q: 'lamp' });
+
+      expect(result.results.map(product => product.id)).toEqual(['lamp', 'floor', 'mug']);
+      expect(result.total).toBe(3);
+    });
+
+    it('should tolerate typos in longer words', async () => {
+      const result = await searchService.search({ q: 'brsas lmap' });
+
+      expect(result.results.map(product => product.id)).toEqual(['lamp']);
+    });
+
+    it('should search custom attributes and variant SKUs', async () => {
+      await expect(searchService.search({ q: 'cotton' })).resolves.toMatchObject({ total: 1 });
+      await expect(searchService.search({ q: 'tee-m' })).resolves.toMatchObject({ total: 1 });
+    });
+
+    it('should count facets without applying their own filter', async () => {
+      const result = await searchService.search({ q: 'lamp', category: 'Lighting' });
+
+      expect(result.total).toBe(2);
+      expect(result.facets.category).toEqual([
+        { value: 'Lighting', count: 2, selected: true },
+        { value: 'Kitchen', count: 1, selected: false }
+      ]);
+      expect(result.facets.price.map(band => [band.key, band.count])).toEqual([['25-50', 1], ['100-250', 1]]);
+    });
+
+    it('should filter by price band and attributes', async () => {
+      await expect(searchService.search({ price: '0-25' })).resolves.toMatchObject({ total: 2 });
+
+      const result = await searchService.search({ attributes: { Size: 'M' } });
+      expect(result.results.map(product => product.id)).toEqual(['tee']);
+      expect(result.facets.attributes.Material).toEqual([{ value: 'Cotton', count: 1, selected: false }]);
+
+      await expect(searchService.search({ price: 'cheap' })).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should page through sorted results with a cursor', async () => {
+      const first = await searchService.search({ sort: 'price_asc', limit: 2 });
+      expect(first.results.map(product => product.id)).toEqual(['mug', 'tee']);
+
+      const second = await searchService.search({ sort: 'price_asc', limit: 2, cursor: first.nextCursor });
+      expect(second.results.map(product => product.id)).toEqual(['lamp', 'floor']);
+      expect(second.nextCursor).toBeNull();
+
+      await expect(searchService.search({ sort: 'name', cursor: first.nextCursor })).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('suggest', () => {
+    it('should suggest popular queries before product names', async () => {
+      await searchService.search({ q: 'desk lamp' });
+      await searchService.search({ q: 'desk lamp' });
+      await searchService.search({ q: 'deskxyz' });
+
+      const { suggestions } = await searchService.suggest('des');
+
+      expect(suggestions).toEqual([
+        { type: 'query', text: 'desk lamp', count: 2 },
+        { type: 'product', text: 'Desk Mug', productId: 'mug' },
+        { type: 'product', text: 'Brass Desk Lamp', productId: 'lamp' }
+      ]);
+    });
+  });
+
+  describe('editDistance', () => {
+    it('should count transpositions as one edit', () => {
+      expect(SearchService.editDistance('lmap', 'lamp', 2)).toBe(1);
+      expect(SearchService.editDistance('lamp', 'lump', 2)).toBe(1);
+      expect(SearchService.editDistance('lamp', 'chair', 1)).toBe(2);
+    });
+  });
+});
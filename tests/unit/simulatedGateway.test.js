@@ -0,0 +1,132 @@
+/**
+ * Unit tests for SimulatedGateway
+ */
+
+const PaymentGateway = require('../../src/ecommerce/services/paymentGateway');
+const SimulatedGateway = require('../../src/ecommerce/services/simulatedGateway');
+
+describe('SimulatedGateway', () => {
+  let gateway;
+
+  const payment = { amount: 2500, currency: 'usd', metadata: { quoteId: 'quote-1' } };
+
+  beforeEach(() => {
+    gateway = new SimulatedGateway({ logger: { info: jest.fn(), error: jest.fn() } }, { webhookSecret: 'test-secret' });
+  });
+
+  describe('confirmPaymentIntent', () => {
+    it('should succeed with a good card and report the card used', async () => {
+      const intent = await gateway.createPaymentIntent(payment);
+      expect(intent).toMatchObject({ status: 'requires_payment_method', clientSecret: `${intent.id}_secret` });
+
+      await expect(gateway.confirmPaymentIntent(intent.id, { paymentMethod: 'tok_visa' }))
+        .resolves.toMatchObject({ status: 'succeeded', amountReceived: 2500, card: { brand: 'visa', last4: '4242' } });
+      await expect(gateway.retrievePaymentIntent(intent.id))
+        .resolves.toMatchObject({ status: 'succeeded', metadata: { quoteId: 'quote-1' } });
+      await expect(gateway.confirmPaymentIntent(intent.id, { paymentMethod: 'tok_visa' }))
+        .rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should decline and let the customer retry with another card', async () => {
+      const intent = await gateway.createPaymentIntent(payment);
+
+      await expect(gateway.confirmPaymentIntent(intent.id, { paymentMethod: 'tok_chargeDeclined' }))
+        .resolves.toMatchObject({ status: 'requires_payment_method', lastError: { code: 'card_declined' } });
+      await expect(gateway.confirmPaymentIntent(intent.id, { paymentMethod: 'tok_mastercard' }))
+        .resolves.toMatchObject({ status: 'succeeded', lastError: null });
+    });
+
+    it('should hold 3D Secure cards until the challenge is settled', async () => {
+      const approved = await gateway.createPaymentIntent(payment);
+      const refused = await gateway.createPaymentIntent(payment);
+
+      for (const intent of [approved, refused]) {
+        await expect(gateway.confirmPaymentIntent(intent.id, { paymentMethod: 'tok_threeDSecureRequired' }))
+          .resolves.toMatchObject({ status: 'requires_action' });
+      }
+
+      await expect(gateway.confirmPaymentIntent(approved.id, { authenticated: true }))
+        .resolves.toMatchObject({ status: 'succeeded' });
+      await expect(gateway.confirmPaymentIntent(refused.id, { authenticated: false }))
+        .resolves.toMatchObject({ status: 'requires_payment_method', lastError: { code: 'payment_intent_authentication_failure' } });
+    });
+
+    it('should hand back a reusable card when asked to save it', async () => {
+      const intent = await gateway.createPaymentIntent({ ...payment, customerId: 'sim_cus_1', savePaymentMethod: true });
+      const confirmed = await gateway.confirmPaymentIntent(intent.id, { paymentMethod: 'tok_amex' });
+
+      expect(confirmed.paymentMethod).toMatch(/^sim_pm_\d+:tok_amex$/);
+      await expect(gateway.attachPaymentMethod('sim_cus_1', confirmed.paymentMethod))
+        .resolves.toMatchObject({ token: confirmed.paymentMethod, last4: '8431' });
+    });
+  });
+
+  describe('capture and refund', () => {
+    it('should capture manual intents up to the authorized amount', async () => {
+      const intent = await gateway.createPaymentIntent({ ...payment, captureMethod: 'manual' });
+      await gateway.confirmPaymentIntent(intent.id, { paymentMethod: 'tok_visa' });
+
+      await expect(gateway.refund({ paymentIntentId: intent.id })).rejects.toMatchObject({ status: 400 });
+      await expect(gateway.capturePaymentIntent(intent.id, 3000)).rejects.toMatchObject({ status: 400 });
+      await expect(gateway.capturePaymentIntent(intent.id, 2000))
+        .resolves.toMatchObject({ status: 'succeeded', amountReceived: 2000 });
+    });
+
+    it('should not refund more than was received', async () => {
+      const intent = await gateway.createPaymentIntent(payment);
+      await gateway.confirmPaymentIntent(intent.id, { paymentMethod: 'tok_visa' });
+
+      await expect(gateway.refund({ paymentIntentId: intent.id, amount: 1000, reason: 'damaged' }))
+        .resolves.toMatchObject({ status: 'succeeded', amount: 1000, paymentIntentId: intent.id });
+      await expect(gateway.refund({ paymentIntentId: intent.id, amount: 1501 })).rejects.toMatchObject({ status: 400 });
+      await expect(gateway.refund({ paymentIntentId: intent.id })).resolves.toMatchObject({ amount: 1500 });
+      await expect(gateway.retrievePaymentIntent(intent.id)).resolves.toMatchObject({ amountRefunded: 2500 });
+    });
+  });
+
+  describe('verifyWebhook', () => {
+    it('should accept signed events and reject tampered ones', async () => {
+      const { event, body, headers } = gateway.buildWebhook('payment_intent.succeeded', { id: 'sim_pi_1' });
+
+      await expect(gateway.verifyWebhook(Buffer.from(body), headers)).resolves.toEqual(event);
+      await expect(gateway.verifyWebhook(body.replace('sim_pi_1', 'sim_pi_2'), headers))
+        .rejects.toMatchObject({ status: 400 });
+      await expect(gateway.verifyWebhook(body, {})).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should accept no events without a configured secret', async () => {
+      const { body, headers } = gateway.buildWebhook('payment_intent.succeeded', { id: 'sim_pi_1' });
+      const unconfigured = new SimulatedGateway({ logger: { info: jest.fn(), error: jest.fn() } });
+
+      await expect(unconfigured.verifyWebhook(body, headers))
+        .rejects.toMatchObject({ status: 400, message: 'Simulated webhook secret is not configured' });
+    });
+  });
+
+  describe('PaymentGateway.create', () => {
+    const variables = ['PAYMENT_GATEWAY', 'STRIPE_SECRET_KEY', 'SIMULATED_WEBHOOK_SECRET'];
+    let saved;
+
+    beforeEach(() => {
+      saved = variables.map(name => process.env[name]);
+      variables.forEach(name => delete process.env[name]);
+    });
+
+    afterEach(() => {
+      variables.forEach((name, index) => {
+        if (saved[index] === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = saved[index];
+        }
+      });
+    });
+
+    it('should only use the simulated gateway when it is asked for', () => {
+      expect(() => PaymentGateway.create({})).toThrow('STRIPE_SECRET_KEY is not set');
+
+      process.env.PAYMENT_GATEWAY = 'simulated';
+      expect(PaymentGateway.create({})).toBeInstanceOf(SimulatedGateway);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Unit tests for TaxService
+ */
+
+const TaxService = require('../../src/ecommerce/services/taxService');
+
+describe('TaxService', () => {
+  let taxService;
+  let mockServices;
+  let containers;
+
+  const address = (country, state, zipCode) => ({ country, state, zipCode });
+
+  beforeEach(() => {
+    containers = { products: new Map(), tax_rules: new Map() };
+    let nextKey = 1;
+
+    mockServices = {
+      dataServe: {
+        add: jest.fn(async (container, record) => {
+          const key = `key-${nextKey++}`;
+          containers[container].set(key, record);
+          return key;
+        }),
+        getByUuid: jest.fn(async (container, key) => containers[container].get(key) || null),
+        remove: jest.fn(async (container, key) => containers[container].delete(key)),
+        jsonFind: jest.fn(async (container, predicate) => [...containers[container].values()].filter(predicate)),
+        jsonFindByPath: jest.fn(async (container, path, value) =>
+          [...containers[container].values()].filter(record => record[path] === value))
+      },
+      logger: {
+        info: jest.fn(),
+        error: jest.fn()
+      }
+    };
+
+    taxService = new TaxService(mockServices, { pricesIncludeTax: false });
+  });
+
+  describe('resolveRule', () => {
+    beforeEach(async () => {
+      await taxService.createRule({ name: 'US', country: 'us', rates: { standard: 0.05 } });
+      await taxService.createRule({ name: 'California', country: 'US', state: 'ca', rates: { standard: 0.0725 } });
+      await taxService.createRule({
+        name: 'Los Angeles', country: 'US', state: 'CA', postalCodes: ['900*'], rates: { standard: 0.095 }
+      });
+    });
+
+    it('should prefer the most specific matching rule', async () => {
+      expect((await taxService.resolveRule(address('US', 'CA', '90012'))).name).toBe('Los Angeles');
+      expect((await taxService.resolveRule(address('US', 'CA', '94105'))).name).toBe('California');
+      expect((await taxService.resolveRule(address('US', 'NY', '10001'))).name).toBe('US');
+    });
+
+    it('should fall back to the default rates when nothing matches', async () => {
+      const rule = await taxService.resolveRule(address('GB', null, 'SW1A 1AA'));
+
+      expect(rule.id).toBeNull();
+      expect(rule.rates).toEqual(TaxService.DEFAULT_RATES);
+    });
+  });
+
+  describe('calculate', () => {
+    it('should tax each line by its product tax class after discounts', async () => {
+      containers.products.set('book', { id: 'book', taxClass: 'reduced' });
+      containers.products.set('food', { id: 'food', taxClass: 'exempt' });
+      containers.products.set('tv', { id: 'tv' });
+      await taxService.createRule({ name: 'GB', country: 'GB', rates: { standard: 0.2, reduced: 0.05 } });
+
+      const result = await taxService.calculate({
+        lines: [
+          { productId: 'tv', lineSubtotal: 100, discount: 10 },
+          { productId: 'book', lineSubtotal: 20 },
+          { productId: 'food', lineSubtotal: 15 }
+        ],
+        shippingAddress: address('GB', null, 'SW1A 1AA'),
+        shippingCost: 5
+      });
+
+      expect(result.jurisdiction).toEqual(expect.objectContaining({ name: 'GB', country: 'GB' }));
+      expect(result.lines).toEqual([
+        expect.objectContaining({ productId: 'tv', taxClass: 'standard', rate: 0.2, taxableAmount: 90, taxAmount: 18 }),
+        expect.objectContaining({ productId: 'book', taxClass: 'reduced', rate: 0.05, taxAmount: 1 }),
+        expect.objectContaining({ productId: 'food', taxClass: 'exempt', rate: 0, taxAmount: 0 })
+      ]);
+      expect(result.shippingTax).toBe(0);
+      expect(result.taxAmount).toBe(19);
+    });
+
+    it('should extract tax from tax-inclusive prices', async () => {
+      taxService = new TaxService(mockServices, { pricesIncludeTax: true });
+      await taxService.createRule({ name: 'GB', country: 'GB', rates: { standard: 0.2 }, taxShipping: true });
+
+      const result = await taxService.calculate({
+        lines: [{ productId: 'tv', taxClass: 'standard', lineSubtotal: 120 }],
+        shippingAddress: address('GB'),
+        shippingCost: 6
+      });
+
+      expect(result.pricesIncludeTax).toBe(true);
+      expect(result.lines[0].taxAmount).toBe(20);
+      expect(result.shippingTax).toBe(1);
+      expect(result.taxAmount).toBe(21);
+    });
+  });
+
+  describe('createRule', () => {
+    it('should reject rates outside 0 to 1', async () => {
+      await expect(
+        taxService.createRule({ name: 'Bad', country: 'US', rates: { standard: 8 } })
+      ).rejects.toMatchObject({ status: 400 });
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Unit tests for VariantService
+ */
+
+const VariantService = require('../../src/ecommerce/services/variantService');
+
+describe('VariantService', () => {
+  let variantService;
+  let mockServices;
+  let containers;
+
+  const product = { name: 'Tee', sku: 'TEE', price: 20, salePrice: null };
+  const axes = [
+    { name: 'Size', values: ['S', 'M'] },
+    { name: 'Colour', values: ['Red', 'Blue'] }
+  ];
+
+  beforeEach(() => {
+    containers = {
+      products: new Map([['tee', product]]),
+      product_variants: new Map(),
+      product_images: new Map([['img-1', { productId: 'tee' }], ['img-other', { productId: 'mug' }]]),
+      inventory: new Map()
+    };
+    let nextKey = 1;
+
+    mockServices = {
+      dataServe: {
+        add: jest.fn(async (container, record) => {
+          const key = `key-${nextKey++}`;
+          containers[container].set(key, record);
+          return key;
+        }),
+        getByUuid: jest.fn(async (container, key) => containers[container].get(key) || null),
+        remove: jest.fn(async (container, key) => containers[container].delete(key)),
+        jsonFind: jest.fn(async (container, predicate) => [...containers[container].values()].filter(predicate)),
+        jsonFindByPath: jest.fn(async (container, path, value) =>
+          [...containers[container].values()].filter(record => record[path] === value))
+      },
+      logger: {
+        info: jest.fn(),
+        error: jest.fn()
+      }
+    };
+
+    variantService = new VariantService(mockServices);
+  });
+
+  describe('generateVariants', () => {
+    it('should create one variant with stock for every combination', async () => {
+      const created = await variantService.generateVariants('tee', product, axes, { inventory: 5 });
+
+      expect(created.map(variant => variant.title)).toEqual(['S / Red', 'S / Blue', 'M / Red', 'M / Blue']);
+      expect(created[0].sku).toBe('TEE-S-RED');
+
+      const variants = await variantService.listVariants('tee');
+      expect(variants.every(variant => variant.inventory.available === 5)).toBe(true);
+      expect(variantService.getOptionAxes(variants)).toEqual(axes);
+    });
+
+    it('should only add the missing combinations', async () => {
+      await variantService.generateVariants('tee', product, [{ name: 'Size', values: ['S'] }, { name: 'Colour', values: ['Red'] }]);
+
+      const created = await variantService.generateVariants('tee', product, axes);
+
+      expect(created).toHaveLength(3);
+    });
+
+    it('should refuse a different set of axes', async () => {
+      await variantService.generateVariants('tee', product, axes);
+
+      await expect(variantService.generateVariants('tee', product, [{ name: 'Material', values: ['Cotton'] }]))
+        .rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('createVariant', () => {
+    beforeEach(async () => {
+      await variantService.generateVariants('tee', product, axes);
+    });
+
+    it('should reject duplicate combinations, missing axes and taken SKUs', async () => {
+      await expect(variantService.createVariant('tee', product, { options: { Size: 'S', Colour: 'Red' } }))
+        .rejects.toMatchObject({ status: 409 });
+      await expect(variantService.createVariant('tee', product, { options: { Size: 'L' } }))
+        .rejects.toMatchObject({ status: 400 });
+      await expect(variantService.createVariant('tee', product, { options: { Size: 'L', Colour: 'Red' }, sku: 'TEE-S-RED' }))
+        .rejects.toMatchObject({ status: 409 });
+    });
+
+    it('should only accept images of the same product', async () => {
+      const options = { Size: 'L', Colour: 'Red' };
+
+      await expect(variantService.createVariant('tee', product, { options, images: ['img-other'] }))
+        .rejects.toMatchObject({ status: 400 });
+      await expect(variantService.createVariant('tee', product, { options, images: ['img-1'], price: 24 }))
+        .resolves.toMatchObject({ images: ['img-1'], price: 24 });
+    });
+  });
+
+  describe('resolveCartVariant', () => {
+    it('should require an active variant for products that have variants', async () => {
+      const [variant] = await variantService.generateVariants('tee', product, axes);
+
+      await expect(variantService.resolveCartVariant('tee', null)).rejects.toThrow('Please choose Size, Colour');
+      await expect(variantService.resolveCartVariant('tee', 'nope')).rejects.toMatchObject({ status: 400 });
+      await expect(variantService.resolveCartVariant('tee', variant.id)).resolves.toMatchObject({ id: variant.id });
+
+      await variantService.updateVariant('tee', variant.id, { status: 'inactive' });
+      await expect(variantService.resolveCartVariant('tee', variant.id)).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should accept no variant for products without variants', async () => {
+      await expect(variantService.resolveCartVariant('mug', null)).resolves.toBeNull();
+    });
+  });
+
+  describe('unitPrice', () => {
+    it('should use the variant override and fall back to the product price', () => {
+      expect(VariantService.unitPrice({ price: 20, salePrice: 15 }, { price: null })).toBe(15);
+      expect(VariantService.unitPrice({ price: 20, salePrice: 15 }, { price: 30, salePrice: null })).toBe(30);
+      expect(VariantService.unitPrice({ price: 20 }, { price: 30, salePrice: 25 })).toBe(25);
+    });
+  });
+
+  describe('updateVariant', () => {
+    it('should update stock and refuse deletion while stock is reserved', async () => {
+      const [variant] = await variantService.generateVariants('tee', product, axes);
+
+      await variantService.updateVariant('tee', variant.id, { inventory: 8 });
+      const record = await variantService.findInventoryRecord('tee', variant.id);
+      expect(record).toMatchObject({ quantity: 8, available: 8 });
+
+      await variantService.inventory.update(record.id, { reserved: 2 });
+      await expect(variantService.deleteVariant('tee', variant.id)).rejects.toMatchObject({ status: 409 });
+    });
+  });
+});